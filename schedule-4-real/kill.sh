@@ -69,7 +69,7 @@ fi
 
 # Detener procesos PM2 de s4r
 info "Deteniendo procesos PM2..."
-pm2 delete s4r-web s4r-ingest s4r-retention s4r-supervisor s4r-mosquitto s4r-proxy s4r-cameras s4r-relay s4r-tunnel s4r-room-publisher 2>/dev/null || true
+pm2 delete s4r-web s4r-ingest s4r-retention s4r-supervisor s4r-mosquitto s4r-proxy s4r-cameras s4r-relay s4r-tunnel s4r-room-publisher s4r-simulator 2>/dev/null || true
 sleep 2
 success "Procesos PM2 eliminados"
 
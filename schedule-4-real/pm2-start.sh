@@ -299,6 +299,19 @@ else
     info "Room Publisher desactivado (requires TUNNEL_ENABLED=true)"
 fi
 
+# ═══════════════════════════════════════════
+# 11. Device Simulator (PS5/LC/CB virtuales, solo desarrollo/demo)
+# ═══════════════════════════════════════════
+if [ "${SIMULATOR_ENABLED}" = "true" ]; then
+    info "Iniciando Device Simulator..."
+    pm2 start src/services/device-simulator.cjs \
+        --name s4r-simulator \
+        --cwd "$SCRIPT_DIR" \
+        --max-memory-restart 128M \
+        --log ./logs/simulator.log \
+        --error ./logs/simulator-error.log
+fi
+
 echo ""
 echo "── APP WEB ──────────────────────────────"
 echo ""
@@ -0,0 +1,53 @@
+/**
+ * CLI helpers
+ * Shared by the command-line entry points of the services (npm run notify:test,
+ * flows:revisions, pid:autotune ...): a QuestDB pool with the settings of
+ * connection.js, and option parsing.
+ */
+
+/**
+ * Single-connection QuestDB pool for a CLI run (reads .env); end() it when done
+ * @returns {import('pg').Pool}
+ */
+function createCliPool() {
+  require('dotenv').config();
+  const pg = require('pg');
+  return new pg.Pool({
+    host: process.env.QUESTDB_HOST || '127.0.0.1',
+    port: parseInt(process.env.QUESTDB_PG_PORT) || 8812,
+    user: process.env.QUESTDB_USER || 'spider',
+    password: process.env.QUESTDB_PASSWORD || 'spider123',
+    database: process.env.QUESTDB_DATABASE || 'qdb',
+    max: 1,
+    connectionTimeoutMillis: 5000
+  });
+}
+
+/**
+ * Parse command-line arguments: `--name value` options, `--flag` switches and
+ * positional arguments (in `_`). An option without a value (last, or followed by
+ * another option) is true.
+ * @param {string[]} argv - e.g. process.argv.slice(2)
+ * @param {object} [options]
+ * @param {string[]} [options.flags] - Options that never take a value
+ * @param {string[]} [options.repeated] - Options that may be given several times (collected in an array)
+ * @returns {{ _: string[] } & Object<string, string|boolean|string[]>}
+ */
+function parseArgs(argv, { flags = [], repeated = [] } = {}) {
+  const args = { _: [] };
+  for (const name of repeated) args[name] = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    const value = !flags.includes(name) && argv[i + 1] !== undefined && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    if (repeated.includes(name)) args[name].push(value);
+    else args[name] = value;
+  }
+  return args;
+}
+
+module.exports = { createCliPool, parseArgs };
@@ -0,0 +1,435 @@
+/**
+ * QuestDB InfluxDB Line Protocol (ILP) writer
+ * Buffers rows per table and flushes them in batches over TCP (port 9009)
+ *
+ * - Bounded in-memory queue: beyond ILP_MAX_QUEUE_ROWS the queue moves to the journal
+ * - Back-pressure: waits for socket 'drain' before writing the next batch
+ * - Store-and-forward: while QuestDB is unreachable, rows go to an append-only
+ *   journal (data/ingest-journal.lp). Once it is back the journal is replayed
+ *   in order before any new row; until the backlog is drained new rows keep
+ *   being appended to the journal so ordering holds. Journaled rows are
+ *   collected in memory and appended once per flush interval (or MAX_BATCH_ROWS).
+ *   The replay offset is persisted so a restart doesn't write rows twice.
+ *
+ * ILP over TCP has no acknowledgements: a batch counts as written once the
+ * kernel accepted it. Batches whose write fails are re-queued.
+ */
+
+import net from 'net';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const ILP_HOST = process.env.QUESTDB_HOST || '127.0.0.1';
+const ILP_PORT = parseInt(process.env.QUESTDB_ILP_PORT) || 9009;
+const FLUSH_INTERVAL_MS = parseInt(process.env.ILP_FLUSH_INTERVAL_MS) || 1000;
+const MAX_QUEUE_ROWS = parseInt(process.env.ILP_MAX_QUEUE_ROWS) || 50000;
+const MAX_BATCH_ROWS = 1000;
+const RECONNECT_DELAY_MS = 5000;
+const REPLAY_CHUNK_BYTES = 256 * 1024;
+const MAX_JOURNAL_BYTES = (parseInt(process.env.INGEST_JOURNAL_MAX_MB) || 512) * 1024 * 1024;
+
+const JOURNAL_PATH = path.resolve(process.cwd(), 'data', 'ingest-journal.lp');
+const JOURNAL_OFFSET_PATH = `${JOURNAL_PATH}.offset`;
+
+// table -> pending ILP lines (oldest first)
+const buffers = new Map();
+let queuedRows = 0;
+
+// Rows in the journal not yet replayed (counted on startup, then tracked)
+let journalRows = 0;
+// Rows on their way to the journal, appended on the next flush
+let journalBuffer = [];
+let journalFullLogged = 0;
+let journalCleanupLogged = 0;
+
+let socket = null;
+let connected = false;
+let lastConnectAttempt = 0;
+let writing = false;   // A batch is in the socket buffer, waiting for its callback
+let draining = false;  // socket.write() returned false, waiting for 'drain'
+let flushTimer = null;
+
+const stats = {
+  written: 0,
+  journaled: 0,
+  replayed: 0,
+  requeued: 0,
+  dropped: 0,
+  lastFlush: null,
+  lastError: null
+};
+
+// ── Line formatting ─────────────────────────────────────
+
+/** Marks a field as an ILP integer (INT/LONG column) instead of a double */
+export function int(value) {
+  return { ilpInt: value };
+}
+
+function escapeKey(value) {
+  return String(value).replace(/[ ,=\\]/g, '\\$&');
+}
+
+function escapeString(value) {
+  return String(value).replace(/["\\]/g, '\\$&').replace(/\n/g, '\\n');
+}
+
+function formatField(value) {
+  if (value && typeof value === 'object' && 'ilpInt' in value) {
+    if (value.ilpInt === null || value.ilpInt === undefined) return null;
+    return `${Math.round(Number(value.ilpInt))}i`;
+  }
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : null;
+  if (typeof value === 'boolean') return value ? 't' : 'f';
+  if (value instanceof Date) return `${BigInt(value.getTime()) * 1000n}t`;
+  if (value === null || value === undefined) return null;
+  return `"${escapeString(value)}"`;
+}
+
+function toNanos(timestamp) {
+  const ms = timestamp instanceof Date ? timestamp.getTime()
+    : typeof timestamp === 'string' ? Date.parse(timestamp)
+    : (timestamp ?? Date.now());
+  return BigInt(Math.round(ms)) * 1000000n;
+}
+
+/**
+ * Build one ILP line. Null/undefined symbols and fields are omitted (stored as NULL).
+ */
+export function formatLine(table, symbols, fields, timestamp) {
+  let line = escapeKey(table);
+  for (const [key, value] of Object.entries(symbols || {})) {
+    if (value === null || value === undefined || value === '') continue;
+    line += `,${escapeKey(key)}=${escapeKey(value)}`;
+  }
+
+  const parts = [];
+  for (const [key, value] of Object.entries(fields || {})) {
+    const formatted = formatField(value);
+    if (formatted !== null) parts.push(`${escapeKey(key)}=${formatted}`);
+  }
+  if (parts.length === 0) return null; // ILP requires at least one field
+
+  return `${line} ${parts.join(',')} ${toNanos(timestamp)}\n`;
+}
+
+// ── Queue ───────────────────────────────────────────────
+
+/**
+ * Queue a row for the given table
+ * @param {string} table - Target table
+ * @param {object} symbols - SYMBOL columns { device_mac: 'AA..' }
+ * @param {object} fields - Other columns; numbers are doubles, wrap INT columns with int()
+ * @param {Date|string|number} [timestamp] - Designated timestamp (default: now)
+ * @returns {boolean} false if the row went to the journal instead of the memory queue
+ */
+export function writeRow(table, symbols, fields, timestamp) {
+  const line = formatLine(table, symbols, fields, timestamp);
+  if (!line) return true;
+
+  // QuestDB unreachable, or older rows still waiting in the journal
+  if (!connected || journalRows > 0 || journalBuffer.length > 0) {
+    journalBuffer.push(line);
+    if (journalBuffer.length >= MAX_BATCH_ROWS) writeJournalBuffer();
+    return false;
+  }
+
+  if (!buffers.has(table)) buffers.set(table, []);
+  buffers.get(table).push(line);
+  queuedRows++;
+
+  if (queuedRows > MAX_QUEUE_ROWS) {
+    journalQueue();
+    return false;
+  }
+
+  if (queuedRows >= MAX_BATCH_ROWS) flush();
+  return true;
+}
+
+/** Take up to `max` lines, round-robin across tables so one busy table can't starve the rest */
+function takeLines(max) {
+  const lines = [];
+  while (lines.length < max && queuedRows > 0) {
+    for (const [table, pending] of buffers) {
+      if (pending.length === 0) {
+        buffers.delete(table);
+        continue;
+      }
+      lines.push(pending.shift());
+      queuedRows--;
+      if (lines.length >= max) break;
+    }
+  }
+  return lines;
+}
+
+/** Put lines back at the front of the queue (after a failed write) */
+function requeue(lines) {
+  const byTable = new Map();
+  for (const line of lines) {
+    const table = line.slice(0, line.search(/(?<!\\)[ ,]/)).replace(/\\(.)/g, '$1');
+    if (!byTable.has(table)) byTable.set(table, []);
+    byTable.get(table).push(line);
+  }
+  for (const [table, tableLines] of byTable) {
+    if (!buffers.has(table)) buffers.set(table, []);
+    buffers.get(table).unshift(...tableLines);
+  }
+  queuedRows += lines.length;
+  stats.requeued += lines.length;
+}
+
+// ── Journal ─────────────────────────────────────────
+
+function journalSize() {
+  try {
+    return fs.statSync(JOURNAL_PATH).size;
+  } catch {
+    return 0;
+  }
+}
+
+function readJournalOffset() {
+  try {
+    return parseInt(fs.readFileSync(JOURNAL_OFFSET_PATH, 'utf-8')) || 0;
+  } catch {
+    return 0;
+  }
+}
+
+function appendJournal(lines) {
+  if (lines.length === 0) return;
+  const data = lines.join('');
+
+  if (journalSize() + data.length > MAX_JOURNAL_BYTES) {
+    stats.dropped += lines.length;
+    if (Date.now() - journalFullLogged > 60000) {
+      journalFullLogged = Date.now();
+      console.error(`[ILP] Journal full (${MAX_JOURNAL_BYTES / 1024 / 1024} MB), dropping rows until QuestDB is back`);
+    }
+    return;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(JOURNAL_PATH), { recursive: true });
+    // An offset left behind by a failed cleanup would skip the new journal's rows
+    if (journalSize() === 0) fs.rmSync(JOURNAL_OFFSET_PATH, { force: true });
+    fs.appendFileSync(JOURNAL_PATH, data);
+    journalRows += lines.length;
+    stats.journaled += lines.length;
+  } catch (err) {
+    stats.dropped += lines.length;
+    stats.lastError = `Journal write failed: ${err.message}`;
+    console.error('[ILP] Journal write error:', err.message);
+  }
+}
+
+/** Append the rows collected for the journal */
+function writeJournalBuffer() {
+  if (journalBuffer.length === 0) return;
+  const lines = journalBuffer;
+  journalBuffer = [];
+  appendJournal(lines);
+}
+
+/**
+ * Move the whole memory queue to the journal (oldest first, keeps ordering:
+ * rows only wait for the journal once the memory queue has stopped taking them)
+ */
+function journalQueue() {
+  appendJournal(takeLines(queuedRows));
+  writeJournalBuffer();
+}
+
+/** Count unreplayed rows left over from a previous run */
+function countJournalRows() {
+  const size = journalSize();
+  let offset = readJournalOffset();
+  if (size === 0 || offset >= size) return 0;
+
+  let rows = 0;
+  const buf = Buffer.alloc(1024 * 1024);
+  const fd = fs.openSync(JOURNAL_PATH, 'r');
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buf, 0, buf.length, offset)) > 0) {
+      for (let i = 0; i < bytesRead; i++) if (buf[i] === 0x0a) rows++;
+      offset += bytesRead;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return rows;
+}
+
+/**
+ * Send the next chunk of the journal. Returns true if a chunk is in flight.
+ */
+function replayJournalChunk() {
+  const size = journalSize();
+  if (size === 0) return false;
+
+  const offset = readJournalOffset();
+  if (offset >= size) {
+    try {
+      fs.rmSync(JOURNAL_PATH, { force: true });
+      fs.rmSync(JOURNAL_OFFSET_PATH, { force: true });
+    } catch (err) {
+      // The offset still marks everything as sent; retried on the next flush
+      stats.lastError = `Journal cleanup failed: ${err.message}`;
+      if (Date.now() - journalCleanupLogged > 60000) {
+        journalCleanupLogged = Date.now();
+        console.error('[ILP] Journal cleanup error:', err.message);
+      }
+      return false;
+    }
+    journalRows = 0;
+    console.log(`[ILP] Journal replayed completely (${stats.replayed} rows so far)`);
+    return false;
+  }
+
+  const buf = Buffer.alloc(Math.min(REPLAY_CHUNK_BYTES, size - offset));
+  const fd = fs.openSync(JOURNAL_PATH, 'r');
+  let bytesRead;
+  try {
+    bytesRead = fs.readSync(fd, buf, 0, buf.length, offset);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // Only send complete lines
+  const end = buf.lastIndexOf(0x0a, bytesRead - 1) + 1;
+  if (end === 0) return false;
+  const chunk = buf.subarray(0, end);
+  const rows = chunk.reduce((n, b) => n + (b === 0x0a ? 1 : 0), 0);
+
+  sendPayload(chunk, (err) => {
+    if (err) return;
+    fs.writeFileSync(JOURNAL_OFFSET_PATH, String(offset + end));
+    journalRows = Math.max(0, journalRows - rows);
+    stats.replayed += rows;
+  });
+  return true;
+}
+
+// ── Socket ──────────────────────────────────────────────
+
+function connect() {
+  if (socket || Date.now() - lastConnectAttempt < RECONNECT_DELAY_MS) return;
+  lastConnectAttempt = Date.now();
+
+  socket = net.createConnection({ host: ILP_HOST, port: ILP_PORT });
+  socket.setKeepAlive(true, 30000);
+
+  socket.on('connect', () => {
+    connected = true;
+    console.log(`[ILP] Connected to ${ILP_HOST}:${ILP_PORT}`);
+    flush();
+  });
+
+  socket.on('drain', () => {
+    draining = false;
+    flush();
+  });
+
+  socket.on('error', (err) => {
+    stats.lastError = err.message;
+    if (connected) console.error('[ILP] Socket error:', err.message);
+  });
+
+  socket.on('close', () => {
+    if (connected) console.log('[ILP] Disconnected, journaling rows until QuestDB is back');
+    connected = false;
+    draining = false;
+    socket = null;
+    // Anything still queued (incl. re-queued failed batches) is older than what comes next
+    journalQueue();
+  });
+}
+
+function sendPayload(payload, onDone) {
+  writing = true;
+  const ok = socket.write(payload, (err) => {
+    writing = false;
+    if (err) {
+      stats.lastError = err.message;
+    } else {
+      stats.lastFlush = new Date();
+    }
+    onDone(err);
+    // Continue with the next batch unless we're waiting on 'drain'
+    if (!err && !draining) setImmediate(flush);
+  });
+  if (!ok) draining = true;
+}
+
+/**
+ * Flush the next batch: journal first (oldest data), then the in-memory queue
+ */
+export function flush() {
+  writeJournalBuffer();
+  if (writing || draining) return;
+  if (!connected) {
+    connect();
+    return;
+  }
+
+  if (replayJournalChunk()) return;
+  if (queuedRows === 0) return;
+
+  const lines = takeLines(MAX_BATCH_ROWS);
+  sendPayload(lines.join(''), (err) => {
+    if (err) requeue(lines);
+    else stats.written += lines.length;
+  });
+}
+
+/**
+ * Writer status for getStatus() / monitoring
+ */
+export function getIlpStatus() {
+  const size = journalSize();
+  return {
+    connected,
+    endpoint: `${ILP_HOST}:${ILP_PORT}`,
+    queuedRows,
+    backlog: {
+      rows: journalRows + journalBuffer.length,
+      bytes: size > 0 ? Math.max(0, size - readJournalOffset()) : 0
+    },
+    ...stats
+  };
+}
+
+/**
+ * Start the periodic flush timer
+ */
+export function startIlpWriter() {
+  if (flushTimer) return;
+  journalRows = countJournalRows();
+  if (journalRows > 0) console.log(`[ILP] ${journalRows} journaled rows pending replay`);
+  flushTimer = setInterval(flush, FLUSH_INTERVAL_MS);
+  connect();
+}
+
+/**
+ * Stop the writer. Rows still in memory go to the journal so they survive the restart.
+ */
+export function closeIlpWriter() {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+  journalQueue();
+  if (socket) {
+    socket.end();
+    socket = null;
+  }
+  connected = false;
+}
+
+export default { writeRow, int, flush, getIlpStatus, startIlpWriter, closeIlpWriter };
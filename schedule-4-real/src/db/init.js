@@ -41,6 +41,96 @@ const tables = [
     `
   },
 
+  // Sensor rollups (min/max/avg per device and sensor, see data-rollups.js);
+  // recent buckets are rolled up again, the new row replaces the old one
+  {
+    name: 'sensors_environment_5m',
+    sql: `
+      CREATE TABLE IF NOT EXISTS sensors_environment_5m (
+        timestamp TIMESTAMP,
+        device_mac SYMBOL,
+        temp_min DOUBLE,
+        temp_max DOUBLE,
+        temp_avg DOUBLE,
+        humi_min DOUBLE,
+        humi_max DOUBLE,
+        humi_avg DOUBLE,
+        vpd_min DOUBLE,
+        vpd_max DOUBLE,
+        vpd_avg DOUBLE,
+        co2_min DOUBLE,
+        co2_max DOUBLE,
+        co2_avg DOUBLE,
+        samples LONG
+      ) TIMESTAMP(timestamp) PARTITION BY MONTH WAL DEDUP UPSERT KEYS(timestamp, device_mac);
+    `
+  },
+
+  {
+    name: 'sensors_environment_1h',
+    sql: `
+      CREATE TABLE IF NOT EXISTS sensors_environment_1h (
+        timestamp TIMESTAMP,
+        device_mac SYMBOL,
+        temp_min DOUBLE,
+        temp_max DOUBLE,
+        temp_avg DOUBLE,
+        humi_min DOUBLE,
+        humi_max DOUBLE,
+        humi_avg DOUBLE,
+        vpd_min DOUBLE,
+        vpd_max DOUBLE,
+        vpd_avg DOUBLE,
+        co2_min DOUBLE,
+        co2_max DOUBLE,
+        co2_avg DOUBLE,
+        samples LONG
+      ) TIMESTAMP(timestamp) PARTITION BY YEAR WAL DEDUP UPSERT KEYS(timestamp, device_mac);
+    `
+  },
+
+  {
+    name: 'sensors_soil_5m',
+    sql: `
+      CREATE TABLE IF NOT EXISTS sensors_soil_5m (
+        timestamp TIMESTAMP,
+        device_mac SYMBOL,
+        sensor_id SYMBOL,
+        temp_soil_min DOUBLE,
+        temp_soil_max DOUBLE,
+        temp_soil_avg DOUBLE,
+        humi_soil_min DOUBLE,
+        humi_soil_max DOUBLE,
+        humi_soil_avg DOUBLE,
+        ec_soil_min DOUBLE,
+        ec_soil_max DOUBLE,
+        ec_soil_avg DOUBLE,
+        samples LONG
+      ) TIMESTAMP(timestamp) PARTITION BY MONTH WAL DEDUP UPSERT KEYS(timestamp, device_mac, sensor_id);
+    `
+  },
+
+  {
+    name: 'sensors_soil_1h',
+    sql: `
+      CREATE TABLE IF NOT EXISTS sensors_soil_1h (
+        timestamp TIMESTAMP,
+        device_mac SYMBOL,
+        sensor_id SYMBOL,
+        temp_soil_min DOUBLE,
+        temp_soil_max DOUBLE,
+        temp_soil_avg DOUBLE,
+        humi_soil_min DOUBLE,
+        humi_soil_max DOUBLE,
+        humi_soil_avg DOUBLE,
+        ec_soil_min DOUBLE,
+        ec_soil_max DOUBLE,
+        ec_soil_avg DOUBLE,
+        samples LONG
+      ) TIMESTAMP(timestamp) PARTITION BY YEAR WAL DEDUP UPSERT KEYS(timestamp, device_mac, sensor_id);
+    `
+  },
+
   // Outlet states
   {
     name: 'outlet_states',
@@ -163,6 +253,26 @@ const tables = [
     `
   },
 
+  // Flow revisions (immutable history of every automation_flows save)
+  {
+    name: 'automation_flow_revisions',
+    sql: `
+      CREATE TABLE IF NOT EXISTS automation_flow_revisions (
+        timestamp TIMESTAMP,
+        flow_id SYMBOL,
+        revision INT,
+        author STRING,
+        comment STRING,
+        source SYMBOL,
+        name STRING,
+        description STRING,
+        enabled INT,
+        flow_json STRING,
+        flow_hash STRING
+      ) TIMESTAMP(timestamp) PARTITION BY MONTH;
+    `
+  },
+
   // Socket AI mode tracking (which sockets are controlled by automation)
   {
     name: 'socket_ai_mode',
@@ -176,6 +286,23 @@ const tables = [
     `
   },
 
+  // Socket failsafe state while a sensor its flows depend on has failed
+  // mode: on | off | keep | duty (duty_on_minutes on, duty_off_minutes off)
+  {
+    name: 'socket_failsafe',
+    sql: `
+      CREATE TABLE IF NOT EXISTS socket_failsafe (
+        timestamp TIMESTAMP,
+        device_mac SYMBOL,
+        socket SYMBOL,
+        mode SYMBOL,
+        duty_on_minutes INT,
+        duty_off_minutes INT,
+        updated_by SYMBOL
+      ) TIMESTAMP(timestamp) PARTITION BY MONTH;
+    `
+  },
+
   // Blower AI mode tracking (whether blower is controlled by automation)
   {
     name: 'blower_ai_mode',
@@ -215,7 +342,8 @@ const tables = [
         socket SYMBOL,
         action SYMBOL,
         result SYMBOL,
-        sensor_values STRING
+        sensor_values STRING,
+        flow_revision INT
       ) TIMESTAMP(timestamp) PARTITION BY DAY;
     `
   },
@@ -259,6 +387,80 @@ const tables = [
     `
   },
 
+  // Light photoperiod programs (phases in program_json, latest row per id)
+  {
+    name: 'light_programs',
+    sql: `
+      CREATE TABLE IF NOT EXISTS light_programs (
+        timestamp TIMESTAMP,
+        id STRING,
+        name STRING,
+        light_id SYMBOL,
+        enabled INT,
+        program_json STRING,
+        is_deleted INT
+      ) TIMESTAMP(timestamp) PARTITION BY MONTH;
+    `
+  },
+
+  // Interlock / safety rules applied to outlet actions (rule in rule_json, latest row per id)
+  {
+    name: 'interlock_rules',
+    sql: `
+      CREATE TABLE IF NOT EXISTS interlock_rules (
+        timestamp TIMESTAMP,
+        id STRING,
+        name STRING,
+        enabled INT,
+        rule_json STRING,
+        is_deleted INT
+      ) TIMESTAMP(timestamp) PARTITION BY MONTH;
+    `
+  },
+
+  // ============================================
+  // IRRIGATION
+  // ============================================
+
+  // Irrigation programs (pump outlet, stage targets in program_json, latest row per id)
+  {
+    name: 'irrigation_programs',
+    sql: `
+      CREATE TABLE IF NOT EXISTS irrigation_programs (
+        timestamp TIMESTAMP,
+        id STRING,
+        name STRING,
+        enabled INT,
+        program_json STRING,
+        is_deleted INT
+      ) TIMESTAMP(timestamp) PARTITION BY MONTH;
+    `
+  },
+
+  // One row per irrigation shot, moisture/EC before and after (crop steering)
+  {
+    name: 'irrigation_log',
+    sql: `
+      CREATE TABLE IF NOT EXISTS irrigation_log (
+        timestamp TIMESTAMP,
+        program_id SYMBOL,
+        program_name STRING,
+        device_mac SYMBOL,
+        socket SYMBOL,
+        stage SYMBOL,
+        shot_number INT,
+        shot_seconds INT,
+        reason STRING,
+        started_at STRING,
+        moisture_before DOUBLE,
+        moisture_after DOUBLE,
+        ec_before DOUBLE,
+        ec_after DOUBLE,
+        result SYMBOL
+      ) TIMESTAMP(timestamp) PARTITION BY MONTH;
+    `
+  },
+
   // ============================================
   // POWER CONSUMPTION TRACKING
   // ============================================
@@ -364,6 +566,7 @@ const tables = [
         room_id STRING,
         user_id STRING,
         firmware_ver STRING,
+        schema_hash STRING,
         first_seen TIMESTAMP,
         last_seen TIMESTAMP
       ) TIMESTAMP(timestamp) PARTITION BY MONTH;
@@ -1070,6 +1273,14 @@ const migrations = [
   {
     name: 'trigger_execution_log: add device_mac column',
     sql: `ALTER TABLE trigger_execution_log ADD COLUMN device_mac SYMBOL`
+  },
+  {
+    name: 'devices: add schema_hash column',
+    sql: `ALTER TABLE devices ADD COLUMN schema_hash STRING`
+  },
+  {
+    name: 'trigger_execution_log: add flow_revision column',
+    sql: `ALTER TABLE trigger_execution_log ADD COLUMN flow_revision INT`
   }
 ];
 
@@ -0,0 +1,117 @@
+/**
+ * JSON rows
+ * Tables that keep one JSON document per id as append-only rows (light_programs,
+ * irrigation_programs, interlock_rules): the latest row per id is the current
+ * document and a row with is_deleted = 1 removes it. Every save is a new row, so
+ * earlier versions stay in the table.
+ *
+ * runJsonRowsCommand() implements the authoring commands the services' CLIs share:
+ *   list | show <id> | save <file.json> [--id <id>] | enable <id> | disable <id> | delete <id>
+ */
+
+const fs = require('fs');
+
+/**
+ * @param {(sql: string, params?: any[]) => Promise<Array<object>>} query
+ * @param {object} options
+ * @param {string} options.table
+ * @param {string} options.jsonColumn - Column holding the document (program_json, rule_json)
+ * @param {(doc: object) => Object<string, any>} [options.columns] - Extra columns taken from the document
+ */
+function createJsonRows(query, { table, jsonColumn, columns = () => ({}) }) {
+  async function insert(doc, deleted) {
+    const { id, name, enabled, ...body } = doc;
+    const extra = columns(doc);
+    const names = ['id', 'name', 'enabled', jsonColumn, 'is_deleted', ...Object.keys(extra)];
+    const values = [id, name || id, enabled ? 1 : 0, JSON.stringify(body), deleted ? 1 : 0, ...Object.values(extra)];
+    await query(`
+      INSERT INTO ${table} (timestamp, ${names.join(', ')})
+      VALUES (now(), ${values.map((_, i) => `$${i + 1}`).join(', ')})
+    `, values);
+  }
+
+  return {
+    /** Write a document as the current version of its id */
+    save: doc => insert(doc, false),
+    /** Delete an id (the document is kept in the deleted row) */
+    remove: doc => insert(doc, true)
+  };
+}
+
+/** Id for a new document: its name in lower-case-dashes */
+function idFromName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Run one authoring command against a JSON rows table.
+ * save reads a document ({ name, enabled?, ...fields }); an existing id is replaced
+ * and keeps its enabled state unless the file sets one, a new one starts disabled.
+ * @param {string} command
+ * @param {{ _: string[], id?: string }} args - Parsed arguments (`_[0]` is the id or file)
+ * @param {object} options
+ * @param {ReturnType<typeof createJsonRows>} options.rows
+ * @param {() => Promise<Array<object>>} options.load - Current documents (parsed, deleted ones left out)
+ * @param {(doc: object) => string[]} options.validate - Problems with a document (empty if valid)
+ * @param {(doc: object) => string} options.describe - One-line summary for list
+ * @param {string} options.noun - e.g. 'light program'
+ * @returns {Promise<number>} Exit code
+ */
+async function runJsonRowsCommand(command, args, { rows, load, validate, describe, noun }) {
+  const docs = await load();
+  const find = (id) => {
+    const doc = docs.find(d => d.id === id);
+    if (!doc) throw new Error(`No ${noun} ${id}`);
+    return doc;
+  };
+  const [target] = args._;
+
+  switch (command) {
+    case 'list':
+      if (docs.length === 0) console.log(`No ${noun}s`);
+      for (const doc of docs) console.log(`${doc.id}  ${doc.enabled ? 'enabled ' : 'disabled'}  ${doc.name} — ${describe(doc)}`);
+      return 0;
+
+    case 'show':
+      console.log(JSON.stringify(find(target), null, 2));
+      return 0;
+
+    case 'save': {
+      const doc = JSON.parse(fs.readFileSync(target, 'utf-8'));
+      const id = args.id || doc.id || idFromName(doc.name);
+      if (!id) throw new Error(`The ${noun} needs a name or --id`);
+      const existing = docs.find(d => d.id === id);
+      const saved = { ...doc, id, name: doc.name || existing?.name || id, enabled: doc.enabled ?? existing?.enabled ?? false };
+      const problems = validate(saved);
+      if (problems.length > 0) {
+        for (const problem of problems) console.error(`Invalid ${noun}: ${problem}`);
+        return 1;
+      }
+      await rows.save(saved);
+      console.log(`${existing ? 'Updated' : 'Created'} ${noun} ${id} (${saved.enabled ? 'enabled' : 'disabled'}; the supervisor picks it up within 30 s)`);
+      return 0;
+    }
+
+    case 'enable':
+    case 'disable': {
+      const doc = find(target);
+      await rows.save({ ...doc, enabled: command === 'enable' });
+      console.log(`${command === 'enable' ? 'Enabled' : 'Disabled'} ${noun} ${doc.id}`);
+      return 0;
+    }
+
+    case 'delete': {
+      const doc = find(target);
+      await rows.remove(doc);
+      console.log(`Deleted ${noun} ${doc.id}`);
+      return 0;
+    }
+
+    default:
+      throw new Error(`Unknown command ${command}`);
+  }
+}
+
+const JSON_ROWS_COMMANDS = ['list', 'show', 'save', 'enable', 'disable', 'delete'];
+
+module.exports = { createJsonRows, runJsonRowsCommand, idFromName, JSON_ROWS_COMMANDS };
@@ -0,0 +1,155 @@
+/**
+ * Backup File Groups
+ * Configuration and user assets that full-system backups (backup.cjs, profiles
+ * "system" and "full"; only "full" has the timelapses) carry next to the database,
+ * grouped so a restore can pick parts (e.g. only room3d).
+ *
+ * - config:    proxy, MQTT device filter, Home Assistant bridge, notifications,
+ *              retention policies, device drivers, flow templates, relay
+ * - room3d:    data/room3d (room settings, savegames, ducts, codes, uploaded GLBs, fonts)
+ * - lab:       lab photo uploads (data/uploads)
+ * - timelapse: camera timelapse photos (data/webcam/<camera>/timelapse) and videos
+ *
+ * Runtime state (flow state, ingestion status, ...) is left out, and so is
+ * data/backup-targets.json: it holds the passphrase remote copies are encrypted with.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+
+const PROJECT_ROOT = path.resolve(__dirname, '../..');
+
+/** Paths relative to the project root; '*' matches one directory level */
+const FILE_GROUPS = {
+  config: [
+    'proxy/proxy-config.json',
+    'ha-config.json',
+    'data/mqtt-device-filter.json',
+    'data/notifications.json',
+    'data/retention-policies.json',
+    'data/device-drivers.json',
+    'data/device-schemas.json',
+    'data/flow-templates',
+    'data/relay/relay-config.json'
+  ],
+  room3d: ['data/room3d'],
+  lab: ['data/uploads'],
+  timelapse: ['data/webcam/*/timelapse', 'data/webcam-videos']
+};
+
+const SKIPPED_NAMES = /\.(tmp|partial|restore-tmp)$|^\.DS_Store$/;
+
+/** Expand a group pattern into the directories or files it names */
+function expand(pattern, root) {
+  let paths = [''];
+  for (const part of pattern.split('/')) {
+    if (part !== '*') {
+      paths = paths.map(p => (p ? `${p}/${part}` : part));
+      continue;
+    }
+    paths = paths.flatMap((p) => {
+      try {
+        return fs.readdirSync(path.join(root, p), { withFileTypes: true })
+          .filter(d => d.isDirectory())
+          .map(d => `${p}/${d.name}`);
+      } catch {
+        return [];
+      }
+    });
+  }
+  return paths.filter(p => fs.existsSync(path.join(root, p)));
+}
+
+function walk(root, relative, out) {
+  const full = path.join(root, relative);
+  const stat = fs.lstatSync(full);
+  if (stat.isFile()) {
+    if (!SKIPPED_NAMES.test(path.basename(relative))) out.push({ path: relative, size: stat.size, mtimeMs: stat.mtimeMs });
+    return;
+  }
+  if (!stat.isDirectory()) return; // Symlinks, sockets ...
+  for (const name of fs.readdirSync(full).sort()) walk(root, `${relative}/${name}`, out);
+}
+
+/**
+ * Files of the given groups
+ * @param {string[]} groups
+ * @param {object} [options]
+ * @param {number} [options.changedSince] - Only files modified after this time (ms; incremental backups)
+ * @param {string} [options.root] - Project root
+ * @returns {Array<{ group: string, path: string, size: number }>}
+ */
+function collectFiles(groups, { changedSince = 0, root = PROJECT_ROOT } = {}) {
+  const files = [];
+  for (const group of groups) {
+    const found = [];
+    for (const pattern of FILE_GROUPS[group] || []) {
+      for (const relative of expand(pattern, root)) walk(root, relative, found);
+    }
+    for (const file of found) {
+      if (file.mtimeMs > changedSince) files.push({ group, path: file.path, size: file.size });
+    }
+  }
+  return files;
+}
+
+/** Whether a path from an archive belongs to a group (never outside the project) */
+function inGroup(group, relative) {
+  if (!FILE_GROUPS[group] || path.isAbsolute(relative) || relative.split('/').includes('..')) return false;
+  return FILE_GROUPS[group].some((pattern) => {
+    const source = pattern.split('/').map(p => (p === '*' ? '[^/]+' : p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))).join('/');
+    return new RegExp(`^${source}(/.+)?$`).test(relative);
+  });
+}
+
+/**
+ * Write a file from an archive into place: to a temporary file first, checked
+ * against its checksum, then renamed over the current one
+ * @param {{ group: string, path: string, sha256: string }} file - Manifest entry
+ * @param {AsyncIterable<Buffer>} content
+ */
+async function restoreFile(file, content, root = PROJECT_ROOT) {
+  if (!inGroup(file.group, file.path)) throw new Error(`${file.path} is not part of ${file.group}`);
+  const target = path.join(root, file.path);
+  const tmp = `${target}.restore-tmp`;
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const hash = createHash('sha256');
+  const out = fs.createWriteStream(tmp);
+  try {
+    for await (const chunk of content) {
+      hash.update(chunk);
+      if (!out.write(chunk)) await new Promise(resolve => out.once('drain', resolve));
+    }
+    await new Promise((resolve, reject) => {
+      out.once('error', reject);
+      out.end(resolve);
+    });
+    if (hash.digest('hex') !== file.sha256) throw new Error(`${file.path} is corrupted`);
+    fs.renameSync(tmp, target);
+  } catch (err) {
+    out.destroy();
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Installed component versions (versions.local.json), for the backup manifest
+ * @returns {{ schemaVersion: number|null, components: Object<string, string>, node: string }}
+ */
+function installedVersions(root = PROJECT_ROOT) {
+  let local = {};
+  try {
+    local = JSON.parse(fs.readFileSync(path.join(root, 'versions.local.json'), 'utf-8'));
+  } catch {
+    // Development checkout without versions.local.json
+  }
+  return {
+    schemaVersion: local.schemaVersion ?? null,
+    components: Object.fromEntries(Object.entries(local.components || {}).map(([name, c]) => [name, c?.version || null])),
+    node: process.version
+  };
+}
+
+module.exports = { FILE_GROUPS, collectFiles, inGroup, restoreFile, installedVersions };
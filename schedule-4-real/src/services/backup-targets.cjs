@@ -0,0 +1,497 @@
+/**
+ * Remote Backup Targets
+ * Copies backups off the SD card to S3-compatible storage, WebDAV or SFTP
+ * (drivers in backup-targets/), encrypted on this machine with a passphrase.
+ *
+ * Targets are configured in data/backup-targets.json (edited by hand; the backup page
+ * of the prebuilt web app has no remote section):
+ *   { passphrase, targets: [{ id, type: 's3'|'webdav'|'sftp', enabled, auto, encrypt,
+ *     keepChains, maxAgeDays, ...driver settings }] }
+ * BACKUP_PASSPHRASE in .env takes precedence over the saved passphrase.
+ *
+ * - Uploads: a backup is sent with the backups it builds on (incremental chains
+ *   are only restorable whole). Targets with `auto` receive new auto and manual
+ *   backups (syncPending); others only explicit pushes.
+ * - Backups with the configuration (passwords, tokens) only go to targets with
+ *   `encrypt` on.
+ * - Encryption: AES-256-GCM with a key derived from the passphrase (scrypt), stored
+ *   as <file>.enc: "S4RENC01" | salt (16) | iv (12) | ciphertext | auth tag (16).
+ *   Without the passphrase the remote copies can't be read - keep it somewhere else.
+ * - Retention per target: the newest `keepChains` chains (a full backup and its
+ *   incrementals) of each backup kind, and none older than `maxAgeDays` (0 = no
+ *   age limit) except the newest chain.
+ * - Restore from remote: the backup (and its parents) is downloaded into
+ *   database/backups, decrypted and verified, then restored (backup.cjs).
+ *
+ * Requests left in the config file for the running supervisor: { test: { target, requestedAt } }
+ * and { restore: { target, file, parts, tables, replace, requestedAt } }
+ * (no target: a local backup; parts e.g. ['room3d'] restores only those; replace
+ * truncates tables that hold rows); checkRequests() runs them and stores { result }.
+ * The web app's /api/system/backups lists local backups only; remote restores go
+ * through these requests or the CLI.
+ *
+ * CLI: node src/services/backup-targets.cjs targets | test [target] | list <target> |
+ *      push <file|latest> [--target id] | sync | pull <target> <file> |
+ *      restore <target> <file> [--parts a,b] [--tables a,b] [--replace]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const { scrypt, randomBytes, createCipheriv, createDecipheriv } = require('crypto');
+const { BACKUP_DIR, listBackups, backupChain, registerBackup, verifyBackup, restoreBackup } = require('./backup.cjs');
+const { createS3Target } = require('./backup-targets/s3.cjs');
+const { createWebdavTarget } = require('./backup-targets/webdav.cjs');
+const { createSftpTarget } = require('./backup-targets/sftp.cjs');
+
+const DRIVERS = { s3: createS3Target, webdav: createWebdavTarget, sftp: createSftpTarget };
+const DEFAULT_TARGET = { enabled: true, auto: true, encrypt: true, keepChains: 4, maxAgeDays: 0 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SYNCED_PREFIXES = ['backup', 'autobackup']; // Not the safety backups taken before restores
+const NAME_PATTERN = /^(.+)-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})(-inc)?\.(tar\.gz|json\.gz)(\.enc)?$/;
+
+// ── Encryption ───────────────────────────────────────────────────────
+
+const MAGIC = Buffer.from('S4RENC01');
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const HEADER_BYTES = MAGIC.length + SALT_BYTES + IV_BYTES;
+const scryptAsync = promisify(scrypt);
+
+const deriveKey = (passphrase, salt) => scryptAsync(passphrase, salt, 32, { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 });
+
+async function encryptFile(source, destination, passphrase) {
+  const salt = randomBytes(SALT_BYTES);
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv('aes-256-gcm', await deriveKey(passphrase, salt), iv);
+  await pipeline(
+    fs.createReadStream(source),
+    cipher,
+    async function* (ciphertext) {
+      yield Buffer.concat([MAGIC, salt, iv]);
+      for await (const chunk of ciphertext) yield chunk;
+      yield cipher.getAuthTag();
+    },
+    fs.createWriteStream(destination)
+  );
+}
+
+async function decryptFile(source, destination, passphrase) {
+  const { size } = fs.statSync(source);
+  if (size < HEADER_BYTES + TAG_BYTES) throw new Error('Encrypted file is truncated');
+  const handle = await fs.promises.open(source, 'r');
+  const header = Buffer.alloc(HEADER_BYTES);
+  const tag = Buffer.alloc(TAG_BYTES);
+  try {
+    await handle.read(header, 0, HEADER_BYTES, 0);
+    await handle.read(tag, 0, TAG_BYTES, size - TAG_BYTES);
+  } finally {
+    await handle.close();
+  }
+  if (!header.subarray(0, MAGIC.length).equals(MAGIC)) throw new Error('Not an encrypted backup');
+  const salt = header.subarray(MAGIC.length, MAGIC.length + SALT_BYTES);
+  const iv = header.subarray(MAGIC.length + SALT_BYTES);
+  const decipher = createDecipheriv('aes-256-gcm', await deriveKey(passphrase, salt), iv);
+  decipher.setAuthTag(tag);
+  try {
+    await pipeline(
+      fs.createReadStream(source, { start: HEADER_BYTES, end: size - TAG_BYTES - 1 }),
+      decipher,
+      fs.createWriteStream(destination)
+    );
+  } catch (err) {
+    fs.rmSync(destination, { force: true });
+    throw /authenticate/.test(err.message) ? new Error('Wrong passphrase or corrupted file') : err;
+  }
+}
+
+// ── Remote files and retention ───────────────────────────────────────
+
+/** 'autobackup-2026-01-10T00-00-00-inc.tar.gz.enc' -> its parts (null for other files) */
+function parseName(name) {
+  const match = NAME_PATTERN.exec(name);
+  if (!match) return null;
+  const [, prefix, day, hh, mm, ss, inc, , enc] = match;
+  return {
+    name,
+    local: enc ? name.slice(0, -'.enc'.length) : name,
+    prefix,
+    created: `${day}T${hh}:${mm}:${ss}Z`,
+    incremental: Boolean(inc),
+    encrypted: Boolean(enc)
+  };
+}
+
+/** Backup files grouped into chains per kind, newest chain first */
+function chainsOf(files) {
+  const byPrefix = new Map();
+  for (const file of files.map(f => parseName(f.name)).filter(Boolean).sort((a, b) => a.created.localeCompare(b.created))) {
+    if (!byPrefix.has(file.prefix)) byPrefix.set(file.prefix, []);
+    const chains = byPrefix.get(file.prefix);
+    if (!file.incremental || chains.length === 0) chains.push([file]);
+    else chains[chains.length - 1].push(file);
+  }
+  return new Map([...byPrefix].map(([prefix, chains]) => [prefix, chains.reverse()]));
+}
+
+/** Remote files the target's retention rules remove */
+function planPrune(files, target, now = Date.now()) {
+  const remove = [];
+  for (const chains of chainsOf(files).values()) {
+    chains.forEach((chain, i) => {
+      const newest = Date.parse(chain[chain.length - 1].created);
+      const tooMany = target.keepChains > 0 && i >= target.keepChains;
+      const tooOld = target.maxAgeDays > 0 && i > 0 && newest < now - target.maxAgeDays * DAY_MS;
+      if (tooMany || tooOld) remove.push(...chain.map(f => f.name));
+    });
+  }
+  return remove;
+}
+
+// ── Targets ──────────────────────────────────────────────────────────
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.configPath] - Defaults to data/backup-targets.json
+ * @param {string} [options.backupDir] - Defaults to database/backups
+ */
+function createBackupTargets(options = {}) {
+  const {
+    configPath = path.resolve(process.cwd(), 'data', 'backup-targets.json'),
+    backupDir = BACKUP_DIR
+  } = options;
+  const statePath = path.join(backupDir, 'remote-uploads.json');
+  const lastRequests = {};
+  let busy = false;
+
+  function readSaved() {
+    try {
+      if (fs.existsSync(configPath)) return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (err) {
+      console.error('[Backup] Could not read backup targets:', err.message);
+    }
+    return {};
+  }
+
+  function loadConfig() {
+    const saved = readSaved();
+    return {
+      passphrase: process.env.BACKUP_PASSPHRASE || saved.passphrase || '',
+      targets: (saved.targets || []).filter(t => t?.id).map(t => ({ ...DEFAULT_TARGET, ...t }))
+    };
+  }
+
+  function targetsFor(id) {
+    const { targets } = loadConfig();
+    if (!id) return targets.filter(t => t.enabled);
+    const target = targets.find(t => t.id === id);
+    if (!target) throw new Error(`Unknown backup target: ${id}`);
+    return [target];
+  }
+
+  function driverFor(target) {
+    const create = DRIVERS[target.type];
+    if (!create) throw new Error(`${target.id}: unknown target type ${target.type}`);
+    return create(target);
+  }
+
+  // Files uploaded per target: { [targetId]: { since, files: [] } }
+  function readState() {
+    try {
+      return JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    } catch {
+      return {};
+    }
+  }
+
+  function writeState(state) {
+    fs.mkdirSync(backupDir, { recursive: true });
+    fs.writeFileSync(`${statePath}.tmp`, JSON.stringify(state, null, 2));
+    fs.renameSync(`${statePath}.tmp`, statePath);
+  }
+
+  function markUploaded(targetId, names) {
+    const state = readState();
+    const entry = state[targetId] || { since: new Date().toISOString(), files: [] };
+    entry.files = [...new Set([...entry.files, ...names])];
+    state[targetId] = entry;
+    writeState(state);
+  }
+
+  /** Local backups a file needs to be restorable (itself and its parents) */
+  function localChain(filename) {
+    const indexed = listBackups(backupDir).some(b => b.filename === filename);
+    return indexed ? backupChain(backupDir, filename).map(b => b.filename) : [filename];
+  }
+
+  async function upload(target, driver, passphrase, filename) {
+    const localPath = path.join(backupDir, filename);
+    // The config group holds SMTP passwords and notification tokens
+    const parts = listBackups(backupDir).find(b => b.filename === filename)?.parts || [];
+    if (!target.encrypt && parts.includes('config')) {
+      throw new Error(`${filename} contains the configuration (passwords, tokens): turn encryption on for this target`);
+    }
+    if (!target.encrypt) {
+      await driver.put(localPath, filename);
+      return filename;
+    }
+    if (!passphrase) throw new Error(`${target.id}: set a backup passphrase (or turn encryption off for this target)`);
+    const encrypted = `${localPath}.enc.partial`;
+    try {
+      await encryptFile(localPath, encrypted, passphrase);
+      await driver.put(encrypted, `${filename}.enc`);
+    } finally {
+      fs.rmSync(encrypted, { force: true });
+    }
+    return `${filename}.enc`;
+  }
+
+  /**
+   * Upload a backup (with the backups it builds on) to one target, then apply
+   * the target's retention
+   */
+  async function pushTo(target, filenames) {
+    const { passphrase } = loadConfig();
+    const driver = driverFor(target);
+    const remote = new Set((await driver.list()).map(f => parseName(f.name)?.local || f.name));
+    const uploaded = [];
+    for (const filename of [...new Set(filenames.flatMap(localChain))]) {
+      if (remote.has(filename)) continue;
+      uploaded.push(await upload(target, driver, passphrase, filename));
+      remote.add(filename);
+      console.log(`[Backup] Uploaded ${filename} to ${target.id} (${driver.describe()})`);
+    }
+    markUploaded(target.id, filenames);
+
+    const removed = planPrune(await driver.list(), target);
+    for (const name of removed) {
+      await driver.remove(name);
+      console.log(`[Backup] Removed ${name} from ${target.id} (retention)`);
+    }
+    return { target: target.id, uploaded, removed };
+  }
+
+  /** Run per target; one failing target doesn't stop the others */
+  async function eachTarget(targets, run) {
+    const results = [];
+    for (const target of targets) {
+      try {
+        results.push(await run(target));
+      } catch (err) {
+        console.error(`[Backup] ${target.id}:`, err.message);
+        results.push({ target: target.id, error: err.message });
+      }
+    }
+    return results;
+  }
+
+  /** Remote file a local backup was stored as */
+  async function findRemote(driver, filename) {
+    const files = await driver.list();
+    return files.find(f => f.name === filename) || files.find(f => f.name === `${filename}.enc`) || null;
+  }
+
+  /**
+   * Download a remote backup into the backup directory (decrypted and verified),
+   * with the backups it builds on
+   * @returns {Promise<string>} Local file name
+   */
+  async function pull(targetId, name) {
+    const [target] = targetsFor(targetId);
+    const driver = driverFor(target);
+    const { passphrase } = loadConfig();
+    const remoteFile = await findRemote(driver, parseName(name)?.local || name);
+    if (!remoteFile) throw new Error(`${name} is not on ${target.id}`);
+    const parsed = parseName(remoteFile.name) || { local: remoteFile.name, encrypted: false };
+    const localPath = path.join(backupDir, parsed.local);
+
+    if (!fs.existsSync(localPath)) {
+      fs.mkdirSync(backupDir, { recursive: true });
+      const download = `${localPath}.download`;
+      try {
+        await driver.get(remoteFile.name, download);
+        if (parsed.encrypted) {
+          if (!passphrase) throw new Error('The backup is encrypted: set the backup passphrase first');
+          await decryptFile(download, `${localPath}.partial`, passphrase);
+          fs.renameSync(`${localPath}.partial`, localPath);
+        } else {
+          fs.renameSync(download, localPath);
+        }
+      } finally {
+        fs.rmSync(download, { force: true });
+      }
+      console.log(`[Backup] Downloaded ${parsed.local} from ${target.id}`);
+    }
+    if (!parsed.local.endsWith('.tar.gz')) return parsed.local; // Older JSON backups: restored from the backup page
+
+    const entry = listBackups(backupDir).find(b => b.filename === parsed.local) || await registerBackup(parsed.local, backupDir);
+    const { ok, errors } = await verifyBackup(parsed.local, backupDir);
+    if (!ok) throw new Error(`${parsed.local} failed verification: ${errors.join('; ')}`);
+    if (entry.parent && !fs.existsSync(path.join(backupDir, entry.parent))) await pull(targetId, entry.parent);
+    return parsed.local;
+  }
+
+  return {
+    loadConfig,
+    parseName,
+    planPrune,
+
+    /**
+     * Upload a backup to every enabled target (or one)
+     * @param {string} filename - File in database/backups
+     * @param {object} [options]
+     * @param {string} [options.target] - Target id
+     */
+    push(filename, { target } = {}) {
+      if (!fs.existsSync(path.join(backupDir, filename))) return Promise.reject(new Error(`${filename} not found in ${backupDir}`));
+      return eachTarget(targetsFor(target), t => pushTo(t, [filename]));
+    },
+
+    /**
+     * Upload new auto and manual backups to the targets with `auto` on. A new
+     * target starts with the backups made after it was added (push older ones by hand).
+     */
+    async syncPending() {
+      const targets = targetsFor().filter(t => t.auto);
+      if (targets.length === 0 || !fs.existsSync(backupDir)) return [];
+      const state = readState();
+      const added = targets.filter(t => !state[t.id]);
+      for (const target of added) state[target.id] = { since: new Date().toISOString(), files: [] };
+      if (added.length) writeState(state);
+
+      const local = fs.readdirSync(backupDir)
+        .map(parseName)
+        .filter(f => f && !f.encrypted && SYNCED_PREFIXES.includes(f.prefix));
+      const results = await eachTarget(targets, (target) => {
+        const { since, files } = state[target.id];
+        const pending = local
+          .filter(f => Date.parse(f.created) >= Date.parse(since) - 1000 && !files.includes(f.name))
+          .map(f => f.name);
+        return pending.length ? pushTo(target, pending) : { target: target.id, uploaded: [], removed: [] };
+      });
+      return results;
+    },
+
+    /** Backups on a target, newest first */
+    async listRemote(targetId) {
+      const [target] = targetsFor(targetId);
+      const files = await driverFor(target).list();
+      return files
+        .map(f => (parseName(f.name) ? { ...parseName(f.name), size: f.size } : null))
+        .filter(Boolean)
+        .sort((a, b) => b.created.localeCompare(a.created));
+    },
+
+    pull,
+
+    /** Download a remote backup (and its parents) and restore it */
+    async restoreFromRemote(targetId, name, { parts = null, tables = null, replace = false } = {}) {
+      const filename = await pull(targetId, name);
+      if (!filename.endsWith('.tar.gz')) {
+        return { filename, restored: null, note: 'Downloaded to database/backups; restore it from the backup page' };
+      }
+      return { filename, ...(await restoreBackup(filename, { parts, tables, replace, dir: backupDir })) };
+    },
+
+    /** Connect to targets and list them */
+    test(targetId) {
+      return eachTarget(targetsFor(targetId), async (target) => {
+        const driver = driverFor(target);
+        const files = await driver.list();
+        return { target: target.id, ok: true, location: driver.describe(), files: files.length };
+      });
+    },
+
+    /** Run a test or restore requested in the config file */
+    async checkRequests() {
+      if (busy) return;
+      const saved = readSaved();
+      const runs = {
+        test: async (request) => ({ results: await this.test(request.target || undefined) }),
+        restore: async (request) => {
+          const options = { parts: request.parts || null, tables: request.tables || null, replace: !!request.replace };
+          return request.target
+            ? this.restoreFromRemote(request.target, request.file, options)
+            : { filename: request.file, ...(await restoreBackup(request.file, { ...options, dir: backupDir })) };
+        }
+      };
+      for (const [key, run] of Object.entries(runs)) {
+        const request = saved[key];
+        if (!request?.requestedAt || request.requestedAt === lastRequests[key] || request.result?.requestedAt === request.requestedAt) continue;
+        lastRequests[key] = request.requestedAt;
+
+        busy = true;
+        let result;
+        try {
+          result = await run(request);
+        } catch (err) {
+          result = { error: err.message };
+        } finally {
+          busy = false;
+        }
+        console.log(`[Backup] Remote ${key}:`, JSON.stringify(result));
+        try {
+          const current = readSaved();
+          current[key] = { ...current[key], result: { requestedAt: request.requestedAt, at: new Date().toISOString(), ...result } };
+          fs.writeFileSync(`${configPath}.tmp`, JSON.stringify(current, null, 2));
+          fs.renameSync(`${configPath}.tmp`, configPath);
+        } catch (err) {
+          console.error(`[Backup] Could not store ${key} result:`, err.message);
+        }
+      }
+    }
+  };
+}
+
+// CLI: manage remote backups
+if (require.main === module) {
+  require('dotenv').config();
+  const { parseArgs } = require('../db/cli.cjs');
+  const args = parseArgs(process.argv.slice(2), { flags: ['replace'] });
+  const positional = args._;
+  const [command, first, second] = positional;
+  const list = (name) => (typeof args[name] === 'string' ? args[name].split(',') : null);
+  const targets = createBackupTargets();
+  const print = (value) => console.log(JSON.stringify(value, null, 2));
+
+  const tasks = {
+    targets: async () => {
+      for (const t of targets.loadConfig().targets) {
+        console.log(`${t.id.padEnd(16)} ${t.type.padEnd(7)} ${t.enabled ? 'enabled' : 'disabled'}${t.auto ? ', auto' : ''}${t.encrypt ? ', encrypted' : ''}, keep ${t.keepChains || 'all'} chains${t.maxAgeDays ? ` / ${t.maxAgeDays} days` : ''}`);
+      }
+    },
+    test: async () => print(await targets.test(first)),
+    list: async () => {
+      for (const f of await targets.listRemote(first)) {
+        console.log(`${f.name}  ${(f.size / 1024).toFixed(0)} KB`);
+      }
+    },
+    push: async () => {
+      const filename = first === 'latest' ? listBackups()[0]?.filename : first;
+      if (!filename) throw new Error('No backup to push');
+      print(await targets.push(filename, { target: args.target }));
+    },
+    sync: async () => print(await targets.syncPending()),
+    pull: async () => console.log(await targets.pull(first, second)),
+    restore: async () => print(await targets.restoreFromRemote(first, second, {
+      parts: list('parts'),
+      tables: list('tables'),
+      replace: !!args.replace
+    }))
+  };
+  const needs = { list: 1, push: 1, pull: 2, restore: 2 };
+  if (!tasks[command] || positional.length - 1 < (needs[command] || 0)) {
+    console.log('Usage: node src/services/backup-targets.cjs targets | test [target] | list <target> | push <file|latest> [--target id] | sync | pull <target> <file> | restore <target> <file> [--parts a,b] [--tables a,b] [--replace]');
+    process.exit(1);
+  }
+  tasks[command]()
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { createBackupTargets, encryptFile, decryptFile, parseName, planPrune };
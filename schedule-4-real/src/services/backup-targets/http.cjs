@@ -0,0 +1,68 @@
+/**
+ * HTTP(S) requests for the backup targets: files are streamed from and to disk
+ * with an explicit Content-Length (S3 and most WebDAV servers reject chunked uploads).
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const TIMEOUT_MS = 60000;
+
+/**
+ * @param {string} url
+ * @param {object} [options]
+ * @param {string} [options.method='GET']
+ * @param {object} [options.headers]
+ * @param {string} [options.upload] - Path of a file to send as the body
+ * @param {string|Buffer} [options.body]
+ * @param {string} [options.download] - Write a 2xx response body to this path
+ * @returns {Promise<{ status: number, headers: object, body: string }>} body is empty for downloads
+ */
+function request(url, { method = 'GET', headers = {}, upload, body, download } = {}) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const sendHeaders = { ...headers };
+  if (upload) sendHeaders['Content-Length'] = fs.statSync(upload).size;
+  else if (body !== undefined) sendHeaders['Content-Length'] = Buffer.byteLength(body);
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, { method, headers: sendHeaders, timeout: TIMEOUT_MS }, (res) => {
+      const ok = res.statusCode >= 200 && res.statusCode < 300;
+      if (download && ok) {
+        const out = fs.createWriteStream(download);
+        res.pipe(out);
+        out.on('finish', () => resolve({ status: res.statusCode, headers: res.headers, body: '' }));
+        out.on('error', reject);
+        res.on('error', reject);
+        return;
+      }
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error(`${method} ${target.host} timed out`)));
+    req.on('error', reject);
+    if (upload) {
+      const input = fs.createReadStream(upload);
+      input.on('error', err => req.destroy(err));
+      input.pipe(req);
+    } else {
+      req.end(body);
+    }
+  });
+}
+
+/** Throws with the status and the start of the response for non-2xx replies */
+function expectOk(res, what) {
+  if (res.status >= 200 && res.status < 300) return res;
+  const detail = res.body.replace(/\s+/g, ' ').trim().slice(0, 200);
+  throw new Error(`${what} failed: HTTP ${res.status}${detail ? ` ${detail}` : ''}`);
+}
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+module.exports = { request, expectOk, decodeXml };
@@ -0,0 +1,91 @@
+/**
+ * S3-compatible target (AWS, MinIO, Backblaze B2, Wasabi, Garage ...)
+ * Requests are signed with AWS Signature V4; payloads are sent unsigned
+ * (UNSIGNED-PAYLOAD) so archives stream from disk without hashing them twice.
+ *
+ * Config: { endpoint, region, bucket, prefix, accessKeyId, secretAccessKey, pathStyle }
+ * pathStyle (default true) addresses the bucket as endpoint/bucket, as MinIO expects.
+ */
+
+const { createHash, createHmac } = require('crypto');
+const { request, expectOk, decodeXml } = require('./http.cjs');
+
+const hmac = (key, text) => createHmac('sha256', key).update(text).digest();
+const sha256 = (text) => createHash('sha256').update(text).digest('hex');
+const encode = (text) => encodeURIComponent(text).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+function createS3Target(config) {
+  const { endpoint, bucket, accessKeyId, secretAccessKey } = config;
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) throw new Error('S3 target needs endpoint, bucket, accessKeyId and secretAccessKey');
+  const region = config.region || 'us-east-1';
+  const prefix = (config.prefix || '').replace(/^\/+/, '');
+  const base = new URL(endpoint);
+  const pathStyle = config.pathStyle !== false;
+  const host = pathStyle ? base.host : `${bucket}.${base.host}`;
+
+  /** Signed request for an object key ('' = the bucket) */
+  function s3(method, key, { query = {}, ...options } = {}) {
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const day = amzDate.slice(0, 8);
+    const objectPath = key.split('/').map(encode).join('/');
+    const uri = pathStyle ? `/${encode(bucket)}/${objectPath}` : `/${objectPath}`;
+    const canonicalQuery = Object.keys(query).sort().map(k => `${encode(k)}=${encode(query[k])}`).join('&');
+    const headers = { host, 'x-amz-content-sha256': 'UNSIGNED-PAYLOAD', 'x-amz-date': amzDate };
+    const signedHeaders = Object.keys(headers).join(';');
+    const canonicalRequest = [
+      method,
+      uri,
+      canonicalQuery,
+      ...Object.entries(headers).map(([k, v]) => `${k}:${v}`),
+      '',
+      signedHeaders,
+      'UNSIGNED-PAYLOAD'
+    ].join('\n');
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), 's3'), 'aws4_request');
+    const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    headers.Authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+    const url = `${base.protocol}//${host}${uri}${canonicalQuery ? `?${canonicalQuery}` : ''}`;
+    return request(url, { method, headers, ...options });
+  }
+
+  return {
+    describe: () => `s3://${bucket}/${prefix}`,
+
+    async list() {
+      const files = [];
+      let token = null;
+      do {
+        const query = { 'list-type': '2', prefix };
+        if (token) query['continuation-token'] = token;
+        const res = expectOk(await s3('GET', '', { query }), 'S3 list');
+        for (const [, item] of res.body.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          const key = decodeXml(/<Key>([\s\S]*?)<\/Key>/.exec(item)?.[1] || '');
+          const name = key.slice(prefix.length);
+          if (name && !name.includes('/')) files.push({ name, size: Number(/<Size>(\d+)<\/Size>/.exec(item)?.[1]) || 0 });
+        }
+        token = /<IsTruncated>true<\/IsTruncated>/.test(res.body)
+          ? decodeXml(/<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/.exec(res.body)?.[1] || '') || null
+          : null;
+      } while (token);
+      return files;
+    },
+
+    async put(localPath, name) {
+      expectOk(await s3('PUT', prefix + name, { upload: localPath }), `S3 upload of ${name}`);
+    },
+
+    async get(name, localPath) {
+      expectOk(await s3('GET', prefix + name, { download: localPath }), `S3 download of ${name}`);
+    },
+
+    async remove(name) {
+      expectOk(await s3('DELETE', prefix + name), `S3 delete of ${name}`);
+    }
+  };
+}
+
+module.exports = { createS3Target };
@@ -0,0 +1,92 @@
+/**
+ * SFTP target, through the system OpenSSH client (sftp -b) - key authentication only,
+ * as batch mode can't answer a password prompt.
+ *
+ * Config: { host, port, user, path, identityFile, knownHostsCheck }
+ * - identityFile: private key (default: the user's ~/.ssh keys / agent)
+ * - knownHostsCheck: 'accept-new' (default) | 'yes' - StrictHostKeyChecking
+ */
+
+const { spawn } = require('child_process');
+
+const TIMEOUT_MS = 30 * 60 * 1000; // Uploads of large archives over slow links
+
+const quote = (text) => `"${String(text).replace(/["\\]/g, c => `\\${c}`)}"`;
+
+function createSftpTarget(config) {
+  if (!config.host || !config.user) throw new Error('SFTP target needs host and user');
+  const folder = (config.path || '.').replace(/\/+$/, '') || '/';
+  const remote = (name) => `${folder}/${name}`;
+
+  /** Run sftp commands in batch mode (a "-" prefix lets a command fail) */
+  function batch(commands) {
+    const args = [
+      '-b', '-',
+      '-P', String(config.port || 22),
+      '-o', 'BatchMode=yes',
+      '-o', `StrictHostKeyChecking=${config.knownHostsCheck || 'accept-new'}`,
+      '-o', 'ConnectTimeout=20'
+    ];
+    if (config.identityFile) args.push('-i', config.identityFile);
+    args.push(`${config.user}@${config.host}`);
+
+    return new Promise((resolve, reject) => {
+      const child = spawn('sftp', args, { stdio: ['pipe', 'pipe', 'pipe'] });
+      let stdout = '';
+      let stderr = '';
+      const timer = setTimeout(() => child.kill('SIGTERM'), TIMEOUT_MS);
+      child.stdout.on('data', d => { stdout += d; });
+      child.stderr.on('data', d => { stderr += d; });
+      child.on('error', (err) => {
+        clearTimeout(timer);
+        reject(err.code === 'ENOENT' ? new Error('sftp (OpenSSH client) is not installed') : err);
+      });
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve(stdout);
+          return;
+        }
+        // The cause comes before sftp's closing "Connection closed"
+        const cause = stderr.trim().split('\n').filter(l => l && l !== 'Connection closed').pop();
+        reject(new Error(`sftp ${config.user}@${config.host}: ${cause || `exit code ${code}`}`));
+      });
+      child.stdin.end(commands.join('\n') + '\n');
+    });
+  }
+
+  return {
+    describe: () => `sftp://${config.user}@${config.host}${config.port && config.port !== 22 ? `:${config.port}` : ''}/${folder.replace(/^\//, '')}`,
+
+    async list() {
+      const output = await batch([`-mkdir ${quote(folder)}`, `ls -ln ${quote(folder)}`]);
+      const files = [];
+      for (const line of output.split('\n')) {
+        // -rw-r--r--    1 1000     1000       123456 Jan 10 00:00 name
+        const match = /^-\S+\s+\d+\s+\S+\s+\S+\s+(\d+)\s+\S+\s+\S+\s+\S+\s+(.+)$/.exec(line.trim());
+        if (match) files.push({ name: match[2].split('/').pop(), size: Number(match[1]) });
+      }
+      return files;
+    },
+
+    async put(localPath, name) {
+      // Upload under a temporary name, so an interrupted transfer never looks complete
+      await batch([
+        `-mkdir ${quote(folder)}`,
+        `put ${quote(localPath)} ${quote(remote(`${name}.partial`))}`,
+        `-rm ${quote(remote(name))}`,
+        `rename ${quote(remote(`${name}.partial`))} ${quote(remote(name))}`
+      ]);
+    },
+
+    async get(name, localPath) {
+      await batch([`get ${quote(remote(name))} ${quote(localPath)}`]);
+    },
+
+    async remove(name) {
+      await batch([`-rm ${quote(remote(name))}`]);
+    }
+  };
+}
+
+module.exports = { createSftpTarget };
@@ -0,0 +1,65 @@
+/**
+ * WebDAV target (Nextcloud, ownCloud, NAS web shares, rclone serve webdav ...)
+ *
+ * Config: { url, user, pass } - url is the folder the backups go to; it is
+ * created (MKCOL) on the first upload.
+ */
+
+const { request, expectOk, decodeXml } = require('./http.cjs');
+
+function createWebdavTarget(config) {
+  if (!config.url) throw new Error('WebDAV target needs a url');
+  const folder = config.url.endsWith('/') ? config.url : `${config.url}/`;
+  const headers = config.user
+    ? { Authorization: `Basic ${Buffer.from(`${config.user}:${config.pass || ''}`).toString('base64')}` }
+    : {};
+  const fileUrl = (name) => new URL(encodeURIComponent(name), folder).href;
+  let folderReady = false;
+
+  return {
+    describe: () => folder,
+
+    async list() {
+      const res = await request(folder, {
+        method: 'PROPFIND',
+        headers: { ...headers, Depth: '1', 'Content-Type': 'application/xml' },
+        body: '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop><d:getcontentlength/><d:resourcetype/></d:prop></d:propfind>'
+      });
+      if (res.status === 404) return [];
+      expectOk(res, 'WebDAV list');
+      const folderPath = new URL(folder).pathname;
+      const files = [];
+      for (const [, item] of res.body.matchAll(/<(?:[\w-]+:)?response\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?response>/g)) {
+        if (/<(?:[\w-]+:)?collection\b/.test(item)) continue;
+        const href = decodeXml(/<(?:[\w-]+:)?href>([\s\S]*?)<\/(?:[\w-]+:)?href>/.exec(item)?.[1] || '');
+        const hrefPath = decodeURIComponent(new URL(href, folder).pathname);
+        const name = hrefPath.startsWith(decodeURIComponent(folderPath)) ? hrefPath.slice(decodeURIComponent(folderPath).length) : '';
+        if (name && !name.includes('/')) {
+          files.push({ name, size: Number(/<(?:[\w-]+:)?getcontentlength>(\d+)</.exec(item)?.[1]) || 0 });
+        }
+      }
+      return files;
+    },
+
+    async put(localPath, name) {
+      if (!folderReady) {
+        // 405: the folder already exists
+        const res = await request(folder, { method: 'MKCOL', headers });
+        if (res.status !== 405) expectOk(res, 'WebDAV create folder');
+        folderReady = true;
+      }
+      expectOk(await request(fileUrl(name), { method: 'PUT', headers, upload: localPath }), `WebDAV upload of ${name}`);
+    },
+
+    async get(name, localPath) {
+      expectOk(await request(fileUrl(name), { headers, download: localPath }), `WebDAV download of ${name}`);
+    },
+
+    async remove(name) {
+      const res = await request(fileUrl(name), { method: 'DELETE', headers });
+      if (res.status !== 404) expectOk(res, `WebDAV delete of ${name}`);
+    }
+  };
+}
+
+module.exports = { createWebdavTarget };
@@ -0,0 +1,810 @@
+/**
+ * Backup
+ * Streaming, incremental backups of QuestDB - and with the "system" and "full"
+ * profiles the configuration files and user assets (backup-files.cjs) - into database/backups/*.tar.gz.
+ *
+ * Archive layout (tar, gzip-compressed, written as it is read):
+ *   schema.json                        - format, type, parent, parts, versions, tables with columns
+ *   tables/<table>/000001.ndjson ...   - rows as JSON arrays, one page per chunk
+ *   files/<path from project root>     - files of the included groups
+ *   manifest.json                      - rows, high-water marks, files, and sha256 of every entry,
+ *                                        installed versions (versions.local.json)
+ *
+ * - Pages of PAGE_ROWS rows are read over the QuestDB HTTP API and written
+ *   straight to the archive, so memory stays at one page whatever the table size;
+ *   files are streamed.
+ * - Incremental backups export the rows newer than the parent backup's high-water
+ *   mark (tables with a designated timestamp; the others are copied whole) and the
+ *   files modified since it. They also export the BACKUP_OVERLAP_HOURS before the
+ *   mark again, for rows that arrived late (e.g. replayed from the ingestion
+ *   journal); a restore skips the rows of that overlap it already wrote.
+ *   database/backups/backup-index.json records the chain.
+ * - Restore verifies every checksum first, then replays the chain (full backup,
+ *   then each incremental): rows into QuestDB over ILP, one chunk at a time, files
+ *   into place. Parts can be restored on their own (e.g. only room3d). Tables that
+ *   already hold rows are only restored with `replace`: they are truncated first
+ *   (after the safety backup).
+ *
+ * CLI: node src/services/backup.cjs create [--incremental] [--profile database|system|full] [--parts a,b] |
+ *      list | verify <file> | restore <file> [--parts a,b] [--tables a,b] [--replace] [--no-safety]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const zlib = require('zlib');
+const { createHash } = require('crypto');
+const { FILE_GROUPS, collectFiles, restoreFile, installedVersions } = require('./backup-files.cjs');
+
+const FORMAT = 's4r-backup';
+const FORMAT_VERSION = 2;
+const PAGE_ROWS = 50000;
+const BLOCK = 512;
+const PROJECT_ROOT = path.resolve(__dirname, '../..');
+const BACKUP_DIR = path.join(PROJECT_ROOT, 'database/backups');
+const INDEX_FILE = 'backup-index.json';
+const SYSTEM_PREFIXES = ['sys.', 'telemetry', '_query_trace'];
+const ILP_BATCH_BYTES = 65536;
+const OVERLAP_MS = (parseFloat(process.env.BACKUP_OVERLAP_HOURS) || 24) * 60 * 60 * 1000;
+
+// ── Tar (ustar) ──────────────────────────────────────────────────────
+
+function tarHeader(name, size, mtime, type = '0') {
+  const header = Buffer.alloc(BLOCK);
+  const field = (value, offset, length) => header.write(value, offset, length, 'ascii');
+  const octal = (value, offset, length) => field(value.toString(8).padStart(length - 1, '0') + '\0', offset, length);
+  field(name, 0, 100);
+  octal(0o644, 100, 8);
+  octal(0, 108, 8);
+  octal(0, 116, 8);
+  octal(size, 124, 12);
+  octal(Math.floor(mtime / 1000), 136, 12);
+  field('        ', 148, 8);
+  field(type, 156, 1);
+  field('ustar\0', 257, 6);
+  field('00', 263, 2);
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  field(sum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+  return header;
+}
+
+/** PAX record "<length> path=<name>\n" (the length counts itself) */
+function paxPath(name) {
+  const record = ` path=${name}\n`;
+  let length = Buffer.byteLength(record) + 1;
+  while (String(length).length + Buffer.byteLength(record) !== length) length++;
+  return Buffer.from(`${length}${record}`);
+}
+
+const padding = (size) => (BLOCK - (size % BLOCK)) % BLOCK;
+
+/** Tar entries into a writable stream, with backpressure */
+function createTarWriter(stream) {
+  const write = (buffer) => new Promise((resolve, reject) => {
+    const onError = (err) => reject(err);
+    stream.once('error', onError);
+    const flushed = stream.write(buffer, () => stream.off('error', onError));
+    if (flushed) resolve();
+    else stream.once('drain', resolve);
+  });
+
+  // Names that don't fit the 100-byte ustar field get a PAX header first
+  async function header(name, size, mtime) {
+    if (Buffer.byteLength(name) > 100 || /[^\x20-\x7e]/.test(name)) {
+      const pax = paxPath(name);
+      await write(tarHeader('PaxHeader', pax.length, mtime, 'x'));
+      await write(pax);
+      if (padding(pax.length)) await write(Buffer.alloc(padding(pax.length)));
+    }
+    await write(tarHeader(name.replace(/[^\x20-\x7e]/g, '_').slice(-100), size, mtime));
+  }
+
+  return {
+    async add(name, data) {
+      await header(name, data.length, Date.now());
+      await write(data);
+      if (padding(data.length)) await write(Buffer.alloc(padding(data.length)));
+    },
+
+    /**
+     * Stream a file into the archive
+     * @returns {Promise<{ size: number, sha256: string }>}
+     */
+    async addFile(name, filePath) {
+      const { size, mtimeMs } = fs.statSync(filePath);
+      const hash = createHash('sha256');
+      await header(name, size, mtimeMs);
+      let written = 0;
+      if (size > 0) {
+        for await (const chunk of fs.createReadStream(filePath, { end: size - 1 })) {
+          hash.update(chunk);
+          await write(chunk);
+          written += chunk.length;
+        }
+      }
+      if (written < size) {
+        // Truncated while being read: keep the archive consistent
+        const fill = Buffer.alloc(size - written);
+        hash.update(fill);
+        await write(fill);
+      }
+      if (padding(size)) await write(Buffer.alloc(padding(size)));
+      return { size, sha256: hash.digest('hex') };
+    },
+
+    async finish() {
+      await write(Buffer.alloc(BLOCK * 2));
+      await new Promise((resolve, reject) => {
+        stream.once('error', reject);
+        stream.end(resolve);
+      });
+    }
+  };
+}
+
+/**
+ * Entries of a .tar.gz, one at a time. An entry's body is read with
+ * entry.buffer() or streamed with entry.stream() before moving on (bodies that
+ * aren't read are skipped).
+ * @returns {AsyncGenerator<{ name: string, size: number, buffer: () => Promise<Buffer>, stream: () => AsyncGenerator<Buffer> }>}
+ */
+async function* readTar(file) {
+  const input = fs.createReadStream(file).pipe(zlib.createGunzip())[Symbol.asyncIterator]();
+  let pending = Buffer.alloc(0);
+
+  async function fill(bytes) {
+    while (pending.length < bytes) {
+      const { value, done } = await input.next();
+      if (done) return false;
+      pending = pending.length ? Buffer.concat([pending, value]) : value;
+    }
+    return true;
+  }
+
+  async function* body(entry) {
+    while (entry.remaining > 0) {
+      if (!pending.length && !(await fill(1))) throw new Error(`Archive is truncated (in ${entry.name})`);
+      const part = pending.subarray(0, Math.min(entry.remaining, pending.length));
+      pending = pending.subarray(part.length);
+      entry.remaining -= part.length;
+      yield part;
+    }
+  }
+
+  async function skip(bytes) {
+    if (!(await fill(bytes))) throw new Error('Archive is truncated');
+    pending = pending.subarray(bytes);
+  }
+
+  let paxName = null;
+  for (;;) {
+    if (!(await fill(BLOCK))) return;
+    const header = pending.subarray(0, BLOCK);
+    pending = pending.subarray(BLOCK);
+    if (header.every(b => b === 0)) continue; // End-of-archive blocks
+    const text = (offset, length) => header.toString('utf8', offset, offset + length).replace(/\0.*$/s, '');
+    const size = parseInt(text(124, 12).trim(), 8) || 0;
+    const type = text(156, 1) || '0';
+    const entry = { name: paxName || text(0, 100), size, remaining: size };
+    paxName = null;
+
+    if (type === 'x') {
+      const chunks = [];
+      for await (const part of body(entry)) chunks.push(part);
+      paxName = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(Buffer.concat(chunks).toString('utf8'))?.[1] || null;
+    } else if (type === '0') {
+      yield {
+        name: entry.name,
+        size,
+        stream: () => body(entry),
+        async buffer() {
+          const chunks = [];
+          for await (const part of body(entry)) chunks.push(part);
+          return Buffer.concat(chunks);
+        }
+      };
+    }
+    for await (const part of body(entry)) void part; // Whatever the consumer didn't read
+    await skip(padding(size));
+  }
+}
+
+// ── QuestDB ──────────────────────────────────────────────────────────
+
+function questdbUrl() {
+  return `http://${process.env.QUESTDB_HOST || '127.0.0.1'}:${process.env.QUESTDB_HTTP_PORT || '9000'}`;
+}
+
+async function exec(sql) {
+  const res = await fetch(`${questdbUrl()}/exec?query=${encodeURIComponent(sql)}`);
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok || body.error) throw new Error(body.error || `QuestDB returned ${res.status}`);
+  return body;
+}
+
+/** User tables with their columns, designated timestamp and partitioning */
+async function describeTables() {
+  const result = await exec('SELECT table_name, designatedTimestamp, partitionBy FROM tables()');
+  const tables = [];
+  for (const [name, timestamp, partitionBy] of result.dataset) {
+    if (SYSTEM_PREFIXES.some(p => name.startsWith(p))) continue;
+    const columns = await exec(`SHOW COLUMNS FROM '${name}'`);
+    tables.push({
+      name,
+      timestamp: timestamp || null,
+      partitionBy: partitionBy || 'NONE',
+      columns: columns.dataset.map(row => ({ name: row[0], type: String(row[1]).toUpperCase() }))
+    });
+  }
+  return tables.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/** '2026-01-10T12:00:00.123456Z' -> microseconds (keeps QuestDB's precision) */
+function toMicros(value) {
+  const text = String(value);
+  const ms = Date.parse(text);
+  if (Number.isNaN(ms)) return null;
+  const fraction = /\.(\d+)/.exec(text)?.[1] || '';
+  return BigInt(ms) * 1000n + BigInt((fraction + '000000').slice(3, 6));
+}
+
+const escapeTag = (value) => String(value).replace(/[,= \\\n]/g, c => `\\${c}`);
+const quote = (value) => `"${String(value).replace(/["\\]/g, c => `\\${c}`).replace(/\n/g, '\\n')}"`;
+
+/** One row as an ILP line (null when it has no field to write) */
+function ilpLine(table, schema, row) {
+  let tags = '';
+  const fields = [];
+  let timestamp = '';
+  schema.columns.forEach((column, i) => {
+    const value = row[i];
+    if (value === null || value === undefined) return;
+    if (column.name === schema.timestamp) {
+      const micros = toMicros(value);
+      if (micros !== null) timestamp = ` ${micros * 1000n}`;
+      return;
+    }
+    switch (column.type) {
+      case 'SYMBOL':
+        tags += `,${escapeTag(column.name)}=${escapeTag(value)}`;
+        break;
+      case 'BOOLEAN':
+        fields.push(`${column.name}=${value ? 't' : 'f'}`);
+        break;
+      case 'DOUBLE':
+      case 'FLOAT':
+        if (Number.isFinite(Number(value))) fields.push(`${column.name}=${Number(value)}`);
+        break;
+      case 'INT':
+      case 'LONG':
+      case 'SHORT':
+      case 'BYTE':
+        if (Number.isFinite(Number(value))) fields.push(`${column.name}=${Math.trunc(Number(value))}i`);
+        break;
+      case 'TIMESTAMP':
+      case 'DATE': {
+        const micros = toMicros(value);
+        if (micros !== null) fields.push(`${column.name}=${micros}t`);
+        break;
+      }
+      default:
+        fields.push(`${column.name}=${quote(value)}`);
+    }
+  });
+  return fields.length ? `${escapeTag(table)}${tags} ${fields.join(',')}${timestamp}\n` : null;
+}
+
+/** ILP connection with awaited writes; close() resolves once QuestDB has the data */
+function connectIlp() {
+  const socket = new net.Socket();
+  let failure = null;
+  socket.on('error', (err) => { failure = err; });
+  const ready = new Promise((resolve, reject) => {
+    socket.connect(parseInt(process.env.QUESTDB_ILP_PORT) || 9009, process.env.QUESTDB_HOST || '127.0.0.1', resolve);
+    socket.once('error', reject);
+  });
+  return {
+    ready,
+    async write(text) {
+      if (failure) throw failure;
+      if (!socket.write(text)) await new Promise(resolve => socket.once('drain', resolve));
+    },
+    close() {
+      return new Promise((resolve, reject) => {
+        socket.end(() => (failure ? reject(failure) : resolve()));
+      });
+    }
+  };
+}
+
+/** Tables of the list that hold rows */
+async function tablesWithRows(names) {
+  const existing = new Set((await exec('SELECT table_name FROM tables()')).dataset.map(row => row[0]));
+  const filled = [];
+  for (const name of names.filter(n => existing.has(n))) {
+    const result = await exec(`SELECT count() FROM '${name}'`);
+    if (Number(result.dataset[0]?.[0]) > 0) filled.push(name);
+  }
+  return filled;
+}
+
+async function createTableIfMissing(schema) {
+  const columns = schema.columns.map(c => `${c.name} ${c.type}`).join(', ');
+  const partition = schema.timestamp && schema.partitionBy !== 'NONE' ? ` PARTITION BY ${schema.partitionBy} WAL` : '';
+  await exec(`CREATE TABLE IF NOT EXISTS '${schema.name}' (${columns})${schema.timestamp ? ` timestamp(${schema.timestamp})` : ''}${partition}`);
+}
+
+// ── Index ────────────────────────────────────────────────────────────
+
+function readIndex(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, INDEX_FILE), 'utf8'));
+  } catch {
+    return { backups: [] };
+  }
+}
+
+function writeIndex(dir, index) {
+  const file = path.join(dir, INDEX_FILE);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(index, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/** Backups in the index that still exist, newest first */
+function listBackups(dir = BACKUP_DIR) {
+  return readIndex(dir).backups
+    .filter(b => fs.existsSync(path.join(dir, b.filename)))
+    .sort((a, b) => b.created.localeCompare(a.created));
+}
+
+/** Backup and its parents, oldest (the full backup) first */
+function backupChain(dir, filename) {
+  const byName = new Map(readIndex(dir).backups.map(b => [b.filename, b]));
+  const chain = [];
+  for (let name = filename; name; name = byName.get(name)?.parent) {
+    const entry = byName.get(name);
+    if (!entry) throw new Error(`Backup ${name} is not in ${INDEX_FILE}`);
+    if (!fs.existsSync(path.join(dir, name))) throw new Error(`Backup ${name} (needed by ${filename}) is missing`);
+    if (chain.some(b => b.filename === name)) throw new Error(`Backup chain of ${filename} loops`);
+    chain.unshift(entry);
+  }
+  return chain;
+}
+
+// ── Backup ───────────────────────────────────────────────────────────
+
+/** What a backup contains: the database and/or file groups (backup-files.cjs) */
+const PROFILES = {
+  database: ['database'],
+  system: ['database', ...Object.keys(FILE_GROUPS).filter(group => group !== 'timelapse')],
+  full: ['database', ...Object.keys(FILE_GROUPS)]
+};
+const PARTS = ['database', ...Object.keys(FILE_GROUPS)];
+
+const partsOf = (backup) => backup.parts || ['database']; // Backups from before file groups
+const sameParts = (a, b) => a.length === b.length && a.every(part => b.includes(part));
+
+function indexEntry(filename, prefix, manifest, size, sha256) {
+  const groups = {};
+  for (const file of manifest.files || []) {
+    groups[file.group] = groups[file.group] || { files: 0, bytes: 0 };
+    groups[file.group].files++;
+    groups[file.group].bytes += file.size;
+  }
+  return {
+    filename,
+    prefix,
+    type: manifest.type,
+    parent: manifest.parent,
+    created: manifest.created,
+    profile: manifest.profile || 'database',
+    parts: manifest.parts || ['database'],
+    size,
+    sha256,
+    rows: Object.values(manifest.tables).reduce((sum, t) => sum + t.rows, 0),
+    tables: Object.fromEntries(Object.entries(manifest.tables).map(([name, t]) => [name, { rows: t.rows, highWater: t.highWater, whole: t.whole }])),
+    groups,
+    versions: manifest.versions || null
+  };
+}
+
+const stamp = (date) => date.toISOString().replace(/[:.]/g, '-').slice(0, 19);
+
+/**
+ * Write a backup
+ * @param {object} [options]
+ * @param {boolean} [options.incremental] - Only rows and files changed since the latest backup with this prefix and parts (full when there is none)
+ * @param {string} [options.prefix] - backup | autobackup | safety
+ * @param {string} [options.profile] - database | system (database, configuration and user assets
+ *   without timelapses) | full
+ * @param {string[]} [options.parts] - Instead of a profile: 'database' and/or file groups
+ * @param {string} [options.dir]
+ * @returns {Promise<object>} Index entry of the backup
+ */
+async function createBackup({ incremental = false, prefix = 'backup', profile = 'database', parts = null, dir = BACKUP_DIR } = {}) {
+  if (!parts && !PROFILES[profile]) throw new Error(`Unknown backup profile: ${profile}`);
+  const include = parts || PROFILES[profile];
+  const unknown = include.filter(part => !PARTS.includes(part));
+  if (unknown.length || include.length === 0) throw new Error(`Backup parts must be some of ${PARTS.join(', ')}`);
+
+  const created = new Date();
+  const cutoff = created.toISOString(); // Rows up to here; the next incremental starts after it
+  const parent = incremental ? listBackups(dir).find(b => b.prefix === prefix && sameParts(partsOf(b), include)) : null;
+  const type = parent ? 'incremental' : 'full';
+  const tables = include.includes('database') ? await describeTables() : [];
+  const files = collectFiles(include.filter(part => part !== 'database'), { changedSince: parent ? Date.parse(parent.created) : 0 });
+
+  fs.mkdirSync(dir, { recursive: true });
+  const filename = `${prefix}-${stamp(created)}${type === 'incremental' ? '-inc' : ''}.tar.gz`;
+  const filePath = path.join(dir, filename);
+  const tmpPath = `${filePath}.partial`;
+  const gzip = zlib.createGzip({ level: 6 });
+  const output = fs.createWriteStream(tmpPath);
+  const archiveHash = createHash('sha256');
+  gzip.on('data', chunk => archiveHash.update(chunk));
+  gzip.pipe(output);
+  const written = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+  });
+  const tar = createTarWriter(gzip);
+
+  const header = {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    type,
+    parent: parent?.filename || null,
+    created: cutoff,
+    profile: parts ? 'custom' : profile,
+    parts: include,
+    versions: installedVersions()
+  };
+  const manifest = { ...header, tables: {}, files: [] };
+  try {
+    await tar.add('schema.json', Buffer.from(JSON.stringify({ ...header, tables })));
+
+    for (const table of tables) {
+      const since = table.timestamp ? parent?.tables?.[table.name]?.highWater : null;
+      const from = since ? new Date(Date.parse(since) - OVERLAP_MS).toISOString() : null;
+      const where = table.timestamp
+        ? ` WHERE ${table.timestamp} <= '${cutoff}'${from ? ` AND ${table.timestamp} > '${from}'` : ''}`
+        : '';
+      const info = { rows: 0, highWater: table.timestamp ? cutoff : null, since: since || null, from, whole: !table.timestamp, chunks: [] };
+      try {
+        for (let offset = 0, page = 1; ; offset += PAGE_ROWS, page++) {
+          const result = await exec(`SELECT * FROM '${table.name}'${where} LIMIT ${offset},${offset + PAGE_ROWS}`);
+          const rows = result.dataset || [];
+          if (rows.length === 0) break;
+          const data = Buffer.from(rows.map(row => JSON.stringify(row)).join('\n') + '\n');
+          const name = `tables/${table.name}/${String(page).padStart(6, '0')}.ndjson`;
+          await tar.add(name, data);
+          info.chunks.push({ name, rows: rows.length, sha256: createHash('sha256').update(data).digest('hex') });
+          info.rows += rows.length;
+          if (rows.length < PAGE_ROWS) break;
+        }
+      } catch (err) {
+        info.error = err.message;
+        info.highWater = info.since; // The next incremental retries from where this one started
+        console.error(`[Backup] Error exporting ${table.name}:`, err.message);
+      }
+      manifest.tables[table.name] = info;
+    }
+
+    for (const file of files) {
+      try {
+        const { size, sha256 } = await tar.addFile(`files/${file.path}`, path.join(PROJECT_ROOT, file.path));
+        manifest.files.push({ group: file.group, path: file.path, size, sha256 });
+      } catch (err) {
+        // Removed while the backup ran; an error in the archive stream itself fails the backup below
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+
+    await tar.add('manifest.json', Buffer.from(JSON.stringify(manifest)));
+    await tar.finish();
+    await written;
+  } catch (err) {
+    gzip.destroy();
+    output.destroy();
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+  fs.renameSync(tmpPath, filePath);
+
+  const entry = indexEntry(filename, prefix, manifest, fs.statSync(filePath).size, archiveHash.digest('hex'));
+  const index = readIndex(dir);
+  index.backups.push(entry);
+  writeIndex(dir, index);
+  const contents = [
+    include.includes('database') ? `${tables.length} tables, ${entry.rows} rows` : null,
+    manifest.files.length ? `${manifest.files.length} files` : null
+  ].filter(Boolean).join(', ');
+  console.log(`[Backup] Saved ${filename} (${type}, ${contents || 'empty'}, ${(entry.size / 1024).toFixed(0)} KB)`);
+  return entry;
+}
+
+/**
+ * Check an archive against its index entry and the checksums in its manifest
+ * @returns {Promise<{ ok: boolean, errors: string[], manifest: object|null }>}
+ */
+async function verifyBackup(filename, dir = BACKUP_DIR) {
+  const filePath = path.join(dir, filename);
+  const errors = [];
+  const expected = readIndex(dir).backups.find(b => b.filename === filename);
+  if (expected?.sha256) {
+    const hash = createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+    if (hash.digest('hex') !== expected.sha256) errors.push('Archive checksum does not match the index');
+  }
+
+  const hashes = new Map();
+  let manifest = null;
+  try {
+    for await (const entry of readTar(filePath)) {
+      if (entry.name === 'manifest.json') {
+        manifest = JSON.parse((await entry.buffer()).toString('utf8'));
+      } else if (entry.name.startsWith('tables/') || entry.name.startsWith('files/')) {
+        const hash = createHash('sha256');
+        for await (const part of entry.stream()) hash.update(part);
+        hashes.set(entry.name, hash.digest('hex'));
+      }
+    }
+  } catch (err) {
+    errors.push(err.message);
+  }
+  if (!manifest) {
+    errors.push('manifest.json is missing');
+  } else {
+    const check = (name, sha256) => {
+      if (!hashes.has(name)) errors.push(`${name} is missing`);
+      else if (hashes.get(name) !== sha256) errors.push(`${name} is corrupted`);
+    };
+    for (const [table, info] of Object.entries(manifest.tables)) {
+      if (info.error) errors.push(`${table} was not fully exported: ${info.error}`);
+      for (const chunk of info.chunks) check(chunk.name, chunk.sha256);
+    }
+    for (const file of manifest.files || []) check(`files/${file.path}`, file.sha256);
+  }
+  return { ok: errors.length === 0, errors, manifest };
+}
+
+/**
+ * Restore a backup and the backups it builds on
+ * @param {string} filename
+ * @param {object} [options]
+ * @param {string[]} [options.parts] - Only these parts ('database', 'room3d', ...; default: all the backup has)
+ * @param {string[]} [options.tables] - Only these tables
+ * @param {boolean} [options.replace] - Truncate tables that hold rows (without it they fail the restore)
+ * @param {boolean} [options.safety] - Back up what is about to be overwritten first (default true)
+ * @returns {Promise<{ safetyBackup: string|null, restored: Object<string, number>, files: Object<string, number>, warnings: string[] }>}
+ */
+async function restoreBackup(filename, { parts = null, tables: only = null, replace = false, safety = true, dir = BACKUP_DIR } = {}) {
+  const chain = backupChain(dir, filename);
+  const available = partsOf(chain[chain.length - 1]);
+  const include = parts || available;
+  const missing = include.filter(part => !available.includes(part));
+  if (missing.length) throw new Error(`${filename} does not contain ${missing.join(', ')}`);
+
+  const manifests = [];
+  for (const backup of chain) {
+    const { ok, errors, manifest } = await verifyBackup(backup.filename, dir);
+    if (!ok) throw new Error(`${backup.filename} failed verification: ${errors.join('; ')}`);
+    manifests.push(manifest);
+  }
+
+  const warnings = [];
+  const from = manifests[manifests.length - 1].versions;
+  const installed = installedVersions();
+  if (from?.schemaVersion != null && installed.schemaVersion != null && from.schemaVersion > installed.schemaVersion) {
+    warnings.push(`Backup is from a newer installation (schema ${from.schemaVersion}, this one ${installed.schemaVersion}): update before relying on it`);
+  }
+  warnings.forEach(w => console.warn(`[Restore] ${w}`));
+
+  // Replaying into a table that holds rows would duplicate them
+  const wanted = (table) => !only || only.includes(table);
+  const tables = include.includes('database') ? [...new Set(manifests.flatMap(m => Object.keys(m.tables)))].filter(wanted) : [];
+  const filled = await tablesWithRows(tables);
+  if (filled.length && !replace) {
+    throw new Error(`${filled.join(', ')} already ${filled.length === 1 ? 'holds' : 'hold'} rows; restore with replace (--replace) to truncate first`);
+  }
+
+  const safetyBackup = safety ? (await createBackup({ prefix: 'safety', parts: include, dir })).filename : null;
+  for (const table of filled) {
+    await exec(`TRUNCATE TABLE '${table}'`);
+    console.log(`[Restore] Truncated ${table}`);
+  }
+  const restored = {};
+  const files = {};
+
+  // Incrementals export an overlap window before their parent's high-water mark
+  // again: rows of it that an earlier backup of the chain wrote are skipped.
+  // written: table -> row hash -> rows written, for rows a later overlap covers
+  const written = new Map();
+  const overlapAfter = (table, i) => {
+    const starts = manifests.slice(i + 1).map(m => m.tables[table]?.from).filter(Boolean).map(toMicros);
+    return starts.length ? starts.reduce((a, b) => (a < b ? a : b)) : null;
+  };
+  let skipped = 0;
+
+  // Tables without a designated timestamp are copied whole: only the newest copy counts
+  const lastWhole = new Map();
+  chain.forEach((backup, i) => {
+    for (const [table, info] of Object.entries(backup.tables || {})) if (info.whole) lastWhole.set(table, i);
+  });
+
+  for (const [i, backup] of chain.entries()) {
+    console.log(`[Restore] ${backup.filename} (${backup.type})`);
+    const manifestFiles = new Map((manifests[i].files || []).map(f => [`files/${f.path}`, f]));
+    let ilp = null;
+    let schemas = new Map();
+    try {
+      for await (const entry of readTar(path.join(dir, backup.filename))) {
+        if (entry.name === 'schema.json') {
+          schemas = new Map(JSON.parse((await entry.buffer()).toString('utf8')).tables.map(t => [t.name, t]));
+          continue;
+        }
+
+        const file = manifestFiles.get(entry.name);
+        if (file) {
+          if (!include.includes(file.group)) continue;
+          await restoreFile(file, entry.stream());
+          files[file.group] = (files[file.group] || 0) + 1;
+          continue;
+        }
+
+        const match = /^tables\/(.+)\/\d+\.ndjson$/.exec(entry.name);
+        if (!match || !include.includes('database')) continue;
+        const table = match[1];
+        const schema = schemas.get(table);
+        if (!schema || !wanted(table)) continue;
+        if (!schema.timestamp && lastWhole.get(table) !== i) continue;
+        if (!ilp) {
+          ilp = connectIlp();
+          await ilp.ready;
+        }
+        if (restored[table] === undefined) {
+          await createTableIfMissing(schema);
+          restored[table] = 0;
+        }
+        const info = manifests[i].tables[table] || {};
+        const overlapUntil = info.from ? toMicros(info.since) : null;
+        const keepFrom = overlapAfter(table, i);
+        const timestampIndex = schema.columns.findIndex(c => c.name === schema.timestamp);
+        if (!written.has(table)) written.set(table, new Map());
+        const hashes = written.get(table);
+        const inThisBackup = new Map();
+        let batch = '';
+        for (const line of (await entry.buffer()).toString('utf8').split('\n')) {
+          if (!line) continue;
+          const row = JSON.parse(line);
+          const ts = (overlapUntil !== null || keepFrom !== null) ? toMicros(row[timestampIndex]) : null;
+          if (ts !== null) {
+            const hash = createHash('sha1').update(line).digest('base64');
+            if (overlapUntil !== null && ts <= overlapUntil) {
+              const count = (inThisBackup.get(hash) || 0) + 1;
+              inThisBackup.set(hash, count);
+              if (count <= (hashes.get(hash) || 0)) {
+                skipped++;
+                continue;
+              }
+            }
+            if (keepFrom !== null && ts > keepFrom) hashes.set(hash, (hashes.get(hash) || 0) + 1);
+          }
+          const ilpText = ilpLine(table, schema, row);
+          if (!ilpText) continue;
+          batch += ilpText;
+          restored[table]++;
+          if (batch.length > ILP_BATCH_BYTES) {
+            await ilp.write(batch);
+            batch = '';
+          }
+        }
+        if (batch) await ilp.write(batch);
+      }
+    } finally {
+      if (ilp) await ilp.close();
+    }
+  }
+
+  const rows = Object.values(restored).reduce((sum, n) => sum + n, 0);
+  const fileCount = Object.values(files).reduce((sum, n) => sum + n, 0);
+  console.log(`[Restore] Restored ${Object.keys(restored).length} tables, ${rows} rows, ${fileCount} files${skipped ? ` (${skipped} overlapping rows already restored)` : ''}`);
+  return { safetyBackup, restored, files, warnings };
+}
+
+/**
+ * Add an archive that was copied into the backup directory (e.g. downloaded from a
+ * remote target) to the index, from its manifest
+ * @returns {Promise<object>} Index entry
+ */
+async function registerBackup(filename, dir = BACKUP_DIR) {
+  const filePath = path.join(dir, filename);
+  let manifest = null;
+  for await (const entry of readTar(filePath)) {
+    if (entry.name === 'manifest.json') manifest = JSON.parse((await entry.buffer()).toString('utf8'));
+  }
+  if (manifest?.format !== FORMAT) throw new Error(`${filename} is not a ${FORMAT} archive`);
+
+  const hash = createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  const prefix = /^(.+)-\d{4}-\d{2}-\d{2}T/.exec(filename)?.[1] || 'backup';
+  const entry = indexEntry(filename, prefix, manifest, fs.statSync(filePath).size, hash.digest('hex'));
+  const index = readIndex(dir);
+  index.backups = index.backups.filter(b => b.filename !== filename).concat(entry);
+  writeIndex(dir, index);
+  return entry;
+}
+
+/**
+ * Remove backups of a prefix that belong to older chains than the newest `keepFull`
+ * full backups (incrementals go with their full backup)
+ * @returns {string[]} Removed files
+ */
+function pruneBackups(prefix, keepFull, dir = BACKUP_DIR) {
+  const index = readIndex(dir);
+  const fulls = index.backups
+    .filter(b => b.prefix === prefix && b.type === 'full')
+    .sort((a, b) => b.created.localeCompare(a.created));
+  if (fulls.length <= keepFull) return [];
+  const oldestKept = fulls[keepFull - 1].created;
+  const removed = index.backups.filter(b => b.prefix === prefix && b.created < oldestKept);
+  for (const backup of removed) fs.rmSync(path.join(dir, backup.filename), { force: true });
+  index.backups = index.backups.filter(b => !removed.includes(b));
+  writeIndex(dir, index);
+  return removed.map(b => b.filename);
+}
+
+// CLI: create, list, verify and restore backups
+if (require.main === module) {
+  require('dotenv').config();
+  const { parseArgs } = require('../db/cli.cjs');
+  const args = parseArgs(process.argv.slice(2), { flags: ['incremental', 'replace', 'no-safety'] });
+  const [command, file] = args._;
+  const list = (name) => (typeof args[name] === 'string' ? args[name].split(',') : null);
+  const tasks = {
+    create: () => createBackup({ incremental: !!args.incremental, profile: args.profile || 'database', parts: list('parts') }),
+    list: async () => {
+      for (const b of listBackups()) {
+        const groups = Object.entries(b.groups || {}).map(([group, g]) => `${group} ${g.files} files`);
+        console.log(`${b.filename}  ${b.type}${b.parent ? ` of ${b.parent}` : ''}  [${partsOf(b).join(', ')}]  ${b.rows} rows${groups.length ? `, ${groups.join(', ')}` : ''}  ${(b.size / 1024).toFixed(0)} KB`);
+      }
+    },
+    verify: async () => {
+      const { ok, errors } = await verifyBackup(file);
+      console.log(ok ? `${file}: OK` : `${file}:\n  ${errors.join('\n  ')}`);
+      return ok ? 0 : 1;
+    },
+    restore: () => restoreBackup(file, {
+      parts: list('parts'),
+      tables: list('tables'),
+      replace: !!args.replace,
+      safety: !args['no-safety']
+    })
+  };
+  if (!tasks[command] || (['verify', 'restore'].includes(command) && !file)) {
+    console.log('Usage: node src/services/backup.cjs create [--incremental] [--profile database|system|full] [--parts database,config,room3d,lab,timelapse] | list |');
+    console.log('       verify <file> | restore <file> [--parts room3d,...] [--tables a,b] [--replace] [--no-safety]');
+    process.exit(1);
+  }
+  tasks[command]()
+    .then(code => process.exit(typeof code === 'number' ? code : 0))
+    .catch(err => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  PROFILES,
+  PARTS,
+  createBackup,
+  verifyBackup,
+  restoreBackup,
+  listBackups,
+  backupChain,
+  registerBackup,
+  pruneBackups,
+  readTar,
+  BACKUP_DIR
+};
@@ -0,0 +1,154 @@
+/**
+ * Command Tracker
+ * Follows outlet commands until the device's status confirms the intended state.
+ *
+ * - Every command gets a correlation ID (also sent as the Spider Farmer msgId)
+ * - A status report showing the target state confirms it
+ * - Unconfirmed commands are re-sent with exponential backoff
+ * - After maxAttempts the command fails and onFailure is called
+ *
+ * A newer command for the same device outlet supersedes the pending one:
+ * only the latest intent is retried.
+ */
+
+let sequence = 0;
+
+/** Numeric string, same shape as the msgIds the web server generates */
+function newCorrelationId() {
+  sequence = (sequence + 1) % 1000;
+  return `${Date.now()}${String(sequence).padStart(3, '0')}`;
+}
+
+function outletKey(deviceMac, socket) {
+  return `${String(deviceMac || '').toLowerCase()}:${socket}`;
+}
+
+/**
+ * @param {object} options
+ * @param {(cmd: object, msgId: string) => Promise<boolean>} options.send - Publish one attempt
+ * @param {(cmd: object) => void} [options.requestStatus] - Ask the device for a fresh status
+ * @param {(cmd: object) => void} [options.onConfirmed]
+ * @param {(cmd: object) => void} options.onFailure
+ * @param {number} [options.ackTimeoutMs=8000] - Wait before the first retry (doubles each attempt)
+ * @param {number} [options.maxAttempts=4]
+ * @param {number} [options.statusRequestDelayMs=2000] - Delay before asking for status after a send
+ */
+function createCommandTracker(options) {
+  const {
+    send,
+    requestStatus,
+    onConfirmed,
+    onFailure,
+    ackTimeoutMs = 8000,
+    maxAttempts = 4,
+    statusRequestDelayMs = 2000
+  } = options;
+
+  const pending = new Map(); // outletKey -> command
+  let timer = null;
+
+  async function attempt(cmd) {
+    const msgId = cmd.attempts === 0 ? cmd.id : newCorrelationId();
+    cmd.attempts++;
+    cmd.msgIds.push(msgId);
+    cmd.lastSentAt = Date.now();
+    cmd.deadline = cmd.lastSentAt + ackTimeoutMs * Math.pow(2, cmd.attempts - 1);
+
+    const ok = await send(cmd, msgId);
+    if (ok && requestStatus) {
+      setTimeout(() => {
+        if (pending.get(cmd.key) === cmd) requestStatus(cmd);
+      }, statusRequestDelayMs);
+    }
+    return ok;
+  }
+
+  function fail(cmd) {
+    pending.delete(cmd.key);
+    cmd.status = 'failed';
+    onFailure(cmd);
+  }
+
+  async function check() {
+    const now = Date.now();
+    for (const cmd of [...pending.values()]) {
+      if (now < cmd.deadline || cmd.sending) continue;
+      if (cmd.attempts >= maxAttempts) {
+        fail(cmd);
+        continue;
+      }
+      console.log(`[Commands] ${cmd.id} ${cmd.deviceMac}:${cmd.socket} ${cmd.action.toUpperCase()} not confirmed, retry ${cmd.attempts}/${maxAttempts - 1}`);
+      cmd.sending = true;
+      try {
+        await attempt(cmd);
+      } finally {
+        cmd.sending = false;
+      }
+    }
+  }
+
+  return {
+    /**
+     * Send a command and track it. Resolves with the tracked command once the
+     * first attempt is published (or false if that publish failed).
+     * @param {{ deviceMac: string, deviceType?: string, socket: string, action: 'on'|'off', reason?: string }} command
+     */
+    async send(command) {
+      const key = outletKey(command.deviceMac, command.socket);
+      const previous = pending.get(key);
+      if (previous) {
+        previous.status = 'superseded';
+        pending.delete(key);
+      }
+
+      const cmd = {
+        ...command,
+        id: newCorrelationId(),
+        key,
+        target: command.action === 'on' ? 1 : 0,
+        attempts: 0,
+        msgIds: [],
+        createdAt: Date.now(),
+        status: 'pending'
+      };
+      pending.set(key, cmd);
+
+      const ok = await attempt(cmd);
+      if (!ok && cmd.attempts >= maxAttempts) fail(cmd);
+      return ok ? cmd : false;
+    },
+
+    /**
+     * Feed a device status. Confirms pending commands whose target state is reported.
+     * @param {string} deviceMac
+     * @param {object} outlets - Normalized { O1: { isOn }, ... }
+     */
+    confirm(deviceMac, outlets) {
+      for (const [socket, state] of Object.entries(outlets)) {
+        const cmd = pending.get(outletKey(deviceMac, socket));
+        if (!cmd || Number(state.isOn) !== cmd.target) continue;
+        pending.delete(cmd.key);
+        cmd.status = 'confirmed';
+        cmd.confirmedAt = Date.now();
+        if (onConfirmed) onConfirmed(cmd);
+      }
+    },
+
+    /** Commands still waiting for confirmation */
+    list() {
+      return [...pending.values()].map(({ id, deviceMac, socket, action, attempts, createdAt, reason }) =>
+        ({ id, deviceMac, socket, action, attempts, createdAt, reason }));
+    },
+
+    start() {
+      if (!timer) timer = setInterval(check, 1000);
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createCommandTracker, newCorrelationId };
@@ -1,59 +1,92 @@
 /**
  * Data Retention Service
- * Automatically cleans up data older than configured retention period
+ * Drops old partitions according to each table's retention policy
+ * (retention-policies.js, edited with `npm run retention:policies`): keep forever,
+ * keep N days, or roll up (sensor tables: raw partitions are only dropped once the
+ * 5-minute and hourly rollups of data-rollups.js cover them).
+ *
+ * Whole partitions are dropped (ALTER TABLE ... DROP PARTITION LIST), never single
+ * rows, so a partition goes once its newest row is past the cutoff.
+ * previewCleanup() is the dry run: partitions, rows and bytes each table would lose.
+ *
+ * CLI: node src/services/data-retention.js [preview | run | policies [set <table> <forever|days|rollup:days|default>]]
+ *      (no command: start the service)
  */
 
 import { query } from '../db/connection.js';
+import { runRollups, rawDeleteCutoff } from './data-rollups.js';
+import { getPolicies, savePolicies, parsePolicy, describePolicy } from './retention-policies.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-const RETENTION_DAYS = parseInt(process.env.DATA_RETENTION_DAYS) || 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
 const CLEANUP_INTERVAL_MS = 24 * 60 * 60 * 1000; // Every 24 hours
-
-const TABLES = [
-  'sensors_environment',
-  'sensors_soil',
-  'outlet_states',
-  'light_states',
-  'system_status',
-  'operation_logs'
-];
+const ROLLUP_INTERVAL_MS = 60 * 60 * 1000; // Every hour
 
 let cleanupInterval = null;
+let rollupInterval = null;
+
+function toMs(ts) {
+  if (ts instanceof Date) return ts.getTime();
+  const text = String(ts).replace(' ', 'T');
+  return Date.parse(text.endsWith('Z') ? text : `${text}Z`);
+}
 
 /**
- * Delete old partitions from a table
+ * Partitions of a table its policy would drop now
+ * @returns {Promise<{ table: string, policy: object, cutoff: string|null, partitions: Array<{ name: string, rows: number, bytes: number }>,
+ *   rows: number, bytes: number, skipped?: string }>}
  */
-async function cleanupTable(tableName) {
+async function planTable(table, policy, now = Date.now()) {
+  const plan = { table, policy, cutoff: null, partitions: [], rows: 0, bytes: 0 };
+  if (policy.mode === 'forever') return plan;
+
+  const cutoffMs = policy.mode === 'rollup'
+    ? await rawDeleteCutoff(table, policy.days, now)
+    : now - policy.days * DAY_MS;
+  if (cutoffMs === null) return { ...plan, skipped: 'not rolled up yet' };
+  plan.cutoff = new Date(cutoffMs).toISOString();
+
   try {
-    // QuestDB: Drop partitions older than retention period
-    // Using ALTER TABLE ... DROP PARTITION WHERE
     const result = await query(`
-      SELECT count() as cnt
-      FROM ${tableName}
-      WHERE timestamp < dateadd('d', -${RETENTION_DAYS}, now())
+      SELECT name, maxTimestamp, numRows, diskSize, active
+      FROM table_partitions('${table}')
     `);
-
-    const oldRows = result.rows[0]?.cnt || 0;
-
-    if (oldRows > 0) {
-      // Delete old data
-      await query(`
-        DELETE FROM ${tableName}
-        WHERE timestamp < dateadd('d', -${RETENTION_DAYS}, now())
-      `);
-      console.log(`[Retention] Cleaned ${oldRows} rows from ${tableName}`);
+    for (const partition of result.rows) {
+      if (partition.active || !partition.maxTimestamp || toMs(partition.maxTimestamp) >= cutoffMs) continue;
+      const rows = Number(partition.numRows) || 0;
+      const bytes = Number(partition.diskSize) || 0;
+      plan.partitions.push({ name: partition.name, rows, bytes });
+      plan.rows += rows;
+      plan.bytes += bytes;
     }
-
-    return oldRows;
   } catch (err) {
-    // Table might not exist or be empty
-    if (!err.message.includes('does not exist')) {
-      console.error(`[Retention] Error cleaning ${tableName}:`, err.message);
+    // Table might not exist yet
+    if (!err.message.includes('does not exist')) throw err;
+    return { ...plan, skipped: 'table does not exist' };
+  }
+  return plan;
+}
+
+/**
+ * Dry run: what the cleanup would remove from every table with the current policies
+ * @returns {Promise<{ tables: Array<object>, rows: number, bytes: number }>}
+ */
+export async function previewCleanup(now = Date.now()) {
+  const tables = [];
+  for (const [table, policy] of Object.entries(getPolicies())) {
+    try {
+      tables.push(await planTable(table, policy, now));
+    } catch (err) {
+      tables.push({ table, policy, partitions: [], rows: 0, bytes: 0, error: err.message });
     }
-    return 0;
   }
+  return {
+    tables,
+    rows: tables.reduce((sum, t) => sum + t.rows, 0),
+    bytes: tables.reduce((sum, t) => sum + t.bytes, 0)
+  };
 }
 
 /**
@@ -61,13 +94,24 @@ async function cleanupTable(tableName) {
  */
 export async function runCleanup() {
   console.log('[Retention] Starting data cleanup...');
-  console.log(`[Retention] Removing data older than ${RETENTION_DAYS} days`);
 
+  // Rollups first, so the sensor tables can drop what they now cover
+  await runRollups();
+
+  const { tables } = await previewCleanup();
   let totalCleaned = 0;
 
-  for (const table of TABLES) {
-    const cleaned = await cleanupTable(table);
-    totalCleaned += cleaned;
+  for (const plan of tables) {
+    if (plan.error) console.error(`[Retention] Error planning ${plan.table}:`, plan.error);
+    if (plan.skipped === 'not rolled up yet') console.log(`[Retention] Skipping ${plan.table}: not rolled up yet`);
+    if (plan.partitions.length === 0) continue;
+    try {
+      await query(`ALTER TABLE ${plan.table} DROP PARTITION LIST ${plan.partitions.map(p => `'${p.name}'`).join(', ')}`);
+      totalCleaned += plan.rows;
+      console.log(`[Retention] Dropped ${plan.partitions.length} partitions (${plan.rows} rows, ${(plan.bytes / 1048576).toFixed(1)} MB) from ${plan.table} (${describePolicy(plan.policy)})`);
+    } catch (err) {
+      console.error(`[Retention] Error cleaning ${plan.table}:`, err.message);
+    }
   }
 
   console.log(`[Retention] Cleanup complete. Total rows removed: ${totalCleaned}`);
@@ -80,21 +124,25 @@ export async function runCleanup() {
 export async function getTableStats() {
   const stats = [];
 
-  for (const table of TABLES) {
+  for (const [table, policy] of Object.entries(getPolicies())) {
     try {
       const countResult = await query(`SELECT count() as cnt FROM ${table}`);
       const oldestResult = await query(`SELECT min(timestamp) as oldest FROM ${table}`);
       const newestResult = await query(`SELECT max(timestamp) as newest FROM ${table}`);
+      const sizeResult = await query(`SELECT sum(diskSize) as bytes FROM table_partitions('${table}')`);
 
       stats.push({
         table,
+        policy,
         rowCount: countResult.rows[0]?.cnt || 0,
         oldest: oldestResult.rows[0]?.oldest || null,
-        newest: newestResult.rows[0]?.newest || null
+        newest: newestResult.rows[0]?.newest || null,
+        bytes: Number(sizeResult.rows[0]?.bytes) || 0
       });
     } catch (err) {
       stats.push({
         table,
+        policy,
         error: err.message
       });
     }
@@ -117,6 +165,11 @@ export function startAutoCleanup() {
     runCleanup().catch(console.error);
   }, CLEANUP_INTERVAL_MS);
 
+  // Keep the rollups current between cleanups
+  rollupInterval = setInterval(() => {
+    runRollups().catch(console.error);
+  }, ROLLUP_INTERVAL_MS);
+
   return cleanupInterval;
 }
 
@@ -126,18 +179,61 @@ export function startAutoCleanup() {
 export function stopAutoCleanup() {
   if (cleanupInterval) {
     clearInterval(cleanupInterval);
+    clearInterval(rollupInterval);
     cleanupInterval = null;
+    rollupInterval = null;
     console.log('[Retention] Auto-cleanup stopped');
   }
 }
 
-export default { runCleanup, getTableStats, startAutoCleanup, stopAutoCleanup };
+export default { runCleanup, previewCleanup, getTableStats, startAutoCleanup, stopAutoCleanup };
 
-// When run by PM2 or directly, auto-start
-const isPM2 = typeof process.env.pm_id !== 'undefined';
-const isDirectRun = process.argv[1]?.includes('data-retention');
+function printPreview({ tables, rows, bytes }) {
+  for (const t of tables) {
+    const state = t.error ? `error: ${t.error}` : t.skipped ? `skipped (${t.skipped})` : `${t.partitions.length} partitions, ${t.rows} rows, ${(t.bytes / 1048576).toFixed(1)} MB`;
+    console.log(`${t.table.padEnd(24)} ${describePolicy(t.policy).padEnd(22)} ${state}`);
+  }
+  console.log(`Total: ${rows} rows, ${(bytes / 1048576).toFixed(1)} MB`);
+}
 
-if (isPM2 || isDirectRun) {
+// When run by PM2 (as s4r-retention) or directly, auto-start; imported, it only
+// provides the preview and stats
+const isPM2 = typeof process.env.pm_id !== 'undefined' && (!process.env.name || process.env.name === 's4r-retention');
+const isDirectRun = process.argv[1]?.includes('data-retention');
+const [command, ...args] = isDirectRun ? process.argv.slice(2) : [];
+
+if (command) {
+  const tasks = {
+    preview: async () => {
+      const preview = await previewCleanup();
+      printPreview(preview);
+      return preview.tables.some(t => t.error) ? 1 : 0; // e.g. QuestDB unreachable
+    },
+    run: () => runCleanup(),
+    policies: async () => {
+      if (args[0] === 'set') {
+        const [, table, value] = args;
+        if (!table || !value) throw new Error('Usage: policies set <table> <forever|days|rollup:days|default>');
+        const policy = savePolicies({ [table]: value === 'default' ? null : parsePolicy(value) })[table];
+        console.log(`${table}: ${describePolicy(policy)}`);
+        return;
+      }
+      for (const [table, policy] of Object.entries(getPolicies())) {
+        console.log(`${table.padEnd(24)} ${describePolicy(policy)}${policy.isDefault ? ' (default)' : ''}`);
+      }
+    }
+  };
+  if (!tasks[command]) {
+    console.log('Usage: node src/services/data-retention.js [preview | run | policies [set <table> <forever|days|rollup:days|default>]]');
+    process.exit(1);
+  }
+  tasks[command]()
+    .then((code = 0) => process.exit(code))
+    .catch(err => {
+      console.error(err.message);
+      process.exit(1);
+    });
+} else if (isPM2 || isDirectRun) {
   startAutoCleanup();
   process.on('SIGINT', () => {
     stopAutoCleanup();
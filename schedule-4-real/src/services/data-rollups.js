@@ -0,0 +1,250 @@
+/**
+ * Data Rollups
+ * Tiered history for the sensor tables: raw rows are kept for DATA_RETENTION_DAYS,
+ * before that they are rolled up into 5-minute and hourly aggregate tables
+ * (min / max / avg per device and sensor) that are kept for years.
+ *
+ * - <table>_5m: kept 730 days, <table>_1h: kept forever (defaults, see retention-policies.js)
+ * - Both tiers are built from the raw rows, up to the last complete bucket. The
+ *   retention service only deletes raw rows that both tiers already cover.
+ * - Rows can arrive late (the ingestion journal replays a QuestDB outage after it
+ *   ends): every run rolls the last ROLLUP_REROLL_HOURS up again (the tier tables
+ *   dedupe on bucket and device), and no tier advances while the journal still
+ *   holds rows.
+ * - The history endpoints and charts of the prebuilt web UI read the raw tables
+ *   only. readHistory() picks the raw table or a tier by the window's age; it backs
+ *   the history command below and is the reader for any new endpoint.
+ *
+ * CLI: node src/services/data-rollups.js [run | status |
+ *        history --sensor temp --from ISO [--to ISO] [--device MAC] [--points 300]]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { query } from '../db/connection.js';
+import { policyFor } from './retention-policies.js';
+import cli from '../db/cli.cjs';
+
+const { parseArgs } = cli;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INGEST_GRACE_MS = 60 * 1000; // Readings can arrive a little late; buckets this recent aren't closed yet
+const REROLL_MS = (parseFloat(process.env.ROLLUP_REROLL_HOURS) || 24) * 60 * 60 * 1000;
+const INGESTION_STATUS_PATH = path.resolve(process.cwd(), 'data', 'ingestion-status.json');
+
+export const ROLLUP_SOURCES = {
+  sensors_environment: { keys: ['device_mac'], sensors: ['temp', 'humi', 'vpd', 'co2'] },
+  sensors_soil: { keys: ['device_mac', 'sensor_id'], sensors: ['temp_soil', 'humi_soil', 'ec_soil'] }
+};
+
+export const ROLLUP_TIERS = [
+  { suffix: '5m', bucket: '5m', bucketMs: 5 * 60 * 1000 },
+  { suffix: '1h', bucket: '1h', bucketMs: 60 * 60 * 1000 }
+];
+
+const iso = (ms) => new Date(ms).toISOString();
+const floorTo = (ms, step) => Math.floor(ms / step) * step;
+export const rollupTable = (source, tier) => `${source}_${tier.suffix}`;
+
+function toMs(ts) {
+  if (ts instanceof Date) return ts.getTime();
+  const text = String(ts).replace(' ', 'T');
+  return Date.parse(text.endsWith('Z') ? text : `${text}Z`);
+}
+
+/** Days a table keeps its rows (Infinity = forever) */
+function retentionDays(table) {
+  const policy = policyFor(table);
+  return policy && policy.mode !== 'forever' ? policy.days : Infinity;
+}
+
+/** Rows the ingestion service still has to replay from its journal (0 without a status file) */
+function journalBacklog() {
+  try {
+    return JSON.parse(fs.readFileSync(INGESTION_STATUS_PATH, 'utf-8')).backlog?.rows || 0;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * End of the rolled-up range of a tier (exclusive), null while it is empty
+ */
+export async function rolledUpUntil(source, tier) {
+  try {
+    const result = await query(`SELECT max(timestamp) as last FROM ${rollupTable(source, tier)}`);
+    const last = result.rows[0]?.last;
+    return last ? toMs(last) + tier.bucketMs : null;
+  } catch {
+    return null; // Table not created yet
+  }
+}
+
+/**
+ * Roll the raw rows of a source up into one tier, from the last ROLLUP_REROLL_HOURS
+ * before where it stopped to the last complete bucket. Buckets rolled up again
+ * replace the earlier ones (DEDUP UPSERT KEYS, see init.js)
+ * @returns {Promise<{ from: number|null, to: number, rows: number }>} rows: new buckets
+ */
+async function rollupTier(source, tier, now) {
+  const { keys, sensors } = ROLLUP_SOURCES[source];
+  const table = rollupTable(source, tier);
+  const until = await rolledUpUntil(source, tier);
+  const from = until === null ? null : floorTo(until - REROLL_MS, tier.bucketMs);
+  const to = floorTo(now - INGEST_GRACE_MS, tier.bucketMs);
+  if (from !== null && from >= to) return { from, to, rows: 0 };
+
+  const columns = sensors.flatMap(s => [`${s}_min`, `${s}_max`, `${s}_avg`]);
+  const aggregates = sensors.flatMap(s => [`min(${s})`, `max(${s})`, `avg(${s})`]);
+  const range = from === null ? `timestamp < '${iso(to)}'` : `timestamp >= '${iso(from)}' AND timestamp < '${iso(to)}'`;
+  await query(`
+    INSERT INTO ${table} (timestamp, ${keys.join(', ')}, ${columns.join(', ')}, samples)
+    SELECT timestamp, ${keys.join(', ')}, ${aggregates.join(', ')}, count()
+    FROM ${source}
+    WHERE ${range}
+    SAMPLE BY ${tier.bucket} ALIGN TO CALENDAR
+  `);
+  const added = until === null ? range : `timestamp >= '${iso(until)}' AND timestamp < '${iso(to)}'`;
+  const count = await query(`SELECT count() as cnt FROM ${table} WHERE ${added}`);
+  return { from, to, rows: Number(count.rows[0]?.cnt) || 0 };
+}
+
+/**
+ * Bring every rollup tier up to date
+ * @returns {Promise<Array<{ table: string, rows: number }>>}
+ */
+export async function runRollups(now = Date.now()) {
+  const results = [];
+  const backlog = journalBacklog();
+  if (backlog > 0) {
+    console.log(`[Rollups] Waiting for the ingestion journal (${backlog} rows to replay)`);
+    return results;
+  }
+  for (const source of Object.keys(ROLLUP_SOURCES)) {
+    for (const tier of ROLLUP_TIERS) {
+      const table = rollupTable(source, tier);
+      try {
+        const { from, rows } = await rollupTier(source, tier, now);
+        if (rows > 0) console.log(`[Rollups] ${table}: ${rows} buckets${from === null ? ' (backfill)' : ''}`);
+        results.push({ table, rows });
+      } catch (err) {
+        if (!err.message.includes('does not exist')) console.error(`[Rollups] Error rolling up ${table}:`, err.message);
+        results.push({ table, rows: 0, error: err.message });
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Oldest time raw rows of a source may be deleted up to: the retention cutoff,
+ * but never past what every tier has rolled up
+ * @returns {Promise<number|null>} null when nothing may be deleted yet
+ */
+export async function rawDeleteCutoff(source, days = retentionDays(source), now = Date.now()) {
+  const cutoff = now - days * DAY_MS;
+  if (!ROLLUP_SOURCES[source]) return cutoff;
+  let covered = cutoff;
+  for (const tier of ROLLUP_TIERS) {
+    const until = await rolledUpUntil(source, tier);
+    if (until === null) return null;
+    covered = Math.min(covered, until);
+  }
+  return covered;
+}
+
+/**
+ * Rolled-up range and size of every tier
+ */
+export async function getRollupStats() {
+  const stats = [];
+  for (const source of Object.keys(ROLLUP_SOURCES)) {
+    for (const tier of ROLLUP_TIERS) {
+      const table = rollupTable(source, tier);
+      try {
+        const result = await query(`SELECT count() as cnt, min(timestamp) as oldest, max(timestamp) as newest FROM ${table}`);
+        const row = result.rows[0] || {};
+        stats.push({ table, retentionDays: retentionDays(table), rowCount: Number(row.cnt) || 0, oldest: row.oldest || null, newest: row.newest || null });
+      } catch (err) {
+        stats.push({ table, error: err.message });
+      }
+    }
+  }
+  return stats;
+}
+
+/**
+ * Sensor history over any window: from the raw table while it still holds the
+ * start of the window, otherwise from the finest tier that does (or the hourly one)
+ * @param {string} sensor - e.g. 'temp', 'humi_soil'
+ * @param {{ from: number, to?: number, deviceMac?: string, points?: number }} options
+ *   points: about how many buckets to return (buckets are never finer than the tier)
+ * @returns {Promise<{ table: string, bucketMinutes: number,
+ *   rows: Array<{ timestamp: string, min: number, max: number, avg: number }> }>}
+ */
+export async function readHistory(sensor, { from, to = Date.now(), deviceMac, points = 300 }) {
+  const source = Object.keys(ROLLUP_SOURCES).find(s => ROLLUP_SOURCES[s].sensors.includes(sensor));
+  if (!source) throw new Error(`Unknown sensor ${sensor}`);
+  if (!(from < to)) throw new Error('Invalid time window');
+
+  const now = Date.now();
+  const holds = (table) => from >= now - retentionDays(table) * DAY_MS;
+  const tier = holds(source) ? null : ROLLUP_TIERS.find(t => holds(rollupTable(source, t))) || ROLLUP_TIERS[ROLLUP_TIERS.length - 1];
+  const tierMinutes = tier ? tier.bucketMs / 60000 : 1;
+  const bucketMinutes = Math.ceil((to - from) / Math.max(1, points) / 60000 / tierMinutes) * tierMinutes || tierMinutes;
+  const table = tier ? rollupTable(source, tier) : source;
+
+  // A tier's average is re-weighted by the samples behind each bucket
+  const aggregates = tier
+    ? `min(${sensor}_min) as min_value, max(${sensor}_max) as max_value,
+       sum(${sensor}_avg * samples) / sum(CASE WHEN ${sensor}_avg IS NULL THEN 0 ELSE samples END) as avg_value`
+    : `min(${sensor}) as min_value, max(${sensor}) as max_value, avg(${sensor}) as avg_value`;
+  const result = await query(`
+    SELECT timestamp, ${aggregates}
+    FROM ${table}
+    WHERE timestamp >= '${iso(from)}' AND timestamp < '${iso(to)}'${deviceMac ? ' AND device_mac = $1' : ''}
+    SAMPLE BY ${bucketMinutes}m ALIGN TO CALENDAR
+  `, deviceMac ? [deviceMac] : []);
+  return {
+    table,
+    bucketMinutes,
+    rows: result.rows.map(r => ({ timestamp: iso(toMs(r.timestamp)), min: r.min_value, max: r.max_value, avg: r.avg_value }))
+  };
+}
+
+export default { runRollups, rawDeleteCutoff, rolledUpUntil, getRollupStats, readHistory, ROLLUP_SOURCES, ROLLUP_TIERS };
+
+// CLI: roll up now, show the tiers or read a sensor's history
+if (process.argv[1]?.includes('data-rollups')) {
+  const args = parseArgs(process.argv.slice(2));
+  const command = args._[0] || 'run';
+  const round = (value) => value === null || value === undefined ? '-' : Math.round(value * 100) / 100;
+  if (!['run', 'status', 'history'].includes(command) || (command === 'history' && (!args.sensor || !args.from))) {
+    console.log('Usage: node src/services/data-rollups.js [run | status | history --sensor temp --from ISO [--to ISO] [--device MAC] [--points 300]]');
+    process.exit(1);
+  }
+  const task = command === 'history'
+    ? readHistory(args.sensor, {
+      from: Date.parse(args.from),
+      to: args.to ? Date.parse(args.to) : undefined,
+      deviceMac: args.device,
+      points: parseInt(args.points) || undefined
+    }).then(({ table, bucketMinutes, rows }) => {
+      console.log(`${args.sensor} from ${table}, ${bucketMinutes} min buckets (min / avg / max)`);
+      for (const r of rows) console.log(`${r.timestamp}  ${round(r.min)} / ${round(r.avg)} / ${round(r.max)}`);
+      if (rows.length === 0) console.log('No readings in this window');
+    })
+    : command === 'status'
+    ? getRollupStats().then(stats => {
+      for (const s of stats) {
+        console.log(s.error ? `${s.table}: ${s.error}` : `${s.table}: ${s.rowCount} rows, ${s.oldest || '-'} .. ${s.newest || '-'} (kept ${s.retentionDays === Infinity ? 'forever' : `${s.retentionDays} days`})`);
+      }
+    })
+    : runRollups();
+  task
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
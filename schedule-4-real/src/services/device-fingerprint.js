@@ -0,0 +1,198 @@
+/**
+ * Device Schema Fingerprinting
+ * Learns each device's payload schema from status / getSysSta messages and
+ * flags firmware changes that rename or drop fields before charts go blank.
+ *
+ * - The first payloads of a device form its baseline (data/device-schemas.json)
+ * - New fields the driver doesn't know about raise a notification
+ * - Fields the parsers rely on that stop arriving (MISSING_THRESHOLD messages
+ *   in a row) raise a notification
+ * - Firmware version + schema hash are written to the devices table when they change
+ *
+ * Only drivers that declare `schemas` (see drivers/spider-farmer.cjs) are fingerprinted.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { query } from '../db/connection.js';
+import { writeRow, int } from '../db/ilp.js';
+import schema from './drivers/schema.cjs';
+
+const { schemaPaths, schemaHash, patternMatches } = schema;
+
+const STATE_PATH = path.resolve(process.cwd(), 'data', 'device-schemas.json');
+const MISSING_THRESHOLD = 3;
+const STORE_RETRY_MS = 60000;
+
+// mac -> { deviceType, firmwareVer, hash, stored, schemas: { status: [paths], system: [paths] } }
+// stored: "hash|firmware" last written to the devices table
+let devices = {};
+const lastStoreFailure = new Map();
+// `${mac}|${messageType}|${pattern}` -> consecutive messages without the field
+const missCounts = new Map();
+
+function loadState() {
+  try {
+    if (fs.existsSync(STATE_PATH)) devices = JSON.parse(fs.readFileSync(STATE_PATH, 'utf-8'));
+  } catch (err) {
+    console.error('[Schema] Could not read device schemas, relearning:', err.message);
+    devices = {};
+  }
+}
+
+function saveState() {
+  try {
+    fs.writeFileSync(STATE_PATH, JSON.stringify(devices, null, 2));
+  } catch (err) {
+    console.error('[Schema] Could not save device schemas:', err.message);
+  }
+}
+
+loadState();
+
+/**
+ * Compare a payload with the device's baseline
+ * @returns {{ added: string[], unrecognized: string[], missing: string[] }}
+ */
+function diffSchema(deviceMac, messageType, baseline, paths, definition) {
+  const added = paths.filter(p => !baseline.includes(p));
+  const recognized = [...definition.relied, ...(definition.known || [])];
+  const unrecognized = added.filter(p => !recognized.some(pattern => patternMatches(pattern, [p])));
+
+  // Only fields this device used to send count as missing (a PS5 never sends LC fields)
+  const missing = [];
+  for (const pattern of definition.relied) {
+    if (!patternMatches(pattern, baseline)) continue;
+    const key = `${deviceMac}|${messageType}|${pattern}`;
+    if (patternMatches(pattern, paths)) {
+      missCounts.delete(key);
+      continue;
+    }
+    const count = (missCounts.get(key) || 0) + 1;
+    missCounts.set(key, count);
+    if (count >= MISSING_THRESHOLD) {
+      missing.push(pattern);
+      missCounts.delete(key);
+    }
+  }
+
+  return { added, unrecognized, missing };
+}
+
+function notifySchemaChange(deviceMac, device, messageType, unrecognized, missing) {
+  const label = `${device.deviceType.toUpperCase()} ${deviceMac}`;
+  const firmware = device.firmwareVer ? ` (firmware ${device.firmwareVer})` : '';
+  const parts = [];
+  if (unrecognized.length) parts.push(`New unrecognized fields: ${unrecognized.join(', ')}.`);
+  if (missing.length) parts.push(`No longer sent: ${missing.join(', ')} — dashboards and flows using these may show no data.`);
+  const message = `${label}${firmware} changed its ${messageType} payload. ${parts.join(' ')}`;
+
+  console.warn(`[Schema] ${message}`);
+  writeRow('lab_notifications', { source: 'system', level: missing.length ? 'warning' : 'info' }, {
+    id: randomUUID(),
+    notification_type: 'device_schema',
+    trigger_name: 'schema_fingerprint',
+    title: `Device payload changed: ${label}`,
+    message,
+    acknowledged: int(0),
+    resolved: int(0)
+  });
+}
+
+/**
+ * Write a devices row with the current firmware + schema hash,
+ * carrying forward what the web server stored (name, room, user, first seen)
+ */
+async function storeFingerprint(deviceMac, reading, device) {
+  try {
+    const result = await query(`
+      SELECT mac, device_type, custom_name, room_id, user_id, first_seen
+      FROM devices
+      WHERE mac = $1 OR mac = $2
+      ORDER BY timestamp DESC
+      LIMIT 1
+    `, [reading.deviceId, deviceMac]);
+    const previous = result.rows[0] || {};
+    const now = new Date();
+    const deviceType = reading.driver.upperCaseIds ? reading.deviceType.toUpperCase() : reading.deviceType;
+
+    writeRow('devices', { device_type: previous.device_type || deviceType }, {
+      mac: previous.mac || reading.deviceId,
+      custom_name: previous.custom_name,
+      room_id: previous.room_id,
+      user_id: previous.user_id || reading.uid || null,
+      firmware_ver: device.firmwareVer,
+      schema_hash: device.hash,
+      first_seen: previous.first_seen ? new Date(previous.first_seen) : now,
+      last_seen: now
+    }, now);
+    device.stored = `${device.hash}|${device.firmwareVer || ''}`;
+    saveState();
+  } catch (err) {
+    lastStoreFailure.set(deviceMac, Date.now());
+    console.error('[Schema] Device fingerprint store error:', err.message);
+  }
+}
+
+/**
+ * Fingerprint a parsed reading (call for every message of an allowed device)
+ * @param {object} reading - From drivers.parseMessage()
+ * @param {string} deviceMac - Device ID as stored in the tables
+ */
+export async function observeSchema(reading, deviceMac) {
+  const definition = reading.driver.schemas?.[reading.messageType];
+  if (!definition) return;
+
+  const paths = schemaPaths(reading.message);
+  if (paths.length === 0) return;
+
+  const device = devices[deviceMac] || (devices[deviceMac] = { deviceType: reading.deviceType, schemas: {} });
+  let changed = false;
+
+  const firmwareVer = reading.system?.firmwareVer;
+  if (firmwareVer && firmwareVer !== device.firmwareVer) {
+    if (device.firmwareVer) console.log(`[Schema] ${deviceMac} firmware ${device.firmwareVer} → ${firmwareVer}`);
+    device.firmwareVer = firmwareVer;
+    changed = true;
+  }
+
+  const baseline = device.schemas[reading.messageType];
+  if (!baseline) {
+    device.schemas[reading.messageType] = paths;
+    console.log(`[Schema] Learned ${reading.messageType} schema for ${deviceMac} (${paths.length} fields)`);
+    changed = true;
+  } else {
+    const { added, unrecognized, missing } = diffSchema(deviceMac, reading.messageType, baseline, paths, definition);
+    if (added.length || missing.length) {
+      // Update the baseline so each change is reported once
+      const kept = baseline.filter(p => !missing.some(pattern => patternMatches(pattern, [p])));
+      device.schemas[reading.messageType] = [...new Set([...kept, ...added])].sort();
+      changed = true;
+    }
+    if (unrecognized.length || missing.length) {
+      notifySchemaChange(deviceMac, device, reading.messageType, unrecognized, missing);
+    }
+  }
+
+  if (changed) {
+    device.hash = schemaHash(device.schemas);
+    saveState();
+  }
+
+  // Write to the devices table when the fingerprint changed (retried while QuestDB is down)
+  if (device.stored !== `${device.hash}|${device.firmwareVer || ''}`) {
+    if (Date.now() - (lastStoreFailure.get(deviceMac) || 0) < STORE_RETRY_MS) return;
+    await storeFingerprint(deviceMac, reading, device);
+  }
+}
+
+/**
+ * Current fingerprints, for getStatus()
+ */
+export function getFingerprints() {
+  return Object.fromEntries(Object.entries(devices).map(([mac, d]) =>
+    [mac, { deviceType: d.deviceType, firmwareVer: d.firmwareVer || null, schemaHash: d.hash || null }]));
+}
+
+export default { observeSchema, getFingerprints };
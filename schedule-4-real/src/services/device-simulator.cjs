@@ -0,0 +1,462 @@
+/**
+ * Device Simulator Service
+ * Emulates Spider Farmer PS5, LC and CB modules on the local broker so the
+ * platform can be developed and demoed without hardware.
+ *
+ * Responsibilities:
+ * - Publish getDevSta / getSysSta payloads on ggs/{type}/{mac}/status|system
+ * - Answer getDevSta, getSysSta, getConfigField and setConfigField on ggs/{type}/{mac}/cmd
+ *   (responses carry the request msgId, as sendCommandAndWait expects)
+ * - Model outlet, light, blower and fan state and a simple room climate:
+ *   lights and heaters add heat, blower/fan exchange air with the ambient,
+ *   outlets with a role (humidifier, dehumidifier, heater, co2, pump) act on the room
+ *
+ * Config: data/device-simulator.json (see DEFAULT_CONFIG). Not started by
+ * default — run `npm run simulator:start` or set SIMULATOR_ENABLED=true for PM2.
+ * Simulated devices report uid "simulator"; add it to the device filter
+ * whitelist when the filter is active.
+ */
+
+const mqtt = require('mqtt');
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { computeVpd } = require('./drivers/normalize.cjs');
+
+dotenv.config();
+
+const MQTT_HOST = process.env.MQTT_HOST || '127.0.0.1';
+const MQTT_PORT = process.env.MQTT_PORT || 1883;
+const CONFIG_PATH = path.resolve(process.cwd(), 'data', 'device-simulator.json');
+
+const TICK_MS = 1000;
+const SYSTEM_INTERVAL_MS = 60000;
+
+const DEFAULT_CONFIG = {
+  uid: 'simulator',
+  devices: [
+    { type: 'ps5', mac: '5a5a00000001' },
+    { type: 'lc', mac: '5a5a00000002' },
+    { type: 'cb', mac: '5a5a00000003' }
+  ],
+  statusIntervalMs: 5000,
+  timeScale: 1,           // Climate model speed (60 = one simulated minute per second)
+  ambient: { temp: 22, humi: 50, co2: 420, swing: 3 }, // swing: day/night temp amplitude (°C)
+  photoperiod: { start: '06:00', hours: 18 },           // Used by lights in non-manual modes
+  outletRoles: { O1: 'humidifier', O2: 'heater', O3: 'dehumidifier', O4: 'co2', O5: 'pump' },
+  soilProbes: 3
+};
+
+const FIRMWARE = { ps5: '2.4.1', lc: '1.8.3', cb: '2.1.0' };
+
+let config = DEFAULT_CONFIG;
+let mqttClient = null;
+const devices = new Map(); // mac -> simulated device
+const startedAt = Date.now();
+
+// ── Room climate model ────────────────────────────────────
+
+const room = {
+  temp: 24,
+  humi: 58,
+  co2: 650,
+  soil: []
+};
+
+function loadConfig() {
+  try {
+    if (fs.existsSync(CONFIG_PATH)) {
+      const data = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+      config = { ...DEFAULT_CONFIG, ...data, ambient: { ...DEFAULT_CONFIG.ambient, ...data.ambient } };
+      return;
+    }
+  } catch (err) {
+    console.error('[Simulator] Invalid config, using defaults:', err.message);
+  }
+  config = DEFAULT_CONFIG;
+}
+
+function round(value, decimals = 1) {
+  const f = Math.pow(10, decimals);
+  return Math.round(value * f) / f;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function noise(amplitude) {
+  return (Math.random() - 0.5) * 2 * amplitude;
+}
+
+/** Ambient air follows a day/night curve, warmest mid-afternoon */
+function ambientTemp(now) {
+  const hour = now.getHours() + now.getMinutes() / 60;
+  return config.ambient.temp + config.ambient.swing * Math.sin((2 * Math.PI * (hour - 9)) / 24);
+}
+
+function isPhotoperiodOn(now) {
+  const [h, m] = (config.photoperiod.start || '06:00').split(':').map(Number);
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const start = h * 60 + (m || 0);
+  return (minutes - start + 1440) % 1440 < config.photoperiod.hours * 60;
+}
+
+/** Sum of what every device is currently driving (0..1 per actuator) */
+function collectActuators(now) {
+  const totals = { light: 0, blower: 0, fan: 0, humidifier: 0, dehumidifier: 0, heater: 0, co2: 0, pump: 0 };
+  for (const device of devices.values()) {
+    for (const light of effectiveLights(device, now)) totals.light += light.level / 100;
+    const blower = effectiveBlower(device);
+    if (blower) totals.blower += blower.on ? blower.level / 100 : 0;
+    const fan = effectiveFan(device);
+    if (fan) totals.fan += fan.on ? fan.level / 100 : 0;
+    for (const id of Object.keys(device.config.outlet || {})) {
+      const role = config.outletRoles[id];
+      if (role && role in totals && effectiveOutlet(device, id)) totals[role] += 1;
+    }
+  }
+  return totals;
+}
+
+/** Advance the climate model by dt simulated seconds */
+function stepClimate(dt, now) {
+  const a = collectActuators(now);
+  const ambT = ambientTemp(now);
+  const light = Math.min(a.light, 1.5);
+
+  // Air exchange with the ambient: leakage + blower + circulation fan
+  const k = 0.0008 + a.blower * 0.006 + a.fan * 0.001;
+
+  const heat = light * 0.006 + a.heater * 0.004;
+  const dTemp = heat * dt + (ambT - room.temp) * k * dt;
+  room.temp = clamp(room.temp + dTemp + noise(0.02), 5, 45);
+
+  // Transpiration when lights are on; warming air lowers relative humidity
+  const moisture = light * 0.004 + a.humidifier * 0.03 - a.dehumidifier * 0.025;
+  room.humi = clamp(
+    room.humi + moisture * dt + (config.ambient.humi - room.humi) * k * dt - heat * dt * 2 + noise(0.05),
+    10, 99
+  );
+
+  const co2 = a.co2 * 2 - light * 0.08;
+  room.co2 = clamp(room.co2 + co2 * dt + (config.ambient.co2 - room.co2) * k * dt + noise(1), 300, 5000);
+
+  for (const probe of room.soil) {
+    probe.humiSoil = clamp(probe.humiSoil - (0.0008 + light * 0.001) * dt + a.pump * 0.05 * dt, 5, 60);
+    probe.tempSoil += (room.temp - 1.5 - probe.tempSoil) * 0.0005 * dt;
+    // Salts concentrate as the substrate dries
+    probe.ECSoil = probe.baseEc * Math.pow(40 / probe.humiSoil, 0.3);
+  }
+}
+
+function readEnvironment() {
+  return {
+    temp: round(room.temp),
+    humi: round(room.humi),
+    vpd: computeVpd(room.temp, room.humi),
+    co2: Math.round(room.co2)
+  };
+}
+
+function readSoil() {
+  const probes = room.soil.map(p => ({
+    id: p.id,
+    tempSoil: round(p.tempSoil),
+    humiSoil: round(p.humiSoil),
+    ECSoil: round(p.ECSoil, 2)
+  }));
+  if (probes.length === 0) return probes;
+  const avg = (key, decimals) => round(probes.reduce((s, p) => s + p[key], 0) / probes.length, decimals);
+  probes.push({ id: 'avg', tempSoil: avg('tempSoil', 1), humiSoil: avg('humiSoil', 1), ECSoil: avg('ECSoil', 2) });
+  return probes;
+}
+
+// ── Device state ──────────────────────────────────────────
+
+function defaultLight() {
+  return { modeType: 1, mOnOff: 1, mLevel: 75 };
+}
+
+function defaultFanUnit(level) {
+  return { modeType: 0, mOnOff: 1, mLevel: level, minSpeed: 20, maxSpeed: 100, closeCO2: 0 };
+}
+
+function createDevice({ type, mac }) {
+  // config mirrors what getConfigField returns; outletOn is the relay state
+  const device = { type: type.toLowerCase(), mac: mac.toLowerCase(), config: {}, outletOn: {} };
+
+  switch (device.type) {
+    case 'ps5':
+      device.config.outlet = {};
+      for (let i = 1; i <= 5; i++) device.config.outlet[`O${i}`] = { modeType: 0, mOnOff: 0 };
+      device.config.device = { blower: defaultFanUnit(40) };
+      device.config.light = defaultLight();
+      device.config.light2 = { ...defaultLight(), mOnOff: 0 };
+      break;
+    case 'cb':
+      device.config.device = { blower: defaultFanUnit(40), fan: defaultFanUnit(30) };
+      device.config.light = defaultLight();
+      break;
+    case 'lc':
+      device.config.light = defaultLight();
+      break;
+    default:
+      throw new Error(`Unsupported device type: ${type}`);
+  }
+
+  device.config.target = { temp: 25, humi: 60, vpd: 1.1 };
+  device.config.alarm = {};
+  device.config.system = { timezone: Intl.DateTimeFormat().resolvedOptions().timeZone };
+  return device;
+}
+
+/** Manual mode follows mOnOff; schedule modes keep their last state */
+function effectiveOutlet(device, id) {
+  const outlet = device.config.outlet[id];
+  if (outlet.modeType === 0 || device.outletOn[id] === undefined) device.outletOn[id] = outlet.mOnOff ? 1 : 0;
+  return device.outletOn[id];
+}
+
+function effectiveLights(device, now) {
+  const lights = [];
+  for (const lightId of ['light', 'light2']) {
+    const light = device.config[lightId];
+    if (!light) continue;
+    const on = light.modeType === 0 ? !!light.mOnOff : isPhotoperiodOn(now);
+    lights.push({ lightId, on, level: on ? clamp(light.mLevel ?? 0, 0, 100) : 0 });
+  }
+  return lights;
+}
+
+/** Non-manual blower modes ramp with temperature above the target */
+function effectiveBlower(device) {
+  const blower = device.config.device?.blower;
+  if (!blower) return null;
+  if (blower.modeType === 0) return { on: !!blower.mOnOff, level: blower.mLevel ?? 0 };
+  const target = device.config.target?.temp ?? 25;
+  const level = clamp(Math.round((room.temp - target + 1) * 25), blower.minSpeed || 20, blower.maxSpeed || 100);
+  return { on: true, level };
+}
+
+function effectiveFan(device) {
+  const fan = device.config.device?.fan;
+  if (!fan) return null;
+  return { on: fan.modeType === 0 ? !!fan.mOnOff : true, level: fan.mLevel ?? 0 };
+}
+
+function buildStatus(device, now) {
+  const data = {};
+
+  if (device.type === 'lc') {
+    const [light] = effectiveLights(device, now);
+    data.mode = device.config.light.modeType;
+    data.brightness = light.level;
+    return data;
+  }
+
+  data.sensor = readEnvironment();
+  if (device.type === 'ps5') {
+    data.sensors = readSoil();
+    data.outlet = {};
+    for (const [id, outlet] of Object.entries(device.config.outlet)) {
+      data.outlet[id] = { modeType: outlet.modeType, on: effectiveOutlet(device, id) };
+    }
+  }
+
+  for (const light of effectiveLights(device, now)) {
+    const cfg = device.config[light.lightId];
+    data[light.lightId] = { modeType: cfg.modeType, mOnOff: light.on ? 1 : 0, mLevel: cfg.mLevel, level: light.level };
+  }
+
+  const blower = effectiveBlower(device);
+  if (blower) {
+    data.blower = {
+      modeType: device.config.device.blower.modeType,
+      on: blower.on ? 1 : 0,
+      level: blower.level,
+      closeCO2: device.config.device.blower.closeCO2 || 0
+    };
+  }
+  const fan = effectiveFan(device);
+  if (fan) data.fan = { modeType: device.config.device.fan.modeType, on: fan.on ? 1 : 0, level: fan.level };
+
+  return data;
+}
+
+function buildSystem(device) {
+  return {
+    sys: {
+      ver: FIRMWARE[device.type],
+      wifi: { rssi: Math.round(-55 + noise(6)), ssid: 'simulator' },
+      upTime: Math.floor((Date.now() - startedAt) / 1000),
+      mem: Math.round(84000 + noise(3000))
+    }
+  };
+}
+
+/** Apply setConfigField: params[lastKey] is merged at keyPath */
+function applyConfig(device, keyPath, params) {
+  if (!Array.isArray(keyPath) || keyPath.length === 0) throw new Error('keyPath required');
+  const last = keyPath[keyPath.length - 1];
+  const value = params[last];
+  if (value === undefined) throw new Error(`params.${last} missing`);
+
+  let node = device.config;
+  for (const key of keyPath.slice(0, -1)) {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  }
+  node[last] = value && typeof value === 'object' && !Array.isArray(value)
+    ? { ...node[last], ...value }
+    : value;
+  return { [keyPath[0]]: device.config[keyPath[0]] };
+}
+
+// ── MQTT ──────────────────────────────────────────────────
+
+function publish(device, dataType, body) {
+  if (!mqttClient?.connected) return;
+  const message = {
+    uid: config.uid,
+    pid: device.mac.toUpperCase(),
+    UTC: Math.floor(Date.now() / 1000),
+    ...body
+  };
+  mqttClient.publish(`ggs/${device.type}/${device.mac}/${dataType}`, JSON.stringify(message), { qos: 0 });
+}
+
+function publishStatus(device, msgId) {
+  publish(device, 'status', { method: 'getDevSta', msgId, code: 0, data: buildStatus(device, new Date()) });
+}
+
+function publishSystem(device, msgId) {
+  publish(device, 'system', { method: 'getSysSta', msgId, code: 0, data: buildSystem(device) });
+}
+
+function handleCommand(device, command) {
+  const { method, msgId, params = {} } = command;
+
+  switch (method) {
+    case 'getDevSta':
+      publishStatus(device, msgId);
+      break;
+
+    case 'getSysSta':
+      publishSystem(device, msgId);
+      break;
+
+    case 'getConfigField': {
+      const key = params.keyPath?.[0];
+      const data = key ? { [key]: device.config[key] ?? {} } : device.config;
+      publish(device, 'config', { method, msgId, code: 0, data });
+      break;
+    }
+
+    case 'setConfigField':
+      try {
+        const data = applyConfig(device, params.keyPath, params);
+        console.log(`[Simulator] ${device.type}/${device.mac} set ${params.keyPath.join('.')}`);
+        publish(device, 'config', { method, msgId, code: 0, data });
+        publishStatus(device); // Devices push fresh state after a change
+      } catch (err) {
+        publish(device, 'config', { method, msgId, code: 1, msg: err.message });
+      }
+      break;
+
+    default:
+      publish(device, 'events', { method, msgId, code: 1, msg: `Unsupported method: ${method}` });
+  }
+}
+
+function handleMessage(topic, payload) {
+  // ggs/{type}/{mac}/cmd or ggs/_relay/cmd/{type}/{mac}
+  const parts = topic.split('/');
+  const mac = parts[1] === '_relay' ? parts[4] : parts[2];
+  const device = devices.get((mac || '').toLowerCase());
+  if (!device) return;
+
+  let command;
+  try {
+    command = JSON.parse(payload.toString());
+  } catch {
+    return;
+  }
+  if (command._forwarded) return;
+  handleCommand(device, command);
+}
+
+function connect() {
+  const url = `mqtt://${MQTT_HOST}:${MQTT_PORT}`;
+  console.log(`[Simulator] Connecting to ${url}...`);
+
+  mqttClient = mqtt.connect(url, {
+    clientId: `s4r-simulator-${Date.now()}`,
+    clean: true,
+    reconnectPeriod: 5000,
+    connectTimeout: 10000
+  });
+
+  mqttClient.on('connect', () => {
+    console.log('[Simulator] Connected to broker');
+    for (const device of devices.values()) {
+      mqttClient.subscribe(`ggs/${device.type}/${device.mac}/cmd`, { qos: 0 });
+      mqttClient.subscribe(`ggs/_relay/cmd/${device.type}/${device.mac}`, { qos: 0 });
+      publishSystem(device);
+      publishStatus(device);
+    }
+  });
+
+  mqttClient.on('message', handleMessage);
+
+  mqttClient.on('error', (err) => {
+    console.error('[Simulator] MQTT error:', err.message);
+  });
+}
+
+// ── Main ──────────────────────────────────────────────────
+
+function start() {
+  loadConfig();
+
+  for (const entry of config.devices) {
+    try {
+      const device = createDevice(entry);
+      devices.set(device.mac, device);
+      console.log(`[Simulator] Emulating ${device.type.toUpperCase()} ${device.mac}`);
+    } catch (err) {
+      console.error(`[Simulator] Skipping device ${JSON.stringify(entry)}:`, err.message);
+    }
+  }
+
+  for (let i = 1; i <= config.soilProbes; i++) {
+    const baseEc = 1.6 + noise(0.3);
+    room.soil.push({ id: i, tempSoil: 21 + noise(0.5), humiSoil: 38 + noise(4), baseEc, ECSoil: baseEc });
+  }
+  room.temp = ambientTemp(new Date()) + 2;
+
+  connect();
+
+  setInterval(() => {
+    stepClimate((TICK_MS / 1000) * config.timeScale, new Date());
+  }, TICK_MS);
+
+  setInterval(() => {
+    for (const device of devices.values()) publishStatus(device);
+  }, config.statusIntervalMs);
+
+  setInterval(() => {
+    for (const device of devices.values()) publishSystem(device);
+  }, SYSTEM_INTERVAL_MS);
+}
+
+function shutdown() {
+  console.log('[Simulator] Shutting down...');
+  if (mqttClient) mqttClient.end(true);
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+start();
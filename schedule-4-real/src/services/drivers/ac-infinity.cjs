@@ -0,0 +1,65 @@
+// ═══════════════════════════════════════════════════════════════════
+// ac-infinity.cjs — AC Infinity controllers (Controller 69 / AI+) via
+// an MQTT bridge that polls the controller and republishes its state
+// Controller: {prefix}/{id}/state {"temperature":25.1,"humidity":60,"vpd":1.1}
+// Ports:      {prefix}/{id}/port/{n}/state {"speed":7,"on":true}
+// Commands:   {prefix}/{id}/port/{n}/set {"speed":10}
+// Port n maps to outlet On (on = speed > 0).
+// ═══════════════════════════════════════════════════════════════════
+'use strict'
+
+const { pickNumber, environment, outletId, outletIndex, toOnOff } = require('./normalize.cjs')
+
+module.exports = {
+  id: 'ac-infinity',
+  name: 'AC Infinity bridge',
+  deviceTypes: ['acinfinity'],
+  defaults: {
+    prefix: 'acinfinity',
+    onSpeed: 10 // Speed sent for "on" commands
+  },
+  usesUidFilter: false,
+  forwardable: false,
+  registersDevices: true,
+  upperCaseIds: false,
+
+  topics(options) {
+    return [`${options.prefix}/+/state`, `${options.prefix}/+/port/+/state`]
+  },
+
+  parse(topic, message) {
+    if (!message || typeof message !== 'object') return null
+    const parts = topic.split('/')
+    const deviceId = parts[1]
+    if (!deviceId) return null
+
+    // Controller-level sensors
+    if (parts.length === 3) {
+      const env = environment({
+        temp: pickNumber(message, ['temperature', 'temp']),
+        humi: pickNumber(message, ['humidity', 'humi']),
+        vpd: pickNumber(message, ['vpd'])
+      })
+      if (!env) return null
+      return { deviceId, deviceType: 'acinfinity', messageType: 'sensors', environment: env }
+    }
+
+    // Port state
+    const speed = pickNumber(message, ['speed', 'level'])
+    const isOn = message.on !== undefined ? toOnOff(message.on) : (speed > 0 ? 1 : 0)
+    return {
+      deviceId,
+      deviceType: 'acinfinity',
+      messageType: 'status',
+      outlets: { [outletId(parts[3])]: { isOn, modeType: pickNumber(message, ['mode']) ?? 0 } }
+    }
+  },
+
+  encodeCommand(device, command, options) {
+    if (command.type !== 'outlet') return null
+    return {
+      topic: `${options.prefix}/${device.mac}/port/${outletIndex(command.outlet)}/set`,
+      payload: JSON.stringify({ speed: command.on ? options.onSpeed : 0 })
+    }
+  }
+}
@@ -0,0 +1,155 @@
+// ═══════════════════════════════════════════════════════════════════
+// index.cjs — Device driver registry
+// Each driver owns a set of MQTT topic patterns, parses their payloads
+// into normalized readings and encodes outlet commands for its devices.
+// Enabled drivers + per-driver options: data/device-drivers.json
+// ═══════════════════════════════════════════════════════════════════
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+
+const DRIVERS = [
+  require('./spider-farmer.cjs'),
+  require('./smart-plug.cjs'),
+  require('./mqtt-sensor.cjs'),
+  require('./open-grow.cjs'),
+  require('./ac-infinity.cjs'),
+]
+
+const CONFIG_PATH = path.resolve(process.cwd(), 'data', 'device-drivers.json')
+
+// Without a config file only Spider Farmer (what the proxy feeds) is active
+const DEFAULT_ENABLED = ['spider-farmer']
+
+let enabled = []   // [{ driver, options }]
+
+/**
+ * Load enabled drivers from data/device-drivers.json
+ * Format: { "enabled": ["spider-farmer", "smart-plug"], "options": { "smart-plug": { ... } } }
+ */
+function loadDrivers() {
+  let config = {}
+  try {
+    if (fs.existsSync(CONFIG_PATH)) {
+      config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'))
+    }
+  } catch (err) {
+    console.error('[Drivers] Config read error:', err.message)
+  }
+
+  const ids = Array.isArray(config.enabled) ? config.enabled : DEFAULT_ENABLED
+  enabled = []
+  for (const id of ids) {
+    const driver = DRIVERS.find(d => d.id === id)
+    if (!driver) {
+      console.warn(`[Drivers] Unknown driver "${id}", skipping`)
+      continue
+    }
+    enabled.push({ driver, options: { ...driver.defaults, ...(config.options?.[id] || {}) } })
+  }
+  return enabled.map(e => e.driver.id)
+}
+
+/**
+ * MQTT wildcard match (+ = one level, # = rest)
+ */
+function topicMatches(pattern, topic) {
+  const p = pattern.split('/')
+  const t = topic.split('/')
+  for (let i = 0; i < p.length; i++) {
+    if (p[i] === '#') return true
+    if (i >= t.length) return false
+    if (p[i] !== '+' && p[i] !== t[i]) return false
+  }
+  return p.length === t.length
+}
+
+/** All topic patterns the enabled drivers want subscribed */
+function getSubscriptions() {
+  const topics = new Set()
+  for (const { driver, options } of enabled) {
+    for (const topic of driver.topics(options)) topics.add(topic)
+  }
+  return [...topics]
+}
+
+/** JSON when possible — Tasmota/Shelly publish bare "ON"/"off" strings */
+function decodePayload(payload) {
+  const text = payload.toString()
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text
+  }
+}
+
+/**
+ * Parse an MQTT message with the first enabled driver that claims it.
+ * Returns a normalized reading or null:
+ * {
+ *   driver, deviceId, deviceType, messageType, uid, forwarded,
+ *   environment: { temp, humi, vpd, co2 },
+ *   soil:        [{ id, tempSoil, humiSoil, ecSoil }],
+ *   outlets:     { O1: { isOn, modeType }, ... },
+ *   lights:      [{ lightId, modeType, level, isOn }],
+ *   blower:      { modeType, level, isOn, closeCO2 },
+ *   fan:         { modeType, level, isOn },
+ *   system:      { firmwareVer, wifiRssi, uptime, memFree },
+ *   down:        raw Server->Device command,
+ *   message:     decoded payload (for schema fingerprinting)
+ * }
+ */
+function parseMessage(topic, payload) {
+  const message = decodePayload(payload)
+  for (const { driver, options } of enabled) {
+    if (!driver.topics(options).some(p => topicMatches(p, topic))) continue
+    const reading = driver.parse(topic, message, options)
+    if (reading) {
+      reading.driver = driver
+      reading.message = message
+      return reading
+    }
+  }
+  return null
+}
+
+/**
+ * Get the driver responsible for a device type (as stored in the devices table).
+ * Unknown types fall back to Spider Farmer, which is what the devices table held historically.
+ */
+function getDriverForType(deviceType) {
+  const type = (deviceType || '').toLowerCase()
+  const entry = enabled.find(e => e.driver.deviceTypes.includes(type))
+  if (entry) return entry
+  const driver = DRIVERS.find(d => d.deviceTypes.includes(type)) || DRIVERS[0]
+  return { driver, options: { ...driver.defaults } }
+}
+
+/**
+ * Encode a normalized command for a device
+ * @param {{ type: string, mac: string, uid?: string }} device
+ * @param {{ type: 'outlet', outlet: string, on: boolean }} command
+ * @returns {{ topic: string, payload: string, qos?: number } | null}
+ */
+function encodeCommand(device, command) {
+  const { driver, options } = getDriverForType(device.type)
+  return driver.encodeCommand(device, command, options)
+}
+
+function listDrivers() {
+  const active = new Set(enabled.map(e => e.driver.id))
+  return DRIVERS.map(d => ({ id: d.id, name: d.name, deviceTypes: d.deviceTypes, enabled: active.has(d.id) }))
+}
+
+loadDrivers()
+
+module.exports = {
+  loadDrivers,
+  listDrivers,
+  getSubscriptions,
+  parseMessage,
+  encodeCommand,
+  getDriverForType,
+  topicMatches,
+}
@@ -0,0 +1,76 @@
+// ═══════════════════════════════════════════════════════════════════
+// mqtt-sensor.cjs — Generic MQTT temperature / humidity / CO2 sensors
+// Tasmota:  tele/{id}/SENSOR {"AM2301":{"Temperature":24.1,"Humidity":55}}
+// JSON:     any configured topic, e.g. zigbee2mqtt/{id} {"temperature":24.1,"humidity":55}
+// The device ID is taken from the topic level given by idLevel.
+// ═══════════════════════════════════════════════════════════════════
+'use strict'
+
+const { pickNumber, environment } = require('./normalize.cjs')
+
+const TEMP_KEYS = ['temperature', 'Temperature', 'temp', 'temp_c']
+const HUMI_KEYS = ['humidity', 'Humidity', 'humi', 'rh']
+const VPD_KEYS = ['vpd', 'VPD']
+const CO2_KEYS = ['co2', 'CO2', 'CarbonDioxide', 'eCO2']
+
+function readFlat(obj) {
+  return {
+    temp: pickNumber(obj, TEMP_KEYS),
+    humi: pickNumber(obj, HUMI_KEYS),
+    vpd: pickNumber(obj, VPD_KEYS),
+    co2: pickNumber(obj, CO2_KEYS)
+  }
+}
+
+// Tasmota nests each sensor under its driver name; merge the first value of each kind
+function readTasmota(message) {
+  const merged = {}
+  for (const value of Object.values(message)) {
+    if (!value || typeof value !== 'object') continue
+    const flat = readFlat(value)
+    for (const [key, v] of Object.entries(flat)) {
+      if (v !== undefined && merged[key] === undefined) merged[key] = v
+    }
+  }
+  return merged
+}
+
+module.exports = {
+  id: 'mqtt-sensor',
+  name: 'Generic MQTT climate sensor',
+  deviceTypes: ['sensor'],
+  defaults: {
+    tasmota: true,
+    topics: ['zigbee2mqtt/+'],
+    idLevel: 1
+  },
+  usesUidFilter: false,
+  forwardable: false,
+  registersDevices: true,
+  upperCaseIds: false,
+
+  topics(options) {
+    const topics = [...(options.topics || [])]
+    if (options.tasmota) topics.push('tele/+/SENSOR')
+    return topics
+  },
+
+  parse(topic, message, options) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) return null
+    const parts = topic.split('/')
+
+    const isTasmota = parts[0] === 'tele' && parts[2] === 'SENSOR'
+    const values = isTasmota ? readTasmota(message) : readFlat(message)
+    const env = environment(values)
+    if (!env) return null
+
+    const deviceId = isTasmota ? parts[1] : parts[options.idLevel ?? 1]
+    if (!deviceId) return null
+
+    return { deviceId, deviceType: 'sensor', messageType: 'sensors', environment: env }
+  },
+
+  encodeCommand() {
+    return null // Read-only
+  }
+}
@@ -0,0 +1,51 @@
+// ═══════════════════════════════════════════════════════════════════
+// normalize.cjs — Shared helpers for device drivers
+// ═══════════════════════════════════════════════════════════════════
+'use strict'
+
+/** Air VPD (kPa) from temperature (°C) and relative humidity (%) */
+function computeVpd(temp, humi) {
+  if (typeof temp !== 'number' || typeof humi !== 'number') return null
+  const svp = 0.6108 * Math.exp((17.27 * temp) / (temp + 237.3))
+  return Math.round(svp * (1 - humi / 100) * 100) / 100
+}
+
+/** Map a device-native channel index (0- or 1-based) to an outlet ID */
+function outletId(index, base = 1) {
+  return `O${Number(index) - base + 1}`
+}
+
+/** Reverse of outletId() */
+function outletIndex(outlet, base = 1) {
+  return parseInt(String(outlet).replace(/^O/i, ''), 10) - 1 + base
+}
+
+/** Accepts true/1/"ON"/"on"/"true" → 1, everything else → 0 */
+function toOnOff(value) {
+  if (typeof value === 'string') return ['on', 'true', '1'].includes(value.toLowerCase()) ? 1 : 0
+  return value ? 1 : 0
+}
+
+/** First numeric value among the candidate keys of an object */
+function pickNumber(obj, keys) {
+  if (!obj || typeof obj !== 'object') return undefined
+  for (const key of keys) {
+    const v = obj[key]
+    if (typeof v === 'number' && Number.isFinite(v)) return v
+    if (typeof v === 'string' && v !== '' && Number.isFinite(Number(v))) return Number(v)
+  }
+  return undefined
+}
+
+/** Build an environment reading, deriving VPD when the device doesn't report it */
+function environment({ temp, humi, vpd, co2 }) {
+  if (temp === undefined && humi === undefined && co2 === undefined) return undefined
+  return {
+    temp,
+    humi,
+    vpd: vpd ?? computeVpd(temp, humi) ?? undefined,
+    co2,
+  }
+}
+
+module.exports = { computeVpd, outletId, outletIndex, toOnOff, pickNumber, environment }
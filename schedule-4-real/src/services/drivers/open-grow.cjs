@@ -0,0 +1,70 @@
+// ═══════════════════════════════════════════════════════════════════
+// open-grow.cjs — Open Grow (GroLab) controllers via an MQTT bridge
+// State:    {prefix}/{id}/state
+//           {"temperature":24.5,"humidity":58,"vpd":1.2,"co2":650,
+//            "outlets":[{"id":1,"state":"on"}, ...],
+//            "soil":[{"id":1,"moisture":41,"ec":1.8,"temperature":21}]}
+// Commands: {prefix}/{id}/set {"outlet":1,"state":"on"}
+// ═══════════════════════════════════════════════════════════════════
+'use strict'
+
+const { pickNumber, environment, outletId, outletIndex, toOnOff } = require('./normalize.cjs')
+
+module.exports = {
+  id: 'open-grow',
+  name: 'Open Grow (GroLab)',
+  deviceTypes: ['opengrow'],
+  defaults: {
+    prefix: 'opengrow'
+  },
+  usesUidFilter: false,
+  forwardable: false,
+  registersDevices: true,
+  upperCaseIds: false,
+
+  topics(options) {
+    return [`${options.prefix}/+/state`]
+  },
+
+  parse(topic, message) {
+    if (!message || typeof message !== 'object') return null
+    const deviceId = topic.split('/')[1]
+    if (!deviceId) return null
+
+    const reading = { deviceId, deviceType: 'opengrow', messageType: 'status' }
+
+    reading.environment = environment({
+      temp: pickNumber(message, ['temperature', 'temp']),
+      humi: pickNumber(message, ['humidity', 'humi']),
+      vpd: pickNumber(message, ['vpd']),
+      co2: pickNumber(message, ['co2'])
+    })
+
+    if (Array.isArray(message.outlets)) {
+      reading.outlets = {}
+      for (const o of message.outlets) {
+        if (o?.id === undefined) continue
+        reading.outlets[outletId(o.id)] = { isOn: toOnOff(o.state ?? o.on), modeType: 0 }
+      }
+    }
+
+    if (Array.isArray(message.soil)) {
+      reading.soil = message.soil.map(s => ({
+        id: String(s.id),
+        tempSoil: pickNumber(s, ['temperature', 'temp']),
+        humiSoil: pickNumber(s, ['moisture', 'humidity']),
+        ecSoil: pickNumber(s, ['ec'])
+      }))
+    }
+
+    return reading
+  },
+
+  encodeCommand(device, command, options) {
+    if (command.type !== 'outlet') return null
+    return {
+      topic: `${options.prefix}/${device.mac}/set`,
+      payload: JSON.stringify({ outlet: outletIndex(command.outlet), state: command.on ? 'on' : 'off' })
+    }
+  }
+}
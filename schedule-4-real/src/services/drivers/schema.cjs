@@ -0,0 +1,70 @@
+// ═══════════════════════════════════════════════════════════════════
+// schema.cjs — Payload schema fingerprints
+// A payload's schema is the sorted list of its field paths:
+//   {"sensor":{"temp":24},"outlet":{"O1":{"on":1}},"sensors":[{"id":1}]}
+//   -> outlet.*.on, sensor.temp, sensors[].id
+// Channel-like keys (O1, 2, L3…) collapse to '*' so the schema doesn't
+// change with the number of outlets. Drivers declare the paths they rely
+// on per message type (driver.schemas) as patterns in the same notation.
+// ═══════════════════════════════════════════════════════════════════
+'use strict'
+
+const crypto = require('node:crypto')
+
+// Request/response envelope, not device data
+const ENVELOPE_KEYS = new Set(['method', 'msgId', 'pid', 'uid', 'UTC', 'code', 'msg', '_forwarded'])
+
+const MAX_DEPTH = 6
+
+function normalizeKey(key) {
+  return /^[A-Za-z]?\d+$/.test(key) ? '*' : key
+}
+
+function collect(value, prefix, paths, depth) {
+  if (Array.isArray(value)) {
+    // Union of element shapes; arrays of scalars are a leaf
+    const objects = value.filter(v => v && typeof v === 'object')
+    if (objects.length === 0) return paths.add(prefix)
+    for (const item of objects) collect(item, `${prefix}[]`, paths, depth + 1)
+    return
+  }
+  if (value && typeof value === 'object' && depth < MAX_DEPTH) {
+    const keys = Object.keys(value)
+    if (keys.length === 0 && prefix) return paths.add(prefix)
+    for (const key of keys) {
+      const name = normalizeKey(key)
+      collect(value[key], prefix ? `${prefix}.${name}` : name, paths, depth + 1)
+    }
+    return
+  }
+  if (prefix) paths.add(prefix)
+}
+
+/**
+ * Field paths of a device message (payload data without the envelope)
+ * @returns {string[]} sorted
+ */
+function schemaPaths(message) {
+  if (!message || typeof message !== 'object') return []
+  const root = message.data && typeof message.data === 'object' ? message.data : message
+  const data = Object.fromEntries(Object.entries(root).filter(([k]) => !ENVELOPE_KEYS.has(k)))
+  const paths = new Set()
+  collect(data, '', paths, 0)
+  return [...paths].sort()
+}
+
+/** Short stable hash of a schema (or of several, e.g. { status, system }) */
+function schemaHash(schema) {
+  return crypto.createHash('sha1').update(JSON.stringify(schema)).digest('hex').slice(0, 12)
+}
+
+/** Does a pattern ('a.b|a.c', '*' matches one segment) match any of the paths? */
+function patternMatches(pattern, paths) {
+  return pattern.split('|').some(alt => {
+    const re = new RegExp('^' + alt.split('.').map(seg =>
+      seg === '*' ? '[^.]+' : seg.replace(/[[\]]/g, '\\$&')).join('\\.') + '$')
+    return paths.some(p => re.test(p))
+  })
+}
+
+module.exports = { schemaPaths, schemaHash, patternMatches }
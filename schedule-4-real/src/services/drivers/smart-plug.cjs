@@ -0,0 +1,123 @@
+// ═══════════════════════════════════════════════════════════════════
+// smart-plug.cjs — Generic Tasmota / Shelly style smart plugs
+// Tasmota:     stat/{id}/POWER[n] "ON"|"OFF", tele/{id}/STATE {"POWER1":"ON"}
+//              commands on cmnd/{id}/POWER{n}
+// Shelly Gen1: shellies/{id}/relay/{n} "on"|"off", commands on .../command
+// Shelly Gen2: {id}/status/switch:{n} {"output":true}, commands on {id}/rpc
+// Every relay channel maps to an outlet (channel 1 / relay 0 → O1)
+// ═══════════════════════════════════════════════════════════════════
+'use strict'
+
+const { outletId, outletIndex, toOnOff } = require('./normalize.cjs')
+
+const POWER_RE = /^POWER(\d*)$/
+const SWITCH_RE = /^switch:(\d+)$/
+
+function tasmotaOutlets(state) {
+  const outlets = {}
+  for (const [key, value] of Object.entries(state)) {
+    const m = POWER_RE.exec(key)
+    if (!m) continue
+    outlets[outletId(m[1] || 1)] = { isOn: toOnOff(value), modeType: 0 }
+  }
+  return Object.keys(outlets).length > 0 ? outlets : null
+}
+
+module.exports = {
+  id: 'smart-plug',
+  name: 'Tasmota / Shelly smart plug',
+  deviceTypes: ['tasmota', 'shelly', 'shelly2'],
+  defaults: {
+    tasmota: true,
+    shelly: true,
+    shellyGen2: false, // {id}/status/+ is broad — opt in when Gen2 plugs are present
+  },
+  usesUidFilter: false,
+  forwardable: false,
+  registersDevices: true,
+  upperCaseIds: false, // IDs are MQTT topic names and are case sensitive
+
+  topics(options) {
+    const topics = []
+    if (options.tasmota) topics.push('stat/+/+', 'tele/+/STATE')
+    if (options.shelly) topics.push('shellies/+/relay/+')
+    if (options.shellyGen2) topics.push('+/status/+')
+    return topics
+  },
+
+  parse(topic, message) {
+    const parts = topic.split('/')
+
+    // Tasmota: stat/{id}/POWER2 "ON"
+    if (parts[0] === 'stat' && parts.length === 3) {
+      const m = POWER_RE.exec(parts[2])
+      if (!m || typeof message !== 'string') return null
+      return {
+        deviceId: parts[1],
+        deviceType: 'tasmota',
+        messageType: 'status',
+        outlets: { [outletId(m[1] || 1)]: { isOn: toOnOff(message), modeType: 0 } }
+      }
+    }
+
+    // Tasmota: tele/{id}/STATE {"POWER1":"ON","POWER2":"OFF","Wifi":{"RSSI":70}}
+    if (parts[0] === 'tele' && parts[2] === 'STATE') {
+      if (!message || typeof message !== 'object') return null
+      const outlets = tasmotaOutlets(message)
+      if (!outlets) return null
+      const reading = { deviceId: parts[1], deviceType: 'tasmota', messageType: 'status', outlets }
+      if (message.Wifi) {
+        reading.system = { wifiRssi: message.Wifi.Signal ?? message.Wifi.RSSI, uptime: message.UptimeSec }
+      }
+      return reading
+    }
+
+    // Shelly Gen1: shellies/{id}/relay/0 "on"
+    if (parts[0] === 'shellies' && parts[2] === 'relay' && parts.length === 4) {
+      if (typeof message !== 'string' || !/^(on|off)$/i.test(message)) return null
+      return {
+        deviceId: parts[1],
+        deviceType: 'shelly',
+        messageType: 'status',
+        outlets: { [outletId(parts[3], 0)]: { isOn: toOnOff(message), modeType: 0 } }
+      }
+    }
+
+    // Shelly Gen2: {id}/status/switch:0 {"id":0,"output":true,"apower":12.3}
+    if (parts[1] === 'status' && parts.length === 3) {
+      const m = SWITCH_RE.exec(parts[2])
+      if (!m || !message || typeof message !== 'object' || message.output === undefined) return null
+      return {
+        deviceId: parts[0],
+        deviceType: 'shelly2',
+        messageType: 'status',
+        outlets: { [outletId(m[1], 0)]: { isOn: toOnOff(message.output), modeType: 0 } }
+      }
+    }
+
+    return null
+  },
+
+  encodeCommand(device, command) {
+    if (command.type !== 'outlet') return null
+    const { outlet, on } = command
+
+    switch (device.type) {
+      case 'tasmota':
+        return { topic: `cmnd/${device.mac}/POWER${outletIndex(outlet)}`, payload: on ? 'ON' : 'OFF' }
+      case 'shelly':
+        return { topic: `shellies/${device.mac}/relay/${outletIndex(outlet, 0)}/command`, payload: on ? 'on' : 'off' }
+      case 'shelly2':
+        return {
+          topic: `${device.mac}/rpc`,
+          payload: JSON.stringify({
+            id: Date.now(),
+            src: 's4r',
+            method: 'Switch.Set',
+            params: { id: outletIndex(outlet, 0), on: !!on }
+          })
+        }
+    }
+    return null
+  }
+}
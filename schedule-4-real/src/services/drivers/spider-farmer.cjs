@@ -0,0 +1,202 @@
+// ═══════════════════════════════════════════════════════════════════
+// spider-farmer.cjs — Spider Farmer GGS driver (PS5, LC, CB)
+// Topics come from the hybrid proxy: ggs/{device_type}/{mac}/{data_type}
+// ═══════════════════════════════════════════════════════════════════
+'use strict'
+
+function parseEnvironment(sensor) {
+  return { temp: sensor.temp, humi: sensor.humi, vpd: sensor.vpd, co2: sensor.co2 }
+}
+
+function parseSoil(sensors) {
+  if (!Array.isArray(sensors)) return undefined
+  return sensors
+    .filter(s => s.id !== 'avg') // Skip average, keep individual probes
+    .map(s => ({ id: s.id, tempSoil: s.tempSoil, humiSoil: s.humiSoil, ecSoil: s.ECSoil }))
+}
+
+function parseOutlets(outlet) {
+  const outlets = {}
+  for (const [key, value] of Object.entries(outlet)) {
+    if (!key.startsWith('O') || typeof value !== 'object') continue
+    outlets[key] = { isOn: value.on ?? value.mOnOff ?? 0, modeType: value.modeType ?? null }
+  }
+  return outlets
+}
+
+function parseLights(data) {
+  const lights = []
+  for (const lightId of ['light', 'light2']) {
+    const light = data[lightId]
+    if (!light) continue
+    lights.push({
+      lightId,
+      modeType: light.modeType ?? null,
+      level: light.level ?? light.mLevel ?? null,
+      isOn: light.mOnOff ?? null
+    })
+  }
+  // Light Controller (LC) - different structure
+  if (data.brightness !== undefined && data.mode !== undefined) {
+    lights.push({
+      lightId: 'light',
+      modeType: data.mode,
+      level: data.brightness,
+      isOn: data.brightness > 0 ? 1 : 0
+    })
+  }
+  return lights.length > 0 ? lights : undefined
+}
+
+function parseBlower(blower) {
+  return {
+    isOn: blower.on ?? blower.mOnOff ?? 0,
+    level: blower.level ?? blower.mLevel ?? 0,
+    modeType: blower.modeType ?? 0,
+    closeCO2: blower.closeCO2 ?? 0
+  }
+}
+
+function parseFan(fan) {
+  return {
+    isOn: fan.on ?? fan.mOnOff ?? 0,
+    level: fan.level ?? fan.mLevel ?? 0,
+    modeType: fan.modeType ?? 0
+  }
+}
+
+function parseSystem(sys) {
+  return {
+    firmwareVer: sys.ver,
+    wifiRssi: sys.wifi?.rssi,
+    uptime: sys.upTime,
+    memFree: sys.mem
+  }
+}
+
+module.exports = {
+  id: 'spider-farmer',
+  name: 'Spider Farmer GGS',
+  deviceTypes: ['ps5', 'lc', 'cb'],
+  defaults: {},
+  usesUidFilter: true,     // data/mqtt-device-filter.json applies to GGS accounts
+  forwardable: true,       // Remote servers speak the same ggs/ topic layout
+  registersDevices: false, // The web server autodetects GGS devices itself
+  upperCaseIds: true,      // Topic MACs are lower-case, tables store them upper-case
+
+  // Payload fields per message type, used for schema fingerprinting (schema.cjs).
+  // relied: what the parsers above read — alternatives separated by '|'
+  // known:  other fields we understand
+  schemas: {
+    status: {
+      relied: [
+        'sensor.temp', 'sensor.humi', 'sensor.vpd',
+        'sensors[].id', 'sensors[].tempSoil', 'sensors[].humiSoil', 'sensors[].ECSoil',
+        'outlet.*.on|outlet.*.mOnOff', 'outlet.*.modeType',
+        'light.modeType', 'light.level|light.mLevel', 'light.mOnOff',
+        'light2.modeType', 'light2.level|light2.mLevel', 'light2.mOnOff',
+        'blower.on|blower.mOnOff', 'blower.level|blower.mLevel', 'blower.modeType',
+        'fan.on|fan.mOnOff', 'fan.level|fan.mLevel', 'fan.modeType',
+        'mode', 'brightness'
+      ],
+      known: ['sensor.co2', 'blower.closeCO2']
+    },
+    system: {
+      relied: ['sys.ver', 'sys.wifi.rssi', 'sys.upTime', 'sys.mem'],
+      known: ['sys.wifi.ssid']
+    }
+  },
+
+  topics() {
+    return [
+      'ggs/+/+/status',   // Device status with sensor data (getDevSta)
+      'ggs/+/+/sensors',  // Extracted sensor data
+      'ggs/+/+/system',   // System info (getSysSta)
+      'ggs/+/+/events',   // Events/logs
+      'ggs/+/+/config',   // Device config (getConfigField responses)
+      'ggs/+/+/down'      // Server->Device commands (phone app, cloud)
+    ]
+  },
+
+  parse(topic, message) {
+    if (!message || typeof message !== 'object') return null
+
+    // ggs/ps5/80b54e8ffff4/status
+    const parts = topic.split('/')
+    const deviceId = parts[2]
+    if (!deviceId) return null
+
+    const reading = {
+      deviceId,
+      deviceType: parts[1],
+      messageType: parts[3],
+      uid: message.uid || message.data?.uid || '',
+      forwarded: !!message._forwarded
+    }
+
+    // Data may be nested under 'data' key (from getDevSta/getSysSta responses)
+    const data = message.data || message
+
+    switch (reading.messageType) {
+      case 'status':
+        // For PS5: data contains sensor, sensors, outlet, light, light2, blower
+        // For LC: data contains mode, brightness, etc.
+        if (data.sensor) reading.environment = parseEnvironment(data.sensor)
+        if (data.sensors) reading.soil = parseSoil(data.sensors)
+        if (data.outlet) reading.outlets = parseOutlets(data.outlet)
+        reading.lights = parseLights(data)
+        if (data.blower) reading.blower = parseBlower(data.blower)
+        if (data.fan) reading.fan = parseFan(data.fan)
+        break
+
+      case 'sensors':
+        // Extracted sensor data (direct, not nested)
+        reading.environment = parseEnvironment(message.sensor || message)
+        break
+
+      case 'system':
+        if (data.sys) reading.system = parseSystem(data.sys)
+        break
+
+      case 'down':
+        // Server->Device commands (phone app, cloud commands)
+        reading.down = message
+        break
+    }
+
+    return reading
+  },
+
+  encodeCommand(device, command) {
+    const envelope = {
+      pid: device.mac,
+      msgId: command.msgId || `${Date.now()}`, // Correlation ID, echoed in the device's reply
+      uid: device.uid,
+      UTC: Math.floor(Date.now() / 1000)
+    }
+
+    if (command.type === 'status') {
+      return {
+        topic: `ggs/${device.type}/${device.mac}/cmd`,
+        payload: JSON.stringify({ method: 'getDevSta', ...envelope })
+      }
+    }
+
+    if (command.type !== 'outlet') return null
+    const { outlet, on } = command
+    return {
+      topic: `ggs/${device.type}/${device.mac}/cmd`,
+      payload: JSON.stringify({
+        method: 'setConfigField',
+        params: {
+          keyPath: ['outlet', outlet],
+          [outlet]: {
+            modeType: 0,  // Manual mode
+            mOnOff: on ? 1 : 0
+          }
+        },
+        ...envelope
+      })
+    }
+  }
+}
@@ -0,0 +1,352 @@
+/**
+ * Flow Dry Run
+ * Runs a flow through the supervisor's flow engine without touching any device,
+ * and returns the timeline of actions it would have emitted (outlets, lights,
+ * blower, fan, camera captures).
+ *
+ * - Live: one evaluation against the latest sensor values and outlet states
+ * - History: steps through a window of sensors_environment / sensors_soil,
+ *   starting from the outlet states in socket_events. Outlets the flow switches
+ *   follow the simulated actions; the others follow their recorded events.
+ *
+ * dryRunFlow() returns the timeline as data; only the CLI below uses it so far (the
+ * compiled triggers editor has no dry-run view).
+ * CLI: node src/services/flow-dry-run.js [--flow file.json] [--from ISO --to ISO] [--step 60] [--ai-modes]
+ */
+
+import fs from 'fs';
+import { query } from '../db/connection.js';
+import flowEngine from './flow-engine.cjs';
+import flowStateModule from './flow-state.cjs';
+import sensorWindowModule from './sensor-window.cjs';
+import cli from '../db/cli.cjs';
+
+const { createFlowEngine, minimumDurationRemaining, mapLabStatusToVpdPhase } = flowEngine;
+const { createFlowState } = flowStateModule;
+const { createSensorWindow } = sensorWindowModule;
+const { parseArgs } = cli;
+
+const MAX_STEPS = 20000;
+const LATEST_LOOKBACK_MS = 10 * 60 * 1000; // Live values older than this are ignored
+const HYSTERESIS_COOLDOWN_MS = 5000;
+
+function toMs(ts) {
+  if (ts instanceof Date) return ts.getTime();
+  const text = String(ts).replace(' ', 'T');
+  return Date.parse(text.endsWith('Z') ? text : `${text}Z`);
+}
+
+/** Accepts a row of automation_flows, { nodes, connections } or its JSON */
+function normalizeFlow(flow) {
+  const parsed = typeof flow === 'string' ? JSON.parse(flow) : flow;
+  if (!parsed) throw new Error('Flow is required');
+  const graph = parsed.flow_json ? JSON.parse(parsed.flow_json) : parsed.flow || parsed;
+  if (!Array.isArray(graph.nodes) || !Array.isArray(graph.connections)) {
+    throw new Error('Flow must have nodes and connections');
+  }
+  return { id: parsed.id || 'dry-run', name: parsed.name || 'Dry run', enabled: true, flow: graph };
+}
+
+/** History trend nodes need before the first step */
+function warmupMs(flow) {
+  const windows = flow.flow.nodes
+    .filter(n => n.type === 'trend')
+    .map(n => (n.data?.config?.windowMinutes || 10) * 60000);
+  return Math.max(LATEST_LOOKBACK_MS, ...windows);
+}
+
+async function loadDayNightSchedule() {
+  try {
+    const result = await query('SELECT day_start, day_end FROM day_night_schedule ORDER BY timestamp DESC LIMIT 1');
+    if (result.rows.length > 0) return { dayStart: result.rows[0].day_start, dayEnd: result.rows[0].day_end };
+  } catch {
+    // Table might not exist yet, use defaults
+  }
+  return { dayStart: '06:00', dayEnd: '00:00' };
+}
+
+async function loadGrowPhase() {
+  try {
+    const result = await query(`
+      SELECT status FROM lab_plants
+      WHERE status NOT IN ('culled', 'archived')
+      ORDER BY timestamp DESC
+      LIMIT 1
+    `);
+    return result.rows.length > 0 ? mapLabStatusToVpdPhase(result.rows[0].status) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function loadAiModes() {
+  const result = await query('SELECT socket, ai_mode FROM socket_ai_mode LATEST ON timestamp PARTITION BY socket');
+  const modes = {};
+  for (const row of result.rows) modes[row.socket] = row.ai_mode === 1;
+  return modes;
+}
+
+/**
+ * Sensor buckets per device over [startMs, endMs], sorted by time
+ * @returns {Promise<Array<{ t: number, device: string, values: object }>>}
+ */
+async function loadSensorSamples(startMs, endMs, stepSeconds) {
+  const where = `timestamp >= '${new Date(startMs).toISOString()}' AND timestamp <= '${new Date(endMs).toISOString()}'`;
+  const [env, soil] = await Promise.all([
+    query(`
+      SELECT timestamp, device_mac, avg(temp) as temp, avg(humi) as humi, avg(vpd) as vpd, avg(co2) as co2
+      FROM sensors_environment WHERE ${where}
+      SAMPLE BY ${stepSeconds}s ALIGN TO CALENDAR
+    `),
+    query(`
+      SELECT timestamp, device_mac, avg(temp_soil) as temp_soil, avg(humi_soil) as humi_soil, avg(ec_soil) as ec_soil
+      FROM sensors_soil WHERE ${where}
+      SAMPLE BY ${stepSeconds}s ALIGN TO CALENDAR
+    `).catch(() => ({ rows: [] }))
+  ]);
+
+  const samples = [];
+  for (const row of [...env.rows, ...soil.rows]) {
+    const { timestamp, device_mac, ...values } = row;
+    for (const key of Object.keys(values)) {
+      if (values[key] === null || values[key] === undefined) delete values[key];
+    }
+    samples.push({ t: toMs(timestamp), device: String(device_mac || '').toLowerCase(), values });
+  }
+  return samples.sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Outlet states at startMs and the recorded changes until endMs
+ */
+async function loadSocketEvents(startMs, endMs) {
+  const start = new Date(startMs).toISOString();
+  const [initial, events] = await Promise.all([
+    query(`
+      SELECT device_mac, socket, is_on FROM socket_events
+      WHERE timestamp < '${start}'
+      LATEST ON timestamp PARTITION BY device_mac, socket
+    `),
+    query(`
+      SELECT timestamp, device_mac, socket, is_on FROM socket_events
+      WHERE timestamp >= '${start}' AND timestamp <= '${new Date(endMs).toISOString()}'
+      ORDER BY timestamp ASC
+    `)
+  ]);
+  return {
+    initial: initial.rows.map(r => ({ device: String(r.device_mac).toLowerCase(), socket: r.socket, isOn: r.is_on })),
+    events: events.rows.map(r => ({ t: toMs(r.timestamp), device: String(r.device_mac).toLowerCase(), socket: r.socket, isOn: r.is_on }))
+  };
+}
+
+/**
+ * Dry-run a flow
+ * @param {object} options
+ * @param {object|string} options.flow - Flow graph ({ nodes, connections }) or automation_flows row
+ * @param {string|number} [options.from] - Start of the historical window (omit for a live evaluation)
+ * @param {string|number} [options.to] - End of the window (default: now)
+ * @param {number} [options.stepSeconds=60] - Evaluation interval (widened to stay under MAX_STEPS)
+ * @param {boolean} [options.respectAiModes=false] - Only act on outlets currently in AI mode
+ * @returns {Promise<{ mode: string, from: string, to: string, stepSeconds: number, steps: number,
+ *   actions: Array<object>, devices: Array<object>, blower: Array<object>, outlets: object }>}
+ */
+export async function dryRunFlow(options) {
+  const flow = normalizeFlow(options.flow);
+  const live = options.from === undefined || options.from === null || options.from === '';
+  const endMs = live || !options.to ? Date.now() : new Date(options.to).getTime();
+  let stepSeconds = Math.max(1, parseInt(options.stepSeconds) || 60);
+  const startMs = live ? endMs : new Date(options.from).getTime();
+  if (Number.isNaN(startMs) || Number.isNaN(endMs) || startMs > endMs) throw new Error('Invalid time window');
+  if ((endMs - startMs) / 1000 / stepSeconds > MAX_STEPS) {
+    stepSeconds = Math.ceil((endMs - startMs) / 1000 / MAX_STEPS);
+  }
+
+  const warmup = warmupMs(flow);
+  const [samples, sockets, dayNight, growPhase, aiModes] = await Promise.all([
+    loadSensorSamples(startMs - warmup, endMs, stepSeconds),
+    loadSocketEvents(startMs, endMs),
+    loadDayNightSchedule(),
+    loadGrowPhase(),
+    options.respectAiModes ? loadAiModes() : null
+  ]);
+
+  // Simulated world
+  let clockMs = startMs - warmup;
+  const sensorValues = new Map(); // device -> values
+  const mergedValues = {};
+  const outletStates = new Map(); // device -> { O1: 0|1 }
+  const simulated = new Set(); // device:socket the flow has switched
+  const lastActionTimes = new Map();
+  const holds = new Map(); // device:socket -> heldUntil already reported
+  const outletKey = (deviceMac, socket) => `${String(deviceMac || '').toLowerCase()}:${socket}`;
+
+  const setOutlet = (device, socket, isOn) => {
+    if (!outletStates.has(device)) outletStates.set(device, {});
+    outletStates.get(device)[socket] = isOn;
+    flowState.setOutlet(outletKey(device, socket), isOn);
+  };
+  const getSocketState = (deviceMac, socket) => {
+    if (deviceMac) return outletStates.get(deviceMac.toLowerCase())?.[socket];
+    for (const states of outletStates.values()) {
+      if (states[socket] !== undefined) return states[socket];
+    }
+    return undefined;
+  };
+
+  const clock = () => clockMs;
+  const flowState = createFlowState({ clock });
+  const sensorWindow = createSensorWindow();
+  const engine = createFlowEngine({
+    getSensorValues: (deviceMac) => (deviceMac && sensorValues.get(deviceMac.toLowerCase())) || mergedValues,
+    getSocketState,
+    isAiMode: (deviceMac, socket) => !aiModes || !!(aiModes[deviceMac ? `${deviceMac}:${socket}` : socket] || aiModes[socket]),
+    flowState,
+    sensorWindow,
+    clock,
+    log: () => {}
+  });
+  engine.setDayNightSchedule(dayNight);
+  engine.setGrowPhase(growPhase);
+  engine.setFlows([flow]);
+
+  for (const { device, socket, isOn } of sockets.initial) setOutlet(device, socket, isOn);
+
+  const actions = [];
+  const devices = [];
+  const blower = [];
+  let sampleIndex = 0;
+  let eventIndex = 0;
+  let steps = 0;
+
+  const advance = (t) => {
+    clockMs = t;
+    while (sampleIndex < samples.length && samples[sampleIndex].t <= t) {
+      const { t: sampleT, device, values } = samples[sampleIndex++];
+      sensorValues.set(device, { ...sensorValues.get(device), ...values });
+      Object.assign(mergedValues, values);
+      sensorWindow.push(device, values, sampleT);
+    }
+    while (eventIndex < sockets.events.length && sockets.events[eventIndex].t <= t) {
+      const { device, socket, isOn } = sockets.events[eventIndex++];
+      if (!simulated.has(outletKey(device, socket))) setOutlet(device, socket, isOn);
+    }
+  };
+
+  // Fill the trend buffers up to the first step
+  advance(startMs);
+
+  for (let t = startMs; t <= endMs; t += stepSeconds * 1000) {
+    advance(t);
+    steps++;
+    const result = engine.evaluate();
+
+    if (result.blowerSpeed !== null) {
+      blower.push({ timestamp: new Date(t).toISOString(), speed: result.blowerSpeed });
+    }
+    for (const { key, capturedAt, notifiedAt, ...command } of result.deviceActions) {
+      devices.push({ timestamp: new Date(t).toISOString(), ...command });
+    }
+
+    for (const action of result.actions) {
+      const key = outletKey(action.deviceMac, action.socket);
+      const targetState = action.action === 'on' ? 1 : 0;
+      if (getSocketState(action.deviceMac, action.socket) === targetState) continue;
+      if (t - (lastActionTimes.get(key) || -Infinity) < HYSTERESIS_COOLDOWN_MS) continue;
+
+      const entry = {
+        timestamp: new Date(t).toISOString(),
+        deviceMac: action.deviceMac || null,
+        socket: action.socket,
+        action: action.action,
+        reason: action.reason
+      };
+      const remaining = minimumDurationRemaining(flowState.getOutlet(key), targetState, action.minOnSeconds, action.minOffSeconds, t);
+      if (remaining > 0) {
+        entry.heldUntil = new Date(t + remaining).toISOString();
+        // Report each hold once, not on every step it lasts
+        if (holds.get(key) !== entry.heldUntil) actions.push(entry);
+        holds.set(key, entry.heldUntil);
+        continue;
+      }
+
+      actions.push(entry);
+      lastActionTimes.set(key, t);
+      simulated.add(key);
+      setOutlet(String(action.deviceMac || '').toLowerCase(), action.socket, targetState);
+    }
+  }
+
+  return {
+    mode: live ? 'live' : 'history',
+    from: new Date(startMs).toISOString(),
+    to: new Date(endMs).toISOString(),
+    stepSeconds,
+    steps,
+    actions,
+    devices,
+    blower,
+    outlets: Object.fromEntries(outletStates)
+  };
+}
+
+/**
+ * The saved global flow (what the supervisor runs)
+ */
+export async function loadGlobalFlow() {
+  const result = await query(`
+    SELECT id, name, flow_json FROM automation_flows
+    WHERE id = 'global'
+    ORDER BY updated_at DESC
+    LIMIT 1
+  `);
+  if (result.rows.length === 0) throw new Error('No global flow saved');
+  return result.rows[0];
+}
+
+export default { dryRunFlow, loadGlobalFlow };
+
+// ── CLI ───────────────────────────────────────────────────
+
+const isDirectRun = process.argv[1]?.includes('flow-dry-run');
+const USAGE = `Usage: npm run flows:dry-run -- [--flow file.json] [--from ISO [--to ISO]] [--step 60] [--ai-modes]
+
+  --flow      Flow JSON ({ nodes, connections } or an automation_flows row); default: the saved global flow
+  --from/--to Window of recorded sensor data to step through (--to defaults to now); without
+              --from, one evaluation against the latest values
+  --step      Seconds between evaluations (default 60)
+  --ai-modes  Only act on outlets currently in AI mode`;
+
+if (isDirectRun) {
+  const args = parseArgs(process.argv.slice(2), { flags: ['ai-modes', 'help'] });
+  const known = ['_', 'flow', 'from', 'to', 'step', 'ai-modes', 'help'];
+  const unknown = Object.keys(args).filter(name => !known.includes(name));
+  if (args.help || unknown.length > 0 || args._.length > 0 || (args.to && !args.from)) {
+    if (unknown.length > 0) console.error(`Unknown option: --${unknown.join(', --')}`);
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+  try {
+    const flow = args.flow ? fs.readFileSync(args.flow, 'utf-8') : await loadGlobalFlow();
+    const result = await dryRunFlow({
+      flow,
+      from: args.from,
+      to: args.to,
+      stepSeconds: args.step,
+      respectAiModes: !!args['ai-modes']
+    });
+    console.log(`[DryRun] ${result.mode} ${result.from} → ${result.to}, ${result.steps} steps of ${result.stepSeconds}s`);
+    for (const a of result.actions) {
+      const held = a.heldUntil ? ` (held until ${a.heldUntil})` : '';
+      console.log(`${a.timestamp}  ${a.deviceMac || '-'}:${a.socket} ${a.action.toUpperCase()}${held}  ${a.reason}`);
+    }
+    for (const { timestamp, target, reason, ...command } of result.devices) {
+      console.log(`${timestamp}  ${target} ${JSON.stringify(command)}  ${reason}`);
+    }
+    for (const b of result.blower) console.log(`${b.timestamp}  blower ${b.speed}%`);
+    if (result.actions.length + result.devices.length + result.blower.length === 0) console.log('[DryRun] No actions');
+  } catch (err) {
+    console.error('[DryRun] Error:', err.message);
+    process.exitCode = 1;
+  }
+  process.exit();
+}
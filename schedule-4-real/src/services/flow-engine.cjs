@@ -0,0 +1,1198 @@
+/**
+ * Flow Engine
+ * Evaluation logic of the automation flows, shared by the supervisor (live)
+ * and the flow dry run (live snapshot or historical replay).
+ *
+ * The engine does no I/O: sensor values, outlet states, AI modes and the clock
+ * come from the context, evaluate() returns the outlet actions, device commands
+ * (light, blower, fan, camera) and blower speed the flows ask for.
+ * Executing them is up to the caller.
+ */
+
+const { pidStep, dutyOutput, pwmAction, CONTROLLER_TYPES } = require('./pid-controller.cjs');
+
+/**
+ * Time left before an outlet may leave its current state (minOnSeconds / minOffSeconds)
+ * @returns {number} ms, 0 when the action is allowed
+ */
+function minimumDurationRemaining(outlet, targetState, minOnSeconds, minOffSeconds, now) {
+  if (!outlet || outlet.state === targetState) return 0;
+  const minSeconds = outlet.state === 1 ? minOnSeconds : minOffSeconds;
+  if (!minSeconds) return 0;
+  return Math.max(0, outlet.since + minSeconds * 1000 - now);
+}
+
+/**
+ * Map Laboratory plant status to VPD phase
+ * Lab statuses are more granular, VPD phases are simpler
+ */
+function mapLabStatusToVpdPhase(labStatus) {
+  const mapping = {
+    'germinating': 'germination',
+    'seedling': 'seedling',
+    'early_veg': 'vegetative',
+    'mid_veg': 'vegetative',
+    'late_veg': 'vegetative',
+    'pre_flower': 'flower',
+    'early_flower': 'flower',
+    'mid_flower': 'flower',
+    'late_flower': 'flower',
+    'flush': 'flush',
+    'harvest': 'flush', // harvest uses same VPD as flush
+    'drying': 'drying',
+    'curing': 'curing'
+  };
+  return mapping[labStatus] || null;
+}
+
+/**
+ * @param {object} context
+ * @param {(deviceMac?: string) => object} context.getSensorValues - Device values, merged values without a device
+ * @param {(deviceMac: string, socket: string) => number|undefined} context.getSocketState
+ * @param {(deviceMac: string, socket: string) => boolean} context.isAiMode
+ * @param {object} context.flowState - From createFlowState()
+ * @param {object} context.sensorWindow - From createSensorWindow()
+ * @param {(lightId: string) => number|undefined} [context.getLightLevel] - Current level, start of light ramps
+ * @param {() => number} [context.clock=Date.now]
+ * @param {(...args: any[]) => void} [context.log=console.log]
+ */
+function createFlowEngine(context) {
+  const {
+    getSensorValues,
+    getSocketState,
+    isAiMode,
+    flowState,
+    sensorWindow,
+    getLightLevel = () => undefined,
+    clock = Date.now,
+    log = console.log
+  } = context;
+
+  let flows = [];
+  let dayNightSchedule = { dayStart: '06:00', dayEnd: '00:00' };
+  // VPD Intelligent Control State
+  let vpdNodeConfig = null; // Parsed from flow vpd_control node
+  let vpdEscalationState = {
+    roles: {}, // { roleName: { activatedAt, vpdAtActivation, maxedOut } }
+    currentDirection: 'in_range', // 'too_high' | 'too_low' | 'in_range'
+  };
+  let activeGrowPhase = null; // Current grow phase from DB
+
+  // Blower Curve Control State
+  let blowerCurveConfig = null; // Parsed from flow blower_curve node
+  let blowerCurveEscalationState = {}; // { curveId: { lastValue, lastCheck, escalationBoost } }
+  let lastBlowerSpeed = null; // Last commanded speed to avoid redundant commands
+
+  // Device action state (action nodes with a light / blower / fan / camera target)
+  const lastDeviceCommands = new Map(); // command key -> signature of the last command
+  const lightRamps = new Map(); // node id -> { from, to, startedAt, durationMs }
+  const lastCaptures = new Map(); // node id -> last capture time (while the node stays active)
+  const lastNotifications = new Map(); // node id -> last alert time (while the node stays active)
+
+  // PID / duty-cycle controller state
+  const controllerStates = new Map(); // node id -> { integral, lastMeasured, lastTime, output, cycleStart, onMs }
+
+  /**
+   * Load VPD config from the flow's vpd_control node
+   */
+  function loadVpdFromFlow() {
+    vpdNodeConfig = null;
+    for (const flow of flows) {
+      for (const node of flow.flow.nodes) {
+        if (node.type === 'vpd_control') {
+          vpdNodeConfig = node.data.config;
+          log('[Supervisor] VPD Control node found:', {
+            mode: vpdNodeConfig.mode,
+            roles: vpdNodeConfig.roles?.length || 0,
+            timeout: vpdNodeConfig.escalationTimeoutSeconds
+          });
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Load Blower Curve config from the flow's blower_curve node
+   */
+  function loadBlowerCurveFromFlow() {
+    blowerCurveConfig = null;
+    for (const flow of flows) {
+      if (!flow.enabled) continue;
+      for (const node of flow.flow.nodes) {
+        if (node.type === 'blower_curve') {
+          blowerCurveConfig = node.data.config;
+          const enabledCurves = blowerCurveConfig.curves?.filter(c => c.enabled) || [];
+          log('[Supervisor] Blower Curve node found:', {
+            standbySpeed: blowerCurveConfig.standbySpeed,
+            curves: enabledCurves.map(c => c.sensor).join(', ') || 'none'
+          });
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Get current VPD target range based on mode and plant stage
+   */
+  function getVpdTargetRange() {
+    if (!vpdNodeConfig) return null;
+
+    if (vpdNodeConfig.mode === 'manual') {
+      return vpdNodeConfig.manualTarget;
+    }
+
+    // Support both 'grow_phase' (legacy) and 'plant_stage' (new)
+    if ((vpdNodeConfig.mode === 'grow_phase' || vpdNodeConfig.mode === 'plant_stage') && activeGrowPhase) {
+      const target = vpdNodeConfig.phaseTargets?.[activeGrowPhase];
+      if (target && target.min > 0 && target.max > 0) {
+        return target;
+      }
+      // Phase disabled (sentinel -1)
+      return null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve period ('day'/'night'/'custom') to actual start/end times
+   */
+  function resolvePeriodTimes(period, startTime, endTime) {
+    if (!period || period === 'custom') {
+      return { startTime, endTime };
+    }
+    if (period === 'day') {
+      return { startTime: dayNightSchedule.dayStart, endTime: dayNightSchedule.dayEnd };
+    }
+    if (period === 'night') {
+      return { startTime: dayNightSchedule.dayEnd, endTime: dayNightSchedule.dayStart };
+    }
+    return { startTime, endTime };
+  }
+
+  /**
+   * Check if current time is within a time range (handles overnight ranges)
+   */
+  function isWithinTimeRange(startTime, endTime) {
+    const now = new Date(clock());
+    const [startH, startM] = startTime.split(':').map(Number);
+    const [endH, endM] = endTime.split(':').map(Number);
+    const startMinutes = startH * 60 + startM;
+    const endMinutes = endH * 60 + endM;
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+    if (startMinutes <= endMinutes) {
+      return nowMinutes >= startMinutes && nowMinutes < endMinutes;
+    } else {
+      return nowMinutes >= startMinutes || nowMinutes < endMinutes;
+    }
+  }
+
+  /**
+   * Compare a sensor value against a threshold with an operator
+   */
+  function compareValue(currentValue, operator, threshold, value, hysteresis) {
+    switch (operator) {
+      case '>': return currentValue > threshold;
+      case '<': return currentValue < threshold;
+      case '>=': return currentValue >= threshold;
+      case '<=': return currentValue <= threshold;
+      case '==': return Math.abs(currentValue - value) <= (hysteresis || 0.1);
+      case '!=': return Math.abs(currentValue - value) > (hysteresis || 0.1);
+      default: return false;
+    }
+  }
+
+  /**
+   * Threshold shifted by the hysteresis band while the node is active
+   * (a '>' condition that turned on at 28 stays on until it drops below 28 - hysteresis)
+   */
+  function hysteresisThreshold(operator, value, hysteresis, wasActive) {
+    if (!wasActive || !(hysteresis > 0)) return value;
+    if (operator === '>' || operator === '>=') return value - hysteresis;
+    if (operator === '<' || operator === '<=') return value + hysteresis;
+    return value;
+  }
+
+  /**
+   * Evaluate a condition node against current sensor values
+   * Supports timeSlots: each slot has its own period, time range, weekmask, operator, value, hysteresis
+   * Supports multi-device: deviceMac specifies which device's sensor to read
+   */
+  function evaluateCondition(config, wasActive = false) {
+    const { sensor, deviceMac } = config;
+
+    // Get sensor value from specific device or legacy global
+    const sensorValues = getSensorValues(deviceMac);
+    const currentValue = sensorValues[sensor];
+
+    if (currentValue === undefined || currentValue === null) {
+      return false;
+    }
+
+    // If timeSlots array exists, evaluate per-slot
+    if (config.timeSlots && config.timeSlots.length > 0) {
+      const now = new Date(clock());
+      const dayOfWeek = now.getDay();
+      const ourDay = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
+
+      for (const slot of config.timeSlots) {
+        // Check weekmask
+        if (!(slot.weekmask & (1 << ourDay))) continue;
+
+        // Resolve period to actual times
+        const resolved = resolvePeriodTimes(slot.period, slot.startTime, slot.endTime);
+
+        // Check time range (00:00-00:00 means 24h, always active)
+        if (resolved.startTime && resolved.endTime) {
+          const isFullDay = resolved.startTime === '00:00' && resolved.endTime === '00:00';
+          if (!isFullDay && !isWithinTimeRange(resolved.startTime, resolved.endTime)) continue;
+        }
+
+        // This slot is active - evaluate the condition with its operator/value/hysteresis
+        const { operator, value, hysteresis = 0 } = slot;
+        const threshold = hysteresisThreshold(operator, value, hysteresis, wasActive);
+
+        return compareValue(currentValue, operator, threshold, value, hysteresis);
+      }
+
+      // No slot matched current time/day
+      return false;
+    }
+
+    // Legacy flat config (backward compatibility)
+    const { operator, value, hysteresis = 0 } = config;
+    const threshold = hysteresisThreshold(operator, value, hysteresis, wasActive);
+
+    return compareValue(currentValue, operator, threshold, value, hysteresis);
+  }
+
+  /**
+   * Evaluate a trend node over the recent readings of a sensor
+   * Modes:
+   * - rate:    change per perMinutes (default 10) over windowMinutes, compared with operator/value
+   *            ("temp > 1" = rising faster than 1 °C per 10 min)
+   * - average: mean over windowMinutes, compared with operator/value
+   * - stuck:   active when the sensor moved less than tolerance over the whole window
+   * False until the buffer holds enough history for the window. A node without a device
+   * follows the only device reporting the sensor, and stays false while several do.
+   * @returns {{ active: boolean, measured: number|null }}
+   */
+  function evaluateTrend(config, wasActive = false) {
+    const { sensor, deviceMac, mode = 'rate', windowMinutes = 10, perMinutes = 10 } = config;
+    const devices = deviceMac ? [deviceMac] : sensorWindow.devices(sensor);
+    if (devices.length !== 1) return { active: false, measured: null };
+    const device = devices[0];
+    const windowMs = windowMinutes * 60000;
+
+    if (mode === 'stuck') {
+      const spread = sensorWindow.spread(device, sensor, windowMs, clock());
+      if (spread === null) return { active: false, measured: null };
+      return { active: spread <= (config.tolerance || 0), measured: spread };
+    }
+
+    const measured = mode === 'average'
+      ? sensorWindow.average(device, sensor, windowMs, clock())
+      : sensorWindow.rate(device, sensor, windowMs, perMinutes, clock());
+    if (measured === null) return { active: false, measured: null };
+
+    const { operator, value, hysteresis = 0 } = config;
+    const threshold = hysteresisThreshold(operator, value, hysteresis, wasActive);
+    return { active: compareValue(measured, operator, threshold, value, hysteresis), measured };
+  }
+
+  /**
+   * Human-readable reason for an action fired by a trend node
+   */
+  function describeTrend(config, measured) {
+    const shown = measured === null || measured === undefined ? 'n/a' : Math.round(measured * 100) / 100;
+    const window = `${config.windowMinutes || 10}min`;
+    if (config.mode === 'stuck') return `${config.sensor} unchanged for ${window} (spread: ${shown})`;
+    if (config.mode === 'average') return `${config.sensor} avg ${window} ${config.operator} ${config.value} (actual: ${shown})`;
+    return `${config.sensor} rate ${config.operator} ${config.value}/${config.perMinutes || 10}min over ${window} (actual: ${shown})`;
+  }
+
+  /**
+   * Evaluate a schedule node
+   */
+  function evaluateSchedule(config) {
+    const { scheduleType, startTime, endTime, weekmask = 127, intervalMinutes, durationSeconds } = config;
+    const now = new Date(clock());
+    const dayOfWeek = now.getDay(); // 0 = Sunday
+
+    // Check weekmask (bit 0 = Monday, bit 6 = Sunday in our system)
+    // Convert JS dayOfWeek (0=Sun) to our system (0=Mon)
+    const ourDay = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
+    if (!(weekmask & (1 << ourDay))) {
+      return false;
+    }
+
+    if (scheduleType === 'time_range') {
+      // Resolve period to actual times
+      const resolved = resolvePeriodTimes(config.period, startTime, endTime);
+      if (!resolved.startTime || !resolved.endTime) return false;
+
+      return isWithinTimeRange(resolved.startTime, resolved.endTime);
+    }
+
+    if (scheduleType === 'interval') {
+      if (!intervalMinutes || !durationSeconds) return false;
+
+      // Resolve active period to actual times
+      const activeResolved = resolvePeriodTimes(
+        config.activePeriod,
+        config.activeStartTime || '00:00',
+        config.activeEndTime || '23:59'
+      );
+
+      // Check if current time is within active hours
+      if (!isWithinTimeRange(activeResolved.startTime, activeResolved.endTime)) return false;
+
+      // Calculate position in interval cycle
+      const totalSeconds = now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds();
+      const intervalSeconds = intervalMinutes * 60;
+      const positionInCycle = totalSeconds % intervalSeconds;
+
+      return positionInCycle < durationSeconds;
+    }
+
+    return false;
+  }
+
+  /**
+   * Evaluate a state check node
+   * Supports timeRestricted: only active during specified period/time range
+   * Supports multi-device: deviceMac specifies which device's socket to check
+   */
+  function evaluateStateCheck(config) {
+    const { socket, checkState, timeRestricted, deviceMac } = config;
+
+    // Get socket state from specific device or legacy global
+    const currentState = getSocketState(deviceMac, socket);
+
+    if (currentState === undefined) return false;
+
+    let stateMatches = false;
+    if (checkState === 'on') stateMatches = currentState === 1;
+    else if (checkState === 'off') stateMatches = currentState === 0;
+
+    if (!stateMatches) return false;
+
+    // Apply time restriction if configured
+    if (timeRestricted) {
+      const resolved = resolvePeriodTimes(config.period, config.startTime, config.endTime);
+      if (resolved.startTime && resolved.endTime) {
+        const isFullDay = resolved.startTime === '00:00' && resolved.endTime === '00:00';
+        if (!isFullDay && !isWithinTimeRange(resolved.startTime, resolved.endTime)) {
+          return false;
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Evaluate a logic gate node (AND/OR)
+   */
+  function evaluateLogicGate(config, inputResults) {
+    const { operator } = config;
+
+    if (!inputResults || inputResults.length === 0) return false;
+
+    if (operator === 'and') {
+      return inputResults.every(r => r === true);
+    } else if (operator === 'or') {
+      return inputResults.some(r => r === true);
+    }
+
+    return false;
+  }
+
+  /**
+   * Evaluate a flow and determine actions to take
+   * @param {object} flow
+   * @param {Array<object>} deviceRequests - Collects active non-outlet action nodes
+   */
+  function evaluateFlow(flow, deviceRequests, controllerRequests) {
+    const { nodes, connections } = flow.flow;
+    const actions = [];
+
+    // Build adjacency list for graph traversal
+    const adjacencyList = new Map();
+    for (const conn of connections) {
+      if (!adjacencyList.has(conn.source)) {
+        adjacencyList.set(conn.source, []);
+      }
+      adjacencyList.get(conn.source).push(conn.target);
+    }
+
+    // Find entry nodes (nodes with no incoming connections)
+    const hasIncoming = new Set(connections.map(c => c.target));
+    const entryNodes = nodes.filter(n => !hasIncoming.has(n.id));
+
+    // Track evaluation results (this tick); levels from previous ticks live in flowState
+    const nodeResults = new Map();
+    const mandatoryConditions = new Map(); // socket -> [condition results]
+    const trendMeasurements = new Map(); // trend node id -> measured value (for reasons)
+
+    // Build reason from connected conditions
+    const describeInputs = (incomingConnections) => {
+      const reasons = [];
+      for (const conn of incomingConnections) {
+        const sourceNode = nodes.find(n => n.id === conn.source);
+        if (sourceNode?.type === 'condition') {
+          const cfg = sourceNode.data.config;
+          // Use device-specific sensor values if condition has deviceMac
+          const sensorVals = getSensorValues(cfg.deviceMac);
+          const val = sensorVals[cfg.sensor];
+          reasons.push(`${cfg.sensor} ${cfg.operator} ${cfg.value} (actual: ${val})`);
+        } else if (sourceNode?.type === 'trend') {
+          reasons.push(describeTrend(sourceNode.data.config, trendMeasurements.get(sourceNode.id)));
+        }
+      }
+      return reasons.join(', ') || 'Condition met';
+    };
+
+    // Mandatory conditions force connected actions OFF while their level is false
+    const trackMandatory = (node, level) => {
+      if (!node.data.config.mandatory) return;
+      // Find connected action nodes
+      const connected = adjacencyList.get(node.id) || [];
+      for (const targetId of connected) {
+        const targetNode = nodes.find(n => n.id === targetId);
+        if (targetNode?.type === 'action') {
+          const socket = targetNode.data.config.socket;
+          if (!mandatoryConditions.has(socket)) {
+            mandatoryConditions.set(socket, []);
+          }
+          mandatoryConditions.get(socket).push(level);
+        }
+      }
+    };
+
+    // BFS evaluation
+    const queue = [...entryNodes];
+    const visited = new Set();
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (visited.has(node.id)) continue;
+      visited.add(node.id);
+
+      let result = false;
+      const trigger = node.data.config?.trigger;
+
+      switch (node.type) {
+        case 'condition':
+          const wasActive = flowState.wasActive(flow.id, node.id);
+          const active = evaluateCondition(node.data.config, wasActive);
+          result = flowState.record(flow.id, node.id, active, {
+            trigger,
+            value: getSensorValues(node.data.config.deviceMac)[node.data.config.sensor]
+          });
+
+          // Track mandatory status (the level, not the edge)
+          trackMandatory(node, active);
+          break;
+
+        case 'trend':
+          const trend = evaluateTrend(node.data.config, flowState.wasActive(flow.id, node.id));
+          trendMeasurements.set(node.id, trend.measured);
+          result = flowState.record(flow.id, node.id, trend.active, {
+            trigger,
+            value: trend.measured === null ? undefined : trend.measured
+          });
+          trackMandatory(node, trend.active);
+          break;
+
+        case 'schedule':
+          result = flowState.record(flow.id, node.id, evaluateSchedule(node.data.config), { trigger });
+          break;
+
+        case 'state':
+          result = flowState.record(flow.id, node.id, evaluateStateCheck(node.data.config), { trigger });
+          break;
+
+        case 'logic':
+          // Get all input results for this logic gate
+          const logicInputs = connections
+            .filter(c => c.target === node.id)
+            .map(c => nodeResults.get(c.source))
+            .filter(r => r !== undefined);
+          result = evaluateLogicGate(node.data.config, logicInputs);
+
+          // Apply time restriction if configured
+          if (result && node.data.config.timeRestricted) {
+            const resolved = resolvePeriodTimes(
+              node.data.config.period,
+              node.data.config.startTime,
+              node.data.config.endTime
+            );
+            if (resolved.startTime && resolved.endTime) {
+              result = isWithinTimeRange(resolved.startTime, resolved.endTime);
+            }
+          }
+          result = flowState.record(flow.id, node.id, result, { trigger });
+          break;
+
+        case 'action':
+          // Check if any incoming connection has true result
+          const incomingConnections = connections.filter(c => c.target === node.id);
+          const anyInputTrue = incomingConnections.some(c => nodeResults.get(c.source) === true);
+
+          // Light / blower / fan / camera / notify targets are resolved after all flows ran
+          const target = node.data.config.target || 'outlet';
+          if (target !== 'outlet') {
+            if (anyInputTrue) {
+              deviceRequests.push({ flowId: flow.id, flowName: flow.name, nodeId: node.id, config: node.data.config, reason: describeInputs(incomingConnections) });
+            }
+            break;
+          }
+
+          if (anyInputTrue) {
+            const { deviceMac: actionDeviceMac, socket, action, minOnSeconds, minOffSeconds } = node.data.config;
+
+            // Use device-specific AI mode key or legacy socket key
+            const aiModeKey = actionDeviceMac ? `${actionDeviceMac}:${socket}` : socket;
+
+            // Check if socket is in AI mode (fallback to legacy key for backward compat)
+            if (!isAiMode(actionDeviceMac, socket)) {
+              log(`[Supervisor] Socket ${aiModeKey} not in AI mode, skipping`);
+              break;
+            }
+
+            // Check mandatory conditions (keyed by device:socket for multi-device)
+            const mandatoryKey = actionDeviceMac ? `${actionDeviceMac}:${socket}` : socket;
+            const mandatories = mandatoryConditions.get(mandatoryKey) || mandatoryConditions.get(socket);
+            if (mandatories && mandatories.length > 0) {
+              const allMandatoriesMet = mandatories.every(m => m === true);
+              if (!allMandatoriesMet) {
+                log(`[Supervisor] Mandatory conditions not met for ${mandatoryKey}, forcing OFF`);
+                actions.push({ deviceMac: actionDeviceMac, socket, action: 'off', reason: 'Mandatory condition not met', minOnSeconds, minOffSeconds });
+                break;
+              }
+            }
+
+            actions.push({ deviceMac: actionDeviceMac, socket, action, reason: describeInputs(incomingConnections), minOnSeconds, minOffSeconds });
+          }
+          break;
+
+        case 'pid_control':
+        case 'duty_cycle': {
+          // Controllers run after all flows; with inputs, only while one of them is true
+          const inputs = connections.filter(c => c.target === node.id);
+          const enabled = inputs.length === 0 || inputs.some(c => nodeResults.get(c.source) === true);
+          controllerRequests.push({ node, enabled });
+          break;
+        }
+      }
+
+      nodeResults.set(node.id, result);
+
+      // Add connected nodes to queue
+      const connected = adjacencyList.get(node.id) || [];
+      for (const targetId of connected) {
+        const targetNode = nodes.find(n => n.id === targetId);
+        if (targetNode) {
+          queue.push(targetNode);
+        }
+      }
+    }
+
+    return actions;
+  }
+
+  /**
+   * Intelligent VPD auto-calibration engine
+   * - Tracks device effectiveness over time
+   * - Escalates to secondary devices when primary ones max out
+   * - Uses hysteresis to prevent oscillation
+   * - Supports multi-device: sensorDeviceMac for VPD reading, deviceMac per role for actions
+   */
+  function evaluateVpdIntelligent() {
+    if (!vpdNodeConfig || !vpdNodeConfig.roles || vpdNodeConfig.roles.length === 0) return [];
+
+    // Get VPD from specified sensor device or legacy global
+    const sensorValues = getSensorValues(vpdNodeConfig.sensorDeviceMac);
+    const currentVpd = sensorValues.vpd;
+    if (!currentVpd || currentVpd <= 0) return [];
+
+    const target = getVpdTargetRange();
+    if (!target) return []; // Phase disabled or no target
+
+    const { min: targetMin, max: targetMax } = target;
+    const actions = [];
+    const now = clock();
+    const timeoutMs = (vpdNodeConfig.escalationTimeoutSeconds || 180) * 1000;
+
+    // Calculate hysteresis comfort zone (inner X% of range)
+    const rangeWidth = targetMax - targetMin;
+    const hystPercent = (vpdNodeConfig.hysteresisPercent || 60) / 100;
+    const hystMargin = rangeWidth * (1 - hystPercent) / 2;
+    const comfortMin = targetMin + hystMargin;
+    const comfortMax = targetMax - hystMargin;
+
+    // Determine direction
+    let direction = 'in_range';
+    if (currentVpd > targetMax) direction = 'too_high';
+    else if (currentVpd < targetMin) direction = 'too_low';
+
+    // If direction changed, reset escalation state
+    if (direction !== vpdEscalationState.currentDirection) {
+      vpdEscalationState.roles = {};
+      vpdEscalationState.currentDirection = direction;
+    }
+
+    // Helper: get socket and deviceMac for a role
+    function getRoleAssignment(roleName) {
+      const assignment = vpdNodeConfig.roles.find(r => r.role === roleName);
+      return assignment ? { socket: assignment.socket, deviceMac: assignment.deviceMac } : null;
+    }
+
+    // Helper: check if a role's device has maxed out (not improving VPD)
+    function isMaxedOut(roleName) {
+      const state = vpdEscalationState.roles[roleName];
+      if (!state) return false;
+      if (state.maxedOut) return true;
+
+      // Check if enough time has passed since activation
+      if (now - state.activatedAt >= timeoutMs) {
+        const movingRight = (direction === 'too_high' && currentVpd < state.vpdAtActivation) ||
+                            (direction === 'too_low' && currentVpd > state.vpdAtActivation);
+        const improvement = Math.abs(state.vpdAtActivation - currentVpd);
+
+        if (!movingRight || improvement < 0.02) {
+          // Device not helping - mark as maxed out
+          state.maxedOut = true;
+          log(`[VPD] Role "${roleName}" maxed out. VPD at activation: ${state.vpdAtActivation.toFixed(2)}, now: ${currentVpd.toFixed(2)}`);
+          return true;
+        }
+        // Device is working but hasn't reached target yet - reset timer
+        state.activatedAt = now;
+        state.vpdAtActivation = currentVpd;
+      }
+      return false;
+    }
+
+    // Helper: activate a role (with multi-device support)
+    function activateRole(roleName, reason) {
+      const assignment = getRoleAssignment(roleName);
+      if (!assignment || !assignment.socket) return;
+
+      const { socket, deviceMac } = assignment;
+
+      // Check AI mode (try device-specific key first, then legacy)
+      if (!isAiMode(deviceMac, socket)) return;
+
+      if (!vpdEscalationState.roles[roleName]) {
+        vpdEscalationState.roles[roleName] = {
+          activatedAt: now,
+          vpdAtActivation: currentVpd,
+          maxedOut: false
+        };
+      }
+      actions.push({ deviceMac, socket, action: 'on', reason: `VPD: ${reason}` });
+    }
+
+    // Helper: deactivate a role (with multi-device support)
+    function deactivateRole(roleName, reason) {
+      const assignment = getRoleAssignment(roleName);
+      if (!assignment || !assignment.socket) return;
+
+      const { socket, deviceMac } = assignment;
+
+      // Check AI mode (try device-specific key first, then legacy)
+      if (!isAiMode(deviceMac, socket)) return;
+
+      delete vpdEscalationState.roles[roleName];
+      actions.push({ deviceMac, socket, action: 'off', reason: `VPD: ${reason}` });
+    }
+
+    if (direction === 'too_high') {
+      // VPD too high -> need to lower: humidifier first, then cooler
+      activateRole('humidifier', `VPD ${currentVpd.toFixed(2)} > ${targetMax}`);
+
+      if (isMaxedOut('humidifier')) {
+        activateRole('cooler', `Humidifier maxed, VPD ${currentVpd.toFixed(2)} > ${targetMax}`);
+      }
+
+      // Deactivate opposing roles
+      deactivateRole('extractor', 'VPD too high');
+      deactivateRole('heater', 'VPD too high');
+
+    } else if (direction === 'too_low') {
+      // VPD too low -> need to raise: extractor first, then heater
+      activateRole('extractor', `VPD ${currentVpd.toFixed(2)} < ${targetMin}`);
+
+      if (isMaxedOut('extractor')) {
+        activateRole('heater', `Extractor maxed, VPD ${currentVpd.toFixed(2)} < ${targetMin}`);
+      }
+
+      // Deactivate opposing roles
+      deactivateRole('humidifier', 'VPD too low');
+      deactivateRole('cooler', 'VPD too low');
+
+    } else {
+      // In range - check if in comfort zone before deactivating (hysteresis)
+      if (currentVpd >= comfortMin && currentVpd <= comfortMax) {
+        // Well within range - deactivate in reverse priority order
+        deactivateRole('cooler', 'VPD in comfort zone');
+        deactivateRole('heater', 'VPD in comfort zone');
+        deactivateRole('humidifier', 'VPD in comfort zone');
+        deactivateRole('extractor', 'VPD in comfort zone');
+      }
+      // If in range but not in comfort zone, keep current state (hysteresis)
+    }
+
+    // Circulator always ON when VPD control is active (with multi-device support)
+    const circAssignment = getRoleAssignment('circulator');
+    if (circAssignment && circAssignment.socket) {
+      const { socket: circSocket, deviceMac: circDeviceMac } = circAssignment;
+      if (isAiMode(circDeviceMac, circSocket)) {
+        actions.push({ deviceMac: circDeviceMac, socket: circSocket, action: 'on', reason: 'VPD: circulation' });
+      }
+    }
+
+    return actions;
+  }
+
+  /**
+   * Interpolate speed from curve points
+   * @param {Array} points - Curve points [{value, speed}, ...]
+   * @param {number} sensorValue - Current sensor value
+   * @returns {number} - Interpolated speed (0 if below first point)
+   */
+  function interpolateCurve(points, sensorValue) {
+    if (!points || points.length < 2) return 0;
+
+    const sorted = [...points].sort((a, b) => a.value - b.value);
+
+    // Below first point = curve inactive
+    if (sensorValue < sorted[0].value) return 0;
+
+    // Above last point = max speed from curve
+    if (sensorValue >= sorted[sorted.length - 1].value) {
+      return sorted[sorted.length - 1].speed;
+    }
+
+    // Find segment and interpolate linearly
+    for (let i = 0; i < sorted.length - 1; i++) {
+      if (sensorValue >= sorted[i].value && sensorValue < sorted[i + 1].value) {
+        const ratio = (sensorValue - sorted[i].value) / (sorted[i + 1].value - sorted[i].value);
+        return Math.round(sorted[i].speed + ratio * (sorted[i + 1].speed - sorted[i].speed));
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Evaluate Blower Curve control
+   * - Calculates optimal blower speed based on sensor curves
+   * - Multiple curves: highest demanded speed wins
+   * - Supports escalation if sensor doesn't improve
+   * @returns {number|null} - Desired blower speed (25-100) or null if no change needed
+   */
+  function evaluateBlowerCurve() {
+    if (!blowerCurveConfig || !blowerCurveConfig.curves || blowerCurveConfig.curves.length === 0) {
+      return null;
+    }
+
+    const { standbySpeed, curves } = blowerCurveConfig;
+    let maxSpeed = 0;
+    const now = clock();
+
+    for (const curve of curves) {
+      if (!curve.enabled) continue;
+
+      const sensorValue = getSensorValues(null)[curve.sensor];
+      if (sensorValue === undefined || sensorValue === null) continue;
+
+      // Calculate base speed from curve
+      let speed = interpolateCurve(curve.points, sensorValue);
+
+      // Apply escalation if enabled and curve is active
+      if (speed > 0 && curve.escalation?.enabled) {
+        const key = curve.id;
+
+        if (!blowerCurveEscalationState[key]) {
+          blowerCurveEscalationState[key] = {
+            lastValue: sensorValue,
+            lastCheck: now,
+            escalationBoost: 0
+          };
+        } else {
+          const state = blowerCurveEscalationState[key];
+          const elapsedSeconds = (now - state.lastCheck) / 1000;
+
+          if (elapsedSeconds >= (curve.escalation.intervalSeconds || 30)) {
+            const improvement = state.lastValue - sensorValue;
+
+            if (improvement < (curve.escalation.expectedImprovement || 0.5)) {
+              // Not improving enough, escalate
+              state.escalationBoost = Math.min(
+                state.escalationBoost + (curve.escalation.speedIncrement || 10),
+                100 - speed  // Don't exceed 100%
+              );
+              log(`[BlowerCurve] ${curve.sensor}: No improvement (${improvement.toFixed(2)}), escalating +${curve.escalation.speedIncrement}% to ${speed + state.escalationBoost}%`);
+            } else {
+              // Improving, reduce escalation
+              state.escalationBoost = Math.max(0, state.escalationBoost - (curve.escalation.speedIncrement || 10));
+            }
+
+            state.lastValue = sensorValue;
+            state.lastCheck = now;
+          }
+
+          speed = Math.min(100, speed + state.escalationBoost);
+        }
+      }
+
+      maxSpeed = Math.max(maxSpeed, speed);
+    }
+
+    // If no curve is demanding, use standby speed
+    const finalSpeed = maxSpeed > 0 ? maxSpeed : (standbySpeed || 0);
+
+    // Return null if speed hasn't changed (avoid redundant commands)
+    if (lastBlowerSpeed === finalSpeed) {
+      return null;
+    }
+
+    lastBlowerSpeed = finalSpeed;
+    return finalSpeed;
+  }
+
+  /**
+   * Evaluate PID and duty-cycle controller nodes
+   * - Output 0-100 % becomes a slow PWM on the outlet (see pid-controller.cjs)
+   * - A controller disabled by its inputs switches the outlet off and restarts clean
+   * - Without a reading the outlet is left alone (the sensor failsafe takes over)
+   * @param {Array<{ node: object, enabled: boolean }>} requests - Controller nodes reached this tick
+   * @returns {Array<object>} Outlet actions
+   */
+  function evaluateControllers(requests) {
+    const actions = [];
+    const now = clock();
+    const daytime = isWithinTimeRange(dayNightSchedule.dayStart, dayNightSchedule.dayEnd);
+
+    for (const { node, enabled } of requests) {
+      const config = node.data.config || {};
+      const { deviceMac, socket } = config;
+      if (!socket || !isAiMode(deviceMac, socket)) continue;
+      const label = node.type === 'pid_control' ? 'PID' : 'Duty cycle';
+
+      if (!enabled) {
+        controllerStates.delete(node.id);
+        actions.push({ deviceMac, socket, action: 'off', reason: `${label} disabled by its inputs`, controller: node.id });
+        continue;
+      }
+
+      const state = controllerStates.get(node.id) || {};
+      controllerStates.set(node.id, state);
+      const setpoint = Number(!daytime && config.nightSetpoint !== undefined && config.nightSetpoint !== '' ? config.nightSetpoint : config.setpoint);
+
+      let output;
+      let reason;
+      if (node.type === 'duty_cycle' && !config.sensor) {
+        output = dutyOutput(config);
+        reason = `${label} ${Math.round(output)}%`;
+      } else {
+        const measured = Number(getSensorValues(config.sensorDeviceMac)[config.sensor]);
+        if (!Number.isFinite(measured) || !Number.isFinite(setpoint)) continue;
+        output = node.type === 'pid_control'
+          ? pidStep(state, config, measured, setpoint, now)
+          : dutyOutput(config, measured, setpoint);
+        reason = `${label} ${config.sensor} ${measured} -> ${setpoint} (output ${Math.round(output)}%)`;
+      }
+
+      const action = pwmAction(state, config, output, now);
+      actions.push({ deviceMac, socket, action, reason, controller: node.id });
+    }
+
+    return actions;
+  }
+
+  /**
+   * Current level of a light ramp (linear from the level at activation to the target)
+   */
+  function rampLevel(nodeId, config, now) {
+    const to = Math.max(0, Math.min(100, Number(config.level) || 0));
+    let ramp = lightRamps.get(nodeId);
+    if (!ramp || ramp.to !== to) {
+      const current = getLightLevel(config.light || 'light');
+      ramp = {
+        from: Number.isFinite(current) ? current : (Number(config.fromLevel) || 0),
+        to,
+        startedAt: now,
+        durationMs: Math.max(1, (Number(config.rampMinutes) || 0) * 60000)
+      };
+      lightRamps.set(nodeId, ramp);
+    }
+    const progress = Math.min(1, (now - ramp.startedAt) / ramp.durationMs);
+    return Math.round(ramp.from + (ramp.to - ramp.from) * progress);
+  }
+
+  /**
+   * Turn active light / blower / fan / camera / notify action nodes into device commands.
+   * Commands are only returned when they differ from the last one sent for the same
+   * target, so a node that stays active doesn't resend every tick.
+   * Action config:
+   * - light:  { light: 'light'|'light2', mode: 'set'|'ramp'|'off', level, rampMinutes, modeType? }
+   * - blower: { on, level (25-100) }
+   * - fan:    { on, level (1-10), oscillation }
+   * - camera: { cameraId, intervalMinutes } - captures when the node activates, then every interval
+   * - notify: { title, message, level, channels, alertKey, cooldownMinutes, repeatMinutes } - alerts
+   *   when the node activates, then every repeatMinutes while active (0 = once). Title and message
+   *   accept {flow} and {reason}; the notifier applies the per-key cooldown.
+   */
+  function resolveDeviceActions(requests) {
+    const now = clock();
+    const commands = new Map(); // key -> command (last node wins, like outlet actions)
+    const activeNodes = new Set();
+
+    for (const { flowId, flowName, nodeId, config, reason } of requests) {
+      activeNodes.add(nodeId);
+      switch (config.target) {
+        case 'light': {
+          const light = config.light === 'light2' ? 'light2' : 'light';
+          let level = Math.max(0, Math.min(100, Number(config.level) || 0));
+          if (config.mode === 'ramp') level = rampLevel(nodeId, config, now);
+          const on = config.mode !== 'off' && level > 0;
+          const command = { target: 'light', light, mOnOff: on ? 1 : 0, reason };
+          if (on) command.mLevel = level;
+          if (config.modeType !== undefined) command.modeType = config.modeType;
+          commands.set(`light:${light}`, command);
+          break;
+        }
+        case 'blower': {
+          const on = config.on !== false && config.on !== 0;
+          const level = Math.max(25, Math.min(100, Number(config.level) || 25));
+          commands.set('blower', { target: 'blower', on, level, reason });
+          break;
+        }
+        case 'fan': {
+          const command = { target: 'fan', on: config.on !== false && config.on !== 0, reason };
+          if (config.level !== undefined) command.level = Math.max(1, Math.min(10, Number(config.level) || 1));
+          if (config.oscillation !== undefined) command.shakeLevel = Number(config.oscillation) || 0;
+          commands.set('fan', command);
+          break;
+        }
+        case 'camera': {
+          if (!config.cameraId) break;
+          const last = lastCaptures.get(nodeId);
+          const intervalMs = (Number(config.intervalMinutes) || 0) * 60000;
+          if (last !== undefined && (!intervalMs || now - last < intervalMs)) break;
+          lastCaptures.set(nodeId, now);
+          commands.set(`camera:${config.cameraId}:${nodeId}`, { target: 'camera', cameraId: config.cameraId, capturedAt: now, reason });
+          break;
+        }
+        case 'notify': {
+          const last = lastNotifications.get(nodeId);
+          const repeatMs = (Number(config.repeatMinutes) || 0) * 60000;
+          if (last !== undefined && (!repeatMs || now - last < repeatMs)) break;
+          lastNotifications.set(nodeId, now);
+          const fill = (text) => String(text).replace(/\{flow\}/g, () => flowName || '').replace(/\{reason\}/g, () => reason);
+          commands.set(`notify:${flowId}:${nodeId}`, {
+            target: 'notify',
+            alertKey: config.alertKey || `${flowId}:${nodeId}`,
+            title: fill(config.title || '{flow}'),
+            message: fill(config.message || '{reason}'),
+            level: config.level || 'warning',
+            channels: config.channels,
+            cooldownMinutes: config.cooldownMinutes,
+            notifiedAt: now,
+            reason
+          });
+          break;
+        }
+        default:
+          log(`[Supervisor] Unknown action target: ${config.target}`);
+      }
+    }
+
+    // Nodes that went inactive: ramps restart, cameras capture and alerts fire again on the next activation
+    for (const nodeId of [...lightRamps.keys()]) if (!activeNodes.has(nodeId)) lightRamps.delete(nodeId);
+    for (const nodeId of [...lastCaptures.keys()]) if (!activeNodes.has(nodeId)) lastCaptures.delete(nodeId);
+    for (const nodeId of [...lastNotifications.keys()]) if (!activeNodes.has(nodeId)) lastNotifications.delete(nodeId);
+
+    const changed = [];
+    for (const [key, command] of commands) {
+      const { reason, ...state } = command;
+      const signature = JSON.stringify(state);
+      if (lastDeviceCommands.get(key) === signature) continue;
+      lastDeviceCommands.set(key, signature);
+      changed.push({ key, ...command });
+    }
+    // Targets no node controls anymore are sent again when a node takes them back
+    for (const key of [...lastDeviceCommands.keys()]) if (!commands.has(key)) lastDeviceCommands.delete(key);
+
+    return changed;
+  }
+
+  return {
+    /**
+     * Replace the evaluated flows (reloads the VPD and blower curve nodes, drops
+     * the state of removed controllers)
+     * @param {Array<{ id: string, name: string, enabled: boolean, flow: object }>} nextFlows
+     */
+    setFlows(nextFlows) {
+      flows = nextFlows;
+      flowState.prune(flows);
+      const nodeIds = new Set(flows.flatMap(f => f.flow.nodes.map(n => n.id)));
+      for (const id of [...controllerStates.keys()]) if (!nodeIds.has(id)) controllerStates.delete(id);
+      loadVpdFromFlow();
+      loadBlowerCurveFromFlow();
+    },
+
+    setDayNightSchedule(schedule) {
+      dayNightSchedule = schedule;
+    },
+
+    setGrowPhase(phase) {
+      activeGrowPhase = phase;
+    },
+
+    /** vpd_control node config of the loaded flows (null without one) */
+    getVpdConfig() {
+      return vpdNodeConfig;
+    },
+
+    /**
+     * Forget the last command sent for a device target (it failed: resend next tick)
+     * @param {string} key - Command key from evaluate().deviceActions
+     */
+    resetDeviceAction(key) {
+      lastDeviceCommands.delete(key);
+    },
+
+    /**
+     * Whether an active action node currently controls a device target
+     * @param {string} key - Command key, e.g. light:light2
+     */
+    controlsDeviceTarget(key) {
+      return lastDeviceCommands.has(key);
+    },
+
+    /**
+     * Outlets driven by the flows and the sensors their actions depend on:
+     * condition and trend nodes upstream of outlet action nodes, the sensor of
+     * PID / duty-cycle controllers and the VPD sensor for the vpd_control roles
+     * (for the sensor failsafe)
+     * @returns {Array<{ deviceMac?: string, socket: string, sensors: Array<{ deviceMac?: string, sensor: string }> }>}
+     */
+    getOutletSensors() {
+      const outlets = new Map();
+      const add = (deviceMac, socket, sensor) => {
+        if (!socket || !sensor.sensor) return;
+        const key = deviceMac ? `${deviceMac}:${socket}` : socket;
+        if (!outlets.has(key)) outlets.set(key, { deviceMac, socket, sensors: new Map() });
+        outlets.get(key).sensors.set(`${sensor.deviceMac || ''}|${sensor.sensor}`, sensor);
+      };
+
+      for (const flow of flows) {
+        if (flow.enabled === false) continue;
+        const { nodes, connections } = flow.flow;
+        for (const node of nodes) {
+          if (node.type !== 'action' || (node.data.config.target || 'outlet') !== 'outlet') continue;
+          // Every node upstream of the action
+          const upstream = new Set();
+          const stack = [node.id];
+          while (stack.length > 0) {
+            const id = stack.pop();
+            for (const conn of connections) {
+              if (conn.target === id && !upstream.has(conn.source)) {
+                upstream.add(conn.source);
+                stack.push(conn.source);
+              }
+            }
+          }
+          for (const id of upstream) {
+            const source = nodes.find(n => n.id === id);
+            if (source?.type !== 'condition' && source?.type !== 'trend') continue;
+            const { sensor, deviceMac } = source.data.config;
+            add(node.data.config.deviceMac, node.data.config.socket, { deviceMac, sensor });
+          }
+        }
+        for (const node of nodes) {
+          if (!CONTROLLER_TYPES.includes(node.type)) continue;
+          const { deviceMac, socket, sensor, sensorDeviceMac } = node.data.config || {};
+          add(deviceMac, socket, { deviceMac: sensorDeviceMac, sensor });
+        }
+      }
+
+      for (const role of vpdNodeConfig?.roles || []) {
+        add(role.deviceMac, role.socket, { deviceMac: vpdNodeConfig.sensorDeviceMac, sensor: 'vpd' });
+      }
+
+      return [...outlets.values()].map(o => ({ ...o, sensors: [...o.sensors.values()] }));
+    },
+
+    /**
+     * Evaluate all flows once
+     * @returns {{ actions: Array<object>, deviceActions: Array<object>, blowerSpeed: number|null }}
+     *   Deduplicated outlet actions, changed light/blower/fan/camera commands and alerts
+     *   and the blower curve speed to command (null = unchanged)
+     */
+    evaluate() {
+      const allActions = [];
+      const deviceRequests = [];
+      const controllerRequests = [];
+      for (const flow of flows) {
+        try {
+          const actions = evaluateFlow(flow, deviceRequests, controllerRequests);
+          allActions.push(...actions);
+        } catch (err) {
+          console.error(`[Supervisor] Flow evaluation error (${flow.name}):`, err.message);
+        }
+      }
+
+      // Deduplicate flow actions (key is device:socket for multi-device)
+      const actionMap = new Map();
+      for (const action of allActions) {
+        const key = action.deviceMac ? `${action.deviceMac}:${action.socket}` : action.socket;
+        actionMap.set(key, action);
+      }
+
+      // Evaluate VPD intelligent auto-calibration (overrides flow actions for climate sockets)
+      const vpdActions = evaluateVpdIntelligent();
+      for (const action of vpdActions) {
+        const key = action.deviceMac ? `${action.deviceMac}:${action.socket}` : action.socket;
+        // VPD overrides normal flow actions, but mandatory flags take priority
+        const existing = actionMap.get(key);
+        if (existing && (existing.mandatoryOff || existing.mandatoryOn || existing.reason?.includes('Mandatory'))) {
+          continue;
+        }
+        actionMap.set(key, action);
+      }
+
+      // PID / duty-cycle controllers hold their outlet, mandatory flags still take priority
+      for (const action of evaluateControllers(controllerRequests)) {
+        const key = action.deviceMac ? `${action.deviceMac}:${action.socket}` : action.socket;
+        const existing = actionMap.get(key);
+        if (existing && (existing.mandatoryOff || existing.mandatoryOn || existing.reason?.includes('Mandatory'))) {
+          continue;
+        }
+        actionMap.set(key, action);
+      }
+
+      const deviceActions = resolveDeviceActions(deviceRequests);
+
+      // Evaluate Blower Curve control (proportional speed based on sensor curves).
+      // A blower action node overrides the curve while active; the curve resends when it releases.
+      let blowerSpeed = null;
+      if (deviceRequests.some(r => r.config.target === 'blower')) {
+        lastBlowerSpeed = null;
+      } else {
+        blowerSpeed = evaluateBlowerCurve();
+      }
+
+      return { actions: Array.from(actionMap.values()), deviceActions, blowerSpeed };
+    }
+  };
+}
+
+module.exports = { createFlowEngine, minimumDurationRemaining, mapLabStatusToVpdPhase };
@@ -0,0 +1,377 @@
+/**
+ * Flow Revisions
+ * Immutable history of automation_flows: every save becomes a numbered revision
+ * (automation_flow_revisions) with its author, comment and full flow, so an edit
+ * can be compared with any earlier one and rolled back.
+ *
+ * - Saves from the triggers editor (PUT /api/automation/flow/:id) append an
+ *   automation_flows row each; the supervisor turns the rows saved since the latest
+ *   revision into revisions when it reloads the flow (sync). The editor doesn't say
+ *   who saved, so these have no author; an API client can pass
+ *   flow.revisionNote = { author, comment }, which is stored with the revision.
+ * - save() writes a flow and its revision in one go (rollback, PID autotune).
+ * - trigger_execution_log.flow_revision links each execution to the revision
+ *   that produced it.
+ *
+ * CLI: node src/services/flow-revisions.cjs list | show <rev> | diff <rev> [rev] |
+ *      rollback <rev> [--author name] [--comment text] | log <rev>   [--flow global]
+ */
+
+const { createHash } = require('crypto');
+
+const EMPTY_FLOW = { nodes: [], connections: [] };
+const SYNC_LOOKBACK = 50; // automation_flows rows searched for saves since the latest revision
+
+function parseFlow(flowJson) {
+  try {
+    return JSON.parse(flowJson || '') || { ...EMPTY_FLOW };
+  } catch {
+    return { ...EMPTY_FLOW };
+  }
+}
+
+/** Flow without the editor's revision note (not part of the content) */
+function flowContent(flow) {
+  const { revisionNote, ...content } = flow || EMPTY_FLOW;
+  return content;
+}
+
+/** Content hash of a save: flow graph, name, description and enabled flag */
+function flowHash({ name, description, enabled, flow }) {
+  return createHash('sha1')
+    .update(JSON.stringify({ name, description: description ?? null, enabled: enabled ? 1 : 0, flow: flowContent(flow) }))
+    .digest('hex');
+}
+
+/** { a: { b: 1 } } -> { 'a.b': 1 } (arrays by index) */
+function flatten(value, prefix = '', out = {}) {
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) out[prefix] = Array.isArray(value) ? [] : {};
+    for (const [key, child] of entries) flatten(child, prefix ? `${prefix}.${key}` : key, out);
+  } else {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+const connectionKey = (c) => `${c.source}${c.sourceHandle ? `.${c.sourceHandle}` : ''} -> ${c.target}${c.targetHandle ? `.${c.targetHandle}` : ''}`;
+const nodeLabel = (n) => n.data?.label || n.data?.config?.name || n.type;
+
+/**
+ * Nodes and connections that differ between two flows (positions are ignored)
+ * @returns {{ nodes: { added: Array<object>, removed: Array<object>,
+ *   changed: Array<{ id: string, type: string, label: string, fields: Array<{ path: string, before: any, after: any }> }> },
+ *   connections: { added: string[], removed: string[] } }}
+ */
+function diffFlows(before, after) {
+  const beforeNodes = new Map((before?.nodes || []).map(n => [n.id, n]));
+  const afterNodes = new Map((after?.nodes || []).map(n => [n.id, n]));
+  const diff = { nodes: { added: [], removed: [], changed: [] }, connections: { added: [], removed: [] } };
+
+  for (const [id, node] of afterNodes) {
+    if (!beforeNodes.has(id)) diff.nodes.added.push({ id, type: node.type, label: nodeLabel(node) });
+  }
+  for (const [id, node] of beforeNodes) {
+    const next = afterNodes.get(id);
+    if (!next) {
+      diff.nodes.removed.push({ id, type: node.type, label: nodeLabel(node) });
+      continue;
+    }
+    const oldFields = flatten({ type: node.type, data: node.data });
+    const newFields = flatten({ type: next.type, data: next.data });
+    const fields = [];
+    for (const path of new Set([...Object.keys(oldFields), ...Object.keys(newFields)])) {
+      if (JSON.stringify(oldFields[path]) !== JSON.stringify(newFields[path])) {
+        fields.push({ path, before: oldFields[path], after: newFields[path] });
+      }
+    }
+    if (fields.length > 0) diff.nodes.changed.push({ id, type: next.type, label: nodeLabel(next), fields });
+  }
+
+  const beforeConnections = new Set((before?.connections || []).map(connectionKey));
+  const afterConnections = new Set((after?.connections || []).map(connectionKey));
+  diff.connections.added = [...afterConnections].filter(c => !beforeConnections.has(c));
+  diff.connections.removed = [...beforeConnections].filter(c => !afterConnections.has(c));
+  return diff;
+}
+
+/** Text form of diffFlows() for the CLI and logs */
+function formatDiff(diff) {
+  const lines = [];
+  const show = (value) => (value === undefined ? '(none)' : JSON.stringify(value));
+  for (const n of diff.nodes.added) lines.push(`+ node ${n.id} (${n.type}) ${n.label}`);
+  for (const n of diff.nodes.removed) lines.push(`- node ${n.id} (${n.type}) ${n.label}`);
+  for (const n of diff.nodes.changed) {
+    lines.push(`~ node ${n.id} (${n.type}) ${n.label}`);
+    for (const f of n.fields) lines.push(`    ${f.path}: ${show(f.before)} -> ${show(f.after)}`);
+  }
+  for (const c of diff.connections.added) lines.push(`+ connection ${c}`);
+  for (const c of diff.connections.removed) lines.push(`- connection ${c}`);
+  return lines.length > 0 ? lines.join('\n') : 'No changes';
+}
+
+function toRevision(row) {
+  return {
+    flowId: row.flow_id,
+    revision: row.revision,
+    author: row.author,
+    comment: row.comment,
+    source: row.source,
+    name: row.name,
+    description: row.description,
+    enabled: row.enabled === 1,
+    hash: row.flow_hash,
+    createdAt: row.timestamp,
+    flow: row.flow_json === undefined ? undefined : parseFlow(row.flow_json)
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {(sql: string, params?: any[]) => Promise<Array<object>>} options.query - Returns rows
+ */
+function createFlowRevisions({ query }) {
+  async function latest(flowId) {
+    const rows = await query(`
+      SELECT revision, flow_hash
+      FROM automation_flow_revisions
+      WHERE flow_id = $1
+      ORDER BY revision DESC
+      LIMIT 1
+    `, [flowId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Store a revision unless the content equals the latest one
+   * @returns {Promise<{ revision: number, created: boolean }>}
+   */
+  async function record(flowId, save, meta = {}) {
+    const hash = flowHash(save);
+    const last = await latest(flowId);
+    if (last && last.flow_hash === hash) return { revision: last.revision, created: false };
+
+    const revision = (last?.revision || 0) + 1;
+    const note = save.flow?.revisionNote || {};
+    await query(`
+      INSERT INTO automation_flow_revisions
+        (timestamp, flow_id, revision, author, comment, source, name, description, enabled, flow_json, flow_hash)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `, [
+      new Date(meta.at || Date.now()).toISOString(),
+      flowId,
+      revision,
+      meta.author || note.author || null,
+      meta.comment ?? note.comment ?? '',
+      meta.source || 'editor',
+      save.name || '',
+      save.description ?? null,
+      save.enabled ? 1 : 0,
+      JSON.stringify(flowContent(save.flow)),
+      hash
+    ]);
+    return { revision, created: true };
+  }
+
+  return {
+    record,
+
+    /**
+     * Record the automation_flows rows saved since the latest revision (editor saves),
+     * oldest first. The latest revision's row is found by its content; without any
+     * revision yet only the current row is recorded.
+     * @param {string} flowId
+     * @returns {Promise<number|null>} Current revision (null: the flow was never saved)
+     */
+    async sync(flowId) {
+      const rows = await query(`
+        SELECT id, name, description, enabled, flow_json, updated_at
+        FROM automation_flows
+        WHERE id = $1
+        ORDER BY updated_at DESC
+        LIMIT ${SYNC_LOOKBACK}
+      `, [flowId]);
+      if (rows.length === 0) return null;
+      const saves = rows.map(row => ({
+        at: row.updated_at || undefined,
+        save: { name: row.name, description: row.description, enabled: row.enabled === 1, flow: parseFlow(row.flow_json) }
+      }));
+
+      const last = await latest(flowId);
+      let pending = 1;
+      if (last) {
+        const recorded = saves.findIndex(s => flowHash(s.save) === last.flow_hash);
+        pending = recorded === -1 ? saves.length : recorded;
+      }
+
+      let current = last?.revision ?? null;
+      for (const { at, save } of saves.slice(0, pending).reverse()) {
+        const { revision, created } = await record(flowId, save, { at });
+        if (created) console.log(`[Revisions] Flow ${flowId} saved as revision ${revision}`);
+        current = revision;
+      }
+      return current;
+    },
+
+    /**
+     * Save a flow (new automation_flows row, like the editor) and its revision
+     * @param {string} flowId
+     * @param {{ name?: string, description?: string, enabled?: boolean, flow: object }} changes - Missing fields keep their value
+     * @param {{ author?: string, comment?: string, source?: string }} meta
+     * @returns {Promise<number>} New revision
+     */
+    async save(flowId, changes, meta = {}) {
+      const [current] = await query(`
+        SELECT name, description, enabled, created_at
+        FROM automation_flows
+        WHERE id = $1
+        ORDER BY updated_at DESC
+        LIMIT 1
+      `, [flowId]);
+      const save = {
+        name: changes.name ?? current?.name ?? 'Global Automation',
+        description: changes.description ?? current?.description ?? null,
+        enabled: changes.enabled ?? current?.enabled === 1,
+        flow: flowContent(changes.flow)
+      };
+      await query(`
+        INSERT INTO automation_flows (id, name, description, enabled, flow_json, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, now())
+      `, [flowId, save.name, save.description, save.enabled ? 1 : 0, JSON.stringify(save.flow),
+        current?.created_at || new Date().toISOString()]);
+      return (await record(flowId, save, meta)).revision;
+    },
+
+    /**
+     * Revisions of a flow, newest first (without the flow itself)
+     */
+    async list(flowId, limit = 50) {
+      const rows = await query(`
+        SELECT timestamp, flow_id, revision, author, comment, source, name, description, enabled, flow_hash
+        FROM automation_flow_revisions
+        WHERE flow_id = $1
+        ORDER BY revision DESC
+        LIMIT ${Math.max(1, Math.floor(limit))}
+      `, [flowId]);
+      return rows.map(toRevision);
+    },
+
+    /** One revision with its flow (null when it doesn't exist) */
+    async get(flowId, revision) {
+      const rows = await query(`
+        SELECT *
+        FROM automation_flow_revisions
+        WHERE flow_id = $1 AND revision = $2
+        LIMIT 1
+      `, [flowId, revision]);
+      return rows.length > 0 ? toRevision(rows[0]) : null;
+    },
+
+    /**
+     * Diff between two revisions (to: default the latest)
+     */
+    async diff(flowId, fromRevision, toRevisionNumber) {
+      const to = toRevisionNumber ?? (await latest(flowId))?.revision;
+      const [a, b] = await Promise.all([this.get(flowId, fromRevision), this.get(flowId, to)]);
+      if (!a) throw new Error(`Revision ${fromRevision} not found`);
+      if (!b) throw new Error(`Revision ${to} not found`);
+      return { from: a.revision, to: b.revision, ...diffFlows(a.flow, b.flow) };
+    },
+
+    /**
+     * Make an earlier revision the current flow again (as a new revision)
+     * @returns {Promise<number>} New revision
+     */
+    async rollback(flowId, revision, meta = {}) {
+      const target = await this.get(flowId, revision);
+      if (!target) throw new Error(`Revision ${revision} not found`);
+      return this.save(flowId, {
+        name: target.name,
+        description: target.description,
+        enabled: target.enabled,
+        flow: target.flow
+      }, {
+        author: meta.author,
+        comment: meta.comment || `Rollback to revision ${revision}`,
+        source: 'rollback'
+      });
+    },
+
+    /** Execution log entries produced by a revision, newest first */
+    async executions(flowId, revision, limit = 100) {
+      return query(`
+        SELECT timestamp, trigger_reason, device_mac, socket, action, result
+        FROM trigger_execution_log
+        WHERE flow_id = $1 AND flow_revision = $2
+        ORDER BY timestamp DESC
+        LIMIT ${Math.max(1, Math.floor(limit))}
+      `, [flowId, revision]);
+    }
+  };
+}
+
+// CLI: list, show, diff and roll back revisions
+if (require.main === module) {
+  const { createCliPool, parseArgs } = require('../db/cli.cjs');
+  const args = parseArgs(process.argv.slice(2));
+  const [command, first, second] = args._;
+  const flowId = args.flow || 'global';
+  const usage = 'Usage: node src/services/flow-revisions.cjs list | show <rev> | diff <rev> [rev] | rollback <rev> [--author name] [--comment text] | log <rev>  [--flow global]';
+  if (!['list', 'show', 'diff', 'rollback', 'log'].includes(command) || (command !== 'list' && !Number.isInteger(Number(first)))) {
+    console.log(usage);
+    process.exit(1);
+  }
+
+  const pool = createCliPool();
+  const revisions = createFlowRevisions({ query: async (sql, params) => (await pool.query(sql, params)).rows });
+  const revision = Number(first);
+
+  (async () => {
+    switch (command) {
+      case 'list':
+        for (const r of await revisions.list(flowId)) {
+          const at = new Date(r.createdAt).toISOString().replace('T', ' ').slice(0, 19);
+          console.log(`r${r.revision}  ${at}  ${r.author || '-'}  [${r.source}]  ${r.comment || ''}`);
+        }
+        break;
+      case 'show': {
+        const r = await revisions.get(flowId, revision);
+        if (!r) throw new Error(`Revision ${revision} not found`);
+        console.log(JSON.stringify(r, null, 2));
+        break;
+      }
+      case 'diff': {
+        // One revision: compare with the one before it
+        const from = second === undefined ? revision - 1 : revision;
+        const to = second === undefined ? revision : Number(second);
+        const diff = await revisions.diff(flowId, from, to);
+        console.log(`r${diff.from} -> r${diff.to}`);
+        console.log(formatDiff(diff));
+        break;
+      }
+      case 'rollback': {
+        const created = await revisions.rollback(flowId, revision, { author: args.author || 'cli', comment: args.comment });
+        console.log(`Revision ${revision} restored as revision ${created} (the supervisor picks it up within 30 s)`);
+        break;
+      }
+      case 'log':
+        for (const e of await revisions.executions(flowId, revision)) {
+          const at = new Date(e.timestamp).toISOString().replace('T', ' ').slice(0, 19);
+          console.log(`${at}  ${e.socket} ${String(e.action).toUpperCase()}  ${e.result}  ${e.trigger_reason}`);
+        }
+        break;
+    }
+    return 0;
+  })()
+    .catch((err) => {
+      console.error(err.message);
+      return 1;
+    })
+    .then(async (code) => {
+      await pool.end();
+      process.exit(code);
+    });
+}
+
+module.exports = { createFlowRevisions, diffFlows, formatDiff, flowHash };
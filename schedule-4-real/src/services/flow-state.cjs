@@ -0,0 +1,155 @@
+/**
+ * Flow State
+ * Per-node automation state that survives evaluations and restarts.
+ *
+ * - Node state: last level (active), last output, since when, last sensor value
+ *   (hysteresis bands and edge triggers need the previous tick)
+ * - Outlet state: current on/off and since when (minimum on/off durations),
+ *   plus the hold applied when a minimum duration blocked a command
+ *
+ * Saved to data/flow-state.json whenever a node's level, output or edge changes
+ * (evaluation times and sensor values are only written along with those).
+ * Without a filePath the state stays in memory (dry runs).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.filePath] - JSON file the state is persisted to
+ * @param {number} [options.saveDelayMs=2000] - Debounce between writes
+ * @param {() => number} [options.clock=Date.now] - Time source (simulated in dry runs)
+ */
+function createFlowState(options = {}) {
+  const { filePath, saveDelayMs = 2000, clock = Date.now } = options;
+
+  let state = { nodes: {}, outlets: {}, updatedAt: null };
+  let saveTimer = null;
+
+  try {
+    if (filePath && fs.existsSync(filePath)) {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      state = { nodes: saved.nodes || {}, outlets: saved.outlets || {}, updatedAt: saved.updatedAt || null };
+    }
+  } catch (err) {
+    console.error('[Supervisor] Could not read flow state, starting fresh:', err.message);
+  }
+
+  function flush() {
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!filePath) return;
+    state.updatedAt = new Date().toISOString();
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(state, null, 2));
+      fs.renameSync(`${filePath}.tmp`, filePath);
+    } catch (err) {
+      console.error('[Supervisor] Could not save flow state:', err.message);
+    }
+  }
+
+  function save() {
+    if (filePath && !saveTimer) saveTimer = setTimeout(flush, saveDelayMs);
+  }
+
+  return {
+    /**
+     * Record a node's level for this tick and return its output.
+     * trigger 'rising' outputs true only on the tick the level turns true,
+     * 'falling' only on the tick it turns false; anything else follows the level.
+     * @param {string} flowId
+     * @param {string} nodeId
+     * @param {boolean} level
+     * @param {{ trigger?: string, value?: number }} [extra]
+     */
+    record(flowId, nodeId, level, { trigger, value } = {}) {
+      const key = `${flowId}:${nodeId}`;
+      const previous = state.nodes[key];
+      const wasActive = previous?.active === true;
+      const now = clock();
+
+      let output = level;
+      if (trigger === 'rising') output = !wasActive && level;
+      else if (trigger === 'falling') output = wasActive && !level;
+
+      const node = {
+        active: level,
+        output,
+        since: previous && previous.active === level ? previous.since : now,
+        evaluatedAt: now
+      };
+      if (trigger === 'rising' || trigger === 'falling') {
+        node.trigger = trigger;
+        node.lastEdgeAt = output ? now : previous?.lastEdgeAt || null;
+      }
+      if (value !== undefined) node.value = value;
+
+      state.nodes[key] = node;
+      // evaluatedAt and value change every tick; only write when the node's state does
+      if (!previous || previous.active !== node.active || previous.output !== node.output
+        || previous.since !== node.since || previous.lastEdgeAt !== node.lastEdgeAt) save();
+      return output;
+    },
+
+    /** Level a node had on the previous tick (false if never evaluated) */
+    wasActive(flowId, nodeId) {
+      return state.nodes[`${flowId}:${nodeId}`]?.active === true;
+    },
+
+    /**
+     * Track an outlet's state; `since` only moves when the state changes
+     * @param {string} key - device:socket
+     * @param {number} outletState - 0|1
+     */
+    setOutlet(key, outletState) {
+      const previous = state.outlets[key];
+      if (previous && previous.state === outletState) return;
+      state.outlets[key] = { state: outletState, since: clock() };
+      save();
+    },
+
+    /** @returns {{ state: number, since: number, hold?: object }|undefined} */
+    getOutlet(key) {
+      return state.outlets[key];
+    },
+
+    /**
+     * Note that a minimum duration is holding an outlet
+     * @param {string} key - device:socket
+     * @param {string} action - The blocked action
+     * @param {number} until - When the hold expires
+     */
+    holdOutlet(key, action, until) {
+      const outlet = state.outlets[key];
+      if (!outlet || (outlet.hold && outlet.hold.action === action && outlet.hold.until === until)) return;
+      outlet.hold = { action, until };
+      save();
+    },
+
+    /** Forget nodes that are no longer part of any flow */
+    prune(flows) {
+      const valid = new Set();
+      for (const flow of flows) {
+        for (const node of flow.flow.nodes || []) valid.add(`${flow.id}:${node.id}`);
+      }
+      let removed = false;
+      for (const key of Object.keys(state.nodes)) {
+        if (!valid.has(key)) {
+          delete state.nodes[key];
+          removed = true;
+        }
+      }
+      if (removed) save();
+    },
+
+    snapshot() {
+      return state;
+    },
+
+    flush
+  };
+}
+
+module.exports = { createFlowState };
@@ -0,0 +1,500 @@
+/**
+ * Flow Templates
+ * Portable flows: export a flow without the installation's device MACs, socket IDs
+ * and camera IDs, import it onto another installation by mapping its roles to the
+ * local outlets, sensors and cameras, and install the built-in templates.
+ *
+ * - Export replaces every reference with a named role token: outlets become
+ *   socket: '{outlet:Humidifier}' (deviceMac dropped), sensor devices
+ *   deviceMac / sensorDeviceMac: '{sensor:Tent}', cameras cameraId: '{camera:Canopy}'.
+ *   Role names come from socket_names, device_names, cameras and VPD roles.
+ * - Import resolves the tokens with a mapping { outlets: { Humidifier: { deviceMac, socket } },
+ *   sensors: { Tent: mac }, cameras: { Canopy: id } }; suggestMapping() pre-fills it
+ *   for the import wizard with the exact name matches and proposes the rest (socket
+ *   hint, the only sensor), which have to be confirmed.
+ * - Built-in templates: src/services/flow-templates/*.json. Templates saved from the
+ *   triggers page go to data/flow-templates/ and are listed with them.
+ *
+ * CLI: node src/services/flow-templates.cjs list | export [--out file] [--template] |
+ *      import <file|template> [--map Role=MAC:O2|O2|MAC|camera-id ...] [--accept-suggestions] [--replace] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMAT = 's4r-flow';
+const FORMAT_VERSION = 1;
+const BUILTIN_DIR = path.join(__dirname, 'flow-templates');
+const USER_DIR = path.resolve(__dirname, '../../data/flow-templates');
+const TOKEN = /^\{(outlet|sensor|camera):(.+)\}$/;
+const SINGLE_NODE_TYPES = ['vpd_control', 'blower_curve']; // The engine only runs the first one
+const MERGE_OFFSET_Y = 400;
+
+const VPD_ROLE_NAMES = {
+  humidifier: 'Humidifier',
+  extractor: 'Extractor',
+  heater: 'Heater',
+  cooler: 'Cooler',
+  circulator: 'Circulation fan'
+};
+
+const token = (kind, name) => `{${kind}:${name}}`;
+
+function parseToken(value) {
+  const match = typeof value === 'string' ? TOKEN.exec(value) : null;
+  return match ? { kind: match[1], name: match[2] } : null;
+}
+
+/**
+ * Device references of a node, as slots that can be read and rewritten
+ * @returns {Array<{ kind: 'outlet'|'sensor'|'camera', target: object, key?: string, hint?: string }>}
+ */
+function referencesOf(node) {
+  const config = node.data?.config;
+  if (!config) return [];
+  const refs = [];
+  const outlet = (target, hint) => { if (target?.socket) refs.push({ kind: 'outlet', target, hint }); };
+  const sensor = (key) => { if (config[key]) refs.push({ kind: 'sensor', target: config, key }); };
+
+  switch (node.type) {
+    case 'condition':
+    case 'trend':
+      sensor('deviceMac');
+      break;
+    case 'state':
+      outlet(config);
+      break;
+    case 'action':
+      if ((config.target || 'outlet') === 'outlet') outlet(config);
+      if (config.target === 'camera' && config.cameraId) refs.push({ kind: 'camera', target: config, key: 'cameraId' });
+      break;
+    case 'pid_control':
+    case 'duty_cycle':
+      outlet(config);
+      sensor('sensorDeviceMac');
+      break;
+    case 'vpd_control':
+      for (const role of config.roles || []) outlet(role, VPD_ROLE_NAMES[role.role]);
+      sensor('sensorDeviceMac');
+      break;
+  }
+  return refs;
+}
+
+const outletKey = (deviceMac, socket) => (deviceMac ? `${deviceMac}:${socket}` : socket);
+
+/** Role names that aren't taken yet ("Humidifier", "Humidifier 2") */
+function uniqueName(taken, name) {
+  let candidate = name;
+  for (let i = 2; taken.has(candidate); i++) candidate = `${name} ${i}`;
+  taken.add(candidate);
+  return candidate;
+}
+
+/**
+ * Portable copy of a flow
+ * @param {{ name?: string, description?: string, flow: { nodes: Array, connections: Array } }} source
+ * @param {{ socketNames?: object, deviceNames?: object, cameraNames?: object }} [names] - socket -> name,
+ *   mac -> name, camera id -> name (from loadInventory)
+ * @returns {object} Template document
+ */
+function exportFlow(source, names = {}) {
+  const flow = JSON.parse(JSON.stringify(source.flow || { nodes: [], connections: [] }));
+  delete flow.revisionNote;
+  const roles = { outlets: [], sensors: [], cameras: [] };
+  const assigned = { outlet: new Map(), sensor: new Map(), camera: new Map() };
+  const taken = { outlet: new Set(), sensor: new Set(), camera: new Set() };
+  const devices = new Set();
+  for (const node of flow.nodes) {
+    for (const ref of referencesOf(node)) if (ref.kind === 'outlet' && ref.target.deviceMac) devices.add(ref.target.deviceMac);
+  }
+
+  for (const node of flow.nodes) {
+    for (const ref of referencesOf(node)) {
+      if (ref.kind === 'outlet') {
+        const { deviceMac, socket } = ref.target;
+        const key = outletKey(deviceMac, socket);
+        if (!assigned.outlet.has(key)) {
+          const suffix = devices.size > 1 && deviceMac ? ` (${names.deviceNames?.[deviceMac] || deviceMac.slice(-5)})` : '';
+          const name = uniqueName(taken.outlet, ref.hint || `${names.socketNames?.[socket] || `Outlet ${socket}`}${suffix}`);
+          assigned.outlet.set(key, name);
+          roles.outlets.push({ name, socket });
+        }
+        ref.target.socket = token('outlet', assigned.outlet.get(key));
+        delete ref.target.deviceMac;
+      } else {
+        const id = ref.target[ref.key];
+        if (!assigned[ref.kind].has(id)) {
+          const fallback = ref.kind === 'sensor' ? `Sensor ${String(id).slice(-5)}` : `Camera ${id}`;
+          const label = ref.kind === 'sensor' ? names.deviceNames?.[id] : names.cameraNames?.[id];
+          const name = uniqueName(taken[ref.kind], label || fallback);
+          assigned[ref.kind].set(id, name);
+          roles[ref.kind === 'sensor' ? 'sensors' : 'cameras'].push({ name });
+        }
+        ref.target[ref.key] = token(ref.kind, assigned[ref.kind].get(id));
+      }
+    }
+  }
+
+  return {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    name: source.name || 'Exported flow',
+    description: source.description || '',
+    exportedAt: new Date().toISOString(),
+    roles,
+    flow
+  };
+}
+
+/** Throws when a document isn't a portable flow this version can read */
+function validateTemplate(doc) {
+  if (!doc || doc.format !== FORMAT) throw new Error(`Not a ${FORMAT} file`);
+  if (doc.version > FORMAT_VERSION) throw new Error(`Template version ${doc.version} is newer than supported (${FORMAT_VERSION})`);
+  if (!Array.isArray(doc.flow?.nodes) || !Array.isArray(doc.flow?.connections)) throw new Error('Template has no flow');
+  return doc;
+}
+
+/**
+ * Roles of a template that the mapping leaves unresolved
+ * @returns {Array<{ kind: string, name: string }>}
+ */
+function missingRoles(doc, mapping = {}) {
+  const missing = [];
+  for (const role of doc.roles?.outlets || []) {
+    if (!mapping.outlets?.[role.name]?.socket) missing.push({ kind: 'outlet', name: role.name });
+  }
+  for (const role of doc.roles?.sensors || []) {
+    if (!mapping.sensors?.[role.name]) missing.push({ kind: 'sensor', name: role.name });
+  }
+  for (const role of doc.roles?.cameras || []) {
+    if (!mapping.cameras?.[role.name]) missing.push({ kind: 'camera', name: role.name });
+  }
+  return missing;
+}
+
+/**
+ * Local flow from a template
+ * @param {object} doc - Template document
+ * @param {{ outlets?: object, sensors?: object, cameras?: object }} mapping
+ * @returns {{ nodes: Array, connections: Array }}
+ */
+function importFlow(doc, mapping = {}) {
+  validateTemplate(doc);
+  const missing = missingRoles(doc, mapping);
+  if (missing.length > 0) throw new Error(`Unmapped roles: ${missing.map(r => `${r.kind} "${r.name}"`).join(', ')}`);
+
+  const flow = JSON.parse(JSON.stringify(doc.flow));
+  for (const node of flow.nodes) {
+    for (const ref of referencesOf(node)) {
+      const parsed = parseToken(ref.kind === 'outlet' ? ref.target.socket : ref.target[ref.key]);
+      if (!parsed) continue;
+      if (parsed.kind !== ref.kind) throw new Error(`Node ${node.id}: ${parsed.kind} role "${parsed.name}" used as ${ref.kind}`);
+      if (ref.kind === 'outlet') {
+        const outlet = mapping.outlets?.[parsed.name];
+        if (!outlet?.socket) throw new Error(`Unmapped outlet "${parsed.name}"`);
+        ref.target.socket = outlet.socket;
+        if (outlet.deviceMac) ref.target.deviceMac = outlet.deviceMac;
+        else delete ref.target.deviceMac;
+      } else {
+        const value = mapping[ref.kind === 'sensor' ? 'sensors' : 'cameras']?.[parsed.name];
+        if (!value) throw new Error(`Unmapped ${ref.kind} "${parsed.name}"`);
+        ref.target[ref.key] = value;
+      }
+    }
+  }
+  return flow;
+}
+
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Mapping proposal for the import wizard. Roles whose name matches a local outlet,
+ * sensor or camera are mapped; the others get a suggestion to confirm: outlets by
+ * their socket hint when a single unmatched outlet has it, sensors and cameras the
+ * only one there is
+ * @param {object} doc
+ * @param {{ outlets: Array<{ deviceMac?: string, socket: string, name?: string }>,
+ *   sensors: Array<{ mac: string, name?: string }>, cameras: Array<{ id: string, name?: string }> }} inventory
+ * @returns {{ matched: object, suggested: object }} Both in the mapping format of importFlow()
+ */
+function suggestMapping(doc, inventory) {
+  const matched = { outlets: {}, sensors: {}, cameras: {} };
+  const suggested = { outlets: {}, sensors: {}, cameras: {} };
+  const outlets = inventory.outlets || [];
+  const outletRoles = doc.roles?.outlets || [];
+  const named = new Set();
+  for (const role of outletRoles) {
+    const match = outlets.find(o => sameName(o.name, role.name));
+    if (!match) continue;
+    matched.outlets[role.name] = { deviceMac: match.deviceMac, socket: match.socket };
+    named.add(match);
+  }
+  for (const role of outletRoles) {
+    if (matched.outlets[role.name]) continue;
+    // An outlet named after another role isn't a candidate, whatever its socket
+    const bySocket = outlets.filter(o => o.socket === role.socket && !named.has(o));
+    if (bySocket.length === 1) suggested.outlets[role.name] = { deviceMac: bySocket[0].deviceMac, socket: bySocket[0].socket };
+  }
+  const single = (roles, items, key, kind) => {
+    for (const role of roles || []) {
+      const match = items.find(i => sameName(i.name, role.name));
+      if (match) matched[kind][role.name] = match[key];
+      else if (items.length === 1) suggested[kind][role.name] = items[0][key];
+    }
+  };
+  single(doc.roles?.sensors, inventory.sensors || [], 'mac', 'sensors');
+  single(doc.roles?.cameras, inventory.cameras || [], 'id', 'cameras');
+  return { matched, suggested };
+}
+
+/**
+ * Add an imported flow to an existing one: clashing node ids are renamed and the
+ * imported nodes are placed below the existing ones
+ * @returns {{ flow: { nodes: Array, connections: Array }, warnings: string[] }}
+ */
+function mergeFlows(base, addition) {
+  const nodes = [...(base?.nodes || [])];
+  const connections = [...(base?.connections || [])];
+  const ids = new Set(nodes.map(n => n.id));
+  const warnings = [];
+  const renamed = new Map();
+  const offset = nodes.length > 0 ? nodes.reduce((max, n) => Math.max(max, n.position?.y || 0), 0) + MERGE_OFFSET_Y : 0;
+
+  for (const node of addition.nodes) {
+    let id = node.id;
+    for (let i = 2; ids.has(id); i++) id = `${node.id}-${i}`;
+    ids.add(id);
+    renamed.set(node.id, id);
+    if (SINGLE_NODE_TYPES.includes(node.type) && (base?.nodes || []).some(n => n.type === node.type)) {
+      warnings.push(`The flow already has a ${node.type} node; only the first one runs`);
+    }
+    const position = node.position || { x: 0, y: 0 };
+    nodes.push({ ...node, id, position: { x: position.x, y: position.y + offset } });
+  }
+  for (const connection of addition.connections) {
+    connections.push({ ...connection, source: renamed.get(connection.source) || connection.source, target: renamed.get(connection.target) || connection.target });
+  }
+  return { flow: { nodes, connections }, warnings };
+}
+
+function readTemplates(dir, builtin) {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  } catch {
+    return [];
+  }
+  const templates = [];
+  for (const file of files) {
+    try {
+      const doc = validateTemplate(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+      templates.push({ id: path.basename(file, '.json'), builtin, doc });
+    } catch (err) {
+      console.error(`[Templates] Skipping ${file}: ${err.message}`);
+    }
+  }
+  return templates;
+}
+
+/**
+ * Built-in and saved templates (saved ones with the same id replace a built-in one)
+ * @returns {Array<{ id: string, builtin: boolean, name: string, description: string, roles: object }>}
+ */
+function listTemplates() {
+  const byId = new Map();
+  for (const t of [...readTemplates(BUILTIN_DIR, true), ...readTemplates(USER_DIR, false)]) byId.set(t.id, t);
+  return [...byId.values()].map(({ id, builtin, doc }) => ({ id, builtin, name: doc.name, description: doc.description, roles: doc.roles }));
+}
+
+/** Template document by id (null when there is none) */
+function getTemplate(id) {
+  if (!/^[\w-]+$/.test(id)) return null;
+  for (const dir of [USER_DIR, BUILTIN_DIR]) {
+    const file = path.join(dir, `${id}.json`);
+    if (fs.existsSync(file)) return validateTemplate(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  return null;
+}
+
+/** Save a template document to data/flow-templates/<id>.json */
+function saveTemplate(doc) {
+  validateTemplate(doc);
+  const id = String(doc.name || 'template').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'template';
+  fs.mkdirSync(USER_DIR, { recursive: true });
+  const file = path.join(USER_DIR, `${id}.json`);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(doc, null, 2));
+  fs.renameSync(tmp, file);
+  return id;
+}
+
+/**
+ * Outlets, sensor devices and cameras of this installation, with their names
+ * @param {(sql: string, params?: Array) => Promise<Array<object>>} query
+ */
+async function loadInventory(query) {
+  const safe = async (sql) => {
+    try {
+      return await query(sql);
+    } catch {
+      return []; // Table might not exist yet
+    }
+  };
+  const [sockets, deviceNames, outletDevices, sensorDevices, cameras] = await Promise.all([
+    safe('SELECT socket, name FROM socket_names LATEST ON timestamp PARTITION BY socket'),
+    safe('SELECT mac, custom_name FROM device_names LATEST ON timestamp PARTITION BY mac'),
+    safe("SELECT DISTINCT device_mac, socket FROM socket_events WHERE timestamp > dateadd('d', -30, now())"),
+    safe("SELECT DISTINCT device_mac FROM sensors_environment WHERE timestamp > dateadd('d', -7, now())"),
+    safe(`
+      SELECT id, name FROM (
+        SELECT id, name, is_deleted, ROW_NUMBER() OVER (PARTITION BY id ORDER BY timestamp DESC) as rn
+        FROM cameras
+      )
+      WHERE rn = 1 AND (is_deleted = 0 OR is_deleted IS NULL)
+    `)
+  ]);
+
+  const socketNames = Object.fromEntries(sockets.filter(r => r.socket && r.name).map(r => [r.socket, r.name]));
+  const names = Object.fromEntries(deviceNames.filter(r => r.mac && r.custom_name).map(r => [r.mac, r.custom_name]));
+  return {
+    socketNames,
+    deviceNames: names,
+    cameraNames: Object.fromEntries(cameras.map(c => [c.id, c.name])),
+    outlets: outletDevices
+      .filter(r => r.socket)
+      .map(r => ({ deviceMac: r.device_mac || undefined, socket: r.socket, name: socketNames[r.socket] || `Outlet ${r.socket}` })),
+    sensors: sensorDevices.filter(r => r.device_mac).map(r => ({ mac: r.device_mac, name: names[r.device_mac] || r.device_mac })),
+    cameras: cameras.map(c => ({ id: c.id, name: c.name }))
+  };
+}
+
+/** --map values: Role=MAC:O2, Role=O2, Role=MAC (sensor) or Role=camera-id */
+function parseMapOption(doc, values) {
+  const mapping = { outlets: {}, sensors: {}, cameras: {} };
+  for (const value of values) {
+    const [name, target] = [value.slice(0, value.indexOf('=')), value.slice(value.indexOf('=') + 1)];
+    if (!name || !target) throw new Error(`Invalid --map ${value} (expected Role=value)`);
+    if ((doc.roles?.outlets || []).some(r => r.name === name)) {
+      const split = target.lastIndexOf(':');
+      mapping.outlets[name] = split === -1 ? { socket: target } : { deviceMac: target.slice(0, split), socket: target.slice(split + 1) };
+    } else if ((doc.roles?.sensors || []).some(r => r.name === name)) {
+      mapping.sensors[name] = target;
+    } else if ((doc.roles?.cameras || []).some(r => r.name === name)) {
+      mapping.cameras[name] = target;
+    } else {
+      throw new Error(`Template has no role "${name}"`);
+    }
+  }
+  return mapping;
+}
+
+// CLI: list templates, export the global flow, import a file or template
+if (require.main === module) {
+  const { createCliPool, parseArgs } = require('../db/cli.cjs');
+  const args = parseArgs(process.argv.slice(2), { flags: ['template', 'replace', 'dry-run', 'accept-suggestions'], repeated: ['map'] });
+  const maps = args.map.filter(m => typeof m === 'string');
+  const [command, source] = args._;
+  const flowId = args.flow || 'global';
+  const usage = 'Usage: node src/services/flow-templates.cjs list | export [--out file] [--template] | import <file|template> [--map Role=MAC:O2 ...] [--accept-suggestions] [--replace] [--dry-run]  [--flow global]';
+  if (!['list', 'export', 'import'].includes(command) || (command === 'import' && !source)) {
+    console.log(usage);
+    process.exit(1);
+  }
+  if (command === 'list') {
+    for (const t of listTemplates()) {
+      const roles = [...t.roles.outlets.map(r => r.name), ...t.roles.sensors.map(r => `${r.name} (sensor)`), ...t.roles.cameras.map(r => `${r.name} (camera)`)];
+      console.log(`${t.id}${t.builtin ? '' : ' [saved]'}  ${t.name} — ${t.description}\n    roles: ${roles.join(', ')}`);
+    }
+    process.exit(0);
+  }
+
+  const { createFlowRevisions } = require('./flow-revisions.cjs');
+  const pool = createCliPool();
+  const query = async (sql, params) => (await pool.query(sql, params)).rows;
+
+  (async () => {
+    const inventory = await loadInventory(query);
+    const [current] = await query(`
+      SELECT name, description, flow_json
+      FROM automation_flows
+      WHERE id = $1
+      ORDER BY updated_at DESC
+      LIMIT 1
+    `, [flowId]);
+    const currentFlow = current ? JSON.parse(current.flow_json || '{"nodes":[],"connections":[]}') : { nodes: [], connections: [] };
+
+    if (command === 'export') {
+      if (!current) throw new Error(`Flow ${flowId} not found`);
+      const doc = exportFlow({ name: current.name, description: current.description, flow: currentFlow }, inventory);
+      if (args.template) console.log(`Saved as template ${saveTemplate(doc)}`);
+      else if (args.out) fs.writeFileSync(args.out, JSON.stringify(doc, null, 2));
+      else console.log(JSON.stringify(doc, null, 2));
+      return 0;
+    }
+
+    const doc = fs.existsSync(source) ? validateTemplate(JSON.parse(fs.readFileSync(source, 'utf8'))) : getTemplate(source);
+    if (!doc) throw new Error(`No file or template ${source}`);
+    const { matched, suggested } = suggestMapping(doc, inventory);
+    const given = parseMapOption(doc, maps);
+    const accepted = args['accept-suggestions'] ? suggested : { outlets: {}, sensors: {}, cameras: {} };
+    const mapping = {
+      outlets: { ...matched.outlets, ...accepted.outlets, ...given.outlets },
+      sensors: { ...matched.sensors, ...accepted.sensors, ...given.sensors },
+      cameras: { ...matched.cameras, ...accepted.cameras, ...given.cameras }
+    };
+    for (const [role, o] of Object.entries(mapping.outlets)) console.log(`  ${role} -> ${outletKey(o.deviceMac, o.socket)}`);
+    for (const [role, mac] of Object.entries(mapping.sensors)) console.log(`  ${role} (sensor) -> ${mac}`);
+    for (const [role, id] of Object.entries(mapping.cameras)) console.log(`  ${role} (camera) -> ${id}`);
+    const missing = missingRoles(doc, mapping);
+    if (missing.length > 0) {
+      const proposals = [
+        ...Object.entries(suggested.outlets).filter(([role]) => !mapping.outlets[role]).map(([role, o]) => `"${role}" -> ${outletKey(o.deviceMac, o.socket)}`),
+        ...Object.entries(suggested.sensors).filter(([role]) => !mapping.sensors[role]).map(([role, mac]) => `"${role}" (sensor) -> ${mac}`),
+        ...Object.entries(suggested.cameras).filter(([role]) => !mapping.cameras[role]).map(([role, id]) => `"${role}" (camera) -> ${id}`)
+      ];
+      if (proposals.length > 0) console.log(`Suggested (not by name, confirm with --accept-suggestions or --map): ${proposals.join(', ')}`);
+      console.log(`Map the remaining roles with --map: ${missing.map(r => `"${r.name}" (${r.kind})`).join(', ')}`);
+      console.log(`Outlets: ${inventory.outlets.map(o => `${outletKey(o.deviceMac, o.socket)} ${o.name}`).join(', ') || 'none'}`);
+      console.log(`Sensors: ${inventory.sensors.map(s => `${s.mac} ${s.name}`).join(', ') || 'none'}`);
+      if (doc.roles.cameras.length > 0) console.log(`Cameras: ${inventory.cameras.map(c => `${c.id} ${c.name}`).join(', ') || 'none'}`);
+      return 1;
+    }
+
+    const imported = importFlow(doc, mapping);
+    const { flow, warnings } = args.replace ? { flow: imported, warnings: [] } : mergeFlows(currentFlow, imported);
+    for (const warning of warnings) console.log(`Warning: ${warning}`);
+    if (args['dry-run']) {
+      console.log(JSON.stringify(flow, null, 2));
+      return 0;
+    }
+    const revision = await createFlowRevisions({ query }).save(flowId, { flow }, {
+      author: args.author || 'cli',
+      comment: args.comment || `Imported ${doc.name}`,
+      source: 'import'
+    });
+    console.log(`Imported "${doc.name}" as revision ${revision} (the supervisor picks it up within 30 s)`);
+    return 0;
+  })()
+    .catch((err) => {
+      console.error(err.message);
+      return 1;
+    })
+    .then(async (code) => {
+      await pool.end();
+      process.exit(code);
+    });
+}
+
+module.exports = {
+  exportFlow,
+  importFlow,
+  suggestMapping,
+  missingRoles,
+  mergeFlows,
+  validateTemplate,
+  listTemplates,
+  getTemplate,
+  saveTemplate,
+  loadInventory
+};
@@ -0,0 +1,284 @@
+/**
+ * Interlocks
+ * Declarative safety rules the supervisor applies to outlet actions after the
+ * flows were evaluated and before anything is sent, whatever the flows want.
+ *
+ * Rule types (rule_json of interlock_rules):
+ * - exclusive: { outlets: [{ deviceMac?, socket }, ...] }
+ *   Never on together. An outlet already on keeps running and the others'
+ *   ON actions are blocked; when several turn on in the same tick the first action wins.
+ * - force: { outlets: [...] | '*', action: 'off'|'on', when: { sensor, deviceMac?, operator, value, hysteresis? } }
+ *   While the condition holds the outlets are forced to `action` (also outside
+ *   AI mode) and contrary actions are blocked. '*' is every known outlet.
+ *   e.g. heater off if temp > 30, everything off if the soil probe reads a
+ *   flooded tray (humi_soil > 95).
+ *
+ * Optional on every rule: level (info|warning|critical) and channels for the alert.
+ *
+ * CLI (there is no editor for rules in the prebuilt web app):
+ *   node src/services/interlocks.cjs list | show <id> | save rule.json [--id <id>] |
+ *     enable <id> | disable <id> | delete <id>
+ */
+
+/**
+ * @param {object} context
+ * @param {(deviceMac?: string) => object} context.getSensorValues
+ * @param {(deviceMac: string, socket: string) => number|undefined} context.getSocketState
+ * @param {() => Array<{ deviceMac: string, socket: string }>} context.listOutlets - Known outlets ('*')
+ * @param {(deviceMac: string, socket: string) => string} context.outletKey - Normalized device:socket
+ */
+function createInterlocks(context) {
+  const { getSensorValues, getSocketState, listOutlets, outletKey } = context;
+
+  let rules = [];
+  const forceActive = new Map();     // rule id -> condition held on the last check (hysteresis)
+  const openViolations = new Set();  // violation keys reported and still present
+
+  function outletsOf(rule) {
+    if (rule.outlets === '*') return listOutlets();
+    return (Array.isArray(rule.outlets) ? rule.outlets : []).filter(o => o && o.socket);
+  }
+
+  /**
+   * Condition of a force rule, with hysteresis on release
+   * (a rule that fired at temp > 30 with hysteresis 1 releases below 29)
+   */
+  function conditionHolds(rule) {
+    const { sensor, deviceMac, operator, value, hysteresis = 0 } = rule.when || {};
+    const current = Number(getSensorValues(deviceMac)[sensor]);
+    if (!sensor || !Number.isFinite(current)) return false;
+    const wasActive = forceActive.get(rule.id) === true;
+    const threshold = Number(value);
+    const band = wasActive ? Number(hysteresis) || 0 : 0;
+    switch (operator) {
+      case '>': return current > threshold - band;
+      case '>=': return current >= threshold - band;
+      case '<': return current < threshold + band;
+      case '<=': return current <= threshold + band;
+      case '==': return current === threshold;
+      case '!=': return current !== threshold;
+      default: return false;
+    }
+  }
+
+  function describeCondition(rule) {
+    const { sensor, deviceMac, operator, value } = rule.when;
+    const current = getSensorValues(deviceMac)[sensor];
+    return `${sensor} ${operator} ${value} (actual: ${current})`;
+  }
+
+  /**
+   * Outlets forced by the active force rules
+   * @returns {Map<string, { deviceMac: string, socket: string, action: string, rule: object, reason: string }>}
+   */
+  function forcedOutlets() {
+    const forced = new Map();
+    for (const rule of rules) {
+      if (rule.type !== 'force') continue;
+      const holds = conditionHolds(rule);
+      forceActive.set(rule.id, holds);
+      if (!holds) continue;
+      const action = rule.action === 'on' ? 'on' : 'off';
+      const reason = `Interlock ${rule.name}: ${describeCondition(rule)}`;
+      for (const outlet of outletsOf(rule)) {
+        const key = outletKey(outlet.deviceMac, outlet.socket);
+        // Forcing off wins over forcing on when two rules disagree
+        if (forced.has(key) && forced.get(key).action === 'off') continue;
+        forced.set(key, { deviceMac: outlet.deviceMac, socket: outlet.socket, action, rule, reason });
+      }
+    }
+    return forced;
+  }
+
+  const currentlyOn = (outlet) => getSocketState(outlet.deviceMac, outlet.socket) === 1;
+
+  /**
+   * Exclusive rule blocking an outlet from turning on
+   * @param {string} key - Outlet key turning on
+   * @param {(outlet: { key: string, deviceMac: string, socket: string }) => boolean} isOn - State of the other outlets
+   */
+  function exclusiveConflict(key, isOn) {
+    for (const rule of rules) {
+      if (rule.type !== 'exclusive') continue;
+      const members = outletsOf(rule).map(o => ({ ...o, key: outletKey(o.deviceMac, o.socket) }));
+      if (!members.some(m => m.key === key)) continue;
+      const running = members.find(m => m.key !== key && isOn(m));
+      if (running) return { rule, reason: `Interlock ${rule.name}: ${running.socket} is on` };
+    }
+    return null;
+  }
+
+  return {
+    /** @param {Array<{ id: string, name: string, enabled: boolean, type: string }>} nextRules */
+    setRules(nextRules) {
+      rules = nextRules.filter(r => r.enabled);
+      const ids = new Set(rules.map(r => r.id));
+      for (const id of [...forceActive.keys()]) if (!ids.has(id)) forceActive.delete(id);
+    },
+
+    hasRules() {
+      return rules.length > 0;
+    },
+
+    /**
+     * Filter outlet actions through the rules and add the forced ones
+     * @param {Array<object>} actions - Deduplicated outlet actions ({ deviceMac, socket, action, reason })
+     * @returns {{ actions: Array<object>, violations: Array<{ key: string, rule: object, deviceMac: string,
+     *   socket: string, action: string, outcome: 'blocked'|'forced', reason: string, isNew: boolean }> }}
+     *   isNew is false for a violation already reported on an earlier check
+     */
+    apply(actions) {
+      const forced = forcedOutlets();
+      const allowed = [];
+      const violations = [];
+
+      // Projected outlet states: current, then the actions as they are accepted
+      const projected = new Map();
+      const isOn = (outlet) => projected.has(outlet.key) ? projected.get(outlet.key) === 1 : currentlyOn(outlet);
+
+      // Forced outlets first: they override whatever the flows asked for
+      const switching = new Set();
+      for (const [key, force] of forced) {
+        projected.set(key, force.action === 'on' ? 1 : 0);
+        const current = getSocketState(force.deviceMac, force.socket);
+        if (current !== undefined && current !== (force.action === 'on' ? 1 : 0)) {
+          switching.add(key);
+          allowed.push({ deviceMac: force.deviceMac, socket: force.socket, action: force.action, reason: force.reason, interlock: force.rule.id });
+          violations.push({ key: `${force.rule.id}:${key}:forced`, rule: force.rule, deviceMac: force.deviceMac, socket: force.socket, action: force.action, outcome: 'forced', reason: force.reason });
+        }
+      }
+
+      // OFF actions first, so an outlet handing over to another in the same tick doesn't block it
+      const ordered = [...actions.filter(a => a.action !== 'on'), ...actions.filter(a => a.action === 'on')];
+      for (const action of ordered) {
+        const key = outletKey(action.deviceMac, action.socket);
+        const force = forced.get(key);
+        if (force) {
+          // Already reported as forced when the outlet is being switched
+          if (force.action !== action.action && !switching.has(key)) {
+            violations.push({ key: `${force.rule.id}:${key}:blocked`, rule: force.rule, deviceMac: action.deviceMac, socket: action.socket, action: action.action, outcome: 'blocked', reason: force.reason });
+          }
+          continue; // The forced action (if any) is already queued
+        }
+
+        if (action.action === 'on' && !isOn({ key, deviceMac: action.deviceMac, socket: action.socket })) {
+          const conflict = exclusiveConflict(key, isOn);
+          if (conflict) {
+            violations.push({ key: `${conflict.rule.id}:${key}:blocked`, rule: conflict.rule, deviceMac: action.deviceMac, socket: action.socket, action: 'on', outcome: 'blocked', reason: conflict.reason });
+            continue;
+          }
+        }
+        projected.set(key, action.action === 'on' ? 1 : 0);
+        allowed.push(action);
+      }
+
+      // Report each violation once while it lasts
+      const present = new Set(violations.map(v => v.key));
+      for (const key of [...openViolations]) if (!present.has(key)) openViolations.delete(key);
+      for (const violation of violations) {
+        violation.isNew = !openViolations.has(violation.key);
+        openViolations.add(violation.key);
+      }
+
+      return { actions: allowed, violations };
+    },
+
+    /**
+     * Check a single outlet switch made outside the flows (irrigation pump)
+     * @returns {string|null} Reason it is blocked, null when allowed
+     */
+    check(deviceMac, socket, action) {
+      const key = outletKey(deviceMac, socket);
+      const force = forcedOutlets().get(key);
+      if (force) return force.action === action ? null : force.reason;
+      if (action !== 'on') return null;
+      const conflict = exclusiveConflict(key, currentlyOn);
+      return conflict ? conflict.reason : null;
+    }
+  };
+}
+
+/**
+ * Parse interlock_rules rows (latest per id) into rule objects
+ */
+function parseRuleRows(rows) {
+  const rules = [];
+  for (const row of rows) {
+    if (row.is_deleted === 1) continue;
+    try {
+      const body = JSON.parse(row.rule_json || '{}');
+      rules.push({ ...body, id: row.id, name: row.name || body.name || row.id, enabled: row.enabled === 1 });
+    } catch (err) {
+      console.error(`[Interlock] Invalid rule ${row.id}:`, err.message);
+    }
+  }
+  return rules;
+}
+
+const OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+
+/**
+ * Problems with a rule document (empty if it can be saved)
+ */
+function validateRule(rule) {
+  const problems = [];
+  const outletList = Array.isArray(rule.outlets) ? rule.outlets : [];
+  if (outletList.some(o => !o || !o.socket)) problems.push('every outlet needs a socket (e.g. { "socket": "O2" })');
+  if (rule.type === 'exclusive') {
+    if (outletList.length < 2) problems.push('an exclusive rule needs at least two outlets');
+  } else if (rule.type === 'force') {
+    if (rule.outlets !== '*' && outletList.length === 0) problems.push(`outlets must list outlets or be '*'`);
+    if (!['on', 'off'].includes(rule.action)) problems.push(`action must be 'on' or 'off'`);
+    const { sensor, operator, value } = rule.when || {};
+    if (!sensor) problems.push('when.sensor is required (e.g. "temp")');
+    if (!OPERATORS.includes(operator)) problems.push(`when.operator must be one of ${OPERATORS.join(' ')}`);
+    if (!Number.isFinite(Number(value))) problems.push('when.value must be a number');
+  } else {
+    problems.push(`type must be 'exclusive' or 'force'`);
+  }
+  if (rule.level !== undefined && !['info', 'warning', 'critical'].includes(rule.level)) problems.push('level must be info, warning or critical');
+  return problems;
+}
+
+const RULES_SQL = `
+  SELECT * FROM (
+    SELECT id, name, enabled, rule_json, is_deleted,
+      ROW_NUMBER() OVER (PARTITION BY id ORDER BY timestamp DESC) as rn
+    FROM interlock_rules
+  )
+  WHERE rn = 1
+`;
+
+// CLI: author the stored rules
+if (require.main === module) {
+  const { createCliPool, parseArgs } = require('../db/cli.cjs');
+  const { createJsonRows, runJsonRowsCommand, JSON_ROWS_COMMANDS } = require('../db/json-rows.cjs');
+  const [command, ...rest] = process.argv.slice(2);
+  const args = parseArgs(rest);
+  if (!JSON_ROWS_COMMANDS.includes(command) || (command !== 'list' && args._.length === 0)) {
+    console.log('Usage: node src/services/interlocks.cjs list | show <id> | save rule.json [--id <id>] | enable <id> | disable <id> | delete <id>');
+    process.exit(1);
+  }
+  const outletNames = (outlets) => outlets === '*' ? 'every outlet' : (outlets || []).map(o => o.deviceMac ? `${o.deviceMac}:${o.socket}` : o.socket).join(', ');
+  const pool = createCliPool();
+  const query = async (sql, params) => (await pool.query(sql, params)).rows;
+  runJsonRowsCommand(command, args, {
+    rows: createJsonRows(query, { table: 'interlock_rules', jsonColumn: 'rule_json' }),
+    load: async () => parseRuleRows(await query(RULES_SQL)),
+    validate: validateRule,
+    describe: r => r.type === 'force'
+      ? `${outletNames(r.outlets)} ${r.action} while ${r.when?.sensor} ${r.when?.operator} ${r.when?.value}`
+      : `${outletNames(r.outlets)} never on together`,
+    noun: 'interlock rule'
+  })
+    .catch((err) => {
+      console.error(err.message);
+      return 1;
+    })
+    .then(async (code) => {
+      await pool.end();
+      process.exit(code);
+    });
+}
+
+module.exports = { createInterlocks, parseRuleRows, validateRule, RULES_SQL };
@@ -0,0 +1,325 @@
+/**
+ * Irrigation Controller
+ * Pump-outlet irrigation programs driven by soil moisture (crop steering).
+ *
+ * A program pulses one pump outlet for shotSeconds whenever the substrate has
+ * dried back far enough from its last peak: after each shot the moisture settles,
+ * the highest reading since then is the peak, and the next shot fires once the
+ * moisture is `dryBack` points below it. Targets are set per growth stage
+ * (lab plant stage group: vegetative, flower, ...).
+ *
+ * Limits: shots only inside the irrigation window (by default lights on, with a
+ * delay after lights on and a stop before lights off), at least minIntervalMinutes
+ * apart and at most maxShotsPerDay. Below `floor` a shot fires outside the window too;
+ * above `ceiling` none fires.
+ *
+ * Programs are stored in irrigation_programs (latest row per id); the per-program
+ * counters in data/irrigation-state.json so a restart doesn't reset the daily limit.
+ *
+ * CLI (there is no editor for programs in the prebuilt web app):
+ *   node src/services/irrigation.cjs list | show <id> | save program.json [--id <id>] |
+ *     enable <id> | disable <id> | delete <id>
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Program fields:
+ * - pump: { deviceMac?, socket } - Outlet the pump is plugged into
+ * - probe: { deviceMac? } - Soil readings used (default: average over every device with soil probes)
+ * - shotSeconds (default 30), maxShotsPerDay (default 6), minIntervalMinutes (default 60),
+ *   settleMinutes before the moisture after a shot is read (default 10)
+ * - window: { mode: 'lights_on'|'time'|'always', start, end, startDelayMinutes, stopBeforeOffMinutes }
+ * - stages: { [group or lab status]: { dryBack, floor?, ceiling?, shotSeconds?, maxShotsPerDay? }, default: {...} }
+ * - plantId: lab plant whose stage selects the targets (default: the most recent active plant)
+ */
+const PROGRAM_DEFAULTS = { shotSeconds: 30, maxShotsPerDay: 6, minIntervalMinutes: 60, settleMinutes: 10 };
+const WINDOW_DEFAULTS = { mode: 'lights_on', startDelayMinutes: 60, stopBeforeOffMinutes: 120 };
+
+/** 'HH:MM' -> minutes after midnight */
+function minutesOf(value) {
+  const [h, m] = String(value || '').split(':').map(Number);
+  return Number.isFinite(h) ? ((h * 60 + (m || 0)) % 1440 + 1440) % 1440 : null;
+}
+
+/**
+ * Whether shots are allowed at a time
+ * @param {object} window - Program window settings
+ * @param {{ dayStart: string, dayEnd: string }} dayNight - Lights on / off
+ */
+function inWindow(window, dayNight, time) {
+  const w = { ...WINDOW_DEFAULTS, ...(window || {}) };
+  if (w.mode === 'always') return true;
+
+  let start;
+  let end;
+  if (w.mode === 'time') {
+    start = minutesOf(w.start);
+    end = minutesOf(w.end);
+  } else {
+    start = minutesOf(dayNight.dayStart) + (Number(w.startDelayMinutes) || 0);
+    end = minutesOf(dayNight.dayEnd) - (Number(w.stopBeforeOffMinutes) || 0);
+  }
+  if (start === null || end === null) return false;
+  start = (start + 1440) % 1440;
+  end = (end + 1440) % 1440;
+
+  const date = new Date(time);
+  const minute = date.getHours() * 60 + date.getMinutes();
+  return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+/**
+ * Targets for the current stage: exact lab status, then its group, then default
+ */
+function stageTargets(program, stage, groupOf) {
+  const stages = program.stages || {};
+  if (stage && stages[stage]) return { key: stage, ...stages[stage] };
+  const group = stage && groupOf ? groupOf(stage) : null;
+  if (group && stages[group]) return { key: group, ...stages[group] };
+  if (stages.default) return { key: 'default', ...stages.default };
+  return null;
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.statePath] - Counter file (none: in memory)
+ * @param {() => number} [options.clock=Date.now]
+ * @param {(status: string) => string|null} [options.groupOf] - Stage group for the stage targets
+ */
+function createIrrigationController(options = {}) {
+  const { statePath, clock = Date.now, groupOf } = options;
+
+  let programs = [];
+  let plants = new Map();
+  let defaultPlantId = null;
+  let dayNight = { dayStart: '06:00', dayEnd: '00:00' };
+  // program id -> { day, shotsToday, lastShotAt, peak, pending: { startedAt, settleAt, before, stage, reason, shotSeconds } }
+  let state = {};
+
+  try {
+    if (statePath && fs.existsSync(statePath)) {
+      state = JSON.parse(fs.readFileSync(statePath, 'utf-8')).programs || {};
+    }
+  } catch (err) {
+    console.error('[Irrigation] Could not read irrigation state, starting fresh:', err.message);
+  }
+
+  function save() {
+    if (!statePath) return;
+    try {
+      fs.mkdirSync(path.dirname(statePath), { recursive: true });
+      fs.writeFileSync(`${statePath}.tmp`, JSON.stringify({ programs: state, updatedAt: new Date().toISOString() }, null, 2));
+      fs.renameSync(`${statePath}.tmp`, statePath);
+    } catch (err) {
+      console.error('[Irrigation] Could not save irrigation state:', err.message);
+    }
+  }
+
+  function programState(id, now) {
+    const day = new Date(now).toLocaleDateString('sv-SE');
+    const entry = state[id] || (state[id] = { day, shotsToday: 0, lastShotAt: null, peak: null, pending: null });
+    if (entry.day !== day) {
+      entry.day = day;
+      entry.shotsToday = 0;
+    }
+    return entry;
+  }
+
+  return {
+    /** @param {Array<object>} nextPrograms - Parsed irrigation_programs rows */
+    setPrograms(nextPrograms) {
+      programs = nextPrograms;
+      const ids = new Set(programs.map(p => p.id));
+      for (const id of Object.keys(state)) if (!ids.has(id)) delete state[id];
+    },
+
+    /**
+     * @param {Map<string, { stage: string }>} stagesByPlant
+     * @param {string|null} defaultId
+     */
+    setPlantStages(stagesByPlant, defaultId) {
+      plants = stagesByPlant;
+      defaultPlantId = defaultId;
+    },
+
+    setDayNightSchedule(schedule) {
+      dayNight = schedule;
+    },
+
+    /**
+     * Decide on shots and collect settled ones
+     * @param {(program: object) => { moisture?: number, ec?: number }} getReading - Current soil reading of a program's probe
+     * @param {(program: object) => boolean} [canShoot] - Whether the pump may be switched (AI mode)
+     * @returns {{ shots: Array<object>, settled: Array<object> }}
+     *   shots: start these now ({ program, stage, reason, shotSeconds, before, shotNumber });
+     *   settled: shots whose moisture after can be logged ({ program, ...pending, after })
+     */
+    evaluate(getReading, canShoot = () => true) {
+      const now = clock();
+      const shots = [];
+      const settled = [];
+      let dirty = false;
+
+      for (const program of programs) {
+        if (!program.enabled || !program.pump?.socket) continue;
+        const settings = { ...PROGRAM_DEFAULTS, ...program };
+        const entry = programState(program.id, now);
+        const reading = getReading(program) || {};
+        const moisture = Number.isFinite(reading.moisture) ? reading.moisture : null;
+
+        // A shot is settling: its "after" reading is the new peak
+        if (entry.pending) {
+          if (now < entry.pending.settleAt) continue;
+          settled.push({ program, ...entry.pending, after: { moisture, ec: reading.ec ?? null } });
+          entry.peak = moisture;
+          entry.pending = null;
+          dirty = true;
+        }
+        if (moisture === null) continue;
+
+        // The highest reading since the last shot settled
+        if (entry.peak === null || moisture > entry.peak) {
+          entry.peak = moisture;
+          dirty = true;
+        }
+
+        const plant = plants.get(program.plantId || defaultPlantId);
+        const targets = stageTargets(program, plant?.stage, groupOf);
+        if (!targets) continue;
+
+        const ceiling = Number(targets.ceiling);
+        if (Number.isFinite(ceiling) && moisture >= ceiling) continue;
+
+        const floor = Number(targets.floor);
+        const belowFloor = Number.isFinite(floor) && moisture < floor;
+        const dryBack = Number(targets.dryBack);
+        const driedBack = Number.isFinite(dryBack) && moisture <= entry.peak - dryBack;
+        if (!belowFloor && !driedBack) continue;
+
+        if (!belowFloor && !inWindow(program.window, dayNight, now)) continue;
+        const maxShots = Number(targets.maxShotsPerDay ?? settings.maxShotsPerDay);
+        if (entry.shotsToday >= maxShots) continue;
+        if (entry.lastShotAt && now - entry.lastShotAt < settings.minIntervalMinutes * 60000) continue;
+        if (!canShoot(program)) continue;
+
+        const shotSeconds = Math.max(1, Number(targets.shotSeconds ?? settings.shotSeconds) || 1);
+        const reason = belowFloor
+          ? `moisture ${moisture} below floor ${floor}`
+          : `dried back ${(entry.peak - moisture).toFixed(1)} from ${entry.peak} (target ${dryBack})`;
+
+        entry.shotsToday++;
+        entry.lastShotAt = now;
+        entry.pending = {
+          startedAt: now,
+          settleAt: now + shotSeconds * 1000 + settings.settleMinutes * 60000,
+          before: { moisture, ec: reading.ec ?? null },
+          stage: targets.key,
+          reason,
+          shotSeconds,
+          shotNumber: entry.shotsToday
+        };
+        shots.push({ program, ...entry.pending });
+        dirty = true;
+      }
+
+      if (dirty) save();
+      return { shots, settled };
+    },
+
+    /**
+     * The pump didn't switch on: drop the settling shot (it still counts
+     * towards the daily limit and the minimum interval, so a dead pump isn't hammered)
+     */
+    shotFailed(programId) {
+      if (!state[programId]?.pending) return;
+      state[programId].pending = null;
+      save();
+    },
+
+    /** Enabled programs */
+    getPrograms() {
+      return programs.filter(p => p.enabled);
+    },
+
+    /** Per-program counters (shots today, last shot, peak, shot settling) */
+    getState() {
+      return state;
+    }
+  };
+}
+
+/**
+ * Parse irrigation_programs rows (latest per id) into program objects
+ */
+function parseProgramRows(rows) {
+  const programs = [];
+  for (const row of rows) {
+    if (row.is_deleted === 1) continue;
+    try {
+      const body = JSON.parse(row.program_json || '{}');
+      programs.push({ ...body, id: row.id, name: row.name || body.name || row.id, enabled: row.enabled === 1 });
+    } catch (err) {
+      console.error(`[Irrigation] Invalid program ${row.id}:`, err.message);
+    }
+  }
+  return programs;
+}
+
+/**
+ * Problems with a program document (empty if it can be saved)
+ */
+function validateProgram(program) {
+  const problems = [];
+  if (!program.pump?.socket) problems.push('pump.socket is required (e.g. "O3")');
+  const w = { ...WINDOW_DEFAULTS, ...(program.window || {}) };
+  if (!['lights_on', 'time', 'always'].includes(w.mode)) problems.push(`window.mode must be lights_on, time or always`);
+  if (w.mode === 'time' && (minutesOf(w.start) === null || minutesOf(w.end) === null)) problems.push('window.start and window.end must be HH:MM');
+  const stages = Object.entries(program.stages || {});
+  if (stages.length === 0) problems.push('stages must set targets for at least one stage (or default)');
+  for (const [stage, targets] of stages) {
+    if (!(Number(targets?.dryBack) > 0)) problems.push(`stages.${stage}: dryBack must be a positive number of moisture points`);
+  }
+  return problems;
+}
+
+const PROGRAMS_SQL = `
+  SELECT * FROM (
+    SELECT id, name, enabled, program_json, is_deleted,
+      ROW_NUMBER() OVER (PARTITION BY id ORDER BY timestamp DESC) as rn
+    FROM irrigation_programs
+  )
+  WHERE rn = 1
+`;
+
+// CLI: author the stored programs
+if (require.main === module) {
+  const { createCliPool, parseArgs } = require('../db/cli.cjs');
+  const { createJsonRows, runJsonRowsCommand, JSON_ROWS_COMMANDS } = require('../db/json-rows.cjs');
+  const [command, ...rest] = process.argv.slice(2);
+  const args = parseArgs(rest);
+  if (!JSON_ROWS_COMMANDS.includes(command) || (command !== 'list' && args._.length === 0)) {
+    console.log('Usage: node src/services/irrigation.cjs list | show <id> | save program.json [--id <id>] | enable <id> | disable <id> | delete <id>');
+    process.exit(1);
+  }
+  const pool = createCliPool();
+  const query = async (sql, params) => (await pool.query(sql, params)).rows;
+  runJsonRowsCommand(command, args, {
+    rows: createJsonRows(query, { table: 'irrigation_programs', jsonColumn: 'program_json' }),
+    load: async () => parseProgramRows(await query(PROGRAMS_SQL)),
+    validate: validateProgram,
+    describe: p => `pump ${p.pump?.deviceMac ? `${p.pump.deviceMac}:` : ''}${p.pump?.socket}, stages ${Object.keys(p.stages || {}).join(', ')}`,
+    noun: 'irrigation program'
+  })
+    .catch((err) => {
+      console.error(err.message);
+      return 1;
+    })
+    .then(async (code) => {
+      await pool.end();
+      process.exit(code);
+    });
+}
+
+module.exports = { createIrrigationController, inWindow, stageTargets, parseProgramRows, validateProgram, PROGRAMS_SQL };
@@ -0,0 +1,446 @@
+/**
+ * Light Programs
+ * Photoperiod programs spanning a whole grow, executed by the supervisor
+ * instead of the controller's onboard plan.
+ *
+ * A program drives one light through a sequence of phases (e.g. 18/6 for four
+ * weeks, then 12/12). Each phase sets when the lights come on, for how many hours,
+ * at which level, with sunrise/sunset ramps. A phase ends after durationDays, or
+ * earlier when the linked lab plant moves to a stage listed by another phase.
+ *
+ * Programs are stored in light_programs (latest row per id, program_json holds the
+ * phases); progress (current phase and since when) in data/light-programs-state.json.
+ *
+ * CLI (there is no editor for programs in the prebuilt web app):
+ *   node src/services/light-programs.cjs list | show <id> | save program.json [--id <id>] |
+ *     enable <id> | disable <id> | delete <id>
+ *   node src/services/light-programs.cjs preview [--program <id> | --file program.json] [--days 60] [--from 2026-01-10]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Phase fields:
+ * - name
+ * - lightsOn: 'HH:MM' local time (default '06:00')
+ * - onHours: photoperiod length (default 18)
+ * - level: full brightness 0-100 (default 100)
+ * - sunriseMinutes / sunsetMinutes: ramp length at each end (default 0)
+ * - rampStartLevel: level the ramps start / end at (default 10, most drivers don't dim lower)
+ * - durationDays: advance to the next phase after this many days (omit to hold until a stage change)
+ * - stages: lab plant stages (lab status like 'early_flower' or group like 'flower') that select this phase
+ */
+const PHASE_DEFAULTS = { lightsOn: '06:00', onHours: 18, level: 100, sunriseMinutes: 0, sunsetMinutes: 0, rampStartLevel: 10 };
+
+/** 'HH:MM' -> minutes after midnight */
+function parseTime(value) {
+  const [h, m] = String(value || '').split(':').map(Number);
+  if (!Number.isFinite(h)) return null;
+  return ((h * 60 + (m || 0)) % 1440 + 1440) % 1440;
+}
+
+function formatTime(minutes) {
+  const m = ((Math.round(minutes) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+/** Local midnight of a YYYY-MM-DD date (or of the given timestamp) */
+function startOfDay(value) {
+  const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/** Same local time, `days` calendar days later (a DST change keeps the hour) */
+function addDays(time, days) {
+  const date = new Date(time);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+}
+
+function withDefaults(phase) {
+  return { ...PHASE_DEFAULTS, ...phase };
+}
+
+/**
+ * Light output of a phase at a given time
+ * @returns {{ on: boolean, level: number, ramp: 'sunrise'|'sunset'|null }}
+ */
+function phaseLevelAt(rawPhase, time) {
+  const phase = withDefaults(rawPhase);
+  const date = new Date(time);
+  const minuteOfDay = date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+  const onMinutes = Math.max(0, Math.min(24, Number(phase.onHours) || 0)) * 60;
+  const level = Math.max(0, Math.min(100, Number(phase.level) || 0));
+  if (onMinutes === 0 || level === 0) return { on: false, level: 0, ramp: null };
+
+  // Minutes since lights on (the photoperiod may cross midnight)
+  const sinceOn = (minuteOfDay - parseTime(phase.lightsOn) + 1440) % 1440;
+  if (sinceOn >= onMinutes) return { on: false, level: 0, ramp: null };
+
+  const from = Math.min(level, Math.max(1, Number(phase.rampStartLevel) || 1));
+  const sunrise = Math.min(Number(phase.sunriseMinutes) || 0, onMinutes / 2);
+  const sunset = Math.min(Number(phase.sunsetMinutes) || 0, onMinutes / 2);
+  if (sinceOn < sunrise) {
+    return { on: true, level: Math.round(from + (level - from) * (sinceOn / sunrise)), ramp: 'sunrise' };
+  }
+  const untilOff = onMinutes - sinceOn;
+  if (untilOff < sunset) {
+    return { on: true, level: Math.round(from + (level - from) * (untilOff / sunset)), ramp: 'sunset' };
+  }
+  return { on: true, level, ramp: null };
+}
+
+/**
+ * Whether a phase is selected by a lab plant stage
+ * @param {object} phase
+ * @param {string} stage - lab_plants.status
+ * @param {(status: string) => string|null} [groupOf] - Stage group (vegetative, flower, ...)
+ */
+function phaseMatchesStage(phase, stage, groupOf) {
+  if (!stage || !Array.isArray(phase.stages)) return false;
+  return phase.stages.includes(stage) || (!!groupOf && phase.stages.includes(groupOf(stage)));
+}
+
+/**
+ * Move a program's progress forward to `now`
+ * - A stage change of the plant selects the phase listing the new stage (any direction)
+ * - Otherwise a phase with durationDays hands over to the next one when it runs out
+ *   (the last phase holds)
+ * @param {object} program - { startDate?, phases }
+ * @param {{ phaseIndex: number, phaseStartedAt: number, stage?: string }|null} progress
+ * @param {{ stage?: string, since?: number }|null} plant - Current stage of the linked plant
+ * @param {number} now
+ * @param {(status: string) => string|null} [groupOf]
+ * @returns {{ phaseIndex: number, phaseStartedAt: number, stage: string|null, changed: boolean, cause?: string }}
+ */
+function advanceProgress(program, progress, plant, now, groupOf) {
+  const phases = program.phases || [];
+  let phaseIndex = progress ? Math.min(progress.phaseIndex, phases.length - 1) : 0;
+  let phaseStartedAt = progress ? progress.phaseStartedAt : (program.startDate ? startOfDay(program.startDate) : now);
+  let cause;
+  const stage = plant?.stage || null;
+
+  const runDurations = () => {
+    while (phaseIndex < phases.length - 1) {
+      const days = Number(phases[phaseIndex].durationDays);
+      if (!(days > 0) || now < addDays(phaseStartedAt, days)) break;
+      phaseStartedAt = addDays(phaseStartedAt, days);
+      phaseIndex++;
+      cause = `${days} days elapsed`;
+    }
+  };
+
+  runDurations();
+  if (stage && stage !== (progress?.stage ?? null)) {
+    const matched = phases.findIndex(p => phaseMatchesStage(p, stage, groupOf));
+    if (matched >= 0 && matched !== phaseIndex) {
+      phaseIndex = matched;
+      phaseStartedAt = plant.since && plant.since <= now ? plant.since : now;
+      cause = `plant stage ${stage}`;
+      runDurations(); // The stage may have started long enough ago to be past this phase
+    }
+  }
+
+  const changed = !progress || progress.phaseIndex !== phaseIndex || progress.phaseStartedAt !== phaseStartedAt || (progress.stage ?? null) !== stage;
+  return { phaseIndex, phaseStartedAt, stage, changed, cause };
+}
+
+/**
+ * Day-by-day calendar of a program from its current progress.
+ * Only durations are projected: a phase without durationDays is shown until the
+ * stage change that would end it (untilStage).
+ * @returns {Array<{ date: string, phase: string, phaseIndex: number, lightsOn: string, lightsOff: string,
+ *   onHours: number, level: number, sunriseMinutes: number, sunsetMinutes: number, untilStage?: string[] }>}
+ */
+function previewProgram(program, progress, { from = Date.now(), days = 60 } = {}) {
+  const phases = program.phases || [];
+  if (phases.length === 0) return [];
+  const calendar = [];
+  let current = progress || advanceProgress(program, null, null, startOfDay(from));
+  const firstDay = startOfDay(from);
+
+  for (let i = 0; i < days; i++) {
+    const dayStart = addDays(firstDay, i);
+    // Evaluate at noon so a phase change at midnight counts for the day it starts
+    current = advanceProgress(program, current, null, dayStart + 12 * 3600 * 1000);
+    const phase = withDefaults(phases[current.phaseIndex]);
+    const onStart = parseTime(phase.lightsOn);
+    const entry = {
+      date: new Date(dayStart).toLocaleDateString('sv-SE'), // YYYY-MM-DD
+      phase: phase.name || `Phase ${current.phaseIndex + 1}`,
+      phaseIndex: current.phaseIndex,
+      lightsOn: formatTime(onStart),
+      lightsOff: formatTime(onStart + Number(phase.onHours) * 60),
+      onHours: Number(phase.onHours),
+      level: Number(phase.level),
+      sunriseMinutes: Number(phase.sunriseMinutes) || 0,
+      sunsetMinutes: Number(phase.sunsetMinutes) || 0
+    };
+    if (!(Number(phase.durationDays) > 0) && current.phaseIndex < phases.length - 1) {
+      entry.untilStage = phases[current.phaseIndex + 1].stages || [];
+    }
+    calendar.push(entry);
+  }
+  return calendar;
+}
+
+/**
+ * Runtime: tracks progress and turns the active programs into light commands
+ * @param {object} [options]
+ * @param {string} [options.statePath] - Progress file (none: in memory)
+ * @param {() => number} [options.clock=Date.now]
+ * @param {(status: string) => string|null} [options.groupOf] - Stage group for phase.stages
+ */
+function createLightPrograms(options = {}) {
+  const { statePath, clock = Date.now, groupOf } = options;
+
+  let programs = [];
+  let plants = new Map(); // plant id -> { stage, since }
+  let defaultPlantId = null;
+  let progress = {};      // program id -> { phaseIndex, phaseStartedAt, stage }
+  const lastCommands = new Map(); // command key -> signature of the last command sent
+
+  try {
+    if (statePath && fs.existsSync(statePath)) {
+      progress = JSON.parse(fs.readFileSync(statePath, 'utf-8')).programs || {};
+    }
+  } catch (err) {
+    console.error('[LightProgram] Could not read program state, starting fresh:', err.message);
+  }
+
+  function save() {
+    if (!statePath) return;
+    try {
+      fs.mkdirSync(path.dirname(statePath), { recursive: true });
+      fs.writeFileSync(`${statePath}.tmp`, JSON.stringify({ programs: progress, updatedAt: new Date().toISOString() }, null, 2));
+      fs.renameSync(`${statePath}.tmp`, statePath);
+    } catch (err) {
+      console.error('[LightProgram] Could not save program state:', err.message);
+    }
+  }
+
+  return {
+    /**
+     * @param {Array<{ id: string, name: string, light: string, enabled: boolean, plantId?: string,
+     *   startDate?: string, syncDayNight?: boolean, phases: object[] }>} nextPrograms
+     */
+    setPrograms(nextPrograms) {
+      programs = nextPrograms;
+      const ids = new Set(programs.map(p => p.id));
+      let removed = false;
+      for (const id of Object.keys(progress)) {
+        if (!ids.has(id)) {
+          delete progress[id];
+          removed = true;
+        }
+      }
+      if (removed) save();
+    },
+
+    /**
+     * @param {Map<string, { stage: string, since?: number }>} stagesByPlant
+     * @param {string|null} defaultId - Plant used by programs without plantId
+     */
+    setPlantStages(stagesByPlant, defaultId) {
+      plants = stagesByPlant;
+      defaultPlantId = defaultId;
+    },
+
+    /** Forget the last command of a light (it failed: resend next tick) */
+    resetCommand(key) {
+      lastCommands.delete(key);
+    },
+
+    /**
+     * Advance the enabled programs and return what they want now
+     * @returns {{ commands: Array<object>, dayNight: { dayStart: string, dayEnd: string }|null }}
+     *   Light commands that changed since the last call (same shape as flow light
+     *   commands) and the photoperiod of the main light's program
+     */
+    evaluate() {
+      const now = clock();
+      const commands = [];
+      let dayNight = null;
+      let dirty = false;
+
+      for (const program of programs) {
+        if (!program.enabled || !Array.isArray(program.phases) || program.phases.length === 0) continue;
+        const plant = plants.get(program.plantId || defaultPlantId) || null;
+        const next = advanceProgress(program, progress[program.id], plant, now, groupOf);
+        if (next.changed) {
+          const previous = progress[program.id];
+          if (!previous || previous.phaseIndex !== next.phaseIndex) {
+            const phase = program.phases[next.phaseIndex];
+            console.log(`[LightProgram] ${program.name}: phase ${phase.name || next.phaseIndex + 1}${next.cause ? ` (${next.cause})` : ''}`);
+          }
+          progress[program.id] = { phaseIndex: next.phaseIndex, phaseStartedAt: next.phaseStartedAt, stage: next.stage };
+          dirty = true;
+        }
+
+        const phase = withDefaults(program.phases[next.phaseIndex]);
+        const light = program.light === 'light2' ? 'light2' : 'light';
+        const output = phaseLevelAt(phase, now);
+        const command = { target: 'light', light, modeType: 0, mOnOff: output.on ? 1 : 0 };
+        if (output.on) command.mLevel = output.level;
+
+        const key = `light:${light}`;
+        const signature = JSON.stringify(command);
+        if (lastCommands.get(key) !== signature) {
+          lastCommands.set(key, signature);
+          const reason = `Light program ${program.name}: ${phase.name || `phase ${next.phaseIndex + 1}`}${output.ramp ? ` ${output.ramp}` : ''}`;
+          commands.push({ key, ...command, reason });
+        }
+
+        if (light === 'light' && program.syncDayNight !== false) {
+          const onStart = parseTime(phase.lightsOn);
+          dayNight = { dayStart: formatTime(onStart), dayEnd: formatTime(onStart + Number(phase.onHours) * 60) };
+        }
+      }
+
+      if (dirty) save();
+      return { commands, dayNight };
+    },
+
+    /** Current progress per program id */
+    getProgress() {
+      return progress;
+    }
+  };
+}
+
+/**
+ * Parse light_programs rows (latest per id) into program objects
+ */
+function parseProgramRows(rows) {
+  const programs = [];
+  for (const row of rows) {
+    if (row.is_deleted === 1) continue;
+    try {
+      const body = JSON.parse(row.program_json || '{}');
+      programs.push({
+        ...body,
+        id: row.id,
+        name: row.name || body.name || row.id,
+        light: row.light_id || body.light || 'light',
+        enabled: row.enabled === 1
+      });
+    } catch (err) {
+      console.error(`[LightProgram] Invalid program ${row.id}:`, err.message);
+    }
+  }
+  return programs;
+}
+
+/**
+ * Problems with a program document (empty if it can be saved)
+ */
+function validateProgram(program) {
+  const problems = [];
+  if (!['light', 'light2'].includes(program.light || 'light')) problems.push(`light must be 'light' or 'light2'`);
+  if (!Array.isArray(program.phases) || program.phases.length === 0) problems.push('phases must list at least one phase');
+  (program.phases || []).forEach((phase, i) => {
+    const label = `phase ${phase.name || i + 1}`;
+    if (phase.lightsOn !== undefined && parseTime(phase.lightsOn) === null) problems.push(`${label}: lightsOn must be HH:MM`);
+    if (phase.onHours !== undefined && !(phase.onHours >= 0 && phase.onHours <= 24)) problems.push(`${label}: onHours must be 0-24`);
+    if (phase.level !== undefined && !(phase.level >= 0 && phase.level <= 100)) problems.push(`${label}: level must be 0-100`);
+    if (phase.stages !== undefined && !Array.isArray(phase.stages)) problems.push(`${label}: stages must be a list`);
+  });
+  if (program.startDate !== undefined && Number.isNaN(startOfDay(program.startDate))) problems.push('startDate must be YYYY-MM-DD');
+  return problems;
+}
+
+const PROGRAMS_SQL = `
+  SELECT * FROM (
+    SELECT id, name, light_id, enabled, program_json, is_deleted,
+      ROW_NUMBER() OVER (PARTITION BY id ORDER BY timestamp DESC) as rn
+    FROM light_programs
+  )
+  WHERE rn = 1
+`;
+
+// CLI: author the stored programs, calendar preview of them or of a program file
+if (require.main === module) {
+  const { createCliPool, parseArgs } = require('../db/cli.cjs');
+  const { createJsonRows, runJsonRowsCommand, JSON_ROWS_COMMANDS } = require('../db/json-rows.cjs');
+  const [command, ...rest] = process.argv.slice(2);
+  const args = parseArgs(rest);
+  const preview = () => {
+    const days = parseInt(args.days) || 60;
+    const from = args.from ? startOfDay(args.from) : Date.now();
+
+    const printCalendar = (program, state) => {
+      console.log(`\n${program.name} (${program.light || 'light'})`);
+      let lastPhase = null;
+      for (const day of previewProgram(program, state, { from, days })) {
+        const ramps = day.sunriseMinutes || day.sunsetMinutes ? `  ramps ${day.sunriseMinutes}/${day.sunsetMinutes} min` : '';
+        const marker = day.phaseIndex !== lastPhase ? `  ← ${day.phase}${day.untilStage ? ` (until stage ${day.untilStage.join('/')})` : ''}` : '';
+        console.log(`${day.date}  ${day.lightsOn}-${day.lightsOff}  ${day.onHours}/${24 - day.onHours}  ${day.level}%${ramps}${marker}`);
+        lastPhase = day.phaseIndex;
+      }
+    };
+
+    const statePath = path.resolve(process.cwd(), 'data', 'light-programs-state.json');
+    let state = {};
+    try {
+      if (fs.existsSync(statePath)) state = JSON.parse(fs.readFileSync(statePath, 'utf-8')).programs || {};
+    } catch {}
+
+    if (args.file) {
+      const program = JSON.parse(fs.readFileSync(args.file, 'utf-8'));
+      printCalendar({ name: path.basename(args.file), ...program }, null);
+    } else {
+      const pool = createCliPool();
+      pool.query(PROGRAMS_SQL)
+        .then((result) => {
+          const programs = parseProgramRows(result.rows).filter(p => !args.program || p.id === args.program);
+          if (programs.length === 0) console.log('No light programs');
+          for (const program of programs) printCalendar(program, state[program.id] || null);
+        })
+        .catch((err) => {
+          console.error('Preview failed:', err.message);
+          process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+    }
+  };
+
+  if (JSON_ROWS_COMMANDS.includes(command) && (command === 'list' || args._.length > 0)) {
+    const pool = createCliPool();
+    const query = async (sql, params) => (await pool.query(sql, params)).rows;
+    runJsonRowsCommand(command, args, {
+      rows: createJsonRows(query, { table: 'light_programs', jsonColumn: 'program_json', columns: p => ({ light_id: p.light || 'light' }) }),
+      load: async () => parseProgramRows(await query(PROGRAMS_SQL)),
+      validate: validateProgram,
+      describe: p => `${p.light || 'light'}, ${(p.phases || []).map(ph => ph.name || `${withDefaults(ph).onHours}h`).join(' → ')}`,
+      noun: 'light program'
+    })
+      .catch((err) => {
+        console.error(err.message);
+        return 1;
+      })
+      .then(async (code) => {
+        await pool.end();
+        process.exit(code);
+      });
+  } else if (command === 'preview') {
+    preview();
+  } else {
+    console.log('Usage: node src/services/light-programs.cjs list | show <id> | save program.json [--id <id>] | enable <id> | disable <id> | delete <id>');
+    console.log('       node src/services/light-programs.cjs preview [--program <id> | --file program.json] [--days 60] [--from YYYY-MM-DD]');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  createLightPrograms,
+  advanceProgress,
+  phaseLevelAt,
+  previewProgram,
+  parseProgramRows,
+  validateProgram,
+  PROGRAMS_SQL
+};
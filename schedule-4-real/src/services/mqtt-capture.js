@@ -0,0 +1,349 @@
+/**
+ * MQTT Capture & Replay
+ * Records raw MQTT traffic to rotating JSONL capture files and republishes
+ * a capture into the local broker, for protocol debugging and for testing
+ * supervisor flows against real data without hardware.
+ *
+ * Recording runs inside the ingestion service (attachCapture) and is
+ * controlled by data/mqtt-capture.json, reloaded every 5 seconds:
+ *   { "enabled": true, "topics": ["ggs/#"], "maxFileMB": 50, "maxFiles": 20 }
+ * `topics` are subscribed in addition to the driver topics; every message
+ * the ingestion client receives is recorded.
+ *
+ * Capture line: {"t":1718000000000,"topic":"ggs/ps5/aabb/status","qos":0,"retain":false,"payload":"{...}"}
+ * Binary payloads are stored base64 with "enc":"base64".
+ *
+ * Replay (CLI):
+ *   node src/services/mqtt-capture.js list
+ *   node src/services/mqtt-capture.js replay <file|dir> [--speed 10|max] [--topic ggs/+/+/status]
+ *        [--from 2024-06-01T08:00] [--to 2024-06-01T20:00] [--retain] [--forward]
+ * Replayed JSON payloads are tagged _forwarded so the ingestion service
+ * doesn't forward them to remote servers (use --forward to send them as recorded).
+ */
+
+import mqtt from 'mqtt';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import dotenv from 'dotenv';
+import drivers from './drivers/index.cjs';
+import cli from '../db/cli.cjs';
+
+const { parseArgs } = cli;
+
+dotenv.config();
+
+const MQTT_HOST = process.env.MQTT_HOST || '127.0.0.1';
+const MQTT_PORT = process.env.MQTT_PORT || 1883;
+
+const CONFIG_PATH = path.resolve(process.cwd(), 'data', 'mqtt-capture.json');
+const CAPTURE_DIR = path.resolve(process.cwd(), 'data', 'captures');
+
+const DEFAULT_CONFIG = {
+  enabled: false,
+  topics: [],
+  maxFileMB: 50,
+  maxFiles: 20
+};
+
+let config = { ...DEFAULT_CONFIG };
+let stream = null;
+let streamPath = null;
+let streamBytes = 0;
+let recorded = 0;
+let subscribedTopics = [];
+let reloadTimer = null;
+
+// ── Recorder ──────────────────────────────────────────────
+
+function loadCaptureConfig() {
+  try {
+    if (fs.existsSync(CONFIG_PATH)) {
+      config = { ...DEFAULT_CONFIG, ...JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8')) };
+      return;
+    }
+  } catch (err) {
+    console.error('[Capture] Invalid config:', err.message);
+  }
+  config = { ...DEFAULT_CONFIG };
+}
+
+function captureFileName() {
+  // 20240601-080000123 — milliseconds so fast rotations don't reuse a name
+  const stamp = new Date().toISOString().replace(/[-:.]/g, '').replace('T', '-').slice(0, 18);
+  return path.join(CAPTURE_DIR, `capture-${stamp}.jsonl`);
+}
+
+/** Delete the oldest captures beyond maxFiles (the file being recorded counts as one) */
+function pruneCaptures() {
+  const files = listCaptures().filter(f => f.path !== streamPath);
+  const excess = files.length - (Math.max(1, config.maxFiles) - 1);
+  for (const file of files.slice(0, Math.max(0, excess))) {
+    fs.rmSync(file.path, { force: true });
+    console.log(`[Capture] Removed old capture ${file.name}`);
+  }
+}
+
+function openStream() {
+  fs.mkdirSync(CAPTURE_DIR, { recursive: true });
+  streamPath = captureFileName();
+  streamBytes = 0;
+  stream = fs.createWriteStream(streamPath, { flags: 'a' });
+  stream.on('error', (err) => console.error('[Capture] Write error:', err.message));
+  console.log(`[Capture] Recording to ${path.basename(streamPath)}`);
+  pruneCaptures();
+}
+
+function closeStream() {
+  if (!stream) return;
+  stream.end();
+  console.log(`[Capture] Closed ${path.basename(streamPath)} (${streamBytes} bytes)`);
+  stream = null;
+  streamPath = null;
+}
+
+/**
+ * Record one MQTT message (no-op while capture is disabled)
+ */
+export function recordMessage(topic, payload, packet = {}) {
+  if (!config.enabled) return;
+
+  if (!stream || streamBytes >= config.maxFileMB * 1024 * 1024) {
+    closeStream();
+    openStream();
+  }
+
+  const buf = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload));
+  const text = buf.toString('utf-8');
+  const entry = { t: Date.now(), topic, qos: packet.qos || 0, retain: !!packet.retain };
+  if (Buffer.from(text, 'utf-8').equals(buf)) {
+    entry.payload = text;
+  } else {
+    entry.enc = 'base64';
+    entry.payload = buf.toString('base64');
+  }
+
+  const line = JSON.stringify(entry) + '\n';
+  stream.write(line);
+  streamBytes += Buffer.byteLength(line);
+  recorded++;
+}
+
+/** Subscribe/unsubscribe the extra capture topics to match the config */
+function syncSubscriptions(client) {
+  if (!client.connected) return;
+  const wanted = config.enabled ? (config.topics || []) : [];
+  const driverTopics = drivers.getSubscriptions();
+
+  const removed = subscribedTopics.filter(t => !wanted.includes(t) && !driverTopics.includes(t));
+  const added = wanted.filter(t => !subscribedTopics.includes(t));
+  if (removed.length) client.unsubscribe(removed);
+  if (added.length) {
+    client.subscribe(added, { qos: 0 }, (err) => {
+      if (err) console.error('[Capture] Subscribe error:', err.message);
+      else console.log(`[Capture] Subscribed to: ${added.join(', ')}`);
+    });
+  }
+  subscribedTopics = [...wanted];
+}
+
+/**
+ * Hook the recorder into an MQTT client (used by the ingestion service)
+ */
+export function attachCapture(client) {
+  loadCaptureConfig();
+
+  client.on('connect', () => {
+    subscribedTopics = [];
+    syncSubscriptions(client);
+  });
+  client.on('message', recordMessage);
+
+  if (!reloadTimer) {
+    reloadTimer = setInterval(() => {
+      const wasEnabled = config.enabled;
+      loadCaptureConfig();
+      if (wasEnabled && !config.enabled) closeStream();
+      if (wasEnabled !== config.enabled) {
+        console.log(`[Capture] Recording ${config.enabled ? 'enabled' : 'disabled'}`);
+      }
+      syncSubscriptions(client);
+    }, 5000);
+  }
+}
+
+export function stopCapture() {
+  if (reloadTimer) {
+    clearInterval(reloadTimer);
+    reloadTimer = null;
+  }
+  closeStream();
+}
+
+export function getCaptureStatus() {
+  return {
+    enabled: !!config.enabled,
+    file: streamPath ? path.basename(streamPath) : null,
+    fileBytes: streamBytes,
+    recorded
+  };
+}
+
+/**
+ * Capture files, oldest first
+ */
+export function listCaptures() {
+  if (!fs.existsSync(CAPTURE_DIR)) return [];
+  return fs.readdirSync(CAPTURE_DIR)
+    .filter(name => name.endsWith('.jsonl'))
+    .sort()
+    .map(name => {
+      const filePath = path.join(CAPTURE_DIR, name);
+      return { name, path: filePath, size: fs.statSync(filePath).size };
+    });
+}
+
+// ── Replay ────────────────────────────────────────────────
+
+function resolveCaptureFiles(target) {
+  const resolved = fs.existsSync(target) ? path.resolve(target) : path.join(CAPTURE_DIR, target);
+  if (!fs.existsSync(resolved)) throw new Error(`Capture not found: ${target}`);
+  if (fs.statSync(resolved).isDirectory()) {
+    return fs.readdirSync(resolved).filter(n => n.endsWith('.jsonl')).sort().map(n => path.join(resolved, n));
+  }
+  return [resolved];
+}
+
+async function* readEntries(files) {
+  for (const file of files) {
+    const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch {
+        console.error(`[Replay] Skipping invalid line in ${path.basename(file)}`);
+      }
+    }
+  }
+}
+
+function decodeEntry(entry, forward) {
+  const payload = entry.enc === 'base64' ? Buffer.from(entry.payload, 'base64') : entry.payload;
+  if (forward || Buffer.isBuffer(payload)) return payload;
+  try {
+    const msg = JSON.parse(payload);
+    if (msg && typeof msg === 'object' && !Array.isArray(msg)) {
+      msg._forwarded = true;
+      return JSON.stringify(msg);
+    }
+  } catch { /* not JSON — send as recorded */ }
+  return payload;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Republish a capture into the broker
+ * @param {string} target - Capture file, directory, or file name under data/captures
+ * @param {object} [options]
+ * @param {number} [options.speed=1] - Playback speed multiplier, Infinity = as fast as possible
+ * @param {string} [options.topic] - Only replay topics matching this MQTT pattern
+ * @param {number} [options.from] - Skip entries recorded before this time (ms)
+ * @param {number} [options.to] - Stop at entries recorded after this time (ms)
+ * @param {boolean} [options.retain=false] - Keep the recorded retain flag
+ * @param {boolean} [options.forward=false] - Don't tag payloads as _forwarded
+ * @returns {Promise<number>} Messages published
+ */
+export async function replayCapture(target, options = {}) {
+  const { speed = 1, topic, from, to, retain = false, forward = false } = options;
+  const files = resolveCaptureFiles(target);
+  if (files.length === 0) throw new Error(`No capture files in ${target}`);
+
+  const client = mqtt.connect(`mqtt://${MQTT_HOST}:${MQTT_PORT}`, {
+    clientId: `s4r-replay-${Date.now()}`,
+    clean: true,
+    connectTimeout: 10000
+  });
+  await new Promise((resolve, reject) => {
+    client.once('connect', resolve);
+    client.once('error', reject);
+  });
+  console.log(`[Replay] Connected to ${MQTT_HOST}:${MQTT_PORT}, replaying ${files.length} file(s) at ${speed === Infinity ? 'max' : speed + 'x'} speed`);
+
+  let published = 0;
+  let firstT = null;
+  let startedAt = null;
+
+  for await (const entry of readEntries(files)) {
+    if (from && entry.t < from) continue;
+    if (to && entry.t > to) break;
+    if (topic && !drivers.topicMatches(topic, entry.topic)) continue;
+
+    if (firstT === null) {
+      firstT = entry.t;
+      startedAt = Date.now();
+    }
+    if (speed !== Infinity) {
+      const due = startedAt + (entry.t - firstT) / speed;
+      const wait = due - Date.now();
+      if (wait > 0) await sleep(wait);
+    }
+
+    await client.publishAsync(entry.topic, decodeEntry(entry, forward), {
+      qos: entry.qos || 0,
+      retain: retain && !!entry.retain
+    });
+    published++;
+    if (published % 1000 === 0) console.log(`[Replay] ${published} messages published`);
+  }
+
+  await client.endAsync();
+  console.log(`[Replay] Done: ${published} messages published`);
+  return published;
+}
+
+export default { attachCapture, stopCapture, recordMessage, getCaptureStatus, listCaptures, replayCapture };
+
+// ── CLI ───────────────────────────────────────────────────
+
+function parseTime(value, name) {
+  if (value === undefined) return undefined;
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`Invalid --${name}: ${value}`);
+  return ms;
+}
+
+const isDirectRun = process.argv[1]?.includes('mqtt-capture');
+
+if (isDirectRun) {
+  const args = parseArgs(process.argv.slice(2), { flags: ['retain', 'forward'] });
+  const [command, target] = args._;
+
+  try {
+    if (command === 'list') {
+      const files = listCaptures();
+      if (files.length === 0) console.log('No captures in', CAPTURE_DIR);
+      for (const f of files) console.log(`${f.name}  ${(f.size / 1024).toFixed(1)} KB`);
+    } else if (command === 'replay' && target) {
+      const speed = args.speed === 'max' ? Infinity : parseFloat(args.speed || '1');
+      if (!(speed > 0)) throw new Error(`Invalid --speed: ${args.speed}`);
+      await replayCapture(target, {
+        speed,
+        topic: args.topic,
+        from: parseTime(args.from, 'from'),
+        to: parseTime(args.to, 'to'),
+        retain: !!args.retain,
+        forward: !!args.forward
+      });
+    } else {
+      console.log('Usage: node src/services/mqtt-capture.js list');
+      console.log('       node src/services/mqtt-capture.js replay <file|dir> [--speed 10|max] [--topic pattern]');
+      console.log('            [--from ISO] [--to ISO] [--retain] [--forward]');
+      process.exitCode = command ? 1 : 0;
+    }
+  } catch (err) {
+    console.error('[Replay] Error:', err.message);
+    process.exitCode = 1;
+  }
+}
@@ -1,31 +1,26 @@
 /**
  * MQTT Ingestion Service
  * Connects to local Mosquitto broker and stores sensor data in QuestDB
+ * Device payloads are parsed by the driver registry (./drivers) into
+ * normalized readings, so every brand lands in the same tables.
  */
 
 import mqtt from 'mqtt';
 import fs from 'fs';
 import path from 'path';
 import { query } from '../db/connection.js';
+import { writeRow, int, getIlpStatus, startIlpWriter, closeIlpWriter } from '../db/ilp.js';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
+import drivers from './drivers/index.cjs';
+import { attachCapture, stopCapture, getCaptureStatus } from './mqtt-capture.js';
+import { observeSchema, getFingerprints } from './device-fingerprint.js';
 
 dotenv.config();
 
 const MQTT_HOST = process.env.MQTT_HOST || '127.0.0.1';
 const MQTT_PORT = process.env.MQTT_PORT || 1883;
 
-// Topics to subscribe (from hybrid proxy)
-// Format: ggs/{device_type}/{mac}/{data_type}
-const TOPICS = [
-  'ggs/+/+/status',   // Device status with sensor data (getDevSta)
-  'ggs/+/+/sensors',  // Extracted sensor data
-  'ggs/+/+/system',   // System info (getSysSta)
-  'ggs/+/+/events',   // Events/logs
-  'ggs/+/+/config',   // Device config (getConfigField responses)
-  'ggs/+/+/down'      // Server->Device commands (phone app, cloud)
-];
-
 let client = null;
 let isConnected = false;
 let messageCount = 0;
@@ -71,8 +66,6 @@ function isMessageAllowed(uid, mac) {
   return false;
 }
 
-// Reload filter periodically (picks up changes from the web UI)
-setInterval(loadDeviceFilter, 5000);
 loadDeviceFilter();
 
 // ── Remote Forwarding ──────────────────────────────────
@@ -308,9 +301,6 @@ function stopHeartbeat() {
   }
 }
 
-// Reload config every 30 seconds
-setInterval(syncRemoteClient, 30000);
-
 // Event emitter for real-time updates
 const listeners = new Set();
 
@@ -348,27 +338,21 @@ function emitDownMessage(data) {
 }
 
 /**
- * Parse and store environmental sensor data
+ * Store environmental sensor data
+ * @param {object} sensor - Normalized { temp, humi, vpd, co2 }
  */
-async function storeEnvironmentData(deviceMac, data) {
-  const sensor = data.sensor || data;
-
+async function storeEnvironmentData(deviceMac, sensor) {
   if (!sensor.temp && !sensor.humi) return;
 
   const timestamp = new Date().toISOString();
 
   try {
-    await query(`
-      INSERT INTO sensors_environment (timestamp, device_mac, temp, humi, vpd, co2)
-      VALUES ($1, $2, $3, $4, $5, $6)
-    `, [
-      timestamp,
-      deviceMac,
-      sensor.temp || null,
-      sensor.humi || null,
-      sensor.vpd || null,
-      sensor.co2 || null
-    ]);
+    writeRow('sensors_environment', { device_mac: deviceMac }, {
+      temp: sensor.temp || null,
+      humi: sensor.humi || null,
+      vpd: sensor.vpd || null,
+      co2: sensor.co2 || null
+    }, timestamp);
 
     // Emit for real-time display
     emitSensorData({
@@ -387,7 +371,8 @@ async function storeEnvironmentData(deviceMac, data) {
 }
 
 /**
- * Parse and store soil sensor data
+ * Store soil sensor data (individual probes, drivers drop the average)
+ * @param {Array} sensors - Normalized [{ id, tempSoil, humiSoil, ecSoil }]
  */
 async function storeSoilData(deviceMac, sensors) {
   if (!Array.isArray(sensors)) return;
@@ -395,20 +380,12 @@ async function storeSoilData(deviceMac, sensors) {
   const timestamp = new Date().toISOString();
 
   for (const sensor of sensors) {
-    if (sensor.id === 'avg') continue; // Skip average, store individual sensors
-
     try {
-      await query(`
-        INSERT INTO sensors_soil (timestamp, device_mac, sensor_id, temp_soil, humi_soil, ec_soil)
-        VALUES ($1, $2, $3, $4, $5, $6)
-      `, [
-        timestamp,
-        deviceMac,
-        sensor.id,
-        sensor.tempSoil || null,
-        sensor.humiSoil || null,
-        sensor.ECSoil || null
-      ]);
+      writeRow('sensors_soil', { device_mac: deviceMac, sensor_id: sensor.id }, {
+        temp_soil: sensor.tempSoil || null,
+        humi_soil: sensor.humiSoil || null,
+        ec_soil: sensor.ecSoil || null
+      }, timestamp);
 
       emitSensorData({
         type: 'soil',
@@ -417,7 +394,7 @@ async function storeSoilData(deviceMac, sensors) {
         timestamp,
         tempSoil: sensor.tempSoil,
         humiSoil: sensor.humiSoil,
-        ecSoil: sensor.ECSoil
+        ecSoil: sensor.ecSoil
       });
 
     } catch (err) {
@@ -427,45 +404,32 @@ async function storeSoilData(deviceMac, sensors) {
 }
 
 /**
- * Parse and store outlet states
+ * Store outlet states
  * Also tracks state changes and records events
+ * @param {object} outlets - Normalized { O1: { isOn, modeType }, ... }
  */
-async function storeOutletStates(deviceMac, outlet) {
-  if (!outlet) return;
+async function storeOutletStates(deviceMac, outlets) {
+  if (!outlets) return;
 
   const timestamp = new Date().toISOString();
 
-  for (const [key, value] of Object.entries(outlet)) {
-    if (!key.startsWith('O') || typeof value !== 'object') continue;
-
-    const isOn = value.on ?? value.mOnOff ?? 0;
+  for (const [key, value] of Object.entries(outlets)) {
+    const isOn = value.isOn;
     const stateKey = `${deviceMac}:${key}`;
     const lastState = lastSocketStates.get(stateKey);
 
     try {
       // Store current state (for history)
-      await query(`
-        INSERT INTO outlet_states (timestamp, device_mac, outlet, mode_type, is_on)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [
-        timestamp,
-        deviceMac,
-        key,
-        value.modeType ?? null,
-        isOn
-      ]);
+      writeRow('outlet_states', { device_mac: deviceMac, outlet: key }, {
+        mode_type: int(value.modeType),
+        is_on: int(isOn)
+      }, timestamp);
 
       // Check if state changed - record event
       if (lastState === undefined || lastState !== isOn) {
-        await query(`
-          INSERT INTO socket_events (timestamp, device_mac, socket, is_on)
-          VALUES ($1, $2, $3, $4)
-        `, [
-          timestamp,
-          deviceMac,
-          key,
-          isOn
-        ]);
+        writeRow('socket_events', { device_mac: deviceMac, socket: key }, {
+          is_on: int(isOn)
+        }, timestamp);
         console.log(`[Store] Socket ${key} state changed: ${lastState} -> ${isOn}`);
         lastSocketStates.set(stateKey, isOn);
       }
@@ -486,8 +450,9 @@ async function storeOutletStates(deviceMac, outlet) {
 }
 
 /**
- * Parse and store blower state
+ * Store blower state
  * Tracks on/off status, power level, mode, and CO2 close status
+ * @param {object} blower - Normalized { isOn, level, modeType, closeCO2 }
  */
 let lastBlowerState = null;
 
@@ -495,10 +460,7 @@ async function storeBlowerState(deviceMac, blower) {
   if (!blower) return;
 
   const timestamp = new Date().toISOString();
-  const isOn = blower.on ?? blower.mOnOff ?? 0;
-  const level = blower.level ?? blower.mLevel ?? 0;
-  const modeType = blower.modeType ?? 0;
-  const closeCO2 = blower.closeCO2 ?? 0;
+  const { isOn, level, modeType, closeCO2 } = blower;
 
   // Create state key for change detection
   const stateKey = `${isOn}:${level}:${modeType}:${closeCO2}`;
@@ -506,17 +468,12 @@ async function storeBlowerState(deviceMac, blower) {
   try {
     // Only store if state changed (avoid flooding DB with identical records)
     if (lastBlowerState !== stateKey) {
-      await query(`
-        INSERT INTO blower_states (timestamp, device_mac, mode_type, level, is_on, close_co2)
-        VALUES ($1, $2, $3, $4, $5, $6)
-      `, [
-        timestamp,
-        deviceMac,
-        modeType,
-        level,
-        isOn,
-        closeCO2
-      ]);
+      writeRow('blower_states', { device_mac: deviceMac }, {
+        mode_type: int(modeType),
+        level: int(level),
+        is_on: int(isOn),
+        close_co2: int(closeCO2)
+      }, timestamp);
 
       console.log(`[Store] Blower state: on=${isOn}, level=${level}%, mode=${modeType}`);
       lastBlowerState = stateKey;
@@ -538,7 +495,8 @@ async function storeBlowerState(deviceMac, blower) {
 }
 
 /**
- * Parse and store fan state (CB devices have a separate oscillating fan)
+ * Store fan state (CB devices have a separate oscillating fan)
+ * @param {object} fan - Normalized { isOn, level, modeType }
  */
 let lastFanState = null;
 
@@ -546,17 +504,16 @@ async function storeFanState(deviceMac, fan) {
   if (!fan) return;
 
   const timestamp = new Date().toISOString();
-  const isOn = fan.on ?? fan.mOnOff ?? 0;
-  const level = fan.level ?? fan.mLevel ?? 0;
-  const modeType = fan.modeType ?? 0;
+  const { isOn, level, modeType } = fan;
   const stateKey = `${isOn}:${level}:${modeType}`;
 
   try {
     if (lastFanState !== stateKey) {
-      await query(`
-        INSERT INTO fan_states (timestamp, device_mac, mode_type, level, is_on)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [timestamp, deviceMac, modeType, level, isOn]);
+      writeRow('fan_states', { device_mac: deviceMac }, {
+        mode_type: int(modeType),
+        level: int(level),
+        is_on: int(isOn)
+      }, timestamp);
       lastFanState = stateKey;
     }
 
@@ -574,40 +531,28 @@ async function storeFanState(deviceMac, fan) {
 }
 
 /**
- * Parse and store light states
+ * Store light states
+ * @param {Array} lights - Normalized [{ lightId, modeType, level, isOn }]
  */
-async function storeLightStates(deviceMac, data) {
+async function storeLightStates(deviceMac, lights) {
   const timestamp = new Date().toISOString();
 
-  const lights = [
-    { id: 'light', data: data.light },
-    { id: 'light2', data: data.light2 }
-  ];
-
   for (const light of lights) {
-    if (!light.data) continue;
-
     try {
-      await query(`
-        INSERT INTO light_states (timestamp, device_mac, light_id, mode_type, level, is_on)
-        VALUES ($1, $2, $3, $4, $5, $6)
-      `, [
-        timestamp,
-        deviceMac,
-        light.id,
-        light.data.modeType ?? null,
-        light.data.level ?? light.data.mLevel ?? null,
-        light.data.mOnOff ?? null
-      ]);
+      writeRow('light_states', { device_mac: deviceMac, light_id: light.lightId }, {
+        mode_type: int(light.modeType),
+        level: int(light.level),
+        is_on: int(light.isOn)
+      }, timestamp);
 
       emitSensorData({
         type: 'light',
         deviceMac,
-        lightId: light.id,
+        lightId: light.lightId,
         timestamp,
-        modeType: light.data.modeType,
-        level: light.data.level ?? light.data.mLevel,
-        isOn: light.data.mOnOff
+        modeType: light.modeType,
+        level: light.level,
+        isOn: light.isOn
       });
 
     } catch (err) {
@@ -617,7 +562,8 @@ async function storeLightStates(deviceMac, data) {
 }
 
 /**
- * Parse and store system status
+ * Store system status
+ * @param {object} sys - Normalized { firmwareVer, wifiRssi, uptime, memFree }
  */
 async function storeSystemStatus(deviceMac, sys) {
   if (!sys) return;
@@ -625,108 +571,93 @@ async function storeSystemStatus(deviceMac, sys) {
   const timestamp = new Date().toISOString();
 
   try {
-    await query(`
-      INSERT INTO system_status (timestamp, device_mac, firmware_ver, wifi_rssi, uptime, mem_free)
-      VALUES ($1, $2, $3, $4, $5, $6)
-    `, [
-      timestamp,
-      deviceMac,
-      sys.ver || null,
-      sys.wifi?.rssi || null,
-      sys.upTime || null,
-      sys.mem || null
-    ]);
+    writeRow('system_status', { device_mac: deviceMac, firmware_ver: sys.firmwareVer || null }, {
+      wifi_rssi: int(sys.wifiRssi || null),
+      uptime: int(sys.uptime || null),
+      mem_free: int(sys.memFree || null)
+    }, timestamp);
   } catch (err) {
     console.error('[Store] System status error:', err.message);
   }
 }
 
+// Devices from registering drivers already written to the devices table
+const registeredDevices = new Set();
+
+/**
+ * Record a non-GGS device in the devices table the first time it reports,
+ * so the supervisor can resolve its type (and driver) for outlet commands
+ */
+async function registerDevice(deviceMac, deviceType) {
+  if (registeredDevices.has(deviceMac)) return;
+  registeredDevices.add(deviceMac);
+
+  try {
+    const existing = await query(`SELECT mac FROM devices WHERE mac = $1 LIMIT 1`, [deviceMac]);
+    if (existing.rows.length > 0) return;
+
+    const now = new Date();
+    writeRow('devices', { device_type: deviceType }, {
+      mac: deviceMac,
+      first_seen: now,
+      last_seen: now
+    }, now);
+    console.log(`[Store] Device registered: ${deviceType} ${deviceMac}`);
+  } catch (err) {
+    registeredDevices.delete(deviceMac); // Retry on next message
+    console.error('[Store] Device registration error:', err.message);
+  }
+}
+
 /**
  * Process incoming MQTT message
  */
 async function processMessage(topic, payload) {
   try {
-    const message = JSON.parse(payload.toString());
-
-    // Extract device MAC from topic: ggs/ps5/80b54e8ffff4/status
-    const parts = topic.split('/');
-    const deviceMac = parts[2]?.toUpperCase();
-    const messageType = parts[3];
+    const reading = drivers.parseMessage(topic, payload);
+    if (!reading) return;
 
-    if (!deviceMac) return;
+    const { driver } = reading;
+    const deviceMac = driver.upperCaseIds ? reading.deviceId.toUpperCase() : reading.deviceId;
 
     // Apply device source filter — block data from non-whitelisted UIDs/MACs
     // This also blocks forwarding to remote servers (only forward allowed data)
-    const uid = message.uid || message.data?.uid || '';
-    if (!isMessageAllowed(uid, deviceMac)) {
+    if (driver.usesUidFilter && !isMessageAllowed(reading.uid, deviceMac)) {
       return;
     }
 
     // Forward to remote server AFTER filter — but SKIP messages already forwarded
     // from another machine (prevents chain re-forwarding: MachineX→ThisMachine→Remote)
-    if (!message._forwarded) {
+    if (driver.forwardable && !reading.forwarded) {
       forwardMessage(topic, payload);
     }
 
     messageCount++;
     lastMessageTime = new Date();
 
-    // Data may be nested under 'data' key (from getDevSta/getSysSta responses)
-    const data = message.data || message;
-
-    // Process based on message type
-    switch (messageType) {
-      case 'status':
-        // Full device status from getDevSta
-        // For PS5: data contains sensor, sensors, outlet, light, light2, blower
-        // For LC: data contains mode, brightness, etc.
-        if (data.sensor) await storeEnvironmentData(deviceMac, data);
-        if (data.sensors) await storeSoilData(deviceMac, data.sensors);
-        if (data.outlet) await storeOutletStates(deviceMac, data.outlet);
-        if (data.light || data.light2) await storeLightStates(deviceMac, data);
-        if (data.blower) await storeBlowerState(deviceMac, data.blower);
-        if (data.fan) await storeFanState(deviceMac, data.fan);
-        // For Light Controller (LC) - different structure
-        if (data.brightness !== undefined && data.mode !== undefined) {
-          await storeLightStates(deviceMac, {
-            light: { modeType: data.mode, level: data.brightness, mOnOff: data.brightness > 0 ? 1 : 0 }
-          });
-        }
-        break;
-
-      case 'sensors':
-        // Extracted sensor data (direct, not nested)
-        await storeEnvironmentData(deviceMac, message);
-        break;
-
-      case 'system':
-        // System info from getSysSta (data.sys)
-        if (data.sys) await storeSystemStatus(deviceMac, data.sys);
-        break;
-
-      case 'events':
-        // Operation logs
-        // TODO: Implement event logging
-        break;
-
-      case 'down':
-        // Server->Device commands (phone app, cloud commands)
-        // Emit for live phone app stream — no DB storage needed
-        emitDownMessage({
-          timestamp: Date.now(),
-          topic,
-          deviceMac,
-          payload: message
-        });
-        break;
+    if (driver.registersDevices) await registerDevice(deviceMac, reading.deviceType);
+    await observeSchema(reading, deviceMac);
+
+    if (reading.environment) await storeEnvironmentData(deviceMac, reading.environment);
+    if (reading.soil) await storeSoilData(deviceMac, reading.soil);
+    if (reading.outlets) await storeOutletStates(deviceMac, reading.outlets);
+    if (reading.lights) await storeLightStates(deviceMac, reading.lights);
+    if (reading.blower) await storeBlowerState(deviceMac, reading.blower);
+    if (reading.fan) await storeFanState(deviceMac, reading.fan);
+    if (reading.system) await storeSystemStatus(deviceMac, reading.system);
+
+    if (reading.down) {
+      // Emit for live phone app stream — no DB storage needed
+      emitDownMessage({
+        timestamp: Date.now(),
+        topic,
+        deviceMac,
+        payload: reading.down
+      });
     }
 
   } catch (err) {
-    if (err instanceof SyntaxError) {
-      // Not JSON, ignore
-    } else {
-      console.error('[MQTT] Process error:', err.message);
-    }
+    console.error('[MQTT] Process error:', err.message);
   }
 }
 
@@ -749,8 +680,9 @@ export function connect() {
     console.log('[MQTT] Connected to broker');
     isConnected = true;
 
-    // Subscribe to all topics
-    TOPICS.forEach(topic => {
+    // Subscribe to every topic the enabled drivers claim
+    drivers.loadDrivers();
+    drivers.getSubscriptions().forEach(topic => {
       client.subscribe(topic, { qos: 0 }, (err) => {
         if (err) {
           console.error(`[MQTT] Subscribe error for ${topic}:`, err.message);
@@ -763,6 +695,9 @@ export function connect() {
 
   client.on('message', processMessage);
 
+  // Raw capture for protocol debugging (data/mqtt-capture.json)
+  attachCapture(client);
+
   client.on('error', (err) => {
     console.error('[MQTT] Connection error:', err.message);
     isConnected = false;
@@ -799,10 +734,54 @@ export function getStatus() {
     connected: isConnected,
     messageCount,
     lastMessageTime,
-    broker: `${MQTT_HOST}:${MQTT_PORT}`
+    broker: `${MQTT_HOST}:${MQTT_PORT}`,
+    drivers: drivers.listDrivers().filter(d => d.enabled).map(d => d.id),
+    writer: getIlpStatus(),
+    capture: getCaptureStatus(),
+    fingerprints: getFingerprints()
   };
 }
 
+// ── Status file ───────────────────────────────────────────
+// Status of the running service for other processes (QuestDB connection +
+// journal backlog), printed by `npm run ingest:status`. The web UI's
+// /api/system/services doesn't read it yet.
+const STATUS_PATH = path.resolve(process.cwd(), 'data', 'ingestion-status.json');
+const STATUS_INTERVAL_MS = 5000;
+
+function writeStatusFile() {
+  try {
+    const { writer, ...status } = getStatus();
+    fs.writeFileSync(STATUS_PATH, JSON.stringify({
+      ...status,
+      questdb: { connected: writer.connected, endpoint: writer.endpoint, lastError: writer.lastError },
+      queuedRows: writer.queuedRows,
+      backlog: writer.backlog,
+      dropped: writer.dropped,
+      updatedAt: new Date().toISOString()
+    }, null, 2));
+  } catch { /* ignore */ }
+}
+
+/** Print the status file of the running service (CLI) */
+function printStatusFile() {
+  let status;
+  try {
+    status = JSON.parse(fs.readFileSync(STATUS_PATH, 'utf-8'));
+  } catch {
+    console.log('No ingestion status yet - is the ingestion service running?');
+    process.exitCode = 1;
+    return;
+  }
+  const age = Math.round((Date.now() - new Date(status.updatedAt).getTime()) / 1000);
+  console.log(`Updated:  ${status.updatedAt} (${age}s ago${age > 30 ? ' - service stopped?' : ''})`);
+  console.log(`MQTT:     ${status.broker} ${status.connected ? 'connected' : 'disconnected'}, ${status.messageCount} messages`);
+  console.log(`QuestDB:  ${status.questdb.endpoint} ${status.questdb.connected ? 'connected' : 'disconnected'}${status.questdb.lastError ? ` (last error: ${status.questdb.lastError})` : ''}`);
+  console.log(`Queued:   ${status.queuedRows} rows in memory`);
+  console.log(`Journal:  ${status.backlog.rows} rows (${(status.backlog.bytes / 1024 / 1024).toFixed(1)} MB) waiting for replay`);
+  console.log(`Dropped:  ${status.dropped} rows`);
+}
+
 export default { connect, disconnect, getStatus, onSensorData, onDownMessage };
 
 // Auto-start: Connect immediately when loaded by PM2 or run directly
@@ -810,9 +789,28 @@ export default { connect, disconnect, getStatus, onSensorData, onDownMessage };
 const isPM2 = typeof process.env.pm_id !== 'undefined';
 const isDirectRun = process.argv[1]?.includes('mqtt-ingestion');
 
-if (isPM2 || isDirectRun) {
+if (isDirectRun && process.argv[2] === 'status') {
+  printStatusFile();
+} else if (isPM2 || isDirectRun) {
   console.log('[MQTT] Auto-starting MQTT ingestion service...');
   console.log('[MQTT] PM2:', isPM2, 'Direct:', isDirectRun);
+  startIlpWriter();
   connect();
   syncRemoteClient();
+  // Reload the device filter (changed from the web UI) and the forwarding config
+  setInterval(loadDeviceFilter, 5000);
+  setInterval(syncRemoteClient, 30000);
+  setInterval(writeStatusFile, STATUS_INTERVAL_MS);
+  writeStatusFile();
+
+  // Journal rows still buffered in memory so a restart doesn't lose them
+  const shutdown = () => {
+    disconnect();
+    stopCapture();
+    closeIlpWriter();
+    writeStatusFile();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 }
@@ -0,0 +1,289 @@
+/**
+ * Notifier
+ * Sends alerts from flow notify nodes through the configured channels:
+ * - webhook: JSON POST to any URL
+ * - email:   SMTP (see smtp-client.cjs)
+ * - push:    ntfy or Gotify
+ * - lab:     an entry in lab_notifications (shown in the app)
+ *
+ * Channels are configured in data/notifications.json (edited by hand; the settings
+ * page of the prebuilt web app has no notifications section).
+ * Alerts are de-duplicated per alert key (one message per cooldown, repeats are
+ * counted and reported with the next one) and capped per hour over all keys,
+ * so a flapping condition can't flood anyone.
+ *
+ * Test sends: a { test: { channel, requestedAt } } entry in the config file makes the
+ * running supervisor send a test (checkTestRequest) and store { test.result }.
+ *
+ * CLI: node src/services/notifier.cjs test [webhook|email|push|lab]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { sendMail } = require('./smtp-client.cjs');
+
+const CHANNELS = ['webhook', 'email', 'push', 'lab'];
+const LEVELS = ['info', 'warning', 'critical'];
+const DEFAULT_CONFIG = {
+  webhook: { enabled: false, url: '', headers: {} },
+  email: { enabled: false, host: '', port: 587, secure: false, user: '', pass: '', from: '', to: '' },
+  push: { enabled: false, provider: 'ntfy', url: 'https://ntfy.sh', topic: '', token: '' },
+  lab: { enabled: true },
+  rateLimit: { perKeyMinutes: 15, maxPerHour: 20 }
+};
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.configPath] - Defaults to data/notifications.json
+ * @param {(sql: string, params?: any[]) => Promise<any>} [options.query] - Database query (lab channel)
+ * @param {() => number} [options.clock=Date.now]
+ */
+function createNotifier(options = {}) {
+  const {
+    configPath = path.resolve(process.cwd(), 'data', 'notifications.json'),
+    query = null,
+    clock = Date.now
+  } = options;
+
+  const keys = new Map(); // alert key -> { lastSentAt, suppressed }
+  let sentTimes = [];      // send times over the last hour (global cap)
+  let lastTestRequest = null;
+
+  function loadConfig() {
+    let saved = {};
+    try {
+      if (fs.existsSync(configPath)) saved = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (err) {
+      console.error('[Notifier] Could not read notification config:', err.message);
+    }
+    const config = { test: saved.test || null };
+    for (const [section, defaults] of Object.entries(DEFAULT_CONFIG)) {
+      config[section] = { ...defaults, ...(saved[section] || {}) };
+    }
+    return config;
+  }
+
+  async function sendWebhook(config, alert) {
+    if (!config.url) throw new Error('Webhook URL not set');
+    const res = await fetch(config.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(config.headers || {}) },
+      body: JSON.stringify({ ...alert, source: 'schedule-4-real' }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    if (!res.ok) throw new Error(`Webhook returned ${res.status}`);
+  }
+
+  async function sendEmail(config, alert) {
+    await sendMail({
+      host: config.host,
+      port: config.port,
+      secure: config.secure || undefined,
+      user: config.user,
+      pass: config.pass,
+      from: config.from,
+      to: config.to,
+      subject: `[${alert.level}] ${alert.title}`,
+      text: `${alert.message}\n\n${alert.timestamp}`
+    });
+  }
+
+  async function sendPush(config, alert) {
+    if (!config.url) throw new Error('Push URL not set');
+    const base = config.url.replace(/\/+$/, '');
+    let res;
+    if (config.provider === 'gotify') {
+      if (!config.token) throw new Error('Gotify app token not set');
+      res = await fetch(`${base}/message?token=${encodeURIComponent(config.token)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          title: alert.title,
+          message: alert.message,
+          priority: { info: 4, warning: 6, critical: 9 }[alert.level]
+        }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } else {
+      if (!config.topic) throw new Error('ntfy topic not set');
+      const headers = {
+        // Header values must be ASCII (ntfy also reads RFC 2047 encoded titles)
+        Title: /^[\x20-\x7e]*$/.test(alert.title)
+          ? alert.title
+          : `=?UTF-8?B?${Buffer.from(alert.title).toString('base64')}?=`,
+        Priority: { info: '3', warning: '4', critical: '5' }[alert.level],
+        Tags: alert.level === 'info' ? 'seedling' : 'warning'
+      };
+      if (config.token) headers.Authorization = `Bearer ${config.token}`;
+      res = await fetch(`${base}/${encodeURIComponent(config.topic)}`, {
+        method: 'POST',
+        headers,
+        body: alert.message,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    }
+    if (!res.ok) throw new Error(`${config.provider || 'ntfy'} returned ${res.status}`);
+  }
+
+  async function sendLab(config, alert) {
+    if (!query) throw new Error('No database connection');
+    await query(`
+      INSERT INTO lab_notifications (timestamp, id, source, level, notification_type, trigger_name, title, message, acknowledged, resolved)
+      VALUES (now(), $1, 'automation', $2, 'flow_alert', $3, $4, $5, 0, 0)
+    `, [randomUUID(), alert.level, alert.key, alert.title, alert.message]);
+  }
+
+  const senders = { webhook: sendWebhook, email: sendEmail, push: sendPush, lab: sendLab };
+
+  /**
+   * Send to each channel, one failure doesn't stop the others
+   * @returns {Promise<object>} channel -> 'sent' | error message
+   */
+  async function deliver(config, channels, alert) {
+    const results = {};
+    await Promise.all(channels.map(async (channel) => {
+      try {
+        await senders[channel](config[channel], alert);
+        results[channel] = 'sent';
+      } catch (err) {
+        results[channel] = err.message;
+        console.error(`[Notifier] ${channel} failed:`, err.message);
+      }
+    }));
+    return results;
+  }
+
+  function enabledChannels(config, requested) {
+    const wanted = Array.isArray(requested) && requested.length > 0 ? requested : CHANNELS;
+    return wanted.filter(c => CHANNELS.includes(c) && config[c].enabled);
+  }
+
+  return {
+    /**
+     * Send an alert, subject to the per-key cooldown and the hourly cap
+     * @param {object} alert
+     * @param {string} alert.key - De-duplication key (e.g. flowId:nodeId)
+     * @param {string} alert.title
+     * @param {string} alert.message
+     * @param {string} [alert.level='warning'] - info | warning | critical
+     * @param {string[]} [alert.channels] - Subset of channels (default: all enabled)
+     * @param {number} [alert.cooldownMinutes] - Overrides rateLimit.perKeyMinutes
+     * @returns {Promise<{ sent: boolean, reason?: string, results?: object }>}
+     */
+    async notify(alert) {
+      const config = loadConfig();
+      const now = clock();
+      const channels = enabledChannels(config, alert.channels);
+      if (channels.length === 0) return { sent: false, reason: 'no enabled channel' };
+
+      const cooldownMs = (Number(alert.cooldownMinutes ?? config.rateLimit.perKeyMinutes) || 0) * 60000;
+      const entry = keys.get(alert.key) || { lastSentAt: null, suppressed: 0 };
+      keys.set(alert.key, entry);
+      if (entry.lastSentAt !== null && now - entry.lastSentAt < cooldownMs) {
+        entry.suppressed++;
+        return { sent: false, reason: 'cooldown' };
+      }
+
+      sentTimes = sentTimes.filter(t => now - t < 3600000);
+      const maxPerHour = Number(config.rateLimit.maxPerHour) || 0;
+      if (maxPerHour > 0 && sentTimes.length >= maxPerHour) {
+        entry.suppressed++;
+        console.warn(`[Notifier] Hourly limit (${maxPerHour}) reached, dropping "${alert.title}"`);
+        return { sent: false, reason: 'hourly limit' };
+      }
+
+      let message = alert.message || '';
+      if (entry.suppressed > 0) {
+        message += `\n(${entry.suppressed} repeat${entry.suppressed === 1 ? '' : 's'} suppressed since the last message)`;
+      }
+      const payload = {
+        key: alert.key,
+        title: alert.title || 'Automation alert',
+        message,
+        level: LEVELS.includes(alert.level) ? alert.level : 'warning',
+        timestamp: new Date(now).toISOString()
+      };
+
+      entry.lastSentAt = now;
+      entry.suppressed = 0;
+      sentTimes.push(now);
+      const results = await deliver(config, channels, payload);
+      return { sent: true, results };
+    },
+
+    /**
+     * Send a test message, bypassing the rate limits
+     * @param {string} [channel] - One channel (sent even when disabled) or all enabled ones
+     */
+    async sendTest(channel) {
+      const config = loadConfig();
+      if (channel && !CHANNELS.includes(channel)) throw new Error(`Unknown channel: ${channel}`);
+      const channels = channel ? [channel] : enabledChannels(config);
+      if (channels.length === 0) throw new Error('No enabled channel');
+      return deliver(config, channels, {
+        key: 'test',
+        title: 'Test notification',
+        message: 'Notifications from Schedule 4 Real are working.',
+        level: 'info',
+        timestamp: new Date(clock()).toISOString()
+      });
+    },
+
+    /**
+     * Handle a test request left in the config file
+     * (stores the per-channel result next to it)
+     */
+    async checkTestRequest() {
+      const { test } = loadConfig();
+      if (!test?.requestedAt || test.requestedAt === lastTestRequest || test.result?.requestedAt === test.requestedAt) return;
+      lastTestRequest = test.requestedAt;
+
+      let results;
+      try {
+        results = await this.sendTest(test.channel || undefined);
+      } catch (err) {
+        results = { error: err.message };
+      }
+      console.log('[Notifier] Test send:', JSON.stringify(results));
+      try {
+        const saved = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+        saved.test = { ...saved.test, result: { requestedAt: test.requestedAt, at: new Date().toISOString(), results } };
+        fs.writeFileSync(`${configPath}.tmp`, JSON.stringify(saved, null, 2));
+        fs.renameSync(`${configPath}.tmp`, configPath);
+      } catch (err) {
+        console.error('[Notifier] Could not store test result:', err.message);
+      }
+    }
+  };
+}
+
+// CLI: send a test notification
+if (require.main === module) {
+  const { createCliPool } = require('../db/cli.cjs');
+  const [command, channel] = process.argv.slice(2);
+  if (command !== 'test') {
+    console.log('Usage: node src/services/notifier.cjs test [webhook|email|push|lab]');
+    process.exit(1);
+  }
+
+  const pool = createCliPool();
+
+  createNotifier({ query: (sql, params) => pool.query(sql, params) })
+    .sendTest(channel)
+    .then((results) => {
+      for (const [name, result] of Object.entries(results)) console.log(`${name}: ${result}`);
+      return Object.values(results).every(r => r === 'sent') ? 0 : 1;
+    })
+    .catch((err) => {
+      console.error(err.message);
+      return 1;
+    })
+    .then(async (code) => {
+      await pool.end();
+      process.exit(code);
+    });
+}
+
+module.exports = { createNotifier, CHANNELS };
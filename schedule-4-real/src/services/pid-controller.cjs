@@ -0,0 +1,318 @@
+/**
+ * PID Controller
+ * Closed-loop control of on/off outlets (heater, humidifier, ...) for the
+ * pid_control and duty_cycle flow nodes. The controller output (0-100 %) drives
+ * a slow PWM: every cycleSeconds the outlet is switched on for output % of the cycle.
+ *
+ * - pid_control: PID on the error to the setpoint. Derivative on the measurement
+ *   (no kick when the setpoint changes), anti-windup by conditional integration
+ *   (the integral doesn't grow while the output is saturated in the same
+ *   direction) and an integral clamped to the output range.
+ * - duty_cycle: time-proportional control over a proportional band (fully on
+ *   `band` away from the setpoint, off at the setpoint), or a fixed `duty`
+ *   without a sensor.
+ *
+ * Gains use minutes as the time base: kp in % per unit of error, ki in % per
+ * unit per minute, kd in % per unit/minute of change.
+ *
+ * Autotune fits a first-order-plus-dead-time model to recorded step responses
+ * (outlet switched on in socket_events, sensor in sensors_environment) and
+ * derives PI gains with the SIMC rules; the PWM cycle counts as extra dead time.
+ *
+ * CLI: node src/services/pid-controller.cjs autotune --node <id> [--days 14] [--apply]
+ */
+
+/**
+ * Node fields (pid_control and duty_cycle):
+ * - deviceMac?, socket: Outlet driven
+ * - sensor, sensorDeviceMac?: Measured value (duty_cycle: optional)
+ * - setpoint, nightSetpoint?: Target (night: outside the day/night schedule's day)
+ * - direction: 'raise' (heater, humidifier) | 'lower' (AC, dehumidifier)
+ * - cycleSeconds (default 180), minPulseSeconds (default 20): shorter on/off pulses are skipped
+ * - outputMin, outputMax (default 0-100 %)
+ * - pid_control: kp, ki, kd
+ * - duty_cycle: band (proportional band, sensor units) or duty (fixed %)
+ */
+const CONTROLLER_DEFAULTS = { cycleSeconds: 180, minPulseSeconds: 20, outputMin: 0, outputMax: 100, direction: 'raise' };
+const CONTROLLER_TYPES = ['pid_control', 'duty_cycle'];
+const AUTOTUNE_SENSORS = ['temp', 'humi', 'vpd', 'co2'];
+const MAX_STEP_MS = 60000; // Longer gaps (supervisor paused) don't integrate as one step
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+function settingsOf(config) {
+  const settings = { ...CONTROLLER_DEFAULTS };
+  for (const [key, value] of Object.entries(config || {})) {
+    if (value !== undefined && value !== null && value !== '') settings[key] = value;
+  }
+  return settings;
+}
+
+/**
+ * One PID update
+ * @param {object} state - Controller state of the node (updated in place)
+ * @param {object} config - Node config (kp, ki, kd, direction, outputMin, outputMax)
+ * @param {number} measured
+ * @param {number} setpoint
+ * @param {number} now - ms
+ * @returns {number} Output in %
+ */
+function pidStep(state, config, measured, setpoint, now) {
+  const settings = settingsOf(config);
+  const kp = Number(settings.kp) || 0;
+  const ki = Number(settings.ki) || 0;
+  const kd = Number(settings.kd) || 0;
+  const min = Number(settings.outputMin);
+  const max = Number(settings.outputMax);
+  const sign = settings.direction === 'lower' ? -1 : 1;
+  const error = sign * (setpoint - measured);
+
+  const dtMinutes = state.lastTime ? Math.min(now - state.lastTime, MAX_STEP_MS) / 60000 : 0;
+  const derivative = dtMinutes > 0 ? -sign * (measured - state.lastMeasured) / dtMinutes : 0;
+  const integral = state.integral || 0;
+
+  const proportional = kp * error;
+  const candidate = integral + ki * error * dtMinutes;
+  const unclamped = proportional + candidate + kd * derivative;
+  // Anti-windup: stop integrating while saturated and the error pushes further out
+  const windingUp = (unclamped > max && error > 0) || (unclamped < min && error < 0);
+  state.integral = clamp(windingUp ? integral : candidate, min, max);
+  state.lastMeasured = measured;
+  state.lastTime = now;
+  state.output = clamp(proportional + state.integral + kd * derivative, min, max);
+  return state.output;
+}
+
+/**
+ * Time-proportional output of a duty_cycle node
+ * @returns {number} Output in %
+ */
+function dutyOutput(config, measured, setpoint) {
+  const settings = settingsOf(config);
+  const min = Number(settings.outputMin);
+  const max = Number(settings.outputMax);
+  if (!settings.sensor) return clamp(Number(settings.duty) || 0, min, max);
+  const band = Math.abs(Number(settings.band)) || 1;
+  const sign = settings.direction === 'lower' ? -1 : 1;
+  return clamp(sign * (setpoint - measured) / band * 100, min, max);
+}
+
+/**
+ * Slow PWM: the output is latched at the start of each cycle
+ * @param {object} state - Controller state of the node (cycleStart, onMs)
+ * @param {number} output - %
+ * @returns {'on'|'off'}
+ */
+function pwmAction(state, config, output, now) {
+  const settings = settingsOf(config);
+  const cycleMs = Math.max(10, Number(settings.cycleSeconds) || CONTROLLER_DEFAULTS.cycleSeconds) * 1000;
+  const minPulseMs = Math.max(0, Number(settings.minPulseSeconds) || 0) * 1000;
+
+  if (!state.cycleStart || now - state.cycleStart >= cycleMs || now < state.cycleStart) {
+    let onMs = clamp(output, 0, 100) / 100 * cycleMs;
+    if (onMs < minPulseMs) onMs = 0;
+    else if (cycleMs - onMs < minPulseMs) onMs = cycleMs;
+    state.cycleStart = now;
+    state.onMs = onMs;
+  }
+  return now - state.cycleStart < state.onMs ? 'on' : 'off';
+}
+
+/**
+ * Fit a first-order-plus-dead-time model to one step response (two-point method:
+ * 28.3 % and 63.2 % of the change)
+ * @param {Array<{ t: number, v: number }>} samples - Sorted readings around the step
+ * @param {number} stepAt - Outlet switched on (ms)
+ * @param {number} endAt - Outlet switched off or end of the window (ms)
+ * @param {object} [options]
+ * @param {number} [options.baselineMs=10 min] - Readings before the step averaged as the start value
+ * @param {number} [options.minChange=0.2] - Smaller changes are noise
+ * @returns {{ gain: number, timeConstant: number, deadTime: number, change: number }|null}
+ *   gain in sensor units per % output, times in seconds
+ */
+function identifyStep(samples, stepAt, endAt, options = {}) {
+  const { baselineMs = 10 * 60000, minChange = 0.2 } = options;
+  const before = samples.filter(s => s.t >= stepAt - baselineMs && s.t <= stepAt);
+  const after = samples.filter(s => s.t > stepAt && s.t <= endAt);
+  if (before.length < 2 || after.length < 5) return null;
+
+  const mean = (list) => list.reduce((sum, s) => sum + s.v, 0) / list.length;
+  const start = mean(before);
+  const end = mean(after.slice(-3));
+  const change = end - start;
+  if (Math.abs(change) < minChange) return null;
+
+  const crossing = (fraction) => after.find(s => (s.v - start) / change >= fraction)?.t;
+  const t28 = crossing(0.283);
+  const t63 = crossing(0.632);
+  if (t28 === undefined || t63 === undefined || t63 <= t28) return null;
+
+  const timeConstant = 1.5 * (t63 - t28) / 1000;
+  const deadTime = Math.max(0, (t63 - stepAt) / 1000 - timeConstant);
+  return { gain: change / 100, timeConstant, deadTime, change };
+}
+
+/**
+ * PI gains from a model (SIMC rules, closed-loop time constant = effective dead time)
+ * @param {{ gain: number, timeConstant: number, deadTime: number }} model
+ * @param {number} cycleSeconds - PWM cycle, half of it counts as dead time
+ * @returns {{ kp: number, ki: number, kd: number }}
+ */
+function tuneFromModel(model, cycleSeconds) {
+  const deadTime = Math.max(1, model.deadTime + cycleSeconds / 2);
+  const kp = model.timeConstant / (Math.abs(model.gain) * 2 * deadTime);
+  const integralTime = Math.min(model.timeConstant, 8 * deadTime);
+  const round = (value) => Number(value.toPrecision(3));
+  return { kp: round(kp), ki: round(kp / (integralTime / 60)), kd: 0 };
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Autotune a pid_control node from the recorded history of its outlet and sensor
+ * @param {(sql: string, params?: any[]) => Promise<Array<object>>} query
+ * @param {object} config - Node config
+ * @param {object} [options]
+ * @param {number} [options.days=14] - History searched for steps
+ * @param {number} [options.minStepMinutes=5] - Shorter ON periods are skipped
+ * @returns {Promise<{ model: object, gains: object, steps: Array<object> }>}
+ */
+async function autotune(query, config, options = {}) {
+  const { days = 14, minStepMinutes = 5 } = options;
+  const settings = settingsOf(config);
+  if (!AUTOTUNE_SENSORS.includes(settings.sensor)) {
+    throw new Error(`Autotune needs an environment sensor (${AUTOTUNE_SENSORS.join(', ')})`);
+  }
+  if (!settings.socket) throw new Error('Node has no outlet');
+
+  const outletFilter = settings.deviceMac ? 'AND device_mac = $2' : '';
+  const events = await query(`
+    SELECT timestamp, is_on
+    FROM socket_events
+    WHERE socket = $1 ${outletFilter}
+      AND timestamp > dateadd('d', -${Math.max(1, Math.floor(days))}, now())
+    ORDER BY timestamp
+  `, settings.deviceMac ? [settings.socket, settings.deviceMac] : [settings.socket]);
+
+  // ON periods that follow a quiet OFF period long enough for a baseline
+  const periods = [];
+  let offSince = null;
+  for (let i = 0; i < events.length; i++) {
+    const at = new Date(events[i].timestamp).getTime();
+    if (events[i].is_on !== 1) {
+      offSince = at;
+      continue;
+    }
+    const next = events.slice(i + 1).find(e => e.is_on !== 1);
+    const endAt = next ? new Date(next.timestamp).getTime() : null;
+    if (offSince !== null && at - offSince >= 10 * 60000 && endAt && endAt - at >= minStepMinutes * 60000) {
+      periods.push({ stepAt: at, endAt });
+    }
+    offSince = null;
+  }
+  if (periods.length === 0) throw new Error('No step response found (outlet ON after at least 10 min OFF)');
+
+  const steps = [];
+  for (const { stepAt, endAt } of periods) {
+    const sensorFilter = settings.sensorDeviceMac ? 'AND device_mac = $3' : '';
+    const rows = await query(`
+      SELECT timestamp, ${settings.sensor} AS value
+      FROM sensors_environment
+      WHERE timestamp BETWEEN $1 AND $2 ${sensorFilter}
+      ORDER BY timestamp
+    `, [new Date(stepAt - 10 * 60000).toISOString(), new Date(endAt).toISOString(),
+      ...(settings.sensorDeviceMac ? [settings.sensorDeviceMac] : [])]);
+    const samples = rows
+      .filter(r => r.value !== null && r.value !== undefined)
+      .map(r => ({ t: new Date(r.timestamp).getTime(), v: Number(r.value) }));
+    const model = identifyStep(samples, stepAt, endAt);
+    if (model) steps.push({ at: new Date(stepAt).toISOString(), ...model });
+  }
+  if (steps.length === 0) throw new Error(`${periods.length} step(s) found, none with a clear ${settings.sensor} response`);
+
+  const sign = settings.direction === 'lower' ? -1 : 1;
+  const model = {
+    gain: median(steps.map(s => s.gain)),
+    timeConstant: median(steps.map(s => s.timeConstant)),
+    deadTime: median(steps.map(s => s.deadTime))
+  };
+  if (Math.sign(model.gain) !== sign) {
+    throw new Error(`Outlet ${settings.direction === 'lower' ? 'raises' : 'lowers'} ${settings.sensor}: check the node direction`);
+  }
+  return { model, gains: tuneFromModel(model, Number(settings.cycleSeconds)), steps };
+}
+
+// CLI: autotune a pid_control node of the global flow
+if (require.main === module) {
+  const { createCliPool, parseArgs } = require('../db/cli.cjs');
+  const args = parseArgs(process.argv.slice(2), { flags: ['apply'] });
+  const nodeId = args.node;
+  if (args._[0] !== 'autotune' || typeof nodeId !== 'string') {
+    console.log('Usage: node src/services/pid-controller.cjs autotune --node <id> [--days 14] [--apply]');
+    process.exit(1);
+  }
+
+  const pool = createCliPool();
+  const query = async (sql, params) => (await pool.query(sql, params)).rows;
+  const { createFlowRevisions } = require('./flow-revisions.cjs');
+
+  (async () => {
+    const [flowRow] = await query(`
+      SELECT id, name, description, enabled, flow_json
+      FROM automation_flows
+      WHERE id = 'global'
+      ORDER BY updated_at DESC
+      LIMIT 1
+    `);
+    if (!flowRow) throw new Error('No global automation found');
+    const flow = JSON.parse(flowRow.flow_json || '{"nodes":[],"connections":[]}');
+    const node = flow.nodes.find(n => n.id === nodeId);
+    if (!node || node.type !== 'pid_control') throw new Error(`No pid_control node ${nodeId}`);
+
+    const result = await autotune(query, node.data.config, { days: Number(args.days) || 14 });
+    for (const step of result.steps) {
+      console.log(`${step.at}  change ${step.change.toFixed(2)}  T ${Math.round(step.timeConstant)}s  L ${Math.round(step.deadTime)}s`);
+    }
+    const { gain, timeConstant, deadTime } = result.model;
+    console.log(`Model: gain ${gain.toPrecision(3)} per %, time constant ${Math.round(timeConstant)}s, dead time ${Math.round(deadTime)}s`);
+    console.log(`Gains: kp ${result.gains.kp}  ki ${result.gains.ki}  kd ${result.gains.kd}`);
+
+    if (args.apply) {
+      node.data.config = {
+        ...node.data.config,
+        ...result.gains,
+        autotune: { at: new Date().toISOString(), steps: result.steps.length, ...result.model }
+      };
+      const revision = await createFlowRevisions({ query }).save(flowRow.id, { flow }, {
+        author: 'autotune',
+        comment: `Autotune ${nodeId}: kp ${result.gains.kp}, ki ${result.gains.ki}`,
+        source: 'autotune'
+      });
+      console.log(`Gains saved as flow revision ${revision} (the supervisor picks them up within 30 s)`);
+    }
+    return 0;
+  })()
+    .catch((err) => {
+      console.error(err.message);
+      return 1;
+    })
+    .then(async (code) => {
+      await pool.end();
+      process.exit(code);
+    });
+}
+
+module.exports = {
+  pidStep,
+  dutyOutput,
+  pwmAction,
+  identifyStep,
+  tuneFromModel,
+  autotune,
+  CONTROLLER_DEFAULTS,
+  CONTROLLER_TYPES
+};
@@ -0,0 +1,116 @@
+/**
+ * Retention Policies
+ * How long each time-series table keeps its rows. Saved in data/retention-policies.json
+ * (written by `npm run retention:policies -- set`); tables without an entry use DEFAULT_POLICIES.
+ *
+ * Policy: { mode: 'forever' } | { mode: 'days', days } | { mode: 'rollup', days }
+ * - days:   partitions entirely older than `days` are dropped
+ * - rollup: same, but only once the 5-minute and hourly rollups cover them
+ *           (sensor tables only, see data-rollups.js)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const POLICIES_PATH = path.resolve(process.cwd(), 'data', 'retention-policies.json');
+const RAW_DAYS = parseInt(process.env.DATA_RETENTION_DAYS) || 90;
+const ROLLUP_5M_DAYS = parseInt(process.env.ROLLUP_5M_RETENTION_DAYS) || 730;
+const ROLLUP_1H_DAYS = parseInt(process.env.ROLLUP_1H_RETENTION_DAYS) || 0;
+
+const days = (n) => (n > 0 ? { mode: 'days', days: n } : { mode: 'forever' });
+
+export const DEFAULT_POLICIES = {
+  sensors_environment: { mode: 'rollup', days: RAW_DAYS },
+  sensors_soil: { mode: 'rollup', days: RAW_DAYS },
+  sensors_environment_5m: days(ROLLUP_5M_DAYS),
+  sensors_soil_5m: days(ROLLUP_5M_DAYS),
+  sensors_environment_1h: days(ROLLUP_1H_DAYS),
+  sensors_soil_1h: days(ROLLUP_1H_DAYS),
+  outlet_states: days(RAW_DAYS),
+  light_states: days(RAW_DAYS),
+  blower_states: days(RAW_DAYS),
+  fan_states: days(RAW_DAYS),
+  system_status: days(RAW_DAYS),
+  operation_logs: days(RAW_DAYS),
+  device_wifi_events: days(RAW_DAYS),
+  socket_events: days(365), // PID autotune and dry runs replay it
+  trigger_execution_log: days(365)
+};
+
+/** Throws when a policy can't apply to the table */
+export function validatePolicy(table, policy) {
+  if (!DEFAULT_POLICIES[table]) throw new Error(`No retention policy for table ${table}`);
+  if (!policy || !['forever', 'days', 'rollup'].includes(policy.mode)) throw new Error(`${table}: mode must be forever, days or rollup`);
+  if (policy.mode === 'rollup' && DEFAULT_POLICIES[table].mode !== 'rollup') throw new Error(`${table} has no rollups`);
+  if (policy.mode !== 'forever' && !(Number.isInteger(policy.days) && policy.days >= 1)) throw new Error(`${table}: days must be a whole number of at least 1`);
+  return policy.mode === 'forever' ? { mode: 'forever' } : { mode: policy.mode, days: policy.days };
+}
+
+/** Saved overrides (invalid entries are ignored) */
+function readOverrides() {
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(POLICIES_PATH, 'utf8'));
+  } catch {
+    return {};
+  }
+  const overrides = {};
+  for (const [table, policy] of Object.entries(saved?.tables || {})) {
+    try {
+      overrides[table] = validatePolicy(table, policy);
+    } catch (err) {
+      console.error(`[Retention] Ignoring policy: ${err.message}`);
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Policy of every table
+ * @returns {Object<string, { mode: string, days?: number, isDefault: boolean }>}
+ */
+export function getPolicies() {
+  const overrides = readOverrides();
+  return Object.fromEntries(Object.entries(DEFAULT_POLICIES).map(([table, policy]) => [
+    table,
+    { ...(overrides[table] || policy), isDefault: !overrides[table] }
+  ]));
+}
+
+/** Policy of one table (null for tables without one) */
+export function policyFor(table) {
+  return getPolicies()[table] || null;
+}
+
+/**
+ * Change the policies of some tables (null resets a table to its default)
+ * @param {Object<string, object|null>} changes
+ */
+export function savePolicies(changes) {
+  const overrides = readOverrides();
+  for (const [table, policy] of Object.entries(changes)) {
+    if (policy === null) delete overrides[table];
+    else overrides[table] = validatePolicy(table, policy);
+  }
+  fs.mkdirSync(path.dirname(POLICIES_PATH), { recursive: true });
+  const tmp = `${POLICIES_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ tables: overrides }, null, 2));
+  fs.renameSync(tmp, POLICIES_PATH);
+  return getPolicies();
+}
+
+/** 'forever', '30' or 'rollup:90' (CLI) */
+export function parsePolicy(text) {
+  if (text === 'forever') return { mode: 'forever' };
+  const [mode, value] = text.includes(':') ? text.split(':') : ['days', text];
+  return { mode, days: Number(value) };
+}
+
+export const describePolicy = (policy) => (policy.mode === 'forever'
+  ? 'keep forever'
+  : `${policy.mode === 'rollup' ? 'roll up after' : 'keep'} ${policy.days} days`);
+
+export default { DEFAULT_POLICIES, getPolicies, policyFor, savePolicies, validatePolicy, parsePolicy, describePolicy };
@@ -0,0 +1,356 @@
+/**
+ * Sensor Failsafe
+ * Tracks the age and plausibility of every sensor reading and marks a sensor
+ * as failed when it:
+ * - stopped reporting for staleMs (or never reported since the start),
+ * - reports a value outside its physical range (e.g. 0 % RH from a dead probe),
+ * - reports the exact same value for frozenMinutes (sensors that have one).
+ *
+ * Failed sensors are hidden from the flows (conditions on them are false) and
+ * the outlets whose actions depend on them are switched to their failsafe state
+ * (socket_failsafe: on, off, keep or a duty cycle) until the readings have been
+ * good again for recoverMs.
+ *
+ * Nodes without a device read the merged values of every device ('*'): such a
+ * sensor is failed while any device reporting it is.
+ *
+ * The current failures are written to data/sensor-health.json (read by the status
+ * command below; the prebuilt web app doesn't show them).
+ *
+ * CLI (the outlet settings of the prebuilt web app have no failsafe field):
+ *   node src/services/sensor-failsafe.cjs status | modes |
+ *     set <MAC:O1|O1> <keep|on|off|duty> [--on 5 --off 10]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** Physical range per sensor; frozenMinutes: identical readings this long are a frozen sensor */
+const PHYSICAL_RANGES = {
+  temp: { min: -10, max: 60, frozenMinutes: 120 },
+  humi: { min: 1, max: 100, frozenMinutes: 120 },
+  vpd: { min: 0, max: 8 },
+  co2: { min: 250, max: 10000, frozenMinutes: 120 },
+  temp_soil: { min: -5, max: 50 },
+  humi_soil: { min: 0.5, max: 100 },
+  ec_soil: { min: 0, max: 20 }
+};
+const FAILSAFE_MODES = ['on', 'off', 'keep', 'duty'];
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.staleMs=5 min] - No update this long: failed
+ * @param {number} [options.recoverMs=1 min] - Good readings this long before a failed sensor is trusted again
+ * @param {object} [options.ranges=PHYSICAL_RANGES]
+ * @param {string} [options.statusPath] - Status file (none: not written)
+ * @param {(deviceMac: string, socket: string) => string} options.outletKey - Normalized device:socket
+ * @param {() => number} [options.clock=Date.now]
+ */
+function createSensorFailsafe(options) {
+  const {
+    staleMs = 5 * 60000,
+    recoverMs = 60000,
+    ranges = PHYSICAL_RANGES,
+    statusPath,
+    outletKey,
+    clock = Date.now
+  } = options;
+
+  const startedAt = clock();
+  const readings = new Map(); // `${device}|${sensor}` -> { device, sensor, value, lastUpdate, changedAt }
+  const failures = new Map(); // `${device}|${sensor}` -> { device, sensor, reason, since, goodSince }
+  const failsafeSince = new Map(); // outlet key -> start of its failsafe (duty cycle phase)
+  let failsafeOutlets = [];
+  let lastStatus = null;
+
+  function isPlausible(sensor, value) {
+    const range = ranges[sensor];
+    if (!Number.isFinite(value)) return false;
+    if (!range) return true;
+    return value >= range.min && value <= range.max;
+  }
+
+  /** Problem with a sensor right now (null when it looks fine) */
+  function problemOf(device, sensor, now) {
+    if (device === '*') {
+      const devices = [...readings.values()].filter(r => r.sensor === sensor).map(r => r.device);
+      if (devices.length === 0) return now - startedAt > staleMs ? 'no readings since the start' : null;
+      for (const d of devices) {
+        const problem = problemOf(d, sensor, now);
+        if (problem) return `${problem} (${d})`;
+      }
+      return null;
+    }
+    const reading = readings.get(`${device}|${sensor}`);
+    if (!reading) {
+      return now - startedAt > staleMs ? 'no readings since the start' : null;
+    }
+    if (now - reading.lastUpdate > staleMs) {
+      return `no update for ${Math.round((now - reading.lastUpdate) / 60000)} min`;
+    }
+    if (!isPlausible(sensor, reading.value)) {
+      return `implausible value ${reading.value}`;
+    }
+    const frozenMinutes = ranges[sensor]?.frozenMinutes;
+    if (frozenMinutes && now - reading.changedAt > frozenMinutes * 60000) {
+      return `stuck at ${reading.value} for ${Math.round((now - reading.changedAt) / 60000)} min`;
+    }
+    return null;
+  }
+
+  function writeStatus() {
+    if (!statusPath) return;
+    const status = {
+      failed: [...failures.values()].map(({ device, sensor, reason, since }) => ({
+        device, sensor, reason, since: new Date(since).toISOString()
+      })),
+      failsafe: failsafeOutlets
+    };
+    const serialized = JSON.stringify(status);
+    if (serialized === lastStatus) return;
+    lastStatus = serialized;
+    try {
+      fs.mkdirSync(path.dirname(statusPath), { recursive: true });
+      fs.writeFileSync(`${statusPath}.tmp`, JSON.stringify({ ...status, updatedAt: new Date().toISOString() }, null, 2));
+      fs.renameSync(`${statusPath}.tmp`, statusPath);
+    } catch (err) {
+      console.error('[Failsafe] Could not write sensor health:', err.message);
+    }
+  }
+
+  return {
+    isPlausible,
+
+    /**
+     * Record readings from a device
+     * @param {string} device
+     * @param {object} values - sensor -> value (undefined: not in this message)
+     */
+    record(device, values) {
+      const now = clock();
+      for (const [sensor, value] of Object.entries(values)) {
+        if (value === undefined || value === null) continue;
+        const key = `${device}|${sensor}`;
+        const reading = readings.get(key);
+        const number = Number(value);
+        if (!reading) {
+          readings.set(key, { device, sensor, value: number, lastUpdate: now, changedAt: now });
+          continue;
+        }
+        if (reading.value !== number) reading.changedAt = now;
+        reading.value = number;
+        reading.lastUpdate = now;
+      }
+    },
+
+    /**
+     * Re-check every sensor seen so far and the ones the flows need
+     * @param {Array<{ device: string, sensor: string }>} [required] - Sensors outlets depend on
+     * @returns {{ newlyFailed: Array<object>, recovered: Array<object> }}
+     */
+    check(required = []) {
+      const now = clock();
+      const newlyFailed = [];
+      const recovered = [];
+      const sensors = new Map();
+      for (const { device, sensor } of readings.values()) sensors.set(`${device}|${sensor}`, { device, sensor });
+      for (const { device, sensor } of required) sensors.set(`${device}|${sensor}`, { device, sensor });
+
+      for (const [key, { device, sensor }] of sensors) {
+        const problem = problemOf(device, sensor, now);
+        const failure = failures.get(key);
+        if (problem) {
+          if (failure) {
+            failure.reason = problem;
+            failure.goodSince = null;
+          } else {
+            const entry = { device, sensor, reason: problem, since: now, goodSince: null };
+            failures.set(key, entry);
+            newlyFailed.push(entry);
+          }
+        } else if (failure) {
+          // Trusted again only after a while of good readings
+          if (failure.goodSince === null) failure.goodSince = now;
+          if (now - failure.goodSince >= recoverMs) {
+            failures.delete(key);
+            recovered.push(failure);
+          }
+        }
+      }
+
+      // Sensors of a device that disappeared and nothing needs anymore
+      for (const [key, failure] of failures) {
+        if (!sensors.has(key)) {
+          failures.delete(key);
+          recovered.push(failure);
+        }
+      }
+
+      writeStatus();
+      return { newlyFailed, recovered };
+    },
+
+    isFailed(device, sensor) {
+      return failures.has(`${device}|${sensor}`);
+    },
+
+    /**
+     * Copy of a device's values without its failed sensors
+     */
+    healthyValues(device, values) {
+      if (failures.size === 0) return values;
+      const healthy = { ...values };
+      for (const sensor of Object.keys(healthy)) {
+        if (failures.has(`${device}|${sensor}`)) delete healthy[sensor];
+      }
+      return healthy;
+    },
+
+    /**
+     * Replace the actions of outlets that depend on a failed sensor with their failsafe state
+     * @param {Array<object>} actions - Deduplicated outlet actions
+     * @param {Array<{ deviceMac?: string, socket: string, sensors: Array<{ device: string, sensor: string }> }>} outlets
+     *   Outlets driven by the flows and the sensors their actions depend on
+     * @param {(deviceMac: string, socket: string) => { mode: string, dutyOnMinutes?: number, dutyOffMinutes?: number }} modeOf
+     * @param {(deviceMac: string, socket: string) => boolean} isAiMode - Only automated outlets are switched
+     * @returns {{ actions: Array<object>, failsafe: Array<object> }}
+     */
+    apply(actions, outlets, modeOf, isAiMode) {
+      const now = clock();
+      const overridden = new Set();
+      const failsafeActions = [];
+      const failsafe = [];
+
+      for (const outlet of outlets) {
+        const key = outletKey(outlet.deviceMac, outlet.socket);
+        const failed = outlet.sensors.filter(s => failures.has(`${s.device}|${s.sensor}`));
+        if (failed.length === 0 || !isAiMode(outlet.deviceMac, outlet.socket) || overridden.has(key)) continue;
+        overridden.add(key);
+        if (!failsafeSince.has(key)) failsafeSince.set(key, now);
+
+        const setting = modeOf(outlet.deviceMac, outlet.socket);
+        const mode = FAILSAFE_MODES.includes(setting.mode) ? setting.mode : 'keep';
+        let action = null;
+        if (mode === 'on' || mode === 'off') {
+          action = mode;
+        } else if (mode === 'duty') {
+          // Cycle from the start of the failsafe: dutyOnMinutes on, dutyOffMinutes off
+          const onMs = Math.max(1, Number(setting.dutyOnMinutes) || 0) * 60000;
+          const offMs = Math.max(1, Number(setting.dutyOffMinutes) || 0) * 60000;
+          action = (now - failsafeSince.get(key)) % (onMs + offMs) < onMs ? 'on' : 'off';
+        }
+
+        const sensors = failed.map(f => (f.device === '*' ? f.sensor : `${f.sensor} (${f.device})`));
+        const reason = `Failsafe ${mode}: ${sensors.join(', ')} failed`;
+        if (action) failsafeActions.push({ deviceMac: outlet.deviceMac, socket: outlet.socket, action, reason, failsafe: true });
+        failsafe.push({ deviceMac: outlet.deviceMac || null, socket: outlet.socket, mode, action, sensors });
+      }
+
+      for (const key of [...failsafeSince.keys()]) if (!overridden.has(key)) failsafeSince.delete(key);
+
+      if (JSON.stringify(failsafe) !== JSON.stringify(failsafeOutlets)) {
+        failsafeOutlets = failsafe;
+        writeStatus();
+      }
+
+      return {
+        actions: [
+          ...actions.filter(a => !overridden.has(outletKey(a.deviceMac, a.socket))),
+          ...failsafeActions
+        ],
+        failsafe
+      };
+    },
+
+    /** Current failures and outlets in failsafe */
+    getStatus() {
+      return { failed: [...failures.values()], failsafe: failsafeOutlets };
+    }
+  };
+}
+
+/**
+ * Parse socket_failsafe rows (latest per outlet) into a map by outlet key
+ * @param {Array<object>} rows
+ * @param {(deviceMac: string, socket: string) => string} outletKey
+ */
+function parseFailsafeRows(rows, outletKey) {
+  const modes = new Map();
+  for (const row of rows) {
+    modes.set(outletKey(row.device_mac || null, row.socket), {
+      mode: FAILSAFE_MODES.includes(row.mode) ? row.mode : 'keep',
+      dutyOnMinutes: row.duty_on_minutes,
+      dutyOffMinutes: row.duty_off_minutes
+    });
+  }
+  return modes;
+}
+
+const FAILSAFE_SQL = `
+  SELECT device_mac, socket, mode, duty_on_minutes, duty_off_minutes
+  FROM socket_failsafe
+  LATEST ON timestamp PARTITION BY device_mac, socket
+`;
+
+// CLI: current failures, and the failsafe mode of each outlet
+if (require.main === module) {
+  const { createCliPool, parseArgs } = require('../db/cli.cjs');
+  const [command, ...rest] = process.argv.slice(2);
+  const args = parseArgs(rest);
+  const [outlet, mode] = args._;
+  const usage = 'Usage: node src/services/sensor-failsafe.cjs status | modes | set <MAC:O1|O1> <keep|on|off|duty> [--on 5 --off 10]';
+  const describeMode = (m) => m.mode === 'duty' ? `duty ${m.duty_on_minutes ?? m.dutyOnMinutes} min on / ${m.duty_off_minutes ?? m.dutyOffMinutes} min off` : m.mode;
+
+  if (command === 'status') {
+    const statusPath = path.resolve(process.cwd(), 'data', 'sensor-health.json');
+    if (!fs.existsSync(statusPath)) {
+      console.log('No sensor health recorded yet (the supervisor writes it when a sensor fails)');
+      process.exit(0);
+    }
+    const status = JSON.parse(fs.readFileSync(statusPath, 'utf-8'));
+    console.log(`Updated ${status.updatedAt}`);
+    if (status.failed.length === 0) console.log('All sensors OK');
+    for (const f of status.failed) console.log(`FAILED  ${f.device} ${f.sensor}: ${f.reason} (since ${f.since})`);
+    for (const o of status.failsafe) {
+      console.log(`FAILSAFE  ${o.deviceMac ? `${o.deviceMac}:` : ''}${o.socket} ${o.mode}${o.action ? ` → ${o.action}` : ''} (${o.sensors.join(', ')})`);
+    }
+    process.exit(0);
+  }
+
+  const dutyOn = parseInt(args.on);
+  const dutyOff = parseInt(args.off);
+  if (command !== 'modes' && !(command === 'set' && outlet && FAILSAFE_MODES.includes(mode) && (mode !== 'duty' || (dutyOn > 0 && dutyOff > 0)))) {
+    console.log(usage);
+    process.exit(1);
+  }
+
+  const pool = createCliPool();
+  (async () => {
+    if (command === 'modes') {
+      const { rows } = await pool.query(FAILSAFE_SQL);
+      const configured = rows.filter(r => r.mode !== 'keep');
+      if (configured.length === 0) console.log('Every outlet keeps its state when a sensor fails (keep)');
+      for (const r of configured) console.log(`${r.device_mac ? `${r.device_mac}:` : ''}${r.socket}  ${describeMode(r)}`);
+      return 0;
+    }
+    const separator = outlet.lastIndexOf(':');
+    const deviceMac = separator > 0 ? outlet.slice(0, separator) : null;
+    const socket = separator > 0 ? outlet.slice(separator + 1) : outlet;
+    await pool.query(`
+      INSERT INTO socket_failsafe (timestamp, device_mac, socket, mode, duty_on_minutes, duty_off_minutes, updated_by)
+      VALUES (now(), $1, $2, $3, $4, $5, 'cli')
+    `, [deviceMac, socket, mode, mode === 'duty' ? dutyOn : null, mode === 'duty' ? dutyOff : null]);
+    console.log(`${outlet}: ${describeMode({ mode, dutyOnMinutes: dutyOn, dutyOffMinutes: dutyOff })} while a sensor it depends on has failed (the supervisor picks it up within 30 s)`);
+    return 0;
+  })()
+    .catch((err) => {
+      console.error(err.message);
+      return 1;
+    })
+    .then(async (code) => {
+      await pool.end();
+      process.exit(code);
+    });
+}
+
+module.exports = { createSensorFailsafe, parseFailsafeRows, PHYSICAL_RANGES, FAILSAFE_MODES, FAILSAFE_SQL };
@@ -0,0 +1,117 @@
+/**
+ * Sensor Window
+ * Short in-memory ring buffer of sensor readings per device/sensor, for the
+ * trend nodes of the flow engine (rate of change, rolling average, stuck sensor).
+ *
+ * Readings are thinned to one sample per sampleIntervalMs and kept for maxAgeMs
+ * (plus the last sample before that, which was still in effect at the window start).
+ * Nothing is persisted: after a restart trend nodes stay false until enough
+ * history has been collected.
+ */
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.maxAgeMs=6h] - Longest window a trend node can use
+ * @param {number} [options.sampleIntervalMs=15000]
+ */
+function createSensorWindow(options = {}) {
+  const { maxAgeMs = 6 * 3600 * 1000, sampleIntervalMs = 15000 } = options;
+  const buffers = new Map(); // `${device}|${sensor}` -> [{ t, v }]
+
+  function trim(buffer, now) {
+    // Keep one sample older than maxAgeMs: it holds the value at the window start
+    let drop = 0;
+    while (drop < buffer.length - 1 && buffer[drop + 1].t <= now - maxAgeMs) drop++;
+    if (drop > 0) buffer.splice(0, drop);
+  }
+
+  /**
+   * Samples covering the last windowMs, starting with the one in effect at the window start
+   * @returns {Array<{ t: number, v: number }>|null} null when the buffer doesn't reach back far enough
+   */
+  function windowSamples(device, sensor, windowMs, minCoverage, now) {
+    const buffer = buffers.get(`${device}|${sensor}`);
+    if (!buffer || buffer.length === 0) return null;
+    const start = now - windowMs;
+    if (buffer[0].t > now - windowMs * minCoverage) return null;
+
+    let first = buffer.findIndex(s => s.t > start);
+    if (first === -1) first = buffer.length;
+    return buffer.slice(Math.max(0, first - 1));
+  }
+
+  return {
+    /**
+     * Record readings of one device
+     * @param {string} device - Device MAC
+     * @param {object} values - { temp, humi, vpd, co2, ... }
+     */
+    push(device, values, now = Date.now()) {
+      for (const [sensor, value] of Object.entries(values)) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+        const key = `${device}|${sensor}`;
+        let buffer = buffers.get(key);
+        if (!buffer) buffers.set(key, buffer = []);
+
+        const last = buffer[buffer.length - 1];
+        if (last && now - last.t < sampleIntervalMs) continue;
+        buffer.push({ t: now, v: value });
+        trim(buffer, now);
+      }
+    },
+
+    /** Devices with readings of a sensor */
+    devices(sensor) {
+      const devices = [];
+      for (const [key, buffer] of buffers) {
+        const [device, name] = key.split('|');
+        if (name === sensor && buffer.length > 0) devices.push(device);
+      }
+      return devices;
+    },
+
+    /**
+     * Rate of change (least-squares slope) over the window
+     * @returns {number|null} Change per perMinutes, null without enough history
+     */
+    rate(device, sensor, windowMs, perMinutes = 10, now = Date.now()) {
+      const samples = windowSamples(device, sensor, windowMs, 0.5, now);
+      if (!samples || samples.length < 3) return null;
+      const n = samples.length;
+      const meanT = samples.reduce((sum, s) => sum + s.t, 0) / n;
+      const meanV = samples.reduce((sum, s) => sum + s.v, 0) / n;
+      let num = 0;
+      let den = 0;
+      for (const s of samples) {
+        num += (s.t - meanT) * (s.v - meanV);
+        den += (s.t - meanT) * (s.t - meanT);
+      }
+      if (den === 0) return null;
+      return (num / den) * perMinutes * 60000;
+    },
+
+    /**
+     * Average over the window
+     * @returns {number|null}
+     */
+    average(device, sensor, windowMs, now = Date.now()) {
+      const samples = windowSamples(device, sensor, windowMs, 0.5, now);
+      if (!samples) return null;
+      return samples.reduce((sum, s) => sum + s.v, 0) / samples.length;
+    },
+
+    /**
+     * Spread (max - min) over the whole window; needs full coverage
+     * so a freshly started supervisor doesn't report every sensor as stuck
+     * @returns {number|null}
+     */
+    spread(device, sensor, windowMs, now = Date.now()) {
+      const samples = windowSamples(device, sensor, windowMs, 1, now);
+      if (!samples) return null;
+      const values = samples.map(s => s.v);
+      return Math.max(...values) - Math.min(...values);
+    }
+  };
+}
+
+module.exports = { createSensorWindow };
@@ -0,0 +1,198 @@
+/**
+ * Minimal SMTP client
+ * Enough of RFC 5321 to send plain-text alerts: implicit TLS (465) or
+ * STARTTLS, AUTH PLAIN / LOGIN, several recipients.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+const TIMEOUT_MS = 20000;
+
+/**
+ * Line-based SMTP conversation over a socket
+ */
+function createConversation(socket) {
+  let buffer = '';
+  let waiting = null;
+  let failure = null;
+
+  const tryResolve = () => {
+    if (!waiting) return;
+    if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(failure);
+      return;
+    }
+    // A reply ends with a line "NNN text" (multi-line replies use "NNN-text")
+    const lines = buffer.split('\r\n');
+    for (let i = 0; i < lines.length - 1; i++) {
+      if (/^\d{3} /.test(lines[i]) || /^\d{3}$/.test(lines[i])) {
+        const reply = lines.slice(0, i + 1);
+        buffer = lines.slice(i + 1).join('\r\n');
+        const { resolve } = waiting;
+        waiting = null;
+        resolve({ code: parseInt(reply[i].slice(0, 3)), lines: reply });
+        return;
+      }
+    }
+  };
+
+  const attach = (s) => {
+    s.setEncoding('utf-8');
+    s.on('data', (chunk) => {
+      buffer += chunk;
+      tryResolve();
+    });
+    s.on('error', (err) => {
+      failure = err;
+      tryResolve();
+    });
+    s.on('close', () => {
+      failure = failure || new Error('SMTP connection closed');
+      tryResolve();
+    });
+  };
+  attach(socket);
+
+  return {
+    read() {
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        tryResolve();
+      });
+    },
+
+    /**
+     * @param {string} line
+     * @param {number[]} expected - Accepted reply codes
+     * @param {string} [label] - Shown in errors instead of the line (credentials, message body)
+     */
+    async command(line, expected, label = line) {
+      socket.write(`${line}\r\n`);
+      const reply = await this.read();
+      if (!expected.includes(reply.code)) {
+        throw new Error(`SMTP ${label} failed: ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    },
+
+    /** Continue on an upgraded (STARTTLS) socket */
+    upgrade(secureSocket) {
+      for (const event of ['data', 'error', 'close']) socket.removeAllListeners(event);
+      socket = secureSocket;
+      buffer = '';
+      attach(secureSocket);
+    },
+
+    get socket() {
+      return socket;
+    }
+  };
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const options = { host, port, servername: host };
+    const socket = secure ? tls.connect(options) : net.connect(options);
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+    socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function parseAddress(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+/**
+ * Send a plain-text mail
+ * @param {object} options
+ * @param {string} options.host
+ * @param {number} [options.port=587]
+ * @param {boolean} [options.secure] - Implicit TLS (default when port is 465)
+ * @param {string} [options.user]
+ * @param {string} [options.pass]
+ * @param {string} options.from - "Name <addr>" or addr
+ * @param {string|string[]} options.to - Comma-separated or array
+ * @param {string} options.subject
+ * @param {string} options.text
+ */
+async function sendMail(options) {
+  const port = parseInt(options.port) || 587;
+  const secure = options.secure ?? port === 465;
+  const recipients = (Array.isArray(options.to) ? options.to : String(options.to || '').split(','))
+    .map(r => r.trim())
+    .filter(Boolean);
+  if (!options.host || !options.from || recipients.length === 0) {
+    throw new Error('SMTP host, from and to are required');
+  }
+
+  const socket = await connect({ host: options.host, port, secure });
+  const smtp = createConversation(socket);
+
+  try {
+    let reply = await smtp.read();
+    if (reply.code !== 220) throw new Error(`SMTP greeting: ${reply.lines.join(' ')}`);
+
+    const hostname = os.hostname() || 'localhost';
+    reply = await smtp.command(`EHLO ${hostname}`, [250]);
+
+    if (!secure && reply.lines.some(l => /STARTTLS/i.test(l))) {
+      await smtp.command('STARTTLS', [220]);
+      const secureSocket = tls.connect({ socket: smtp.socket, servername: options.host });
+      await new Promise((resolve, reject) => {
+        secureSocket.once('secureConnect', resolve);
+        secureSocket.once('error', reject);
+      });
+      secureSocket.setTimeout(TIMEOUT_MS, () => secureSocket.destroy(new Error('SMTP timeout')));
+      smtp.upgrade(secureSocket);
+      reply = await smtp.command(`EHLO ${hostname}`, [250]);
+    }
+
+    if (options.user) {
+      const authLine = reply.lines.find(l => /AUTH/i.test(l)) || '';
+      if (/PLAIN/i.test(authLine)) {
+        const token = Buffer.from(`\0${options.user}\0${options.pass || ''}`).toString('base64');
+        await smtp.command(`AUTH PLAIN ${token}`, [235], 'AUTH PLAIN');
+      } else {
+        await smtp.command('AUTH LOGIN', [334]);
+        await smtp.command(Buffer.from(options.user).toString('base64'), [334], 'AUTH LOGIN user');
+        await smtp.command(Buffer.from(options.pass || '').toString('base64'), [235], 'AUTH LOGIN password');
+      }
+    }
+
+    await smtp.command(`MAIL FROM:<${parseAddress(options.from)}>`, [250]);
+    for (const recipient of recipients) {
+      await smtp.command(`RCPT TO:<${parseAddress(recipient)}>`, [250, 251]);
+    }
+    await smtp.command('DATA', [354]);
+
+    const subject = /^[\x20-\x7e]*$/.test(options.subject)
+      ? options.subject
+      : `=?UTF-8?B?${Buffer.from(options.subject).toString('base64')}?=`;
+    const body = String(options.text || '')
+      .replace(/\r?\n/g, '\r\n')
+      .replace(/^\./gm, '..'); // Dot-stuffing
+    const message = [
+      `From: ${options.from}`,
+      `To: ${recipients.join(', ')}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      body
+    ].join('\r\n');
+    await smtp.command(`${message}\r\n.`, [250], 'message');
+    await smtp.command('QUIT', [221]).catch(() => {});
+  } finally {
+    smtp.socket.destroy();
+  }
+}
+
+module.exports = { sendMail };
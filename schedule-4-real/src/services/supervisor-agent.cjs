@@ -7,7 +7,7 @@
  * - Load enabled flows from database
  * - Evaluate conditions when sensor data arrives
  * - Check AI mode before acting on sockets
- * - Apply hysteresis to prevent rapid toggling
+ * - Apply hysteresis to prevent rapid toggling (node state persists across ticks)
  * - Execute MQTT commands for ON/OFF
  * - Log executions to database
  */
@@ -16,9 +16,29 @@ const mqtt = require('mqtt');
 const pg = require('pg');
 const fs = require('fs');
 const path = require('path');
-const { gzipSync } = require('zlib');
 const dotenv = require('dotenv');
 const updateChecker = require('./update-checker.cjs');
+const drivers = require('./drivers/index.cjs');
+const { createCommandTracker } = require('./command-tracker.cjs');
+const { createFlowState } = require('./flow-state.cjs');
+const { createSensorWindow } = require('./sensor-window.cjs');
+const { createFlowEngine, minimumDurationRemaining, mapLabStatusToVpdPhase } = require('./flow-engine.cjs');
+const { createNotifier } = require('./notifier.cjs');
+const {
+  createLightPrograms,
+  parseProgramRows: parseLightPrograms,
+  PROGRAMS_SQL: LIGHT_PROGRAMS_SQL
+} = require('./light-programs.cjs');
+const {
+  createIrrigationController,
+  parseProgramRows: parseIrrigationPrograms,
+  PROGRAMS_SQL: IRRIGATION_PROGRAMS_SQL
+} = require('./irrigation.cjs');
+const { createInterlocks, parseRuleRows, RULES_SQL } = require('./interlocks.cjs');
+const { createSensorFailsafe, parseFailsafeRows, FAILSAFE_SQL } = require('./sensor-failsafe.cjs');
+const { createFlowRevisions } = require('./flow-revisions.cjs');
+const { createBackup, listBackups, pruneBackups } = require('./backup.cjs');
+const { createBackupTargets } = require('./backup-targets.cjs');
 
 dotenv.config();
 
@@ -30,6 +50,11 @@ const QUESTDB_PORT = parseInt(process.env.QUESTDB_PG_PORT) || 8812;
 const QUESTDB_USER = process.env.QUESTDB_USER || 'spider';
 const QUESTDB_PASSWORD = process.env.QUESTDB_PASSWORD || 'spider123';
 const QUESTDB_DATABASE = process.env.QUESTDB_DATABASE || 'qdb';
+const COMMAND_ACK_TIMEOUT_MS = parseInt(process.env.COMMAND_ACK_TIMEOUT_MS) || 8000;
+const COMMAND_MAX_ATTEMPTS = parseInt(process.env.COMMAND_MAX_ATTEMPTS) || 4;
+const COMMAND_EVENTS_TOPIC = 'ggs/_supervisor/events'; // App-internal, like ggs/_source/heartbeat
+const API_PORT = parseInt(process.env.API_PORT) || 3000;
+const SENSOR_STALE_SECONDS = parseInt(process.env.SENSOR_STALE_SECONDS) || 300;
 
 // Device registry (loaded from QuestDB)
 // Maps MAC -> { type: 'ps5'|'cb'|'lc', uid: string, mac: string }
@@ -52,28 +77,32 @@ const pool = new pg.Pool({
 // State
 let mqttClient = null;
 let flows = [];
+let flowRevision = null; // Revision of the loaded global flow (linked in the execution log)
 let socketAiModes = {};  // socket -> boolean (combines device+socket for multi-device)
 let lastSensorValues = {};  // Legacy: merged sensor values from all devices
 let lastActionTimes = {}; // Track last action time per device:socket for hysteresis cooldown
 let lastSocketStates = {}; // Legacy: socket states from default PS5
+const heldActions = new Map(); // device:socket -> action blocked by the cooldown or a minimum duration
 const HYSTERESIS_COOLDOWN_MS = 5000; // Minimum 5 seconds between state changes
+const flowState = createFlowState({ filePath: path.resolve(process.cwd(), 'data', 'flow-state.json') });
+const sensorWindow = createSensorWindow(); // Recent readings for trend nodes
 
 // Per-device state tracking for multi-device support
 const sensorValuesByDevice = new Map();  // mac -> { temp, humi, vpd, co2, ... }
 const socketStatesByDevice = new Map();  // mac -> { O1: 0|1, O2: 0|1, ... }
 let dayNightSchedule = { dayStart: '06:00', dayEnd: '00:00' };
-// VPD Intelligent Control State
-let vpdNodeConfig = null; // Parsed from flow vpd_control node
-let vpdEscalationState = {
-  roles: {}, // { roleName: { activatedAt, vpdAtActivation, maxedOut } }
-  currentDirection: 'in_range', // 'too_high' | 'too_low' | 'in_range'
-};
 let activeGrowPhase = null; // Current grow phase from DB
-
-// Blower Curve Control State
-let blowerCurveConfig = null; // Parsed from flow blower_curve node
-let blowerCurveEscalationState = {}; // { curveId: { lastValue, lastCheck, escalationBoost } }
-let lastBlowerSpeed = null; // Last commanded speed to avoid redundant commands
+const lightLevels = {}; // lightId -> last reported level (start of light ramps)
+
+// Flow evaluation (conditions, VPD control, blower curve) runs against the live state
+const engine = createFlowEngine({
+  getSensorValues: getHealthySensorValues,
+  getSocketState,
+  isAiMode: isSocketAiMode,
+  flowState,
+  sensorWindow,
+  getLightLevel: (lightId) => lightLevels[lightId]
+});
 
 // Database query helper
 async function query(text, params = []) {
@@ -86,6 +115,42 @@ async function query(text, params = []) {
   }
 }
 
+// Every save of the global flow is kept as a revision
+const flowRevisions = createFlowRevisions({ query });
+
+// Alert channels of notify action nodes (data/notifications.json)
+const notifier = createNotifier({ query });
+const backupTargets = createBackupTargets();
+
+// Photoperiod programs (phase progress in data/light-programs-state.json)
+const lightPrograms = createLightPrograms({
+  statePath: path.resolve(process.cwd(), 'data', 'light-programs-state.json'),
+  groupOf: mapLabStatusToVpdPhase
+});
+
+// Soil-moisture irrigation programs (daily counters in data/irrigation-state.json)
+const irrigation = createIrrigationController({
+  statePath: path.resolve(process.cwd(), 'data', 'irrigation-state.json'),
+  groupOf: mapLabStatusToVpdPhase
+});
+const pumpTimers = new Map(); // program id -> timeout switching the pump off
+
+// Safety rules applied to every outlet action (interlock_rules)
+const interlocks = createInterlocks({
+  getSensorValues,
+  getSocketState,
+  listOutlets,
+  outletKey: outletStateKey
+});
+
+// Stale / implausible sensors switch the outlets depending on them to their failsafe state
+const sensorFailsafe = createSensorFailsafe({
+  staleMs: SENSOR_STALE_SECONDS * 1000,
+  statusPath: path.resolve(process.cwd(), 'data', 'sensor-health.json'),
+  outletKey: outletStateKey
+});
+let failsafeModes = new Map(); // outlet key -> { mode, dutyOnMinutes, dutyOffMinutes }
+
 /**
  * Load day/night schedule from database
  */
@@ -112,70 +177,6 @@ async function loadDayNightSchedule() {
   }
 }
 
-/**
- * Load VPD config from the flow's vpd_control node
- */
-function loadVpdFromFlow() {
-  vpdNodeConfig = null;
-  for (const flow of flows) {
-    for (const node of flow.flow.nodes) {
-      if (node.type === 'vpd_control') {
-        vpdNodeConfig = node.data.config;
-        console.log('[Supervisor] VPD Control node found:', {
-          mode: vpdNodeConfig.mode,
-          roles: vpdNodeConfig.roles?.length || 0,
-          timeout: vpdNodeConfig.escalationTimeoutSeconds
-        });
-        return;
-      }
-    }
-  }
-}
-
-/**
- * Load Blower Curve config from the flow's blower_curve node
- */
-function loadBlowerCurveFromFlow() {
-  blowerCurveConfig = null;
-  for (const flow of flows) {
-    if (!flow.enabled) continue;
-    for (const node of flow.flow.nodes) {
-      if (node.type === 'blower_curve') {
-        blowerCurveConfig = node.data.config;
-        const enabledCurves = blowerCurveConfig.curves?.filter(c => c.enabled) || [];
-        console.log('[Supervisor] Blower Curve node found:', {
-          standbySpeed: blowerCurveConfig.standbySpeed,
-          curves: enabledCurves.map(c => c.sensor).join(', ') || 'none'
-        });
-        return;
-      }
-    }
-  }
-}
-
-/**
- * Map Laboratory plant status to VPD phase
- * Lab statuses are more granular, VPD phases are simpler
- */
-function mapLabStatusToVpdPhase(labStatus) {
-  const mapping = {
-    'germinating': 'germination',
-    'seedling': 'seedling',
-    'early_veg': 'vegetative',
-    'mid_veg': 'vegetative',
-    'late_veg': 'vegetative',
-    'pre_flower': 'flower',
-    'early_flower': 'flower',
-    'mid_flower': 'flower',
-    'late_flower': 'flower',
-    'flush': 'flush',
-    'harvest': 'flush', // harvest uses same VPD as flush
-    'drying': 'drying',
-    'curing': 'curing'
-  };
-  return mapping[labStatus] || null;
-}
-
 /**
  * Load active plant stage from Laboratory plants
  * Uses the most advanced stage among active plants
@@ -205,59 +206,285 @@ async function loadActiveGrowPhase() {
 }
 
 /**
- * Get current VPD target range based on mode and plant stage
+ * Load the interlock rules
  */
-function getVpdTargetRange() {
-  if (!vpdNodeConfig) return null;
+async function loadInterlockRules() {
+  try {
+    interlocks.setRules(parseRuleRows(await query(RULES_SQL)));
+  } catch (err) {
+    if (!err.message.includes('does not exist')) {
+      console.error('[Supervisor] Failed to load interlock rules:', err.message);
+    }
+  }
+}
 
-  if (vpdNodeConfig.mode === 'manual') {
-    return vpdNodeConfig.manualTarget;
+/**
+ * Log and alert interlock violations (each once while it lasts)
+ * @param {Array<object>} violations - From interlocks.apply()
+ */
+async function reportInterlockViolations(violations) {
+  for (const violation of violations) {
+    if (!violation.isNew) continue;
+    const { rule, deviceMac, socket, action, outcome, reason } = violation;
+    const verb = outcome === 'forced' ? 'Forcing' : 'Blocked';
+    console.warn(`[Supervisor] ${verb} ${socket} ${action.toUpperCase()} - ${reason}`);
+    // Forced actions are logged when executed
+    if (outcome === 'blocked') await logExecution(reason, deviceMac, socket, action, 'blocked');
+    notifier.notify({
+      key: `interlock:${violation.key}`,
+      title: `Interlock: ${rule.name}`,
+      message: `${verb} ${socket} ${action.toUpperCase()}. ${reason}`,
+      level: rule.level || 'warning',
+      channels: rule.channels
+    }).catch(err => console.error('[Supervisor] Interlock alert failed:', err.message));
   }
+}
 
-  // Support both 'grow_phase' (legacy) and 'plant_stage' (new)
-  if ((vpdNodeConfig.mode === 'grow_phase' || vpdNodeConfig.mode === 'plant_stage') && activeGrowPhase) {
-    const target = vpdNodeConfig.phaseTargets?.[activeGrowPhase];
-    if (target && target.min > 0 && target.max > 0) {
-      return target;
+/**
+ * Load the per-outlet failsafe states (default: keep)
+ */
+async function loadFailsafeModes() {
+  try {
+    failsafeModes = parseFailsafeRows(await query(FAILSAFE_SQL), outletStateKey);
+  } catch (err) {
+    if (!err.message.includes('does not exist')) {
+      console.error('[Supervisor] Failed to load failsafe modes:', err.message);
     }
-    // Phase disabled (sentinel -1)
-    return null;
   }
+}
 
-  return null;
+/**
+ * Alert sensors that failed or recovered
+ * @param {{ newlyFailed: Array<object>, recovered: Array<object> }} changes - From sensorFailsafe.check()
+ */
+function reportSensorHealth({ newlyFailed, recovered }) {
+  const label = (s) => (s.device === '*' ? s.sensor : `${s.sensor} (${s.device})`);
+  for (const failure of newlyFailed) {
+    console.warn(`[Supervisor] Sensor ${label(failure)} failed: ${failure.reason}`);
+    notifier.notify({
+      key: `sensor:${failure.device}|${failure.sensor}`,
+      title: `Sensor failed: ${label(failure)}`,
+      message: `${failure.reason}. Outlets depending on it are in failsafe until readings recover.`,
+      level: 'critical'
+    }).catch(err => console.error('[Supervisor] Sensor alert failed:', err.message));
+  }
+  for (const failure of recovered) {
+    console.log(`[Supervisor] Sensor ${label(failure)} recovered`);
+    notifier.notify({
+      key: `sensor-recovered:${failure.device}|${failure.sensor}`,
+      title: `Sensor recovered: ${label(failure)}`,
+      message: `Readings are back to normal, flows control its outlets again.`,
+      level: 'info'
+    }).catch(err => console.error('[Supervisor] Sensor alert failed:', err.message));
+  }
 }
 
 /**
- * Resolve period ('day'/'night'/'custom') to actual start/end times
+ * Load light and irrigation programs, and the lab plant stages that drive them
  */
-function resolvePeriodTimes(period, startTime, endTime) {
-  if (!period || period === 'custom') {
-    return { startTime, endTime };
+async function loadPrograms() {
+  let enabled = false;
+  try {
+    const programs = parseLightPrograms(await query(LIGHT_PROGRAMS_SQL));
+    lightPrograms.setPrograms(programs);
+    enabled = programs.some(p => p.enabled);
+  } catch (err) {
+    if (!err.message.includes('does not exist')) {
+      console.error('[Supervisor] Failed to load light programs:', err.message);
+    }
   }
-  if (period === 'day') {
-    return { startTime: dayNightSchedule.dayStart, endTime: dayNightSchedule.dayEnd };
+  try {
+    const programs = parseIrrigationPrograms(await query(IRRIGATION_PROGRAMS_SQL));
+    irrigation.setPrograms(programs);
+    enabled = enabled || programs.some(p => p.enabled);
+  } catch (err) {
+    if (!err.message.includes('does not exist')) {
+      console.error('[Supervisor] Failed to load irrigation programs:', err.message);
+    }
   }
-  if (period === 'night') {
-    return { startTime: dayNightSchedule.dayEnd, endTime: dayNightSchedule.dayStart };
+  if (!enabled) return;
+
+  try {
+    const plants = await query(`
+      SELECT * FROM (
+        SELECT id, status, is_deleted, timestamp,
+          ROW_NUMBER() OVER (PARTITION BY id ORDER BY timestamp DESC) as rn
+        FROM lab_plants
+      )
+      WHERE rn = 1 AND is_deleted = 0 AND status NOT IN ('culled', 'archived')
+      ORDER BY timestamp DESC
+    `);
+    const stageLog = await query(`
+      SELECT * FROM (
+        SELECT plant_id, stage, started_at,
+          ROW_NUMBER() OVER (PARTITION BY plant_id ORDER BY timestamp DESC) as rn
+        FROM lab_stage_log
+      )
+      WHERE rn = 1
+    `);
+
+    const stages = new Map();
+    for (const plant of plants) {
+      const log = stageLog.find(l => l.plant_id === plant.id && l.stage === plant.status);
+      const since = log?.started_at
+        ? Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(log.started_at) ? `${log.started_at}T00:00:00` : log.started_at)
+        : NaN;
+      stages.set(plant.id, { stage: plant.status, since: Number.isFinite(since) ? since : undefined });
+    }
+    lightPrograms.setPlantStages(stages, plants[0]?.id || null);
+    irrigation.setPlantStages(stages, plants[0]?.id || null);
+  } catch (err) {
+    if (!err.message.includes('does not exist')) {
+      console.error('[Supervisor] Failed to load plant stages:', err.message);
+    }
   }
-  return { startTime, endTime };
 }
 
 /**
- * Check if current time is within a time range (handles overnight ranges)
+ * Run the light programs: send changed light levels (flow light nodes take
+ * precedence while active) and keep the day/night schedule on the photoperiod
  */
-function isWithinTimeRange(startTime, endTime) {
-  const now = new Date();
-  const [startH, startM] = startTime.split(':').map(Number);
-  const [endH, endM] = endTime.split(':').map(Number);
-  const startMinutes = startH * 60 + startM;
-  const endMinutes = endH * 60 + endM;
-  const nowMinutes = now.getHours() * 60 + now.getMinutes();
-
-  if (startMinutes <= endMinutes) {
-    return nowMinutes >= startMinutes && nowMinutes < endMinutes;
-  } else {
-    return nowMinutes >= startMinutes || nowMinutes < endMinutes;
+async function runLightPrograms() {
+  const overridden = ['light:light', 'light:light2'].filter(key => engine.controlsDeviceTarget(key));
+  // Overridden lights resend as soon as the flow releases them
+  for (const key of overridden) lightPrograms.resetCommand(key);
+
+  const { commands, dayNight } = lightPrograms.evaluate();
+  const owned = commands.filter(c => !overridden.includes(c.key));
+  if (owned.length > 0) {
+    await executeDeviceActions(owned, key => lightPrograms.resetCommand(key));
+  }
+
+  if (dayNight && (dayNight.dayStart !== dayNightSchedule.dayStart || dayNight.dayEnd !== dayNightSchedule.dayEnd)) {
+    try {
+      await query(`
+        INSERT INTO day_night_schedule (timestamp, day_start, day_end, source)
+        VALUES (now(), $1, $2, 'light_program')
+      `, [dayNight.dayStart, dayNight.dayEnd]);
+      dayNightSchedule = dayNight;
+      engine.setDayNightSchedule(dayNightSchedule);
+      irrigation.setDayNightSchedule(dayNightSchedule);
+      console.log('[Supervisor] Day/Night schedule follows light program:', dayNightSchedule);
+    } catch (err) {
+      console.error('[Supervisor] Failed to update day/night schedule:', err.message);
+    }
+  }
+}
+
+/**
+ * Soil reading of an irrigation probe: the device's (nothing while it hasn't
+ * reported), or without a device the average of every device reporting soil values
+ */
+function getSoilReading(deviceMac) {
+  if (deviceMac) {
+    if (!sensorValuesByDevice.has(deviceMac)) return {};
+    const values = getHealthySensorValues(deviceMac);
+    return { moisture: values.humi_soil, ec: values.ec_soil };
+  }
+  const average = (sensor) => {
+    const values = [...sensorValuesByDevice.keys()]
+      .map(mac => Number(getHealthySensorValues(mac)[sensor]))
+      .filter(Number.isFinite);
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : undefined;
+  };
+  return { moisture: average('humi_soil'), ec: average('ec_soil') };
+}
+
+/**
+ * Run the irrigation programs: start due shots and log the settled ones
+ */
+async function runIrrigation() {
+  const { shots, settled } = irrigation.evaluate(
+    (program) => getSoilReading(program.probe?.deviceMac),
+    (program) => {
+      if (!isSocketAiMode(program.pump.deviceMac, program.pump.socket)) {
+        console.log(`[Supervisor] Irrigation ${program.name}: pump ${program.pump.socket} not in AI mode, skipping`);
+        return false;
+      }
+      const blocked = interlocks.check(program.pump.deviceMac, program.pump.socket, 'on');
+      if (blocked) {
+        console.log(`[Supervisor] Irrigation ${program.name}: ${blocked}`);
+        return false;
+      }
+      return true;
+    }
+  );
+
+  for (const shot of shots) await startIrrigationShot(shot);
+  for (const shot of settled) await logIrrigation(shot, 'success');
+}
+
+/**
+ * Switch the pump on for one shot; a timer switches it off again
+ */
+async function startIrrigationShot(shot) {
+  const { program, shotSeconds } = shot;
+  const { deviceMac, socket } = program.pump;
+  const reason = `Irrigation ${program.name}: ${shot.reason}`;
+
+  console.log(`[Supervisor] ${reason} - shot ${shot.shotNumber} (${shotSeconds}s)`);
+  if (!await sendSocketCommand(deviceMac, socket, 'on', reason)) {
+    irrigation.shotFailed(program.id);
+    await logExecution(reason, deviceMac, socket, 'on', 'error');
+    await logIrrigation({ ...shot, after: { moisture: null, ec: null } }, 'error');
+    return;
+  }
+  await logExecution(reason, deviceMac, socket, 'on', 'success');
+
+  clearTimeout(pumpTimers.get(program.id));
+  pumpTimers.set(program.id, setTimeout(() => {
+    pumpTimers.delete(program.id);
+    stopPump(program, `Irrigation ${program.name}: shot of ${shotSeconds}s done`);
+  }, shotSeconds * 1000));
+}
+
+async function stopPump(program, reason) {
+  const { deviceMac, socket } = program.pump;
+  const success = await sendSocketCommand(deviceMac, socket, 'off', reason);
+  if (!success) console.error(`[Supervisor] Irrigation ${program.name}: could not switch pump ${socket} off`);
+  await logExecution(reason, deviceMac, socket, 'off', success ? 'success' : 'error');
+}
+
+/**
+ * Pumps of shots interrupted by a crash may still be running: switch them off
+ */
+function stopInterruptedShots() {
+  const state = irrigation.getState();
+  for (const program of irrigation.getPrograms()) {
+    const pending = state[program.id]?.pending;
+    if (pending && !pumpTimers.has(program.id)) {
+      stopPump(program, `Irrigation ${program.name}: shot interrupted by restart`).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Write one shot to irrigation_log with the moisture before and after
+ */
+async function logIrrigation(shot, result) {
+  try {
+    await query(`
+      INSERT INTO irrigation_log (timestamp, program_id, program_name, device_mac, socket, stage, shot_number, shot_seconds,
+        reason, started_at, moisture_before, moisture_after, ec_before, ec_after, result)
+      VALUES (now(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    `, [
+      shot.program.id,
+      shot.program.name,
+      shot.program.pump.deviceMac || defaultPrimaryMac || '',
+      shot.program.pump.socket,
+      shot.stage,
+      shot.shotNumber,
+      shot.shotSeconds,
+      shot.reason,
+      new Date(shot.startedAt).toISOString(),
+      shot.before.moisture,
+      shot.after.moisture,
+      shot.before.ec,
+      shot.after.ec,
+      result
+    ]);
+  } catch (err) {
+    console.error('[Supervisor] Failed to log irrigation:', err.message);
   }
 }
 
@@ -268,13 +495,25 @@ async function loadFlows() {
   try {
     // Load only the global configuration
     const rows = await query(`
-      SELECT id, name, description, enabled, flow_json
+      SELECT id, name, description, enabled, flow_json, updated_at
       FROM automation_flows
       WHERE id = 'global'
       ORDER BY updated_at DESC
       LIMIT 1
     `);
 
+    if (rows.length > 0) {
+      try {
+        flowRevision = await flowRevisions.sync('global');
+      } catch (err) {
+        // Executions aren't linked to a revision that may not be the loaded flow
+        flowRevision = null;
+        if (!err.message.includes('does not exist')) {
+          console.error('[Supervisor] Failed to record flow revision:', err.message);
+        }
+      }
+    }
+
     if (rows.length > 0 && rows[0].enabled === 1) {
       const row = rows[0];
       flows = [{
@@ -321,394 +560,142 @@ async function loadSocketAiModes() {
 }
 
 /**
- * Compare a sensor value against a threshold with an operator
- */
-function compareValue(currentValue, operator, threshold, value, hysteresis) {
-  switch (operator) {
-    case '>': return currentValue > threshold;
-    case '<': return currentValue < threshold;
-    case '>=': return currentValue >= threshold;
-    case '<=': return currentValue <= threshold;
-    case '==': return Math.abs(currentValue - value) <= (hysteresis || 0.1);
-    case '!=': return Math.abs(currentValue - value) > (hysteresis || 0.1);
-    default: return false;
-  }
-}
-
-/**
- * Evaluate a condition node against current sensor values
- * Supports timeSlots: each slot has its own period, time range, weekmask, operator, value, hysteresis
- * Supports multi-device: deviceMac specifies which device's sensor to read
+ * Send MQTT command to control socket on a specific device.
+ * The command is tracked until a device status confirms it and retried with backoff.
+ * @param {string} deviceMac - Target device MAC (or null for default PS5)
+ * @param {string} socket - Socket ID (O1-O5)
+ * @param {string} action - 'on' or 'off'
+ * @param {string} [reason] - Trigger reason, logged if the command never converges
  */
-function evaluateCondition(config, wasActive = false) {
-  const { sensor, deviceMac } = config;
-
-  // Get sensor value from specific device or legacy global
-  const sensorValues = getSensorValues(deviceMac);
-  const currentValue = sensorValues[sensor];
-
-  if (currentValue === undefined || currentValue === null) {
+async function sendSocketCommand(deviceMac, socket, action, reason) {
+  if (!mqttClient || !mqttClient.connected) {
+    console.error('[Supervisor] MQTT not connected');
     return false;
   }
 
-  // If timeSlots array exists, evaluate per-slot
-  if (config.timeSlots && config.timeSlots.length > 0) {
-    const now = new Date();
-    const dayOfWeek = now.getDay();
-    const ourDay = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-
-    for (const slot of config.timeSlots) {
-      // Check weekmask
-      if (!(slot.weekmask & (1 << ourDay))) continue;
-
-      // Resolve period to actual times
-      const resolved = resolvePeriodTimes(slot.period, slot.startTime, slot.endTime);
-
-      // Check time range (00:00-00:00 means 24h, always active)
-      if (resolved.startTime && resolved.endTime) {
-        const isFullDay = resolved.startTime === '00:00' && resolved.endTime === '00:00';
-        if (!isFullDay && !isWithinTimeRange(resolved.startTime, resolved.endTime)) continue;
-      }
-
-      // This slot is active - evaluate the condition with its operator/value/hysteresis
-      const { operator, value, hysteresis = 0 } = slot;
-      let threshold = value;
-      if (wasActive && hysteresis > 0) {
-        if (operator === '>' || operator === '>=') {
-          threshold = value - hysteresis;
-        } else if (operator === '<' || operator === '<=') {
-          threshold = value + hysteresis;
-        }
-      }
-
-      return compareValue(currentValue, operator, threshold, value, hysteresis);
-    }
-
-    // No slot matched current time/day
+  // Get device info (with fallback to default PS5)
+  const device = getDevice(deviceMac);
+  if (!device) {
+    console.error(`[Supervisor] No device found for MAC: ${deviceMac || 'default'}`);
     return false;
   }
 
-  // Legacy flat config (backward compatibility)
-  const { operator, value, hysteresis = 0 } = config;
-  let threshold = value;
-  if (wasActive && hysteresis > 0) {
-    if (operator === '>' || operator === '>=') {
-      threshold = value - hysteresis;
-    } else if (operator === '<' || operator === '<=') {
-      threshold = value + hysteresis;
-    }
-  }
-
-  return compareValue(currentValue, operator, threshold, value, hysteresis);
+  const cmd = await commandTracker.send({
+    deviceMac: device.mac,
+    deviceType: device.type,
+    socket,
+    action,
+    reason
+  });
+  return !!cmd;
 }
 
 /**
- * Evaluate a schedule node
+ * Publish one attempt of a tracked outlet command
+ * @param {object} cmd - Tracked command (see command-tracker.cjs)
+ * @param {string} msgId - Correlation ID for this attempt
  */
-function evaluateSchedule(config) {
-  const { scheduleType, startTime, endTime, weekmask = 127, intervalMinutes, durationSeconds } = config;
-  const now = new Date();
-  const dayOfWeek = now.getDay(); // 0 = Sunday
-
-  // Check weekmask (bit 0 = Monday, bit 6 = Sunday in our system)
-  // Convert JS dayOfWeek (0=Sun) to our system (0=Mon)
-  const ourDay = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-  if (!(weekmask & (1 << ourDay))) {
-    return false;
-  }
-
-  if (scheduleType === 'time_range') {
-    // Resolve period to actual times
-    const resolved = resolvePeriodTimes(config.period, startTime, endTime);
-    if (!resolved.startTime || !resolved.endTime) return false;
-
-    return isWithinTimeRange(resolved.startTime, resolved.endTime);
+function publishOutletCommand(cmd, msgId) {
+  const device = getDevice(cmd.deviceMac);
+  if (!device || !mqttClient || !mqttClient.connected) return Promise.resolve(false);
+
+  // The device's driver knows its command topic and payload format
+  const command = drivers.encodeCommand(device, { type: 'outlet', outlet: cmd.socket, on: cmd.action === 'on', msgId });
+  if (!command) {
+    console.error(`[Supervisor] Driver for ${device.type} cannot switch outlets`);
+    return Promise.resolve(false);
   }
 
-  if (scheduleType === 'interval') {
-    if (!intervalMinutes || !durationSeconds) return false;
-
-    // Resolve active period to actual times
-    const activeResolved = resolvePeriodTimes(
-      config.activePeriod,
-      config.activeStartTime || '00:00',
-      config.activeEndTime || '23:59'
-    );
-
-    // Check if current time is within active hours
-    if (!isWithinTimeRange(activeResolved.startTime, activeResolved.endTime)) return false;
-
-    // Calculate position in interval cycle
-    const totalSeconds = now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds();
-    const intervalSeconds = intervalMinutes * 60;
-    const positionInCycle = totalSeconds % intervalSeconds;
-
-    return positionInCycle < durationSeconds;
-  }
-
-  return false;
-}
-
-/**
- * Evaluate a state check node
- * Supports timeRestricted: only active during specified period/time range
- * Supports multi-device: deviceMac specifies which device's socket to check
- */
-function evaluateStateCheck(config) {
-  const { socket, checkState, timeRestricted, deviceMac } = config;
-
-  // Get socket state from specific device or legacy global
-  const currentState = getSocketState(deviceMac, socket);
-
-  if (currentState === undefined) return false;
-
-  let stateMatches = false;
-  if (checkState === 'on') stateMatches = currentState === 1;
-  else if (checkState === 'off') stateMatches = currentState === 0;
-
-  if (!stateMatches) return false;
-
-  // Apply time restriction if configured
-  if (timeRestricted) {
-    const resolved = resolvePeriodTimes(config.period, config.startTime, config.endTime);
-    if (resolved.startTime && resolved.endTime) {
-      const isFullDay = resolved.startTime === '00:00' && resolved.endTime === '00:00';
-      if (!isFullDay && !isWithinTimeRange(resolved.startTime, resolved.endTime)) {
-        return false;
+  return new Promise((resolve) => {
+    mqttClient.publish(command.topic, command.payload, { qos: command.qos || 0 }, (err) => {
+      if (err) {
+        console.error(`[Supervisor] Failed to send command to ${device.mac}:${cmd.socket}:`, err.message);
+        resolve(false);
+      } else {
+        const retry = cmd.attempts > 1 ? ` (attempt ${cmd.attempts})` : '';
+        console.log(`[Supervisor] Sent ${cmd.action.toUpperCase()} to ${device.mac}:${cmd.socket} [${msgId}]${retry}`);
+        resolve(true);
       }
-    }
-  }
-
-  return true;
+    });
+  });
 }
 
-/**
- * Evaluate a logic gate node (AND/OR)
- */
-function evaluateLogicGate(config, inputResults) {
-  const { operator } = config;
-
-  if (!inputResults || inputResults.length === 0) return false;
-
-  if (operator === 'and') {
-    return inputResults.every(r => r === true);
-  } else if (operator === 'or') {
-    return inputResults.some(r => r === true);
-  }
-
-  return false;
+/** Ask the device for a fresh status so a command is confirmed without waiting for the next push */
+function requestOutletStatus(cmd) {
+  const device = getDevice(cmd.deviceMac);
+  if (!device || !mqttClient || !mqttClient.connected) return;
+  const command = drivers.encodeCommand(device, { type: 'status' });
+  if (command) mqttClient.publish(command.topic, command.payload, { qos: command.qos || 0 });
 }
 
 /**
- * Evaluate a flow and determine actions to take
+ * A command never converged: log it and publish an event on the app-internal
+ * COMMAND_EVENTS_TOPIC (outside the device namespace, so ingestion neither
+ * stores nor forwards it)
  */
-function evaluateFlow(flow) {
-  const { nodes, connections } = flow.flow;
-  const actions = [];
-
-  // Build adjacency list for graph traversal
-  const adjacencyList = new Map();
-  for (const conn of connections) {
-    if (!adjacencyList.has(conn.source)) {
-      adjacencyList.set(conn.source, []);
-    }
-    adjacencyList.get(conn.source).push(conn.target);
-  }
-
-  // Find entry nodes (nodes with no incoming connections)
-  const hasIncoming = new Set(connections.map(c => c.target));
-  const entryNodes = nodes.filter(n => !hasIncoming.has(n.id));
-
-  // Track evaluation results
-  const nodeResults = new Map();
-  const mandatoryConditions = new Map(); // socket -> [condition results]
-
-  // BFS evaluation
-  const queue = [...entryNodes];
-  const visited = new Set();
-
-  while (queue.length > 0) {
-    const node = queue.shift();
-    if (visited.has(node.id)) continue;
-    visited.add(node.id);
-
-    let result = false;
-
-    switch (node.type) {
-      case 'condition':
-        const wasActive = nodeResults.get(`${node.id}:active`) || false;
-        result = evaluateCondition(node.data.config, wasActive);
-        nodeResults.set(`${node.id}:active`, result); // Track for next evaluation
-
-        // Track mandatory status
-        if (node.data.config.mandatory) {
-          // Find connected action nodes
-          const connected = adjacencyList.get(node.id) || [];
-          for (const targetId of connected) {
-            const targetNode = nodes.find(n => n.id === targetId);
-            if (targetNode?.type === 'action') {
-              const socket = targetNode.data.config.socket;
-              if (!mandatoryConditions.has(socket)) {
-                mandatoryConditions.set(socket, []);
-              }
-              mandatoryConditions.get(socket).push(result);
-            }
-          }
-        }
-        break;
-
-      case 'schedule':
-        result = evaluateSchedule(node.data.config);
-        break;
-
-      case 'state':
-        result = evaluateStateCheck(node.data.config);
-        break;
-
-      case 'logic':
-        // Get all input results for this logic gate
-        const logicInputs = connections
-          .filter(c => c.target === node.id)
-          .map(c => nodeResults.get(c.source))
-          .filter(r => r !== undefined);
-        result = evaluateLogicGate(node.data.config, logicInputs);
-
-        // Apply time restriction if configured
-        if (result && node.data.config.timeRestricted) {
-          const resolved = resolvePeriodTimes(
-            node.data.config.period,
-            node.data.config.startTime,
-            node.data.config.endTime
-          );
-          if (resolved.startTime && resolved.endTime) {
-            result = isWithinTimeRange(resolved.startTime, resolved.endTime);
-          }
-        }
-        break;
-
-      case 'action':
-        // Check if any incoming connection has true result
-        const incomingConnections = connections.filter(c => c.target === node.id);
-        const anyInputTrue = incomingConnections.some(c => nodeResults.get(c.source) === true);
-
-        if (anyInputTrue) {
-          const { deviceMac: actionDeviceMac, socket, action } = node.data.config;
+async function handleCommandFailure(cmd) {
+  console.error(`[Supervisor] Command ${cmd.id} ${cmd.deviceMac}:${cmd.socket} ${cmd.action.toUpperCase()} not confirmed after ${cmd.attempts} attempts`);
 
-          // Use device-specific AI mode key or legacy socket key
-          const aiModeKey = actionDeviceMac ? `${actionDeviceMac}:${socket}` : socket;
-
-          // Check if socket is in AI mode (fallback to legacy key for backward compat)
-          if (!socketAiModes[aiModeKey] && !socketAiModes[socket]) {
-            console.log(`[Supervisor] Socket ${aiModeKey} not in AI mode, skipping`);
-            break;
-          }
-
-          // Check mandatory conditions (keyed by device:socket for multi-device)
-          const mandatoryKey = actionDeviceMac ? `${actionDeviceMac}:${socket}` : socket;
-          const mandatories = mandatoryConditions.get(mandatoryKey) || mandatoryConditions.get(socket);
-          if (mandatories && mandatories.length > 0) {
-            const allMandatoriesMet = mandatories.every(m => m === true);
-            if (!allMandatoriesMet) {
-              console.log(`[Supervisor] Mandatory conditions not met for ${mandatoryKey}, forcing OFF`);
-              actions.push({ deviceMac: actionDeviceMac, socket, action: 'off', reason: 'Mandatory condition not met' });
-              break;
-            }
-          }
-
-          // Build reason from connected conditions
-          const reasons = [];
-          for (const conn of incomingConnections) {
-            const sourceNode = nodes.find(n => n.id === conn.source);
-            if (sourceNode?.type === 'condition') {
-              const cfg = sourceNode.data.config;
-              // Use device-specific sensor values if condition has deviceMac
-              const sensorVals = getSensorValues(cfg.deviceMac);
-              const val = sensorVals[cfg.sensor];
-              reasons.push(`${cfg.sensor} ${cfg.operator} ${cfg.value} (actual: ${val})`);
-            }
-          }
-
-          actions.push({ deviceMac: actionDeviceMac, socket, action, reason: reasons.join(', ') || 'Condition met' });
-        }
-        break;
-    }
-
-    nodeResults.set(node.id, result);
-
-    // Add connected nodes to queue
-    const connected = adjacencyList.get(node.id) || [];
-    for (const targetId of connected) {
-      const targetNode = nodes.find(n => n.id === targetId);
-      if (targetNode) {
-        queue.push(targetNode);
-      }
+  // Forget the optimistic state so the next evaluation acts on what the device reports
+  for (const [mac, states] of socketStatesByDevice) {
+    if (mac.toLowerCase() === cmd.deviceMac.toLowerCase() && states[cmd.socket] === cmd.target) {
+      delete states[cmd.socket];
     }
   }
-
-  return actions;
-}
-
-/**
- * Send MQTT command to control socket on a specific device
- * @param {string} deviceMac - Target device MAC (or null for default PS5)
- * @param {string} socket - Socket ID (O1-O5)
- * @param {string} action - 'on' or 'off'
- */
-async function sendSocketCommand(deviceMac, socket, action) {
-  if (!mqttClient || !mqttClient.connected) {
-    console.error('[Supervisor] MQTT not connected');
-    return false;
+  if (cmd.deviceMac.toLowerCase() === defaultPrimaryMac.toLowerCase() && lastSocketStates[cmd.socket] === cmd.target) {
+    delete lastSocketStates[cmd.socket];
   }
 
-  // Get device info (with fallback to default PS5)
-  const device = getDevice(deviceMac);
-  if (!device) {
-    console.error(`[Supervisor] No device found for MAC: ${deviceMac || 'default'}`);
-    return false;
+  const device = getDevice(cmd.deviceMac);
+  if (mqttClient && mqttClient.connected) {
+    mqttClient.publish(COMMAND_EVENTS_TOPIC, JSON.stringify({
+      event: 'command_failed',
+      commandId: cmd.id,
+      deviceType: cmd.deviceType,
+      deviceMac: cmd.deviceMac,
+      msgIds: cmd.msgIds,
+      socket: cmd.socket,
+      action: cmd.action,
+      attempts: cmd.attempts,
+      reason: cmd.reason || '',
+      uid: device?.uid || '',
+      timestamp: Date.now()
+    }), { qos: 1 });
   }
 
-  const topic = `ggs/${device.type}/${device.mac}/cmd`;
-  const command = {
-    method: 'setConfigField',
-    params: {
-      keyPath: ['outlet', socket],
-      [socket]: {
-        modeType: 0,  // Manual mode
-        mOnOff: action === 'on' ? 1 : 0
-      }
-    },
-    pid: device.mac,
-    msgId: `${Date.now()}`,
-    uid: device.uid,
-    UTC: Math.floor(Date.now() / 1000)
-  };
-
-  return new Promise((resolve) => {
-    mqttClient.publish(topic, JSON.stringify(command), (err) => {
-      if (err) {
-        console.error(`[Supervisor] Failed to send command to ${device.mac}:${socket}:`, err.message);
-        resolve(false);
-      } else {
-        console.log(`[Supervisor] Sent ${action.toUpperCase()} to ${device.mac}:${socket}`);
-        resolve(true);
-      }
-    });
-  });
+  await logExecution(
+    `Command not confirmed after ${cmd.attempts} attempts [${cmd.id}]${cmd.reason ? `: ${cmd.reason}` : ''}`,
+    cmd.deviceMac, cmd.socket, cmd.action, 'error'
+  );
 }
 
+const commandTracker = createCommandTracker({
+  send: publishOutletCommand,
+  requestStatus: requestOutletStatus,
+  onConfirmed: (cmd) => {
+    const retries = cmd.attempts > 1 ? ` after ${cmd.attempts} attempts` : '';
+    console.log(`[Supervisor] Confirmed ${cmd.deviceMac}:${cmd.socket} ${cmd.action.toUpperCase()} [${cmd.id}] in ${cmd.confirmedAt - cmd.createdAt}ms${retries}`);
+  },
+  onFailure: (cmd) => {
+    handleCommandFailure(cmd).catch(err => console.error('[Supervisor] Command failure handling error:', err.message));
+  },
+  ackTimeoutMs: COMMAND_ACK_TIMEOUT_MS,
+  maxAttempts: COMMAND_MAX_ATTEMPTS
+});
+
 /**
  * Log execution to database
  * @param {string} triggerReason - Why the action was triggered
  * @param {string} deviceMac - Target device MAC (for multi-device)
  * @param {string} socket - Socket ID (O1-O5)
  * @param {string} action - 'on' or 'off'
- * @param {string} result - 'success' or 'error'
+ * @param {string} result - 'success', 'error' or 'blocked' (interlock)
  */
 async function logExecution(triggerReason, deviceMac, socket, action, result) {
   try {
     await query(`
-      INSERT INTO trigger_execution_log (timestamp, flow_id, flow_name, trigger_reason, device_mac, socket, action, result, sensor_values)
-      VALUES (now(), $1, $2, $3, $4, $5, $6, $7, $8)
+      INSERT INTO trigger_execution_log (timestamp, flow_id, flow_name, trigger_reason, device_mac, socket, action, result, sensor_values, flow_revision)
+      VALUES (now(), $1, $2, $3, $4, $5, $6, $7, $8, $9)
     `, [
       'global',
       'Global Automation',
@@ -717,7 +704,8 @@ async function logExecution(triggerReason, deviceMac, socket, action, result) {
       socket,
       action,
       result,
-      JSON.stringify(lastSensorValues)
+      JSON.stringify(lastSensorValues),
+      flowRevision
     ]);
   } catch (err) {
     console.error('[Supervisor] Failed to log execution:', err.message);
@@ -725,13 +713,32 @@ async function logExecution(triggerReason, deviceMac, socket, action, result) {
 }
 
 /**
- * Execute actions with cooldown (supports multi-device)
+ * Flow state key of an outlet (legacy actions without deviceMac target the default device)
+ */
+function outletStateKey(deviceMac, socket) {
+  return `${String(deviceMac || defaultPrimaryMac).toLowerCase()}:${socket}`;
+}
+
+/**
+ * Add the actions the cooldown or a minimum duration blocked on an earlier tick
+ * (an edge only fires once), unless this evaluation has a newer one for the outlet.
+ * executeActions holds them again while they are still blocked.
+ */
+function withHeldActions(actions) {
+  const current = new Set(actions.map(a => outletStateKey(a.deviceMac, a.socket)));
+  const replayed = [...heldActions].filter(([key]) => !current.has(key)).map(([, action]) => action);
+  heldActions.clear();
+  return [...actions, ...replayed];
+}
+
+/**
+ * Execute actions with cooldown and minimum on/off durations (supports multi-device)
  */
 async function executeActions(actions) {
   const now = Date.now();
 
   for (const action of actions) {
-    const { deviceMac, socket, action: targetAction, reason } = action;
+    const { deviceMac, socket, action: targetAction, reason, minOnSeconds, minOffSeconds } = action;
 
     // Use device-specific key for cooldown tracking
     const actionKey = deviceMac ? `${deviceMac}:${socket}` : socket;
@@ -747,16 +754,30 @@ async function executeActions(actions) {
     }
 
     // Check cooldown
+    const stateKey = outletStateKey(deviceMac, socket);
     if (now - lastTime < HYSTERESIS_COOLDOWN_MS) {
-      console.log(`[Supervisor] Cooldown active for ${actionKey}, skipping`);
+      heldActions.set(stateKey, action);
+      console.log(`[Supervisor] Cooldown active for ${actionKey}, holding`);
+      continue;
+    }
+
+    // Check minimum on/off duration
+    const outlet = flowState.getOutlet(stateKey);
+    const remaining = minimumDurationRemaining(outlet, targetState, minOnSeconds, minOffSeconds, now);
+    if (remaining > 0) {
+      heldActions.set(stateKey, action);
+      flowState.holdOutlet(stateKey, targetAction, outlet.since + remaining);
+      console.log(`[Supervisor] Minimum ${outlet.state === 1 ? 'on' : 'off'} time for ${actionKey}, ${Math.ceil(remaining / 1000)}s left`);
       continue;
     }
 
     // Execute command (deviceMac can be null for backward compatibility)
-    const success = await sendSocketCommand(deviceMac, socket, targetAction);
+    const triggerReason = reason || `temp=${lastSensorValues.temp}, humi=${lastSensorValues.humi}`;
+    const success = await sendSocketCommand(deviceMac, socket, targetAction, triggerReason);
 
     if (success) {
       lastActionTimes[actionKey] = now;
+      flowState.setOutlet(stateKey, targetState);
 
       // Update both per-device and legacy state
       if (deviceMac) {
@@ -770,7 +791,6 @@ async function executeActions(actions) {
         lastSocketStates[socket] = targetState;
       }
 
-      const triggerReason = reason || `temp=${lastSensorValues.temp}, humi=${lastSensorValues.humi}`;
       await logExecution(triggerReason, deviceMac, socket, targetAction, 'success');
     } else {
       await logExecution('Command failed', deviceMac, socket, targetAction, 'error');
@@ -778,270 +798,6 @@ async function executeActions(actions) {
   }
 }
 
-/**
- * Intelligent VPD auto-calibration engine
- * - Tracks device effectiveness over time
- * - Escalates to secondary devices when primary ones max out
- * - Uses hysteresis to prevent oscillation
- * - Supports multi-device: sensorDeviceMac for VPD reading, deviceMac per role for actions
- */
-function evaluateVpdIntelligent() {
-  if (!vpdNodeConfig || !vpdNodeConfig.roles || vpdNodeConfig.roles.length === 0) return [];
-
-  // Get VPD from specified sensor device or legacy global
-  const sensorValues = getSensorValues(vpdNodeConfig.sensorDeviceMac);
-  const currentVpd = sensorValues.vpd;
-  if (!currentVpd || currentVpd <= 0) return [];
-
-  const target = getVpdTargetRange();
-  if (!target) return []; // Phase disabled or no target
-
-  const { min: targetMin, max: targetMax } = target;
-  const actions = [];
-  const now = Date.now();
-  const timeoutMs = (vpdNodeConfig.escalationTimeoutSeconds || 180) * 1000;
-
-  // Calculate hysteresis comfort zone (inner X% of range)
-  const rangeWidth = targetMax - targetMin;
-  const hystPercent = (vpdNodeConfig.hysteresisPercent || 60) / 100;
-  const hystMargin = rangeWidth * (1 - hystPercent) / 2;
-  const comfortMin = targetMin + hystMargin;
-  const comfortMax = targetMax - hystMargin;
-
-  // Determine direction
-  let direction = 'in_range';
-  if (currentVpd > targetMax) direction = 'too_high';
-  else if (currentVpd < targetMin) direction = 'too_low';
-
-  // If direction changed, reset escalation state
-  if (direction !== vpdEscalationState.currentDirection) {
-    vpdEscalationState.roles = {};
-    vpdEscalationState.currentDirection = direction;
-  }
-
-  // Helper: get socket and deviceMac for a role
-  function getRoleAssignment(roleName) {
-    const assignment = vpdNodeConfig.roles.find(r => r.role === roleName);
-    return assignment ? { socket: assignment.socket, deviceMac: assignment.deviceMac } : null;
-  }
-
-  // Helper: check if a role's device has maxed out (not improving VPD)
-  function isMaxedOut(roleName) {
-    const state = vpdEscalationState.roles[roleName];
-    if (!state) return false;
-    if (state.maxedOut) return true;
-
-    // Check if enough time has passed since activation
-    if (now - state.activatedAt >= timeoutMs) {
-      const movingRight = (direction === 'too_high' && currentVpd < state.vpdAtActivation) ||
-                          (direction === 'too_low' && currentVpd > state.vpdAtActivation);
-      const improvement = Math.abs(state.vpdAtActivation - currentVpd);
-
-      if (!movingRight || improvement < 0.02) {
-        // Device not helping - mark as maxed out
-        state.maxedOut = true;
-        console.log(`[VPD] Role "${roleName}" maxed out. VPD at activation: ${state.vpdAtActivation.toFixed(2)}, now: ${currentVpd.toFixed(2)}`);
-        return true;
-      }
-      // Device is working but hasn't reached target yet - reset timer
-      state.activatedAt = now;
-      state.vpdAtActivation = currentVpd;
-    }
-    return false;
-  }
-
-  // Helper: activate a role (with multi-device support)
-  function activateRole(roleName, reason) {
-    const assignment = getRoleAssignment(roleName);
-    if (!assignment || !assignment.socket) return;
-
-    const { socket, deviceMac } = assignment;
-    const aiModeKey = deviceMac ? `${deviceMac}:${socket}` : socket;
-
-    // Check AI mode (try device-specific key first, then legacy)
-    if (!socketAiModes[aiModeKey] && !socketAiModes[socket]) return;
-
-    if (!vpdEscalationState.roles[roleName]) {
-      vpdEscalationState.roles[roleName] = {
-        activatedAt: now,
-        vpdAtActivation: currentVpd,
-        maxedOut: false
-      };
-    }
-    actions.push({ deviceMac, socket, action: 'on', reason: `VPD: ${reason}` });
-  }
-
-  // Helper: deactivate a role (with multi-device support)
-  function deactivateRole(roleName, reason) {
-    const assignment = getRoleAssignment(roleName);
-    if (!assignment || !assignment.socket) return;
-
-    const { socket, deviceMac } = assignment;
-    const aiModeKey = deviceMac ? `${deviceMac}:${socket}` : socket;
-
-    // Check AI mode (try device-specific key first, then legacy)
-    if (!socketAiModes[aiModeKey] && !socketAiModes[socket]) return;
-
-    delete vpdEscalationState.roles[roleName];
-    actions.push({ deviceMac, socket, action: 'off', reason: `VPD: ${reason}` });
-  }
-
-  if (direction === 'too_high') {
-    // VPD too high -> need to lower: humidifier first, then cooler
-    activateRole('humidifier', `VPD ${currentVpd.toFixed(2)} > ${targetMax}`);
-
-    if (isMaxedOut('humidifier')) {
-      activateRole('cooler', `Humidifier maxed, VPD ${currentVpd.toFixed(2)} > ${targetMax}`);
-    }
-
-    // Deactivate opposing roles
-    deactivateRole('extractor', 'VPD too high');
-    deactivateRole('heater', 'VPD too high');
-
-  } else if (direction === 'too_low') {
-    // VPD too low -> need to raise: extractor first, then heater
-    activateRole('extractor', `VPD ${currentVpd.toFixed(2)} < ${targetMin}`);
-
-    if (isMaxedOut('extractor')) {
-      activateRole('heater', `Extractor maxed, VPD ${currentVpd.toFixed(2)} < ${targetMin}`);
-    }
-
-    // Deactivate opposing roles
-    deactivateRole('humidifier', 'VPD too low');
-    deactivateRole('cooler', 'VPD too low');
-
-  } else {
-    // In range - check if in comfort zone before deactivating (hysteresis)
-    if (currentVpd >= comfortMin && currentVpd <= comfortMax) {
-      // Well within range - deactivate in reverse priority order
-      deactivateRole('cooler', 'VPD in comfort zone');
-      deactivateRole('heater', 'VPD in comfort zone');
-      deactivateRole('humidifier', 'VPD in comfort zone');
-      deactivateRole('extractor', 'VPD in comfort zone');
-    }
-    // If in range but not in comfort zone, keep current state (hysteresis)
-  }
-
-  // Circulator always ON when VPD control is active (with multi-device support)
-  const circAssignment = getRoleAssignment('circulator');
-  if (circAssignment && circAssignment.socket) {
-    const { socket: circSocket, deviceMac: circDeviceMac } = circAssignment;
-    const aiModeKey = circDeviceMac ? `${circDeviceMac}:${circSocket}` : circSocket;
-    if (socketAiModes[aiModeKey] || socketAiModes[circSocket]) {
-      actions.push({ deviceMac: circDeviceMac, socket: circSocket, action: 'on', reason: 'VPD: circulation' });
-    }
-  }
-
-  return actions;
-}
-
-/**
- * Interpolate speed from curve points
- * @param {Array} points - Curve points [{value, speed}, ...]
- * @param {number} sensorValue - Current sensor value
- * @returns {number} - Interpolated speed (0 if below first point)
- */
-function interpolateCurve(points, sensorValue) {
-  if (!points || points.length < 2) return 0;
-
-  const sorted = [...points].sort((a, b) => a.value - b.value);
-
-  // Below first point = curve inactive
-  if (sensorValue < sorted[0].value) return 0;
-
-  // Above last point = max speed from curve
-  if (sensorValue >= sorted[sorted.length - 1].value) {
-    return sorted[sorted.length - 1].speed;
-  }
-
-  // Find segment and interpolate linearly
-  for (let i = 0; i < sorted.length - 1; i++) {
-    if (sensorValue >= sorted[i].value && sensorValue < sorted[i + 1].value) {
-      const ratio = (sensorValue - sorted[i].value) / (sorted[i + 1].value - sorted[i].value);
-      return Math.round(sorted[i].speed + ratio * (sorted[i + 1].speed - sorted[i].speed));
-    }
-  }
-
-  return 0;
-}
-
-/**
- * Evaluate Blower Curve control
- * - Calculates optimal blower speed based on sensor curves
- * - Multiple curves: highest demanded speed wins
- * - Supports escalation if sensor doesn't improve
- * @returns {number|null} - Desired blower speed (25-100) or null if no change needed
- */
-function evaluateBlowerCurve() {
-  if (!blowerCurveConfig || !blowerCurveConfig.curves || blowerCurveConfig.curves.length === 0) {
-    return null;
-  }
-
-  const { standbySpeed, curves } = blowerCurveConfig;
-  let maxSpeed = 0;
-  const now = Date.now();
-
-  for (const curve of curves) {
-    if (!curve.enabled) continue;
-
-    const sensorValue = lastSensorValues[curve.sensor];
-    if (sensorValue === undefined || sensorValue === null) continue;
-
-    // Calculate base speed from curve
-    let speed = interpolateCurve(curve.points, sensorValue);
-
-    // Apply escalation if enabled and curve is active
-    if (speed > 0 && curve.escalation?.enabled) {
-      const key = curve.id;
-
-      if (!blowerCurveEscalationState[key]) {
-        blowerCurveEscalationState[key] = {
-          lastValue: sensorValue,
-          lastCheck: now,
-          escalationBoost: 0
-        };
-      } else {
-        const state = blowerCurveEscalationState[key];
-        const elapsedSeconds = (now - state.lastCheck) / 1000;
-
-        if (elapsedSeconds >= (curve.escalation.intervalSeconds || 30)) {
-          const improvement = state.lastValue - sensorValue;
-
-          if (improvement < (curve.escalation.expectedImprovement || 0.5)) {
-            // Not improving enough, escalate
-            state.escalationBoost = Math.min(
-              state.escalationBoost + (curve.escalation.speedIncrement || 10),
-              100 - speed  // Don't exceed 100%
-            );
-            console.log(`[BlowerCurve] ${curve.sensor}: No improvement (${improvement.toFixed(2)}), escalating +${curve.escalation.speedIncrement}% to ${speed + state.escalationBoost}%`);
-          } else {
-            // Improving, reduce escalation
-            state.escalationBoost = Math.max(0, state.escalationBoost - (curve.escalation.speedIncrement || 10));
-          }
-
-          state.lastValue = sensorValue;
-          state.lastCheck = now;
-        }
-
-        speed = Math.min(100, speed + state.escalationBoost);
-      }
-    }
-
-    maxSpeed = Math.max(maxSpeed, speed);
-  }
-
-  // If no curve is demanding, use standby speed
-  const finalSpeed = maxSpeed > 0 ? maxSpeed : (standbySpeed || 0);
-
-  // Return null if speed hasn't changed (avoid redundant commands)
-  if (lastBlowerSpeed === finalSpeed) {
-    return null;
-  }
-
-  lastBlowerSpeed = finalSpeed;
-  return finalSpeed;
-}
-
 /**
  * Send blower speed command via MQTT
  * @param {number} speed - Speed percentage (0-100)
@@ -1086,6 +842,99 @@ async function sendBlowerCommand(speed, on = true) {
   });
 }
 
+/**
+ * Call the local web API (light, fan and camera controls live there:
+ * the light route is plan-aware, the fan route merges with the device config)
+ * @returns {Promise<object>} Parsed response
+ */
+async function callWebApi(apiPath, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.APP_PASSWORD) headers['x-auth-token'] = process.env.APP_PASSWORD;
+  const res = await fetch(`http://127.0.0.1:${API_PORT}${apiPath}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(20000)
+  });
+  if (!res.ok) throw new Error(`${apiPath} returned ${res.status}`);
+  return res.json();
+}
+
+/**
+ * Execute light / blower / fan / camera / notify commands from flow action nodes
+ * (and light programs)
+ * @param {Array<object>} commands - From engine.evaluate().deviceActions
+ * @param {(key: string) => void} [onFailure] - Forget a failed command so it is resent
+ */
+async function executeDeviceActions(commands, onFailure = key => engine.resetDeviceAction(key)) {
+  for (const command of commands) {
+    let label;
+    let actionText;
+    try {
+      switch (command.target) {
+        case 'light':
+          label = command.light;
+          actionText = command.mOnOff ? `on ${command.mLevel ?? ''}`.trim() : 'off';
+          await callWebApi('/api/control/light', {
+            light: command.light,
+            mOnOff: command.mOnOff,
+            mLevel: command.mLevel,
+            modeType: command.modeType
+          });
+          break;
+        case 'blower':
+          label = 'blower';
+          actionText = command.on ? `on ${command.level}` : 'off';
+          if (!await sendBlowerCommand(command.level, command.on)) throw new Error('Blower command not sent');
+          break;
+        case 'fan':
+          label = 'fan';
+          actionText = command.on ? `on ${command.level ?? ''}`.trim() : 'off';
+          await callWebApi('/api/control/fan', {
+            on: command.on,
+            level: command.level,
+            shakeLevel: command.shakeLevel,
+            modeType: 0 // Manual mode, as for outlets
+          });
+          break;
+        case 'camera':
+          label = `camera:${command.cameraId}`;
+          actionText = 'capture';
+          await callWebApi(`/api/cameras/${encodeURIComponent(command.cameraId)}/capture`, { type: 'manual' });
+          break;
+        case 'notify': {
+          label = 'notify';
+          actionText = `alert "${command.title}"`;
+          const result = await notifier.notify({
+            key: command.alertKey,
+            title: command.title,
+            message: command.message,
+            level: command.level,
+            channels: command.channels,
+            cooldownMinutes: command.cooldownMinutes
+          });
+          if (!result.sent) {
+            console.log(`[Supervisor] Alert "${command.title}" not sent: ${result.reason}`);
+            continue;
+          }
+          const failed = Object.entries(result.results).filter(([, r]) => r !== 'sent').map(([c]) => c);
+          if (failed.length === Object.keys(result.results).length) throw new Error(`all channels failed (${failed.join(', ')})`);
+          if (failed.length > 0) actionText += ` (failed: ${failed.join(', ')})`;
+          break;
+        }
+        default:
+          continue;
+      }
+      console.log(`[Supervisor] ${label} ${actionText} (${command.reason})`);
+      await logExecution(command.reason, defaultPrimaryMac, label, actionText, 'success');
+    } catch (err) {
+      console.error(`[Supervisor] ${label} ${actionText} failed:`, err.message);
+      onFailure(command.key);
+      await logExecution(command.reason, defaultPrimaryMac, label, actionText, 'error');
+    }
+  }
+}
+
 /**
  * Process sensor data (with multi-device support)
  * @param {object} sensorData - Sensor values
@@ -1109,6 +958,24 @@ async function processSensorData(sensorData, deviceMac) {
     if (sensorData.ECSoil !== undefined) deviceSensors.ec_soil = sensorData.ECSoil;
   }
 
+  const readings = {
+    temp: sensorData.temp,
+    humi: sensorData.humi,
+    vpd: sensorData.vpd,
+    co2: sensorData.co2,
+    temp_soil: sensorData.tempSoil,
+    humi_soil: sensorData.humiSoil,
+    ec_soil: sensorData.ECSoil
+  };
+  if (deviceMac) sensorFailsafe.record(deviceMac, readings);
+
+  // Feed the trend buffers, implausible readings left out
+  const windowValues = {};
+  for (const [sensor, value] of Object.entries(readings)) {
+    if (value !== undefined && sensorFailsafe.isPlausible(sensor, Number(value))) windowValues[sensor] = value;
+  }
+  if (deviceMac) sensorWindow.push(deviceMac, windowValues);
+
   // Also update legacy global sensor values (merge from all devices)
   if (sensorData.temp !== undefined) lastSensorValues.temp = sensorData.temp;
   if (sensorData.humi !== undefined) lastSensorValues.humi = sensorData.humi;
@@ -1118,119 +985,108 @@ async function processSensorData(sensorData, deviceMac) {
   if (sensorData.humiSoil !== undefined) lastSensorValues.humi_soil = sensorData.humiSoil;
   if (sensorData.ECSoil !== undefined) lastSensorValues.ec_soil = sensorData.ECSoil;
 
-  // Evaluate all enabled flows
-  const allActions = [];
-  for (const flow of flows) {
-    try {
-      const actions = evaluateFlow(flow);
-      allActions.push(...actions);
-    } catch (err) {
-      console.error(`[Supervisor] Flow evaluation error (${flow.name}):`, err.message);
-    }
-  }
+  // Failed sensors are hidden from the flows
+  const outletSensors = engine.getOutletSensors().map(outlet => ({
+    ...outlet,
+    sensors: outlet.sensors.map(s => ({ device: sensorDevice(s.deviceMac), sensor: s.sensor }))
+  }));
+  reportSensorHealth(sensorFailsafe.check(outletSensors.flatMap(o => o.sensors)));
 
-  // Deduplicate flow actions (key is device:socket for multi-device)
-  const actionMap = new Map();
-  for (const action of allActions) {
-    const key = action.deviceMac ? `${action.deviceMac}:${action.socket}` : action.socket;
-    actionMap.set(key, action);
-  }
+  // Evaluate all enabled flows, VPD control and blower curve
+  const { actions, deviceActions, blowerSpeed } = engine.evaluate();
 
-  // Evaluate VPD intelligent auto-calibration (overrides flow actions for climate sockets)
-  const vpdActions = evaluateVpdIntelligent();
-  for (const action of vpdActions) {
-    const key = action.deviceMac ? `${action.deviceMac}:${action.socket}` : action.socket;
-    // VPD overrides normal flow actions, but mandatory flags take priority
-    const existing = actionMap.get(key);
-    if (existing && (existing.mandatoryOff || existing.mandatoryOn || existing.reason?.includes('Mandatory'))) {
-      continue;
-    }
-    actionMap.set(key, action);
-  }
-
-  // Evaluate Blower Curve control (proportional speed based on sensor curves)
-  const blowerSpeed = evaluateBlowerCurve();
   if (blowerSpeed !== null) {
     const isOn = blowerSpeed > 0;
     await sendBlowerCommand(blowerSpeed, isOn);
   }
 
+  if (deviceActions.length > 0) {
+    await executeDeviceActions(deviceActions);
+  }
+
+  // Outlets depending on a failed sensor go to their failsafe state
+  const failsafe = sensorFailsafe.apply(
+    withHeldActions(actions),
+    outletSensors,
+    (mac, socket) => failsafeModes.get(outletStateKey(mac, socket)) || { mode: 'keep' },
+    isSocketAiMode
+  );
+
+  // Safety rules have the last word on outlets
+  const checked = interlocks.apply(failsafe.actions);
+  await reportInterlockViolations(checked.violations);
+
   // Execute deduplicated actions
-  await executeActions(Array.from(actionMap.values()));
+  await executeActions(checked.actions);
 }
 
 /**
  * Process outlet state updates (with multi-device support)
- * @param {object} outletData - Outlet state data
+ * @param {object} outlets - Normalized outlet states { O1: { isOn }, ... }
  * @param {string} deviceMac - Source device MAC
  */
-function processOutletState(outletData, deviceMac) {
+function processOutletState(outlets, deviceMac) {
   // Initialize device socket state storage
   if (deviceMac && !socketStatesByDevice.has(deviceMac)) {
     socketStatesByDevice.set(deviceMac, {});
   }
 
-  for (const [key, value] of Object.entries(outletData)) {
-    if (key.startsWith('O') && typeof value === 'object') {
-      const isOn = value.on ?? value.mOnOff ?? 0;
+  for (const [key, value] of Object.entries(outlets)) {
+    const isOn = value.isOn;
 
-      // Store in per-device map
-      if (deviceMac) {
-        socketStatesByDevice.get(deviceMac)[key] = isOn;
-      }
+    // Store in per-device map
+    if (deviceMac) {
+      socketStatesByDevice.get(deviceMac)[key] = isOn;
+    }
+    flowState.setOutlet(outletStateKey(deviceMac, key), isOn);
 
-      // Also update legacy global if this is the default PS5
-      if (!deviceMac || deviceMac === defaultPrimaryMac) {
-        lastSocketStates[key] = isOn;
-      }
+    // Also update legacy global if this is the default PS5
+    if (!deviceMac || deviceMac === defaultPrimaryMac) {
+      lastSocketStates[key] = isOn;
     }
   }
 }
 
 /**
  * Handle MQTT messages (with multi-device support)
+ * Payloads are normalized by the device driver registry
  */
 function handleMessage(topic, payload) {
   try {
-    const message = JSON.parse(payload.toString());
-    const parts = topic.split('/');
-    // Topic format: ggs/{deviceType}/{mac}/{messageType}
-    const deviceType = parts[1];  // ps5, lc
-    const deviceMac = parts[2];   // MAC address
-    const messageType = parts[3]; // status, sensors, etc.
-
-    if (messageType === 'status') {
-      const data = message.data || message;
-
-      // Update socket states from outlet data (PS5 devices)
-      if (data.outlet) {
-        processOutletState(data.outlet, deviceMac);
-      }
+    const reading = drivers.parseMessage(topic, payload);
+    if (!reading) return;
+    const deviceMac = reading.deviceId;
+
+    // Update socket states from outlet data, confirming pending commands
+    if (reading.outlets) {
+      processOutletState(reading.outlets, deviceMac);
+      commandTracker.confirm(deviceMac, reading.outlets);
+    }
 
-      // Process sensor data (LC devices)
-      if (data.sensor) {
-        processSensorData(data.sensor, deviceMac);
+    // Track light levels (light ramps start from the current level)
+    if (reading.lights) {
+      for (const light of reading.lights) {
+        if (typeof light.level === 'number') lightLevels[light.lightId] = light.isOn === 0 ? 0 : light.level;
       }
+    }
 
-      // Process soil sensor data (array of sensors, use average)
-      if (Array.isArray(data.sensors)) {
-        const soilSensors = data.sensors.filter(s => s.id !== 'avg');
-        if (soilSensors.length > 0) {
-          const avg = {
-            tempSoil: soilSensors.reduce((sum, s) => sum + (s.tempSoil || 0), 0) / soilSensors.length,
-            humiSoil: soilSensors.reduce((sum, s) => sum + (s.humiSoil || 0), 0) / soilSensors.length,
-            ECSoil: soilSensors.reduce((sum, s) => sum + (s.ECSoil || 0), 0) / soilSensors.length
-          };
-          processSensorData(avg, deviceMac);
-        }
-      }
+    // Process environment sensor data
+    if (reading.environment) {
+      processSensorData(reading.environment, deviceMac);
     }
 
-    if (messageType === 'sensors') {
-      processSensorData(message, deviceMac);
+    // Process soil sensor data (individual probes, use average)
+    if (reading.soil && reading.soil.length > 0) {
+      const soilSensors = reading.soil;
+      const avg = {
+        tempSoil: soilSensors.reduce((sum, s) => sum + (s.tempSoil || 0), 0) / soilSensors.length,
+        humiSoil: soilSensors.reduce((sum, s) => sum + (s.humiSoil || 0), 0) / soilSensors.length,
+        ECSoil: soilSensors.reduce((sum, s) => sum + (s.ecSoil || 0), 0) / soilSensors.length
+      };
+      processSensorData(avg, deviceMac);
     }
   } catch (err) {
-    // Ignore parse errors
+    console.error('[Supervisor] Message handling error:', err.message);
   }
 }
 
@@ -1251,9 +1107,11 @@ function connectMqtt() {
   mqttClient.on('connect', () => {
     console.log('[Supervisor] MQTT connected');
 
-    // Subscribe to sensor data topics
-    mqttClient.subscribe('ggs/+/+/status', { qos: 0 });
-    mqttClient.subscribe('ggs/+/+/sensors', { qos: 0 });
+    // Subscribe to every topic the enabled device drivers claim
+    drivers.loadDrivers();
+    for (const topic of drivers.getSubscriptions()) {
+      mqttClient.subscribe(topic, { qos: 0 });
+    }
   });
 
   mqttClient.on('message', handleMessage);
@@ -1278,11 +1136,17 @@ async function refreshData() {
   await loadFlows();
   await loadSocketAiModes();
   await loadDayNightSchedule();
-  loadVpdFromFlow();
-  loadBlowerCurveFromFlow();
+  engine.setDayNightSchedule(dayNightSchedule);
+  irrigation.setDayNightSchedule(dayNightSchedule);
+  await loadPrograms();
+  await loadInterlockRules();
+  await loadFailsafeModes();
+  engine.setFlows(flows);
   // Load plant stage for phase-based VPD mode (supports both legacy 'grow_phase' and new 'plant_stage')
-  if (vpdNodeConfig && (vpdNodeConfig.mode === 'grow_phase' || vpdNodeConfig.mode === 'plant_stage')) {
+  const vpdConfig = engine.getVpdConfig();
+  if (vpdConfig && (vpdConfig.mode === 'grow_phase' || vpdConfig.mode === 'plant_stage')) {
     await loadActiveGrowPhase();
+    engine.setGrowPhase(activeGrowPhase);
   }
 }
 
@@ -1351,6 +1215,45 @@ function getSensorValues(deviceMac) {
   return lastSensorValues;
 }
 
+/**
+ * Sensor values the flows see: failed sensors left out (conditions on them are false),
+ * nothing for a device that hasn't reported yet
+ */
+function getHealthySensorValues(deviceMac) {
+  if (deviceMac && !sensorValuesByDevice.has(deviceMac)) return {};
+  return sensorFailsafe.healthyValues(sensorDevice(deviceMac), getSensorValues(deviceMac));
+}
+
+/**
+ * Failsafe key of a node's sensor device ('*' for the merged values of nodes without
+ * one); a device that hasn't reported yet stays itself, so its sensors count as failed
+ */
+function sensorDevice(deviceMac) {
+  return deviceMac || '*';
+}
+
+/**
+ * Every outlet seen in status updates (legacy states of the default device without MAC)
+ * @returns {Array<{ deviceMac?: string, socket: string }>}
+ */
+function listOutlets() {
+  const outlets = [];
+  for (const [deviceMac, states] of socketStatesByDevice) {
+    for (const socket of Object.keys(states)) outlets.push({ deviceMac, socket });
+  }
+  if (outlets.length === 0) {
+    for (const socket of Object.keys(lastSocketStates)) outlets.push({ socket });
+  }
+  return outlets;
+}
+
+/**
+ * Whether a device:socket is handed to automation (legacy socket key as fallback)
+ */
+function isSocketAiMode(deviceMac, socket) {
+  return !!(socketAiModes[deviceMac ? `${deviceMac}:${socket}` : socket] || socketAiModes[socket]);
+}
+
 /**
  * Get socket state for a specific device:socket
  */
@@ -1366,82 +1269,47 @@ function getSocketState(deviceMac, socket) {
 }
 
 /**
- * Daily auto-backup: creates a database backup at 00:00, keeps only 2 (today + yesterday)
+ * Daily auto-backup at 00:00 (backup.cjs): a full backup every AUTO_BACKUP_FULL_EVERY_DAYS,
+ * incrementals in between; keeps the 2 newest chains and copies new backups to the
+ * remote targets (backup-targets.cjs). The default profile leaves out the timelapses,
+ * which would fill the SD card; AUTO_BACKUP_PROFILE=database also the configuration
+ * files and user assets
  */
-async function performAutoBackup() {
-  const questdbHost = process.env.QUESTDB_HOST || '127.0.0.1';
-  const questdbPort = process.env.QUESTDB_HTTP_PORT || '9000';
-  const baseUrl = `http://${questdbHost}:${questdbPort}`;
-  const PROJECT_ROOT = path.resolve(__dirname, '../..');
-  const backupDir = path.join(PROJECT_ROOT, 'database/backups');
+const AUTO_BACKUP_FULL_EVERY_DAYS = 7;
+const AUTO_BACKUP_PROFILE = process.env.AUTO_BACKUP_PROFILE || 'system'; // system | full | database
 
+async function performAutoBackup() {
   console.log('[Supervisor] Starting daily auto-backup...');
 
   try {
-    // Get list of tables
-    const tablesRes = await fetch(`${baseUrl}/exec?query=${encodeURIComponent('SHOW TABLES')}`);
-    if (!tablesRes.ok) throw new Error('Failed to query tables');
-    const tablesData = await tablesRes.json();
-
-    const systemPrefixes = ['sys.', 'telemetry', '_query_trace'];
-    const tableNames = tablesData.dataset
-      .map(row => row[0])
-      .filter(name => !systemPrefixes.some(p => name.startsWith(p)));
-
-    // Export each table
-    const tables = [];
-    for (const tableName of tableNames) {
-      try {
-        const colRes = await fetch(`${baseUrl}/exec?query=${encodeURIComponent(`SHOW COLUMNS FROM '${tableName}'`)}`);
-        if (!colRes.ok) continue;
-        const colData = await colRes.json();
-        const schema = colData.dataset.map(row => ({ name: row[0], type: row[1] }));
-
-        const dataRes = await fetch(`${baseUrl}/exec?query=${encodeURIComponent(`SELECT * FROM '${tableName}' LIMIT 1000000`)}&limit=0,1000000`);
-        if (!dataRes.ok) continue;
-        const dataResult = await dataRes.json();
-
-        tables.push({
-          name: tableName,
-          schema,
-          rowCount: dataResult.count || 0,
-          data: dataResult.dataset || []
-        });
-      } catch (err) {
-        console.error(`[Supervisor] Auto-backup: error exporting ${tableName}:`, err.message);
-      }
-    }
+    const lastFull = listBackups().find(b => b.prefix === 'autobackup' && b.type === 'full' && b.profile === AUTO_BACKUP_PROFILE);
+    const fullDue = !lastFull || Date.now() - Date.parse(lastFull.created) >= AUTO_BACKUP_FULL_EVERY_DAYS * 24 * 60 * 60 * 1000 - 60 * 60 * 1000;
+    await createBackup({ prefix: 'autobackup', incremental: !fullDue, profile: AUTO_BACKUP_PROFILE });
 
-    // Assemble and compress
-    const backup = { version: 1, created: new Date().toISOString(), tables };
-    const jsonBuffer = Buffer.from(JSON.stringify(backup));
-    const compressed = gzipSync(jsonBuffer, { level: 6 });
-
-    // Save with "autobackup" prefix and date
-    fs.mkdirSync(backupDir, { recursive: true });
-    const dateStr = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
-    const filename = `autobackup-${dateStr}.json.gz`;
-    const filePath = path.join(backupDir, filename);
-    fs.writeFileSync(filePath, compressed);
-
-    const totalRows = tables.reduce((sum, t) => sum + t.rowCount, 0);
-    console.log(`[Supervisor] Auto-backup saved: ${filename} (${tables.length} tables, ${totalRows} rows, ${(compressed.length / 1024).toFixed(0)} KB)`);
-
-    // Cleanup: keep only 2 most recent auto-backups
-    const allFiles = fs.readdirSync(backupDir);
-    const autoBackups = allFiles
-      .filter(f => f.startsWith('autobackup-') && f.endsWith('.json.gz'))
-      .sort()
-      .reverse();
-
-    for (let i = 2; i < autoBackups.length; i++) {
-      const oldPath = path.join(backupDir, autoBackups[i]);
-      fs.unlinkSync(oldPath);
-      console.log(`[Supervisor] Removed old auto-backup: ${autoBackups[i]}`);
+    for (const removed of pruneBackups('autobackup', 2)) {
+      console.log(`[Supervisor] Removed old auto-backup: ${removed}`);
     }
   } catch (err) {
     console.error('[Supervisor] Auto-backup failed:', err.message);
   }
+  await syncRemoteBackups();
+}
+
+async function syncRemoteBackups() {
+  try {
+    for (const result of await backupTargets.syncPending()) {
+      if (result.error) {
+        notifier.notify({
+          key: `backup-target:${result.target}`,
+          title: `Remote backup failed: ${result.target}`,
+          message: result.error,
+          level: 'warning'
+        }).catch(err => console.error('[Supervisor] Backup alert failed:', err.message));
+      }
+    }
+  } catch (err) {
+    console.error('[Supervisor] Remote backup sync failed:', err.message);
+  }
 }
 
 let lastAutoBackupDay = null;
@@ -1475,6 +1343,7 @@ async function start() {
 
   // Connect to MQTT
   connectMqtt();
+  commandTracker.start();
 
   // Refresh data and device info every 30 seconds
   setInterval(async () => {
@@ -1484,12 +1353,43 @@ async function start() {
 
   // Also evaluate schedule-based triggers periodically (every 10 seconds)
   setInterval(async () => {
-    if (flows.length > 0 && Object.keys(lastSensorValues).length > 0) {
+    if ((flows.length > 0 || interlocks.hasRules()) && Object.keys(lastSensorValues).length > 0) {
       // Trigger evaluation with current sensor values
       await processSensorData({});
     }
   }, 10000);
 
+  // Light programs: photoperiod and sunrise/sunset ramps
+  setInterval(() => {
+    runLightPrograms().catch(err => {
+      console.error('[Supervisor] Light program error:', err.message);
+    });
+  }, 15000);
+
+  // Irrigation programs: soil moisture dry-back shots
+  setTimeout(stopInterruptedShots, 10000);
+  setInterval(() => {
+    runIrrigation().catch(err => {
+      console.error('[Supervisor] Irrigation error:', err.message);
+    });
+  }, 30000);
+
+  // Test sends requested from the settings page
+  setInterval(() => {
+    notifier.checkTestRequest().catch(err => {
+      console.error('[Supervisor] Notification test error:', err.message);
+    });
+  }, 5000);
+
+  // Remote backup tests and restores requested in data/backup-targets.json; manual
+  // backups are copied to the remote targets within the hour
+  setInterval(() => {
+    backupTargets.checkRequests().catch(err => {
+      console.error('[Supervisor] Remote backup request error:', err.message);
+    });
+  }, 5000);
+  setInterval(syncRemoteBackups, 60 * 60 * 1000);
+
   // Check for software updates every 10 minutes
   setInterval(() => {
     updateChecker.checkForUpdates({ autoApply: true }).catch(err => {
@@ -1529,8 +1429,17 @@ async function start() {
 /**
  * Graceful shutdown
  */
-function shutdown() {
+async function shutdown() {
   console.log('[Supervisor] Shutting down...');
+  // A pump mid-shot must not keep running while the supervisor is down
+  const runningPumps = irrigation.getPrograms().filter(p => pumpTimers.has(p.id));
+  for (const program of runningPumps) clearTimeout(pumpTimers.get(program.id));
+  await Promise.race([
+    Promise.all(runningPumps.map(p => publishOutletCommand({ deviceMac: p.pump.deviceMac, socket: p.pump.socket, action: 'off' }, `shutdown-${Date.now()}`))),
+    new Promise(resolve => setTimeout(resolve, 3000))
+  ]);
+  commandTracker.stop();
+  flowState.flush();
   if (mqttClient) {
     mqttClient.end(true);
   }
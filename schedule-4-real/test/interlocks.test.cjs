@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createInterlocks } = require('../src/services/interlocks.cjs');
+
+const outletKey = (deviceMac, socket) => `${deviceMac || ''}:${socket}`;
+
+/** Interlocks over a fake installation: outlet states and sensor values can be changed between checks */
+function setup(rules, { states = {}, sensors = {} } = {}) {
+  const installation = { states, sensors };
+  const interlocks = createInterlocks({
+    getSensorValues: () => installation.sensors,
+    getSocketState: (deviceMac, socket) => installation.states[socket],
+    listOutlets: () => Object.keys(installation.states).map(socket => ({ deviceMac: 'aa', socket })),
+    outletKey
+  });
+  interlocks.setRules(rules.map((rule, i) => ({ id: `r${i}`, name: `rule ${i}`, enabled: true, ...rule })));
+  return { interlocks, installation };
+}
+
+const heaterAndAc = { type: 'exclusive', outlets: [{ deviceMac: 'aa', socket: 'O1' }, { deviceMac: 'aa', socket: 'O2' }] };
+const on = (socket) => ({ deviceMac: 'aa', socket, action: 'on', reason: 'flow' });
+const off = (socket) => ({ deviceMac: 'aa', socket, action: 'off', reason: 'flow' });
+
+test('exclusive: the outlet already on keeps running, the other ON is blocked', () => {
+  const { interlocks } = setup([heaterAndAc], { states: { O1: 1, O2: 0 } });
+  const { actions, violations } = interlocks.apply([on('O2')]);
+  assert.deepEqual(actions, []);
+  assert.equal(violations.length, 1);
+  assert.equal(violations[0].outcome, 'blocked');
+  assert.equal(violations[0].socket, 'O2');
+});
+
+test('exclusive: OFF actions go first, so outlets can hand over in one tick', () => {
+  const { interlocks } = setup([heaterAndAc], { states: { O1: 1, O2: 0 } });
+  const { actions, violations } = interlocks.apply([on('O2'), off('O1')]);
+  assert.deepEqual(actions.map(a => `${a.socket} ${a.action}`), ['O1 off', 'O2 on']);
+  assert.deepEqual(violations, []);
+});
+
+test('exclusive: when both turn on in the same tick the first action wins', () => {
+  const { interlocks } = setup([heaterAndAc], { states: { O1: 0, O2: 0 } });
+  const { actions, violations } = interlocks.apply([on('O2'), on('O1')]);
+  assert.deepEqual(actions.map(a => a.socket), ['O2']);
+  assert.equal(violations[0].socket, 'O1');
+});
+
+test('force: overrides the flows while the condition holds and releases with hysteresis', () => {
+  const rule = { type: 'force', outlets: [{ deviceMac: 'aa', socket: 'O1' }], action: 'off', when: { sensor: 'temp', operator: '>', value: 30, hysteresis: 1 } };
+  const { interlocks, installation } = setup([rule], { states: { O1: 1 }, sensors: { temp: 31 } });
+
+  let result = interlocks.apply([on('O1')]);
+  assert.deepEqual(result.actions.map(a => `${a.socket} ${a.action}`), ['O1 off']);
+  assert.equal(result.violations[0].outcome, 'forced');
+
+  // Below the threshold but inside the hysteresis band: still forced
+  installation.states.O1 = 0;
+  installation.sensors.temp = 29.5;
+  result = interlocks.apply([on('O1')]);
+  assert.deepEqual(result.actions, []);
+  assert.equal(result.violations[0].outcome, 'blocked');
+
+  installation.sensors.temp = 28.9;
+  result = interlocks.apply([on('O1')]);
+  assert.deepEqual(result.actions.map(a => `${a.socket} ${a.action}`), ['O1 on']);
+  assert.deepEqual(result.violations, []);
+});
+
+test('force: forcing off wins over forcing on, and forced outlets skip the exclusive rules', () => {
+  const flooded = { type: 'force', outlets: '*', action: 'off', when: { sensor: 'humi_soil', operator: '>', value: 95 } };
+  const fan = { type: 'force', outlets: [{ deviceMac: 'aa', socket: 'O2' }], action: 'on', when: { sensor: 'temp', operator: '>', value: 30 } };
+  const { interlocks } = setup([fan, heaterAndAc, flooded], { states: { O1: 1, O2: 1, O3: 0 }, sensors: { humi_soil: 98, temp: 35 } });
+  const { actions } = interlocks.apply([on('O3')]);
+  assert.deepEqual(actions.map(a => `${a.socket} ${a.action}`).sort(), ['O1 off', 'O2 off']);
+});
+
+test('violations are reported as new once while they last', () => {
+  const { interlocks } = setup([heaterAndAc], { states: { O1: 1, O2: 0 } });
+  assert.equal(interlocks.apply([on('O2')]).violations[0].isNew, true);
+  assert.equal(interlocks.apply([on('O2')]).violations[0].isNew, false);
+  interlocks.apply([]);
+  assert.equal(interlocks.apply([on('O2')]).violations[0].isNew, true);
+});
+
+test('check(): switches outside the flows (irrigation pump) follow the same rules', () => {
+  const rule = { type: 'force', outlets: [{ deviceMac: 'aa', socket: 'O3' }], action: 'off', when: { sensor: 'humi_soil', operator: '>', value: 95 } };
+  const { interlocks, installation } = setup([heaterAndAc, rule], { states: { O1: 1, O2: 0, O3: 0 }, sensors: { humi_soil: 60 } });
+  assert.match(interlocks.check('aa', 'O2', 'on'), /O1 is on/);
+  assert.equal(interlocks.check('aa', 'O3', 'on'), null);
+  installation.sensors.humi_soil = 98;
+  assert.match(interlocks.check('aa', 'O3', 'on'), /humi_soil > 95/);
+  assert.equal(interlocks.check('aa', 'O3', 'off'), null);
+});
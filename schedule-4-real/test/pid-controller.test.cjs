@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pidStep, dutyOutput, pwmAction, identifyStep, tuneFromModel } = require('../src/services/pid-controller.cjs');
+
+const MINUTE = 60000;
+const T0 = Date.UTC(2026, 0, 10); // Controller state treats time 0 as "never ran"
+
+test('pidStep: proportional and integral action, reversed for direction lower', () => {
+  const config = { kp: 10, ki: 2, kd: 0 };
+  const state = {};
+  assert.equal(pidStep(state, config, 20, 22, T0), 20); // No integral on the first step
+  assert.equal(pidStep(state, config, 20, 22, T0 + MINUTE), 24);
+
+  assert.equal(pidStep({}, { ...config, direction: 'lower' }, 24, 22, T0), 20);
+});
+
+test('pidStep: anti-windup stops the integral while the output is saturated', () => {
+  const config = { kp: 20, ki: 5, kd: 0 };
+  const state = {};
+  let t = T0;
+  // Far below the setpoint for an hour: output pinned at 100 %
+  for (; t <= T0 + 60 * MINUTE; t += MINUTE) assert.equal(pidStep(state, config, 10, 20, t), 100);
+  assert.ok(state.integral <= 100);
+  const integral = state.integral;
+  pidStep(state, config, 10, 20, t);
+  assert.equal(state.integral, integral);
+
+  // Slightly above the setpoint: the output drops at once instead of unwinding for minutes
+  t += MINUTE;
+  assert.ok(pidStep(state, config, 20.5, 20, t) < 100);
+});
+
+test('pidStep: derivative on the measurement, no kick when the setpoint changes', () => {
+  const config = { kp: 0, ki: 0, kd: 10 };
+  const state = {};
+  pidStep(state, config, 20, 22, T0);
+  assert.equal(pidStep(state, config, 20, 25, T0 + MINUTE), 0);
+  // Falling 1 unit per minute below a raise setpoint: derivative pushes the output up
+  assert.equal(pidStep(state, config, 19, 25, T0 + 2 * MINUTE), 10);
+});
+
+test('pidStep: clamps to the output range', () => {
+  assert.equal(pidStep({}, { kp: 100, outputMin: 10, outputMax: 60 }, 10, 20, 0), 60);
+  assert.equal(pidStep({}, { kp: 100, outputMin: 10, outputMax: 60 }, 30, 20, 0), 10);
+});
+
+test('dutyOutput: proportional band and fixed duty', () => {
+  assert.equal(dutyOutput({ sensor: 'temp', band: 2 }, 21, 22), 50);
+  assert.equal(dutyOutput({ sensor: 'temp', band: 2 }, 18, 22), 100);
+  assert.equal(dutyOutput({ sensor: 'humi', band: 5, direction: 'lower' }, 62, 60), 40);
+  assert.equal(dutyOutput({ duty: 25 }), 25);
+});
+
+test('pwmAction: output latched per cycle, short pulses skipped', () => {
+  const config = { cycleSeconds: 100, minPulseSeconds: 20 };
+  const state = {};
+  assert.equal(pwmAction(state, config, 30, T0), 'on');
+  assert.equal(pwmAction(state, config, 90, T0 + 29000), 'on');
+  assert.equal(pwmAction(state, config, 90, T0 + 30000), 'off');
+  assert.equal(pwmAction(state, config, 10, T0 + 100000), 'off'); // 10 s < minPulseSeconds
+  assert.equal(pwmAction(state, config, 90, T0 + 200000), 'on');
+  assert.equal(pwmAction(state, config, 90, T0 + 299000), 'on'); // 10 s off < minPulseSeconds: stays on
+});
+
+test('identifyStep: recovers a first-order-plus-dead-time response', () => {
+  const gain = 0.05; // °C per % output
+  const timeConstant = 600; // s
+  const deadTime = 120; // s
+  const stepAt = 30 * MINUTE;
+  const samples = [];
+  for (let t = 0; t <= 120 * MINUTE; t += 15000) {
+    const elapsed = (t - stepAt) / 1000 - deadTime;
+    const v = 20 + (elapsed > 0 ? gain * 100 * (1 - Math.exp(-elapsed / timeConstant)) : 0);
+    samples.push({ t, v });
+  }
+
+  const model = identifyStep(samples, stepAt, 120 * MINUTE);
+  assert.ok(Math.abs(model.gain - gain) < 0.002, `gain ${model.gain}`);
+  assert.ok(Math.abs(model.timeConstant - timeConstant) < 60, `time constant ${model.timeConstant}`);
+  assert.ok(Math.abs(model.deadTime - deadTime) < 45, `dead time ${model.deadTime}`);
+
+  const gains = tuneFromModel(model, 180);
+  assert.ok(gains.kp > 0 && gains.ki > 0);
+  assert.equal(gains.kd, 0);
+});
+
+test('identifyStep: no model from noise or too few readings', () => {
+  const flat = Array.from({ length: 100 }, (_, i) => ({ t: i * 15000, v: 20 + (i % 2) * 0.05 }));
+  assert.equal(identifyStep(flat, 10 * MINUTE, 25 * MINUTE), null);
+  assert.equal(identifyStep(flat.slice(0, 3), 15000, 30000), null);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSensorFailsafe } = require('../src/services/sensor-failsafe.cjs');
+
+const MINUTE = 60000;
+const outletKey = (deviceMac, socket) => `${deviceMac || ''}:${socket}`;
+
+function setup(options = {}) {
+  const clock = { now: 0 };
+  const failsafe = createSensorFailsafe({ outletKey, clock: () => clock.now, ...options });
+  return { failsafe, clock };
+}
+
+/** Report a reading every 10 s until `until` (values drift slightly, so they never look frozen) */
+function report(failsafe, clock, device, sensor, value, until) {
+  for (; clock.now < until; clock.now += 10000) failsafe.record(device, { [sensor]: value + clock.now / 1e9 });
+}
+
+const humidifier = { deviceMac: 'aa', socket: 'O1', sensors: [{ device: 'aa', sensor: 'humi' }] };
+const flowOn = [{ deviceMac: 'aa', socket: 'O1', action: 'on', reason: 'flow' }];
+const aiMode = () => true;
+
+test('a sensor that stops reporting fails, and recovers after a while of good readings', () => {
+  const { failsafe, clock } = setup();
+  report(failsafe, clock, 'aa', 'humi', 60, 2 * MINUTE);
+  assert.deepEqual(failsafe.check().newlyFailed, []);
+
+  clock.now += 6 * MINUTE;
+  const { newlyFailed } = failsafe.check();
+  assert.equal(newlyFailed.length, 1);
+  assert.match(newlyFailed[0].reason, /no update for 6 min/);
+
+  // recoverMs (1 min) counts from the first check that found it good again
+  report(failsafe, clock, 'aa', 'humi', 60, clock.now + 30000);
+  assert.deepEqual(failsafe.check().recovered, []);
+  report(failsafe, clock, 'aa', 'humi', 60, clock.now + 50000);
+  assert.deepEqual(failsafe.check().recovered, []);
+  report(failsafe, clock, 'aa', 'humi', 60, clock.now + 10000);
+  assert.equal(failsafe.check().recovered.length, 1);
+  assert.equal(failsafe.isFailed('aa', 'humi'), false);
+});
+
+test('implausible and frozen readings fail', () => {
+  const { failsafe, clock } = setup();
+  failsafe.record('aa', { humi: 0, temp: 24 });
+  for (; clock.now <= 125 * MINUTE; clock.now += MINUTE) failsafe.record('aa', { humi: 0, temp: 24 });
+  const reasons = Object.fromEntries(failsafe.check().newlyFailed.map(f => [f.sensor, f.reason]));
+  assert.match(reasons.humi, /implausible value 0/);
+  assert.match(reasons.temp, /stuck at 24/);
+});
+
+test('failed sensors are hidden from the flows', () => {
+  const { failsafe } = setup();
+  failsafe.record('aa', { humi: 0, temp: 24 });
+  failsafe.check();
+  assert.deepEqual(failsafe.healthyValues('aa', { humi: 0, temp: 24 }), { temp: 24 });
+});
+
+test('failsafe modes replace the actions of outlets depending on a failed sensor', () => {
+  const { failsafe } = setup();
+  failsafe.record('aa', { humi: 0 });
+  failsafe.check();
+
+  const off = failsafe.apply(flowOn, [humidifier], () => ({ mode: 'off' }), aiMode);
+  assert.deepEqual(off.actions.map(a => a.action), ['off']);
+  assert.equal(off.actions[0].failsafe, true);
+
+  const keep = failsafe.apply(flowOn, [humidifier], () => ({ mode: 'keep' }), aiMode);
+  assert.deepEqual(keep.actions, []);
+  assert.equal(keep.failsafe[0].mode, 'keep');
+
+  const manual = failsafe.apply(flowOn, [humidifier], () => ({ mode: 'off' }), () => false);
+  assert.deepEqual(manual.actions, flowOn);
+});
+
+test('duty cycle failsafe runs from the start of the failure', () => {
+  const { failsafe, clock } = setup();
+  failsafe.record('aa', { humi: 0 });
+  failsafe.check();
+  const duty = () => ({ mode: 'duty', dutyOnMinutes: 5, dutyOffMinutes: 10 });
+  const actionAt = (minutes) => {
+    clock.now = minutes * MINUTE;
+    return failsafe.apply(flowOn, [humidifier], duty, aiMode).actions[0].action;
+  };
+  assert.equal(actionAt(0), 'on');
+  assert.equal(actionAt(4.9), 'on');
+  assert.equal(actionAt(5), 'off');
+  assert.equal(actionAt(14.9), 'off');
+  assert.equal(actionAt(15), 'on');
+  assert.equal(actionAt(20), 'off');
+});
+
+test('merged sensors (nodes without a device) fail when any device feeding them does', () => {
+  const { failsafe, clock } = setup();
+  const merged = [{ device: '*', sensor: 'temp' }];
+  for (; clock.now < 2 * MINUTE; clock.now += 10000) {
+    failsafe.record('aa', { temp: 24 + clock.now / 1e9 });
+    failsafe.record('bb', { temp: 22 + clock.now / 1e9 });
+  }
+  failsafe.check(merged);
+  assert.equal(failsafe.isFailed('*', 'temp'), false);
+
+  report(failsafe, clock, 'aa', 'temp', 24, 8 * MINUTE);
+  failsafe.check(merged);
+  assert.equal(failsafe.isFailed('*', 'temp'), true);
+  assert.equal(failsafe.isFailed('aa', 'temp'), false);
+});
+
+test('a required device that never reported fails after the start-up grace', () => {
+  const { failsafe, clock } = setup();
+  const required = [{ device: 'cc', sensor: 'humi' }];
+  assert.deepEqual(failsafe.check(required).newlyFailed, []);
+  clock.now = 6 * MINUTE;
+  assert.match(failsafe.check(required).newlyFailed[0].reason, /no readings since the start/);
+});